@@ -0,0 +1,38 @@
+/**
+ * FERIADOS (dias sem atendimento)
+ *
+ * Lido pelo businessHoursService (caminho em BUSINESS_HOLIDAYS_FILE).
+ *
+ * Formato de cada item:
+ * - date: "MM-DD" para feriados que se repetem todo ano
+ *         "AAAA-MM-DD" para feriados de data móvel (Carnaval, Páscoa...)
+ * - name: nome exibido ao cliente ("Hoje é feriado (Natal)")
+ *
+ * DICA: inclua os feriados estaduais e municipais da sua cidade
+ * e atualize as datas móveis todo ano.
+ */
+
+module.exports = [
+  // Feriados nacionais fixos
+  { date: '01-01', name: 'Confraternização Universal' },
+  { date: '04-21', name: 'Tiradentes' },
+  { date: '05-01', name: 'Dia do Trabalho' },
+  { date: '09-07', name: 'Independência do Brasil' },
+  { date: '10-12', name: 'Nossa Senhora Aparecida' },
+  { date: '11-02', name: 'Finados' },
+  { date: '11-15', name: 'Proclamação da República' },
+  { date: '11-20', name: 'Dia da Consciência Negra' },
+  { date: '12-25', name: 'Natal' },
+
+  // Datas móveis de 2026
+  { date: '2026-02-16', name: 'Carnaval' },
+  { date: '2026-02-17', name: 'Carnaval' },
+  { date: '2026-04-03', name: 'Sexta-feira Santa' },
+  { date: '2026-06-04', name: 'Corpus Christi' },
+
+  // Datas móveis de 2027
+  { date: '2027-02-08', name: 'Carnaval' },
+  { date: '2027-02-09', name: 'Carnaval' },
+  { date: '2027-03-26', name: 'Sexta-feira Santa' },
+  { date: '2027-05-27', name: 'Corpus Christi' },
+];
@@ -0,0 +1,61 @@
+/**
+ * QUESTIONÁRIO DE QUALIFICAÇÃO
+ *
+ * Lido pelo qualificationService (caminho em QUALIFICATION_FILE).
+ *
+ * Quando a IA classifica a mensagem com uma das intenções de
+ * "triggerIntents", o bot faz as perguntas abaixo, uma de cada vez.
+ * As respostas ficam salvas no lead (GET /leads/:phoneNumber).
+ *
+ * Formato de cada pergunta:
+ * - field: nome do campo salvo no lead (único)
+ * - question: texto enviado ao lead
+ * - type: 'text' (texto livre), 'choice' (opções numeradas) ou 'number'
+ * - options: lista de opções (apenas type 'choice')
+ * - minLength / maxLength: tamanho do texto (type 'text')
+ * - min / max: limites do número (type 'number')
+ * - required: false permite responder "pular" (padrão: true)
+ *
+ * Nos textos, {{name}} é trocado pelo nome do lead.
+ */
+
+module.exports = {
+  triggerIntents: ['orçamento'],
+
+  messages: {
+    intro: 'Para agilizar sua proposta, {{name}}, vou te fazer algumas perguntas rápidas. 📝\n\n_Envie "pular" para pular uma pergunta opcional ou "parar" para encerrar._',
+    resume: 'Olá de novo, {{name}}! Vamos continuar de onde paramos? 🙂',
+    completed: 'Perfeito, {{name}}! ✅ Recebemos todas as informações e nossa equipe comercial já vai preparar sua proposta.',
+    cancelled: 'Tudo bem! Encerramos as perguntas. Nossa equipe vai falar com você em breve. 👍',
+  },
+
+  questions: [
+    {
+      field: 'product',
+      question: '1️⃣ Qual produto ou serviço te interessa?',
+      type: 'text',
+      minLength: 2,
+      maxLength: 200,
+    },
+    {
+      field: 'budget',
+      question: '2️⃣ Qual a faixa de investimento que você tem em mente?',
+      type: 'choice',
+      options: ['Até R$ 1.000', 'De R$ 1.000 a R$ 5.000', 'De R$ 5.000 a R$ 20.000', 'Acima de R$ 20.000'],
+      required: false,
+    },
+    {
+      field: 'city',
+      question: '3️⃣ Em qual cidade você está?',
+      type: 'text',
+      minLength: 2,
+      maxLength: 100,
+    },
+    {
+      field: 'deadline',
+      question: '4️⃣ Para quando você precisa?',
+      type: 'choice',
+      options: ['O quanto antes', 'Em até 30 dias', 'De 1 a 3 meses', 'Sem pressa'],
+    },
+  ],
+};
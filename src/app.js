@@ -16,10 +16,18 @@
 
 const express = require('express');
 const log = require('./utils/logger');
+const { authenticate } = require('./middlewares/auth');
 
 // Importa as rotas
 const leadRoutes = require('./routes/leadRoutes');
 const statusRoutes = require('./routes/statusRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const flowRoutes = require('./routes/flowRoutes');
+const customFieldRoutes = require('./routes/customFieldRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const segmentRoutes = require('./routes/segmentRoutes');
+const searchRoutes = require('./routes/searchRoutes');
 
 /**
  * Cria a aplicação Express
@@ -53,7 +61,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   
   // Responde requisições OPTIONS (preflight)
   if (req.method === 'OPTIONS') {
@@ -96,6 +104,7 @@ app.get('/', (req, res) => {
     name: 'WhatsApp Lead System API',
     version: '1.0.0',
     status: 'online',
+    authentication: 'Envie a API Key no header "Authorization: Bearer <chave>" ou "X-API-Key" (exceto /status e /health)',
     documentation: {
       endpoints: [
         {
@@ -109,21 +118,181 @@ app.get('/', (req, res) => {
         {
           path: 'GET /leads',
           description: 'Lista todos os leads (com filtros)',
-          queryParams: ['status', 'priority', 'intent', 'page', 'limit'],
+          queryParams: ['status', 'priority', 'intent', 'sentiment', 'state', 'owner', 'company', 'city', 'name', 'phone', 'createdFrom', 'createdTo', 'lastInteractionFrom', 'lastInteractionTo', 'dealValueMin', 'dealValueMax', 'custom.<key>', 'tags', 'excludeTags', 'sortBy', 'sortOrder', 'page', 'limit', 'cursor'],
+        },
+        {
+          path: 'GET /search',
+          description: 'Busca nas conversas e nos nomes dos leads (resultados por lead, com trechos marcados)',
+          queryParams: ['q', 'from', 'to', 'sender', 'page', 'limit'],
         },
         {
           path: 'GET /leads/stats',
           description: 'Estatísticas dos leads',
         },
+        {
+          path: 'GET /leads/export',
+          description: 'Exporta os leads em CSV, XLSX ou NDJSON (mesmos filtros de GET /leads, sem paginação)',
+          queryParams: ['format', 'messages', '...filtros de GET /leads', 'sortBy', 'sortOrder'],
+        },
+        {
+          path: 'POST /leads/import',
+          description: 'Importa leads de um CSV (corpo text/csv; cria ou atualiza pelo número)',
+          queryParams: ['map.<campo>', 'delimiter', 'validateWhatsApp', 'dryRun'],
+        },
         {
           path: 'GET /leads/:phoneNumber',
           description: 'Busca lead específico',
         },
+        {
+          path: 'GET /leads/:phoneNumber/attachments/:id',
+          description: 'Baixa uma mídia enviada pelo lead',
+          queryParams: ['download'],
+        },
+        {
+          path: 'GET /leads/:phoneNumber/transcript',
+          description: 'Baixa a conversa do lead em texto ou PDF',
+          queryParams: ['format'],
+        },
+        {
+          path: 'PATCH /leads/:phoneNumber',
+          description: 'Atualiza o perfil do lead (só os campos enviados; null apaga)',
+          body: { name: 'nome', email: 'e-mail', company: 'empresa', city: 'cidade', notes: 'observações', owner: 'responsável', dealValue: 'valor do negócio', customFields: '{ key: valor }' },
+        },
         {
           path: 'PATCH /leads/:phoneNumber/status',
           description: 'Atualiza status do lead',
           body: { status: 'novo | em_atendimento | finalizado' },
         },
+        {
+          path: 'POST /leads/:phoneNumber/tags',
+          description: 'Coloca etiquetas no lead',
+          body: { tags: '[nomes das etiquetas]' },
+        },
+        {
+          path: 'DELETE /leads/:phoneNumber/tags/:tag',
+          description: 'Tira uma etiqueta do lead',
+        },
+        {
+          path: 'POST /leads/:phoneNumber/messages',
+          description: 'Atendente envia mensagem ao lead',
+          body: { text: 'texto da mensagem', agent: 'identificador do atendente' },
+        },
+        {
+          path: 'POST /leads/:phoneNumber/takeover',
+          description: 'Atendente assume a conversa (pausa o bot)',
+          body: { agent: 'identificador do atendente' },
+        },
+        {
+          path: 'POST /leads/:phoneNumber/release',
+          description: 'Devolve a conversa para o bot',
+        },
+        {
+          path: 'GET /settings/business-hours',
+          description: 'Horário de atendimento e se estamos atendendo agora',
+        },
+        {
+          path: 'GET /flows',
+          description: 'Lista os fluxos de conversa do bot',
+          queryParams: ['trigger'],
+        },
+        {
+          path: 'GET /flows/:id',
+          description: 'Busca um fluxo de conversa',
+        },
+        {
+          path: 'POST /flows',
+          description: 'Cria um fluxo de conversa (admin)',
+          body: { name: 'nome', trigger: 'welcome | welcome_back | classification', when: '{ intent, sentiment, priority, businessHours, choice }', steps: '[{ type, text, buttons | buttonText + sections, footer, delayMs, typing, when }]' },
+        },
+        {
+          path: 'PUT /flows/:id',
+          description: 'Substitui a definição de um fluxo (admin)',
+        },
+        {
+          path: 'DELETE /flows/:id',
+          description: 'Remove um fluxo (admin)',
+        },
+        {
+          path: 'GET /custom-fields',
+          description: 'Lista os campos personalizados dos leads',
+        },
+        {
+          path: 'GET /custom-fields/:key',
+          description: 'Busca um campo personalizado',
+        },
+        {
+          path: 'POST /custom-fields',
+          description: 'Cria um campo personalizado (admin)',
+          body: { key: 'identificador', label: 'nome exibido', type: 'text | email | number | boolean | date | select', options: '[opções do select]', description: 'descrição' },
+        },
+        {
+          path: 'PUT /custom-fields/:key',
+          description: 'Altera nome, opções e descrição de um campo (admin)',
+        },
+        {
+          path: 'DELETE /custom-fields/:key',
+          description: 'Remove o campo e os valores dele nos leads (admin)',
+        },
+        {
+          path: 'GET /tags',
+          description: 'Lista as etiquetas (com a quantidade de leads)',
+        },
+        {
+          path: 'GET /tags/:id',
+          description: 'Busca uma etiqueta',
+        },
+        {
+          path: 'POST /tags',
+          description: 'Cria uma etiqueta (admin)',
+          body: { name: 'nome', color: '#RRGGBB', description: 'descrição', rules: '[{ intent, sentiment, priority, keywords }]' },
+        },
+        {
+          path: 'PUT /tags/:id',
+          description: 'Substitui os dados de uma etiqueta (admin)',
+        },
+        {
+          path: 'DELETE /tags/:id',
+          description: 'Remove a etiqueta de todos os leads (admin)',
+        },
+        {
+          path: 'GET /segments',
+          description: 'Lista os segmentos (filtros salvos)',
+        },
+        {
+          path: 'GET /segments/:name',
+          description: 'Busca um segmento',
+        },
+        {
+          path: 'GET /segments/:name/leads',
+          description: 'Lista os leads do segmento',
+          queryParams: ['sortBy', 'sortOrder', 'page', 'limit', 'cursor'],
+        },
+        {
+          path: 'POST /segments',
+          description: 'Salva um segmento (agent)',
+          body: { name: 'nome', description: 'descrição', filters: '{ filtros de GET /leads }' },
+        },
+        {
+          path: 'PUT /segments/:name',
+          description: 'Substitui os dados de um segmento (agent)',
+        },
+        {
+          path: 'DELETE /segments/:name',
+          description: 'Remove um segmento (agent)',
+        },
+        {
+          path: 'GET /api-keys',
+          description: 'Lista as API Keys (admin)',
+        },
+        {
+          path: 'POST /api-keys',
+          description: 'Cria uma API Key (admin)',
+          body: { name: 'nome da chave', role: 'read | agent | admin' },
+        },
+        {
+          path: 'DELETE /api-keys/:id',
+          description: 'Revoga uma API Key (admin)',
+        },
       ],
     },
   });
@@ -143,8 +312,66 @@ app.use('/health', statusRoutes);
  * 
  * Prefixo: /leads
  * Exemplos: /leads, /leads/5511999999999
+ * 
+ * Exige API Key (os papéis necessários ficam em leadRoutes.js)
+ */
+app.use('/leads', authenticate, leadRoutes);
+
+/**
+ * Registra a rota de busca
+ * 
+ * Prefixo: /search
+ * Exemplo: /search?q=modelo azul
+ */
+app.use('/search', authenticate, searchRoutes);
+
+/**
+ * Registra as rotas de configurações
+ * 
+ * Prefixo: /settings
+ * Exemplo: /settings/business-hours
+ */
+app.use('/settings', authenticate, settingsRoutes);
+
+/**
+ * Registra as rotas de fluxos de conversa
+ * 
+ * Prefixo: /flows
+ * Leitura com qualquer API Key; alterações exigem papel admin
+ */
+app.use('/flows', authenticate, flowRoutes);
+
+/**
+ * Registra as rotas de campos personalizados
+ * 
+ * Prefixo: /custom-fields
+ * Leitura com qualquer API Key; alterações exigem papel admin
+ */
+app.use('/custom-fields', authenticate, customFieldRoutes);
+
+/**
+ * Registra as rotas de etiquetas
+ * 
+ * Prefixo: /tags
+ * Leitura com qualquer API Key; alterações exigem papel admin
  */
-app.use('/leads', leadRoutes);
+app.use('/tags', authenticate, tagRoutes);
+
+/**
+ * Registra as rotas de segmentos (filtros de leads salvos)
+ * 
+ * Prefixo: /segments
+ * Leitura com qualquer API Key; alterações exigem papel agent
+ */
+app.use('/segments', authenticate, segmentRoutes);
+
+/**
+ * Registra as rotas de administração de API Keys
+ * 
+ * Prefixo: /api-keys
+ * Exige API Key com papel admin
+ */
+app.use('/api-keys', authenticate, apiKeyRoutes);
 
 // ==========================================
 // TRATAMENTO DE ERROS
@@ -172,9 +399,45 @@ app.use((req, res) => {
       'GET /status',
       'GET /health',
       'GET /leads',
+      'GET /search',
       'GET /leads/stats',
+      'GET /leads/export',
+      'POST /leads/import',
       'GET /leads/:phoneNumber',
+      'GET /leads/:phoneNumber/attachments/:id',
+      'GET /leads/:phoneNumber/transcript',
+      'PATCH /leads/:phoneNumber',
       'PATCH /leads/:phoneNumber/status',
+      'POST /leads/:phoneNumber/tags',
+      'DELETE /leads/:phoneNumber/tags/:tag',
+      'POST /leads/:phoneNumber/messages',
+      'POST /leads/:phoneNumber/takeover',
+      'POST /leads/:phoneNumber/release',
+      'GET /settings/business-hours',
+      'GET /flows',
+      'GET /flows/:id',
+      'POST /flows',
+      'PUT /flows/:id',
+      'DELETE /flows/:id',
+      'GET /custom-fields',
+      'GET /custom-fields/:key',
+      'POST /custom-fields',
+      'PUT /custom-fields/:key',
+      'DELETE /custom-fields/:key',
+      'GET /tags',
+      'GET /tags/:id',
+      'POST /tags',
+      'PUT /tags/:id',
+      'DELETE /tags/:id',
+      'GET /segments',
+      'GET /segments/:name',
+      'GET /segments/:name/leads',
+      'POST /segments',
+      'PUT /segments/:name',
+      'DELETE /segments/:name',
+      'GET /api-keys',
+      'POST /api-keys',
+      'DELETE /api-keys/:id',
     ],
   });
 });
@@ -186,6 +449,17 @@ app.use((req, res) => {
  * que acontecem durante o processamento de requisições
  */
 app.use((err, req, res, next) => {
+  // Corpo da requisição inválido ou grande demais (express.json, express.text)
+  if (err.type && err.status >= 400 && err.status < 500) {
+    log.api(req.method, req.originalUrl, err.status);
+
+    return res.status(err.status).json({
+      success: false,
+      error: err.status === 413 ? 'Corpo da requisição grande demais' : 'Corpo da requisição inválido',
+      message: err.message,
+    });
+  }
+
   log.error('Erro não tratado na aplicação:', err);
 
   // Não expõe detalhes do erro em produção
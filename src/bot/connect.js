@@ -26,6 +26,9 @@ const log = require('../utils/logger');
 // Variável global para armazenar o socket
 let sock = null;
 
+// Estado atual da conexão: 'connecting', 'open' ou 'close'
+let connectionState = 'close';
+
 /**
  * Inicia a conexão com o WhatsApp
  * 
@@ -48,6 +51,7 @@ async function connectToWhatsApp(messageHandler) {
     const { state, saveCreds } = await useMultiFileAuthState('./auth_info');
 
     // Cria o socket (conexão) com o WhatsApp
+    connectionState = 'connecting';
     sock = makeWASocket({
       version,
       auth: state,
@@ -91,6 +95,11 @@ async function connectToWhatsApp(messageHandler) {
     sock.ev.on('connection.update', async (update) => {
       const { connection, lastDisconnect, qr } = update;
 
+      // Guarda o estado para quem precisa saber se pode enviar mensagens
+      if (connection) {
+        connectionState = connection;
+      }
+
       // Se recebeu QR Code, exibe no terminal
       if (qr) {
         log.info('QR Code gerado! Escaneie com seu WhatsApp:');
@@ -174,13 +183,26 @@ function getSocket() {
   return sock;
 }
 
+/**
+ * Retorna o estado atual da conexão
+ * 
+ * - 'connecting': socket criado, aguardando conexão (ou leitura do QR Code)
+ * - 'open': conectado e pronto para enviar mensagens
+ * - 'close': desconectado
+ * 
+ * @returns {String} - Estado da conexão
+ */
+function getConnectionState() {
+  return sock ? connectionState : 'close';
+}
+
 /**
  * Verifica se está conectado
  * 
  * @returns {Boolean} - true se conectado, false se não
  */
 function isConnected() {
-  return sock !== null;
+  return sock !== null && connectionState === 'open';
 }
 
 /**
@@ -195,6 +217,7 @@ async function disconnect() {
     if (sock) {
       await sock.logout();
       sock = null;
+      connectionState = 'close';
       log.info('Desconectado do WhatsApp');
     }
   } catch (error) {
@@ -206,6 +229,7 @@ async function disconnect() {
 module.exports = {
   connectToWhatsApp,
   getSocket,
+  getConnectionState,
   isConnected,
   disconnect,
 };
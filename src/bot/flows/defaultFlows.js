@@ -0,0 +1,113 @@
+/**
+ * FLUXOS PADRÃO
+ *
+ * Fluxos criados na tabela flows na primeira execução
+ * (migration 006). Depois disso, edite-os pela API (/flows),
+ * sem precisar alterar código nem reiniciar o sistema.
+ *
+ * Formato de um fluxo:
+ * - name: nome único do fluxo
+ * - trigger: quando o fluxo roda (welcome, welcome_back, classification)
+ * - when: (opcional) condições para o fluxo rodar
+ * - steps: lista de etapas, executadas em ordem
+ *
+ * Formato de uma etapa:
+ * - type: 'message' (padrão), 'buttons' ou 'list'
+ * - text: texto enviado; aceita variáveis como {{name}} e {{company}}
+ * - footer: (buttons/list, opcional) rodapé da mensagem
+ * - buttons: (buttons) até 3 botões { id, text }
+ * - buttonText, sections: (list) texto do botão que abre a lista e
+ *   seções { title, rows: [{ id, text, description }] }, até 10 opções
+ * - delayMs: espera antes da etapa, em milissegundos (padrão: 0)
+ * - typing: mostra "digitando..." antes de enviar (padrão: true)
+ * - when: (opcional) condições para a etapa rodar
+ *
+ * Condições (when): intent, sentiment, priority (valor ou lista de valores),
+ * businessHours ('open' ou 'closed') e choice (id da opção que o lead
+ * escolheu em um botão ou lista). Todas precisam ser atendidas.
+ *
+ * Opções com id igual a uma intenção (orçamento, dúvida, suporte, outro)
+ * definem a intenção da mensagem sem depender da IA.
+ *
+ * Variáveis disponíveis: veja VARIABLES em flowRunner.js
+ */
+
+const DEFAULT_FLOWS = [
+  {
+    name: 'Boas-vindas',
+    trigger: 'welcome',
+    description: 'Primeiro contato do lead',
+    steps: [
+      {
+        delayMs: 1000,
+        text: 'Olá {{name}}! 👋\n\nSeja bem-vindo(a) ao atendimento da *{{company}}*!',
+      },
+      {
+        delayMs: 2000,
+        text: 'Estou aqui para ajudar você! 😊\n\nNossa equipe foi notificada e irá analisar sua mensagem.',
+      },
+      {
+        delayMs: 2000,
+        text: '⏱️ *Tempo de resposta:*\n{{responseTime}}\n\nFique tranquilo(a), você está na nossa lista de prioridades!',
+      },
+      {
+        type: 'buttons',
+        delayMs: 1000,
+        text: 'Para agilizar, escolha o assunto do seu contato:',
+        buttons: [
+          { id: 'orçamento', text: 'Orçamento' },
+          { id: 'suporte', text: 'Suporte' },
+          { id: 'dúvida', text: 'Dúvida' },
+        ],
+      },
+    ],
+  },
+  {
+    name: 'Bem-vindo de volta',
+    trigger: 'welcome_back',
+    description: 'Lead conhecido que volta após um período inativo',
+    steps: [
+      {
+        delayMs: 1000,
+        text: 'Olá {{name}}, que bom te ver de novo! 👋\n\nObrigado por voltar a falar com a *{{company}}*.',
+      },
+      {
+        delayMs: 2000,
+        text: 'Já recebemos sua mensagem e nossa equipe vai te responder. 😊\n\n{{responseTime}}',
+      },
+    ],
+  },
+  {
+    name: 'Resposta da classificação',
+    trigger: 'classification',
+    description: 'Resposta enviada após a IA classificar a mensagem',
+    steps: [
+      {
+        when: { intent: 'orçamento', priority: 'alta' },
+        text: '📋 *Solicitação de Orçamento*\n\nIdentificamos que você está interessado(a) em receber um orçamento.\n\nNossa equipe comercial está preparando uma proposta personalizada para você.\n\n🔥 Sua solicitação foi marcada como PRIORITÁRIA!\n\n{{responseTime}}',
+      },
+      {
+        when: { intent: 'orçamento', priority: ['baixa', 'média'] },
+        text: '📋 *Solicitação de Orçamento*\n\nIdentificamos que você está interessado(a) em receber um orçamento.\n\nNossa equipe comercial está preparando uma proposta personalizada para você.\n\n{{responseTime}}',
+      },
+      {
+        when: { intent: 'dúvida' },
+        text: '❓ *Dúvida Recebida*\n\nSua dúvida foi registrada e encaminhada para nossa equipe especializada.\n\nEm breve você receberá uma resposta completa!\n\n{{responseTime}}',
+      },
+      {
+        when: { intent: 'suporte', priority: 'alta' },
+        text: '🛠️ *Suporte Técnico*\n\n🚨 URGENTE: Sua solicitação de suporte foi registrada.\n\nNossa equipe técnica está analisando e retornará o mais breve possível.\n\n{{responseTime}}',
+      },
+      {
+        when: { intent: 'suporte', priority: ['baixa', 'média'] },
+        text: '🛠️ *Suporte Técnico*\n\nSua solicitação de suporte foi registrada.\n\nNossa equipe técnica está analisando e retornará o mais breve possível.\n\n{{responseTime}}',
+      },
+      {
+        when: { intent: 'outro' },
+        text: '✅ *Mensagem Recebida*\n\nObrigado pelo contato! Recebemos sua mensagem e vamos retornar em breve.\n\n{{responseTime}}',
+      },
+    ],
+  },
+];
+
+module.exports = DEFAULT_FLOWS;
@@ -0,0 +1,184 @@
+/**
+ * FLUXO: EXECUTOR DE FLUXOS
+ *
+ * Executa os fluxos de conversa definidos no banco (tabela flows).
+ *
+ * Como funciona:
+ * 1. Busca os fluxos ativos do gatilho (ex: welcome)
+ * 2. Escolhe o primeiro cujas condições (when) são atendidas
+ *    (fluxos com condições são avaliados antes dos fluxos sem condições)
+ * 3. Executa as etapas em ordem: espera, "digitando...", envia o texto
+ *    (ou o texto com botões/lista; etapas cujas condições não são
+ *    atendidas são puladas)
+ *
+ * As variáveis dos textos ({{name}}, {{company}}...) são preenchidas aqui.
+ * O formato dos fluxos está documentado em defaultFlows.js.
+ */
+
+const log = require('../../utils/logger')
+const whatsappService = require('../../services/whatsappService')
+const flowService = require('../../services/flowService')
+const businessHoursService = require('../../services/businessHoursService')
+
+/**
+ * Monta os valores disponíveis para condições e variáveis
+ *
+ * @param {Object} context - { name, phone, classification, choice }
+ * @returns {Object} - Valores (as chaves seguem flowService.VARIABLES)
+ */
+function buildValues({ name, phone, classification = {}, choice = null }) {
+  return {
+    name: name || '',
+    phone: phone || '',
+    company: process.env.COMPANY_NAME || 'nossa empresa',
+    bot: process.env.BOT_NAME || 'Assistente Virtual',
+    intent: classification.intent || '',
+    sentiment: classification.sentiment || '',
+    priority: classification.priority || '',
+    businessHours: businessHoursService.isOpen() ? 'open' : 'closed',
+    // ID da opção que o lead escolheu em um botão ou lista (só condição)
+    choice: choice?.id || '',
+    // Função: só calcula o texto se algum passo usar {{responseTime}}
+    responseTime: () => businessHoursService.getResponseTimeMessage(),
+  };
+}
+
+/**
+ * Verifica se as condições (when) são atendidas
+ *
+ * Cada condição aceita um valor ou uma lista de valores.
+ * Sem condições = sempre atendidas.
+ *
+ * @param {Object|null} when - Condições
+ * @param {Object} values - Valores do contexto
+ * @returns {Boolean}
+ */
+function matchesConditions(when, values) {
+  if (!when) {
+    return true;
+  }
+
+  return Object.entries(when).every(([key, expected]) => {
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    return accepted.includes(values[key]);
+  });
+}
+
+/**
+ * Substitui as variáveis {{nome}} do texto
+ *
+ * @param {String} text - Texto com variáveis
+ * @param {Object} values - Valores do contexto
+ * @returns {String}
+ */
+function interpolate(text, values) {
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, variable) => {
+    const value = values[variable];
+
+    if (value === undefined) {
+      return match;
+    }
+
+    return typeof value === 'function' ? value() : String(value);
+  });
+}
+
+/**
+ * Envia uma etapa conforme o tipo (message, buttons ou list)
+ *
+ * @param {Object} sock - Socket do WhatsApp (Baileys)
+ * @param {String} jid - JID do destinatário
+ * @param {Object} step - Etapa do fluxo
+ * @param {Object} values - Valores do contexto
+ * @returns {Promise<Object>} - { text (como fica no histórico), waMessageId }
+ */
+async function sendStep(sock, jid, step, values) {
+  const text = interpolate(step.text, values);
+  const footer = step.footer ? interpolate(step.footer, values) : undefined;
+
+  if (step.type === 'buttons') {
+    const sent = await whatsappService.sendButtons(sock, jid, { text, footer, buttons: step.buttons });
+
+    return {
+      text: whatsappService.formatOptionsAsText(text, step.buttons.map(button => button.text), footer),
+      waMessageId: sent?.key?.id,
+    };
+  }
+
+  if (step.type === 'list') {
+    const { buttonText, sections } = step;
+    const sent = await whatsappService.sendList(sock, jid, { text, footer, buttonText, sections });
+
+    const rows = sections.flatMap(section => section.rows);
+
+    return {
+      text: whatsappService.formatOptionsAsText(text, rows.map(row => row.text), footer),
+      waMessageId: sent?.key?.id,
+    };
+  }
+
+  const sent = await whatsappService.sendMessage(sock, jid, text);
+  return { text, waMessageId: sent?.key?.id };
+}
+
+/**
+ * Executa o fluxo de um gatilho
+ *
+ * @param {Object} sock - Socket do WhatsApp (Baileys)
+ * @param {String} jid - JID do destinatário
+ * @param {String} trigger - Gatilho (welcome, welcome_back, classification)
+ * @param {Object} context - { name, phone, classification, choice }
+ * @returns {Promise<Array<Object>>} - Mensagens enviadas, { text, waMessageId } (vazio se nenhum fluxo rodou)
+ */
+async function runFlow(sock, jid, trigger, context = {}) {
+  const values = buildValues(context);
+
+  const flow = flowService.getActiveFlows(trigger)
+    .find(candidate => matchesConditions(candidate.when, values));
+
+  if (!flow) {
+    log.info('Nenhum fluxo ativo para o gatilho', { trigger, jid });
+    return [];
+  }
+
+  log.info('Iniciando fluxo', { flow: flow.name, trigger, jid });
+
+  const sent = [];
+
+  for (const step of flow.steps) {
+    if (!matchesConditions(step.when, values)) {
+      continue;
+    }
+
+    if (step.delayMs) {
+      await sleep(step.delayMs);
+    }
+
+    if (step.typing !== false) {
+      await whatsappService.simulateTyping(sock, jid);
+    }
+
+    sent.push(await sendStep(sock, jid, step, values));
+  }
+
+  log.info('Fluxo concluído', { flow: flow.name, jid, messages: sent.length });
+
+  return sent;
+}
+
+/**
+ * Função auxiliar para criar delays
+ *
+ * @param {Number} ms - Milissegundos para aguardar
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  runFlow,
+  matchesConditions,
+  interpolate,
+};
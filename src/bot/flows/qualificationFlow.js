@@ -0,0 +1,141 @@
+/**
+ * FLUXO: QUESTIONÁRIO DE QUALIFICAÇÃO
+ *
+ * Envia as perguntas do questionário e as respostas a cada etapa.
+ * As regras (qual pergunta, validação, estado) ficam no
+ * qualificationService; aqui só conversamos com o lead.
+ *
+ * Momentos:
+ * - startQualification: após a classificação (ex: pedido de orçamento)
+ * - answerQualification: cada mensagem enquanto o questionário está aberto
+ * - resumeQualification: o lead sumiu e voltou; repete a pergunta pendente
+ *
+ * Todas retornam as mensagens enviadas ({ text, waMessageId }), para
+ * serem salvas no histórico (answerQualification também retorna o
+ * resultado da resposta).
+ */
+
+const log = require('../../utils/logger')
+const whatsappService = require('../../services/whatsappService')
+const qualificationService = require('../../services/qualificationService')
+const { interpolate } = require('./flowRunner')
+
+/**
+ * Envia os textos em sequência, com "digitando..." antes de cada um
+ *
+ * @param {Object} sock - Socket do WhatsApp
+ * @param {String} jid - JID do destinatário
+ * @param {Array<String>} texts - Textos (vazios são ignorados)
+ * @param {Object} values - Variáveis dos textos ({{name}})
+ * @returns {Promise<Array<Object>>} - Mensagens enviadas ({ text, waMessageId })
+ */
+async function sendAll(sock, jid, texts, values) {
+  const sent = [];
+
+  for (const text of texts.filter(Boolean)) {
+    const message = interpolate(text, values);
+
+    await whatsappService.simulateTyping(sock, jid);
+    const result = await whatsappService.sendMessage(sock, jid, message);
+    sent.push({ text: message, waMessageId: result?.key?.id });
+  }
+
+  return sent;
+}
+
+/**
+ * Inicia o questionário: apresentação + primeira pergunta
+ *
+ * @param {Object} sock - Socket do WhatsApp
+ * @param {String} jid - JID do destinatário
+ * @param {Object} lead - Lead
+ * @param {String} name - Nome do lead
+ * @returns {Promise<Array<Object>>} - Mensagens enviadas ({ text, waMessageId })
+ */
+async function startQualification(sock, jid, lead, name) {
+  try {
+    const { messages } = qualificationService.getConfig();
+    const first = qualificationService.start(lead.phoneNumber);
+
+    return await sendAll(sock, jid, [
+      messages.intro,
+      qualificationService.formatQuestion(first),
+    ], { name });
+
+  } catch (error) {
+    log.error('Erro ao iniciar questionário de qualificação:', error);
+    return [];
+  }
+}
+
+/**
+ * Trata a mensagem do lead como resposta da pergunta pendente
+ *
+ * @param {Object} sock - Socket do WhatsApp
+ * @param {String} jid - JID do destinatário
+ * @param {Object} lead - Lead (lido antes de salvar a mensagem)
+ * @param {String} name - Nome do lead
+ * @param {String} text - Mensagem do lead
+ * @returns {Promise<Object>} - { replies, result }
+ *   result: 'invalid', 'next', 'completed' ou 'cancelled' (null se deu erro)
+ */
+async function answerQualification(sock, jid, lead, name, text) {
+  try {
+    const { messages } = qualificationService.getConfig();
+    const { result, question, error } = qualificationService.answer(lead, text);
+
+    log.info('Resposta do questionário processada', {
+      phoneNumber: lead.phoneNumber,
+      field: lead.qualificationField,
+      result,
+    });
+
+    const texts = {
+      invalid: () => [`${error}\n\n${qualificationService.formatQuestion(question)}`],
+      next: () => [qualificationService.formatQuestion(question)],
+      completed: () => [messages.completed],
+      cancelled: () => [messages.cancelled],
+    }[result]();
+
+    return {
+      replies: await sendAll(sock, jid, texts, { name }),
+      result,
+    };
+
+  } catch (error) {
+    log.error('Erro ao processar resposta do questionário:', error);
+    return { replies: [], result: null };
+  }
+}
+
+/**
+ * Retoma o questionário depois de um tempo em silêncio
+ *
+ * @param {Object} sock - Socket do WhatsApp
+ * @param {String} jid - JID do destinatário
+ * @param {Object} lead - Lead
+ * @param {String} name - Nome do lead
+ * @returns {Promise<Array<Object>>} - Mensagens enviadas ({ text, waMessageId })
+ */
+async function resumeQualification(sock, jid, lead, name) {
+  try {
+    const { messages } = qualificationService.getConfig();
+    const question = qualificationService.resume(lead);
+
+    return await sendAll(sock, jid, [
+      messages.resume,
+      qualificationService.formatQuestion(question),
+    ], { name });
+
+  } catch (error) {
+    log.error('Erro ao retomar questionário de qualificação:', error);
+    return [];
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  startQualification,
+  answerQualification,
+  resumeQualification,
+};
@@ -1,64 +1,32 @@
 /**
  * FLUXO: BOAS-VINDAS
- * 
- * Este arquivo define o fluxo de atendimento inicial automático.
- * 
- * Quando um lead envia a primeira mensagem, este fluxo:
- * 1. Dá boas-vindas
- * 2. Apresenta a empresa
- * 3. Informa que irá analisar a mensagem
- * 4. Define expectativas de tempo de resposta
- * 
+ *
+ * Este arquivo liga os momentos do atendimento aos fluxos configurados.
+ *
+ * Quando um lead envia a primeira mensagem, roda o fluxo do gatilho
+ * "welcome" (por padrão: boas-vindas, apresentação e tempo de resposta).
+ *
+ * Quando um lead conhecido volta depois de um tempo sem falar
+ * (RETURNING_LEAD_INACTIVITY_DAYS), roda o fluxo "welcome_back".
+ *
+ * Depois da classificação da IA, roda o fluxo "classification".
+ * Se o lead tocou em um botão ou lista, o fluxo pode usar a opção
+ * escolhida nas condições (when: { choice: 'suporte' }).
+ *
  * COMO PERSONALIZAR:
- * - Edite as mensagens abaixo para refletir sua empresa
- * - Adicione mais etapas ao array 'steps' se necessário
- * - Ajuste os delays entre mensagens
+ * - Os textos, delays e condições ficam no banco (tabela flows)
+ * - Edite-os pela API: GET/POST/PUT/DELETE /flows
+ * - Os fluxos iniciais estão em defaultFlows.js
+ * - O horário de atendimento prometido vem do BUSINESS_HOURS (.env)
  */
 
 const log = require('../../utils/logger')
 const whatsappService = require('../../services/whatsappService')
-
-/**
- * Mensagens do fluxo de boas-vindas
- * 
- * DICA: Personalize estas mensagens com os dados da sua empresa
- */
-const WELCOME_MESSAGES = {
-  greeting: (name) => `Olá ${name}! 👋
-
-Seja bem-vindo(a) ao atendimento da *${process.env.COMPANY_NAME || 'nossa empresa'}*!`,
-
-  presentation: `Estou aqui para ajudar você! 😊
-
-Nossa equipe foi notificada e irá analisar sua mensagem.`,
-
-  expectations: `⏱️ *Tempo de resposta:*
-• Horário comercial: até 2 horas
-• Fora do horário: próximo dia útil
-
-Fique tranquilo(a), você está na nossa lista de prioridades!`,
-};
-
-/**
- * Delay entre mensagens (em milissegundos)
- * 
- * Isso torna a conversa mais natural, como se fosse humano digitando.
- * 
- * DICA: Ajuste estes valores conforme preferir:
- * - Valores menores = respostas mais rápidas
- * - Valores maiores = parece mais "humano"
- */
-const DELAYS = {
-  beforeGreeting: 1000,      // 1 segundo
-  beforePresentation: 2000,  // 2 segundos
-  beforeExpectations: 2000,  // 2 segundos
-};
+const { runFlow } = require('./flowRunner')
 
 /**
  * Executa o fluxo de boas-vindas
- * 
- * Esta é a função principal que orquestra todo o fluxo.
- * 
+ *
  * @param {Object} sock - Socket do WhatsApp (Baileys)
  * @param {String} jid - JID do destinatário
  * @param {String} name - Nome do lead
@@ -68,33 +36,19 @@ async function runWelcomeFlow(sock, jid, name) {
   try {
     log.info('Iniciando fluxo de boas-vindas', { jid, name });
 
-    // Aguarda um pouco antes de começar (mais natural)
-    await sleep(DELAYS.beforeGreeting);
-
-    // ETAPA 1: Saudação
-    await whatsappService.simulateTyping(sock, jid);
-    await whatsappService.sendMessage(sock, jid, WELCOME_MESSAGES.greeting(name));
-
-    // ETAPA 2: Apresentação
-    await sleep(DELAYS.beforePresentation);
-    await whatsappService.simulateTyping(sock, jid);
-    await whatsappService.sendMessage(sock, jid, WELCOME_MESSAGES.presentation);
-
-    // ETAPA 3: Expectativas
-    await sleep(DELAYS.beforeExpectations);
-    await whatsappService.simulateTyping(sock, jid);
-    await whatsappService.sendMessage(sock, jid, WELCOME_MESSAGES.expectations);
-
-    log.info('Fluxo de boas-vindas concluído', { jid });
+    await runFlow(sock, jid, 'welcome', {
+      name,
+      phone: whatsappService.extractPhoneFromJID(jid),
+    });
 
   } catch (error) {
     log.error('Erro ao executar fluxo de boas-vindas:', error);
-    
+
     // Em caso de erro, tenta enviar ao menos uma mensagem simples
     try {
       await whatsappService.sendMessage(
-        sock, 
-        jid, 
+        sock,
+        jid,
         'Olá! Obrigado por entrar em contato. Retornaremos em breve!'
       );
     } catch (fallbackError) {
@@ -104,71 +58,68 @@ async function runWelcomeFlow(sock, jid, name) {
 }
 
 /**
- * Função auxiliar para criar delays
- * 
- * @param {Number} ms - Milissegundos para aguardar
+ * Executa o fluxo de retorno ("bem-vindo de volta")
+ *
+ * Usado quando um lead já conhecido volta a falar depois de um
+ * período sem interagir.
+ *
+ * @param {Object} sock - Socket do WhatsApp (Baileys)
+ * @param {String} jid - JID do destinatário
+ * @param {String} name - Nome do lead
  * @returns {Promise<void>}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function runWelcomeBackFlow(sock, jid, name) {
+  try {
+    log.info('Iniciando fluxo de retorno', { jid, name });
+
+    await runFlow(sock, jid, 'welcome_back', {
+      name,
+      phone: whatsappService.extractPhoneFromJID(jid),
+    });
+
+  } catch (error) {
+    log.error('Erro ao executar fluxo de retorno:', error);
+  }
 }
 
 /**
  * Envia resposta automática baseada na classificação da IA
- * 
+ *
  * Esta função é chamada APÓS a IA classificar a mensagem.
- * Ela envia uma resposta personalizada baseada na intenção detectada.
- * 
+ * O fluxo "classification" escolhe a resposta pelas condições
+ * de cada etapa (intenção, prioridade, sentimento, horário).
+ *
  * @param {Object} sock - Socket do WhatsApp
  * @param {String} jid - JID do destinatário
  * @param {Object} classification - Classificação da IA
- * @returns {Promise<void>}
+ * @param {String} name - Nome do lead (para a variável {{name}})
+ * @param {Object|null} choice - Opção escolhida em botão/lista (condição "choice")
+ * @returns {Promise<Array<Object>>} - Mensagens enviadas ({ text, waMessageId })
  */
-async function sendClassificationResponse(sock, jid, classification) {
+async function sendClassificationResponse(sock, jid, classification, name = '', choice = null) {
   try {
     log.info('Enviando resposta baseada na classificação', { jid, classification });
 
-    // Mensagens específicas para cada tipo de intenção
-    const responses = {
-      orçamento: `📋 *Solicitação de Orçamento*
-
-Identificamos que você está interessado(a) em receber um orçamento.
-
-Nossa equipe comercial está preparando uma proposta personalizada para você.
-
-${classification.priority === 'alta' ? '🔥 Sua solicitação foi marcada como PRIORITÁRIA!' : ''}`,
-
-      dúvida: `❓ *Dúvida Recebida*
-
-Sua dúvida foi registrada e encaminhada para nossa equipe especializada.
-
-Em breve você receberá uma resposta completa!`,
-
-      suporte: `🛠️ *Suporte Técnico*
-
-${classification.priority === 'alta' ? '🚨 URGENTE: ' : ''}Sua solicitação de suporte foi registrada.
-
-Nossa equipe técnica está analisando e retornará o mais breve possível.`,
-
-      outro: `✅ *Mensagem Recebida*
-
-Obrigado pelo contato! Recebemos sua mensagem e vamos retornar em breve.`,
-    };
-
-    const message = responses[classification.intent] || responses.outro;
+    const sent = await runFlow(sock, jid, 'classification', {
+      name,
+      phone: whatsappService.extractPhoneFromJID(jid),
+      classification,
+      choice,
+    });
 
-    await whatsappService.simulateTyping(sock, jid);
-    await whatsappService.sendMessage(sock, jid, message);
+    log.info('Resposta de classificação enviada', { jid, messages: sent.length });
 
-    log.info('Resposta de classificação enviada', { jid });
+    return sent;
 
   } catch (error) {
     log.error('Erro ao enviar resposta de classificação:', error);
+    return [];
   }
 }
 
 // Exporta as funções para serem usadas em outros arquivos
 module.exports = {
   runWelcomeFlow,
+  runWelcomeBackFlow,
   sendClassificationResponse,
 };
@@ -6,27 +6,81 @@
  * 
  * FLUXO COMPLETO:
  * 1. Recebe mensagem do WhatsApp
- * 2. Valida se deve processar (ignora do próprio bot, status, etc)
- * 3. Extrai informações (número, nome, texto)
+ * 2. Valida se deve processar (ignora do próprio bot, status, duplicatas, etc)
+ * 3. Extrai informações (número, nome, texto, mídia, escolha em botão/lista,
+ *    localização, contatos)
+ *    Reações (emoji em uma mensagem) são só registradas, sem resposta
  * 4. Busca ou cria o lead no banco
- * 5. Adiciona mensagem ao histórico
- * 6. Se for primeira mensagem: executa fluxo de boas-vindas
- * 7. Classifica mensagem com IA
- * 8. Atualiza classificação no banco
- * 9. Envia resposta automática baseada na classificação
- * 10. Marca mensagem como lida
+ * 5. Adiciona mensagem ao histórico (e salva a mídia como anexo, a
+ *    localização ou os contatos compartilhados)
+ * 6. Marca mensagem como lida
+ *    Mensagem de voz: transcreve o áudio e segue com o texto transcrito
+ *    (outras mídias sem legenda, localizações e contatos: só confirma
+ *    o recebimento e para aqui; tipos não suportados: pede um texto)
+ * 7. Passa a mensagem para o handler da etapa da conversa (bot/states/):
+ *    - new: boas-vindas + resposta
+ *    - welcome/active: classificação com IA + resposta automática
+ *      (pedidos de orçamento iniciam o questionário de qualificação)
+ *    - qualifying: trata a mensagem como resposta do questionário
+ *    - awaiting_agent: responde enquanto nenhum atendente assume
+ *    - with_agent: só classifica (atendente humano na conversa)
+ *    - closed: reabre o atendimento
+ * 8. Etiquetas automáticas: aplica as regras das etiquetas (classificação
+ *    e palavras-chave) à mensagem
  * 
  * ONDE MODIFICAR:
- * - Para mudar o fluxo de atendimento, edite welcomeFlow.js
+ * - Para mudar o que o bot faz em cada etapa, edite bot/states/
+ * - Para mudar os textos do atendimento, use a API /flows
+ * - Para mudar as perguntas de qualificação, edite config/qualification.js
  * - Para mudar a classificação de IA, edite aiService.js
- * - Para adicionar novos tipos de mensagem, adicione no switch abaixo
+ * - Para adicionar novos tipos de mídia, edite whatsappService.extractMedia
+ * - Localizações, contatos e reações: veja sharedContentService.js
+ * - Para etiquetar leads automaticamente, crie regras pela API /tags
  */
 
+/**
+ * Respostas para mensagens sem texto para classificar
+ * (mídias sem legenda, localizações, contatos e tipos não suportados)
+ */
+const RECEIVED_REPLIES = {
+  media: 'Recebemos seu arquivo! 📎 Se puder, conte também em uma mensagem de texto como podemos ajudar.',
+  location: 'Recebemos sua localização! 📍 Se puder, conte também em uma mensagem de texto como podemos ajudar.',
+  contacts: 'Recebemos o contato! 👤 Se puder, conte também em uma mensagem de texto como podemos ajudar.',
+  unsupported: 'Desculpe, no momento não consigo processar esse tipo de mensagem. Por favor, envie sua mensagem em texto! 📝',
+};
+
 const log = require('../utils/logger');
 const whatsappService = require('../services/whatsappService');
 const leadService = require('../services/leadService');
-const aiService = require('../services/aiService');
-const { runWelcomeFlow, sendClassificationResponse } = require('./flows/welcomeFlow');
+const attachmentService = require('../services/attachmentService');
+const sharedContentService = require('../services/sharedContentService');
+const transcriptionService = require('../services/transcriptionService');
+const tagService = require('../services/tagService');
+const { handleConversation } = require('./states');
+
+/**
+ * Texto salvo no histórico para uma mensagem sem texto
+ * 
+ * @param {Object} content - { media, location, contacts, unsupportedType }
+ *   (só um vem preenchido)
+ * @returns {String} - Ex: "[imagem]", "[localização: ...]", "[contato: Ana]",
+ *   "[mensagem não suportada: pollCreationMessage]"
+ */
+function describeContent({ media, location, contacts, unsupportedType }) {
+  if (media) {
+    return attachmentService.describeMedia(media);
+  }
+
+  if (location) {
+    return sharedContentService.describeLocation(location);
+  }
+
+  if (contacts) {
+    return sharedContentService.describeContacts(contacts);
+  }
+
+  return `[mensagem não suportada: ${unsupportedType}]`;
+}
 
 /**
  * Handler principal de mensagens
@@ -38,6 +92,9 @@ const { runWelcomeFlow, sendClassificationResponse } = require('./flows/welcomeF
  * @returns {Promise<void>}
  */
 async function handleMessage(sock, message) {
+  // Atendente na conversa: nem a resposta de erro sai automática
+  let botPaused = false;
+
   try {
     // ==========================================
     // ETAPA 1: VALIDAÇÕES INICIAIS
@@ -57,6 +114,12 @@ async function handleMessage(sock, message) {
       return;
     }
 
+    // Ignora reentregas do WhatsApp (ex: após reconexão)
+    // Precisa acontecer antes de QUALQUER resposta ser enviada
+    if (leadService.isDuplicateMessage(message.key.id)) {
+      return;
+    }
+
     // ==========================================
     // ETAPA 2: EXTRAÇÃO DE INFORMAÇÕES
     // ==========================================
@@ -66,113 +129,168 @@ async function handleMessage(sock, message) {
     
     log.whatsapp('Nova mensagem recebida', { phoneNumber, name });
 
-    // Extrai o texto da mensagem
-    const messageText = whatsappService.extractMessageText(message);
-
-    // Se não conseguiu extrair texto, pode ser uma imagem, áudio, etc
-    if (!messageText) {
-      log.info('Mensagem não textual recebida', { 
-        phoneNumber,
-        type: Object.keys(message.message || {})[0] 
-      });
+    // Reação (emoji) a uma mensagem: só registra, sem responder
+    const reaction = whatsappService.extractReaction(message);
 
-      // Você pode adicionar lógica aqui para lidar com outros tipos
-      // Por exemplo: processar imagens, áudios, documentos, etc
-      
-      await whatsappService.sendMessage(
-        sock,
-        jid,
-        'Desculpe, no momento só consigo processar mensagens de texto. Por favor, envie sua mensagem em texto! 📝'
-      );
-      
+    if (reaction) {
+      sharedContentService.saveReaction(phoneNumber, reaction);
       return;
     }
 
-    log.info('Texto extraído da mensagem', { phoneNumber, messageText });
+    // Extrai o texto da mensagem (ou a legenda da mídia)
+    // Áudios sem texto podem ganhar o texto transcrito mais abaixo
+    let messageText = whatsappService.extractMessageText(message);
+
+    // Imagem, áudio, vídeo, documento ou figurinha
+    const media = whatsappService.extractMedia(message);
+
+    // Toque em um botão ou opção de lista (o texto é o da opção)
+    const choice = whatsappService.extractChoice(message);
+
+    // Localização ou cartões de contato
+    const location = whatsappService.extractLocation(message);
+    const contacts = whatsappService.extractContacts(message);
+
+    // Nem texto, nem mídia, nem localização/contato: tipo ainda não suportado
+    // (ex: enquete). Fica no histórico com o tipo, como as outras mensagens
+    const unsupportedType = !messageText && !media && !location && !contacts
+      ? Object.keys(message.message || {})[0] || 'desconhecido'
+      : null;
+
+    if (unsupportedType) {
+      log.info('Tipo de mensagem não suportado', { phoneNumber, type: unsupportedType });
+    }
+
+    log.info('Mensagem extraída', {
+      phoneNumber,
+      messageText,
+      media: media?.type,
+      choice: choice?.id,
+      location: Boolean(location),
+      contacts: contacts?.length,
+    });
 
     // ==========================================
     // ETAPA 3: GERENCIAMENTO DO LEAD
     // ==========================================
 
     // Busca ou cria o lead no banco de dados
-    const lead = leadService.createOrGetLead(phoneNumber, name);
+    // isNew: primeiro contato | isReturning: voltou após um período inativo
+    const { lead, isNew, isReturning } = leadService.createOrGetLead(phoneNumber, name);
 
-    // Verifica se é a primeira mensagem deste lead
-    const isFirstMessage = lead.messages?.length === 0 || leadService.getStats().total === 1;
+    // Verifica se um atendente humano assumiu a conversa
+    // Deve ser verificado ANTES de salvar a mensagem, para que o
+    // tempo ocioso (auto-liberação) seja medido a partir da interação anterior
+    botPaused = leadService.isBotPaused(lead);
 
     log.info('Lead identificado', { 
       phoneNumber, 
-      isFirstMessage
+      isNew,
+      isReturning,
+      botPaused,
     });
 
+    // Busca as mensagens anteriores ANTES de salvar a atual
+    // Elas dão contexto para a classificação da IA
+    const history = leadService.getConversationHistory(
+      phoneNumber,
+      parseInt(process.env.AI_CONTEXT_MESSAGES) || 10
+    );
+
     // Adiciona a mensagem ao histórico do lead
-    leadService.addMessage(phoneNumber, messageText, 'lead');
+    // Sem texto, fica no histórico como "[imagem]", "[documento: x.pdf]",
+    // "[localização: ...]", "[contato: Ana]", "[mensagem não suportada: ...]"...
+    // O ID do WhatsApp é único: se outra entrega da mesma mensagem
+    // chegou primeiro, addMessage retorna null e paramos aqui
+    const storedMessage = leadService.addMessage(
+      phoneNumber,
+      messageText || describeContent({ media, location, contacts, unsupportedType }),
+      'lead',
+      { waMessageId: message.key.id, choiceId: choice?.id }
+    );
 
-    // ==========================================
-    // ETAPA 4: MARCA MENSAGEM COMO LIDA
-    // ==========================================
+    if (!storedMessage) {
+      return;
+    }
 
-    // Marca a mensagem como lida (✓✓ azul)
-    await whatsappService.markAsRead(sock, message);
+    // Baixa a mídia e salva como anexo da mensagem
+    // Se falhar, o atendimento continua (a mensagem já está no histórico)
+    const attachment = media
+      ? await attachmentService.saveFromMessage(sock, message, storedMessage, media)
+      : null;
 
-    // ==========================================
-    // ETAPA 5: FLUXO DE BOAS-VINDAS (SE PRIMEIRA MENSAGEM)
-    // ==========================================
+    // Localização e contatos também completam o cadastro do lead
+    if (location) {
+      sharedContentService.saveLocation(storedMessage, location);
+    }
 
-    if (isFirstMessage) {
-      log.info('Primeira mensagem do lead, executando fluxo de boas-vindas', { phoneNumber });
-      
-      // Executa o fluxo de boas-vindas
-      // Este fluxo está definido em flows/welcomeFlow.js
-      await runWelcomeFlow(sock, jid, name);
-      
-      // Atualiza o status do lead
-      leadService.updateStatus(phoneNumber, 'novo');
-    } else {
-      log.info('Lead já conhecido, pulando boas-vindas', { phoneNumber });
+    if (contacts) {
+      sharedContentService.saveContacts(storedMessage, contacts);
     }
 
     // ==========================================
-    // ETAPA 6: CLASSIFICAÇÃO COM IA
+    // ETAPA 4: MARCA MENSAGEM COMO LIDA
     // ==========================================
 
-    log.info('Iniciando classificação da mensagem com IA', { phoneNumber });
+    // Marca a mensagem como lida (✓✓ azul)
+    await whatsappService.markAsRead(sock, message);
 
-    // Classifica a mensagem usando IA
-    // A IA retorna: intent, sentiment e priority
-    const classification = await aiService.classifyMessage(messageText);
+    // Áudio (mensagem de voz): a transcrição é classificada e respondida
+    // como se o lead tivesse escrito (TRANSCRIPTION_PROVIDER)
+    if (!messageText && attachment?.type === 'audio') {
+      messageText = await transcriptionService.transcribeMessage(storedMessage, attachment, media);
+    }
 
-    log.info('Mensagem classificada', { phoneNumber, classification });
+    // Sem texto para classificar (mídia sem legenda, localização,
+    // contato, tipo não suportado): o bot só confirma o recebimento
+    // ou pede um texto (em silêncio se um atendente assumiu)
+    if (!messageText) {
+      if (!botPaused) {
+        const reply = RECEIVED_REPLIES[media ? 'media' : location ? 'location' : contacts ? 'contacts' : 'unsupported'];
 
-    // Atualiza a classificação no banco de dados
-    leadService.updateClassification(phoneNumber, classification);
+        const sent = await whatsappService.sendMessage(sock, jid, reply);
+        leadService.addMessage(phoneNumber, reply, 'bot', { waMessageId: sent?.key?.id });
+      }
+      return;
+    }
 
     // ==========================================
-    // ETAPA 7: RESPOSTA AUTOMÁTICA
+    // ETAPA 5: HANDLER DA ETAPA DA CONVERSA
     // ==========================================
 
-    // Envia resposta automática baseada na classificação
-    // Esta função está em flows/welcomeFlow.js
-    await sendClassificationResponse(sock, jid, classification);
+    // Cada etapa (new, welcome, active, qualifying, awaiting_agent,
+    // with_agent, closed) tem seu handler em bot/states/
+    const ctx = {
+      sock,
+      jid,
+      lead,
+      name,
+      phoneNumber,
+      messageText,
+      choice,
+      storedMessage,
+      history,
+      isReturning,
+      botPaused,
+    };
 
-    // Adiciona a resposta ao histórico do lead
-    const autoResponse = aiService.generateAutoResponse(classification);
-    leadService.addMessage(phoneNumber, autoResponse, 'bot');
+    await handleConversation(ctx);
 
     // ==========================================
-    // ETAPA 8: LOG FINAL
+    // ETAPA 6: ETIQUETAS AUTOMÁTICAS
     // ==========================================
 
-    log.info('Mensagem processada com sucesso', {
-      phoneNumber,
-      intent: classification.intent,
-      sentiment: classification.sentiment,
-      priority: classification.priority,
-    });
+    // Regras por classificação só valem se a mensagem foi classificada
+    // (ex: respostas do questionário não são); palavras-chave sempre
+    tagService.applyAutoTags(phoneNumber, messageText, ctx.classification);
 
   } catch (error) {
     log.error('Erro ao processar mensagem:', error);
 
+    if (botPaused) {
+      return;
+    }
+
     // Em caso de erro, tenta enviar uma mensagem de erro amigável
     try {
       const { jid } = whatsappService.extractSenderInfo(message);
@@ -0,0 +1,37 @@
+/**
+ * ETAPAS: WELCOME E ACTIVE
+ *
+ * O lead já recebeu as boas-vindas e conversa com o bot.
+ * Se voltou depois de muito tempo sem falar, recebe o fluxo
+ * "welcome_back" antes da resposta.
+ *
+ * welcome → active
+ * active → qualifying (pedido de orçamento, veja botTurn.js)
+ */
+
+const log = require('../../utils/logger');
+const conversationService = require('../../services/conversationService');
+const { runWelcomeBackFlow } = require('../flows/welcomeFlow');
+const { converse } = require('./botTurn');
+
+/**
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @returns {Promise<void>}
+ */
+async function handleActive(ctx) {
+  const { sock, jid, name, phoneNumber, isReturning } = ctx;
+
+  conversationService.transition(phoneNumber, 'active', 'lead respondeu');
+
+  if (isReturning) {
+    log.info('Lead voltou após período inativo, executando fluxo de retorno', { phoneNumber });
+    await runWelcomeBackFlow(sock, jid, name);
+  }
+
+  await converse(ctx);
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  handleActive,
+};
@@ -0,0 +1,34 @@
+/**
+ * ETAPA: AWAITING_AGENT
+ *
+ * O bot terminou a triagem e o lead aguarda um atendente.
+ * Enquanto ninguém assume, o bot continua respondendo.
+ * Se o lead sumiu e voltou depois de muito tempo, a conversa
+ * recomeça como uma conversa ativa.
+ *
+ * awaiting_agent → active (lead voltou)
+ * awaiting_agent → with_agent (pela API: POST /leads/:phone/takeover)
+ */
+
+const conversationService = require('../../services/conversationService');
+const { converse } = require('./botTurn');
+const { handleActive } = require('./activeState');
+
+/**
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @returns {Promise<void>}
+ */
+async function handleAwaitingAgent(ctx) {
+  if (ctx.isReturning) {
+    conversationService.transition(ctx.phoneNumber, 'active', 'lead voltou após período inativo');
+    await handleActive(ctx);
+    return;
+  }
+
+  await converse(ctx);
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  handleAwaitingAgent,
+};
@@ -0,0 +1,110 @@
+/**
+ * ETAPAS: TURNO PADRÃO DO BOT
+ *
+ * O que o bot faz com uma mensagem comum, em qualquer etapa em que
+ * ele está conversando com o lead:
+ *
+ * 1. Classifica a mensagem com IA (considerando o histórico)
+ *    Escolha em botão/lista com id de uma intenção: vale a escolha
+ * 2. Salva a classificação na mensagem e no lead
+ * 3. Envia a resposta do fluxo "classification"
+ * 4. Pedido de orçamento: começa o questionário (→ qualifying)
+ *    Questionário parado há muito tempo: repete a pergunta pendente
+ * 5. Salva as respostas enviadas no histórico
+ *
+ * Usado pelos handlers de cada etapa (veja index.js).
+ */
+
+const log = require('../../utils/logger');
+const leadService = require('../../services/leadService');
+const aiService = require('../../services/aiService');
+const qualificationService = require('../../services/qualificationService');
+const conversationService = require('../../services/conversationService');
+const flowService = require('../../services/flowService');
+const { sendClassificationResponse } = require('../flows/welcomeFlow');
+const { startQualification, resumeQualification } = require('../flows/qualificationFlow');
+
+/**
+ * Salva no histórico do lead as mensagens enviadas pelo bot
+ *
+ * O id do WhatsApp liga a mensagem às reações do lead.
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Array<Object>} replies - Mensagens enviadas ({ text, waMessageId })
+ */
+function saveReplies(phoneNumber, replies) {
+  for (const { text, waMessageId } of replies) {
+    leadService.addMessage(phoneNumber, text, 'bot', { waMessageId });
+  }
+}
+
+/**
+ * Classifica a mensagem do lead e salva a classificação
+ *
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @returns {Promise<Object>} - Classificação (intent, sentiment, priority)
+ */
+async function classify(ctx) {
+  const { phoneNumber, messageText, choice, history, storedMessage } = ctx;
+
+  log.info('Iniciando classificação da mensagem com IA', { phoneNumber });
+
+  // A IA retorna: intent, sentiment e priority
+  const classification = await aiService.classifyMessage(messageText, history);
+
+  // O lead disse com um toque o que quer (ex: botão "Orçamento")
+  if (choice && flowService.CONDITIONS.intent.includes(choice.id)) {
+    classification.intent = choice.id;
+  }
+
+  log.info('Mensagem classificada', { phoneNumber, classification });
+
+  // Fica no contexto para as etiquetas automáticas (veja messageHandler)
+  ctx.classification = classification;
+
+  // Salva a classificação na mensagem e atualiza o lead
+  leadService.updateClassification(phoneNumber, storedMessage.id, classification);
+
+  return classification;
+}
+
+/**
+ * Executa o turno padrão do bot (classificação + resposta)
+ *
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @returns {Promise<Object>} - Classificação da mensagem
+ */
+async function converse(ctx) {
+  const { sock, jid, lead, name, phoneNumber, choice } = ctx;
+
+  const classification = await classify(ctx);
+
+  // O texto vem do fluxo "classification" (tabela flows)
+  const replies = await sendClassificationResponse(sock, jid, classification, name, choice);
+
+  if (qualificationService.shouldStart(lead, classification)) {
+    replies.push(...await startQualification(sock, jid, lead, name));
+    conversationService.transition(phoneNumber, 'qualifying', `intenção: ${classification.intent}`);
+  } else if (qualificationService.isStale(lead)) {
+    replies.push(...await resumeQualification(sock, jid, lead, name));
+    conversationService.transition(phoneNumber, 'qualifying', 'questionário retomado');
+  }
+
+  saveReplies(phoneNumber, replies);
+
+  log.info('Mensagem processada com sucesso', {
+    phoneNumber,
+    intent: classification.intent,
+    sentiment: classification.sentiment,
+    priority: classification.priority,
+  });
+
+  return classification;
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  saveReplies,
+  classify,
+  converse,
+};
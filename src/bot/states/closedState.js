@@ -0,0 +1,32 @@
+/**
+ * ETAPA: CLOSED
+ *
+ * O atendimento foi finalizado e o lead mandou uma nova mensagem:
+ * o lead é reaberto (status "novo") e a conversa volta a ser ativa.
+ *
+ * closed → active
+ */
+
+const log = require('../../utils/logger');
+const leadService = require('../../services/leadService');
+const { handleActive } = require('./activeState');
+
+/**
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @returns {Promise<void>}
+ */
+async function handleClosed(ctx) {
+  log.info('Lead voltou a falar após o atendimento finalizado, reabrindo', {
+    phoneNumber: ctx.phoneNumber,
+  });
+
+  // updateStatus também leva a conversa de closed para active
+  leadService.updateStatus(ctx.phoneNumber, 'novo');
+
+  await handleActive(ctx);
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  handleClosed,
+};
@@ -0,0 +1,74 @@
+/**
+ * BOT: ETAPAS DA CONVERSA
+ *
+ * Cada etapa da conversa (leads.conversationState) tem um handler
+ * que decide o que fazer com a próxima mensagem do lead e para qual
+ * etapa a conversa vai em seguida.
+ *
+ * As etapas e transições permitidas ficam no conversationService.
+ *
+ * COMO ADICIONAR UMA ETAPA:
+ * 1. Adicione a etapa em STATES e TRANSITIONS (conversationService.js)
+ * 2. Crie o handler neste diretório
+ * 3. Registre o handler em HANDLERS abaixo
+ */
+
+const log = require('../../utils/logger');
+const conversationService = require('../../services/conversationService');
+const { handleNew } = require('./newState');
+const { handleActive } = require('./activeState');
+const { handleQualifying } = require('./qualifyingState');
+const { handleAwaitingAgent } = require('./awaitingAgentState');
+const { handleWithAgent } = require('./withAgentState');
+const { handleClosed } = require('./closedState');
+
+/**
+ * Handler de cada etapa
+ */
+const HANDLERS = {
+  new: handleNew,
+  welcome: handleActive,
+  active: handleActive,
+  qualifying: handleQualifying,
+  awaiting_agent: handleAwaitingAgent,
+  with_agent: handleWithAgent,
+  closed: handleClosed,
+};
+
+/**
+ * Envia a mensagem para o handler da etapa atual da conversa
+ *
+ * A etapa é lida do banco a cada chamada (e não do lead em ctx),
+ * pois pode ter mudado desde que o lead foi carregado.
+ *
+ * @param {Object} ctx - Contexto da mensagem
+ * @param {Object} ctx.sock - Socket do WhatsApp (Baileys)
+ * @param {String} ctx.jid - JID do lead
+ * @param {Object} ctx.lead - Lead (lido ANTES de salvar a mensagem atual)
+ * @param {String} ctx.name - Nome do lead
+ * @param {String} ctx.phoneNumber - Número do WhatsApp
+ * @param {String} ctx.messageText - Texto da mensagem
+ * @param {Object|null} ctx.choice - Opção escolhida em botão/lista { id, text, source }
+ * @param {Object} ctx.storedMessage - Mensagem salva no histórico
+ * @param {Array} ctx.history - Mensagens anteriores (contexto da IA)
+ * @param {Boolean} ctx.isReturning - Lead voltou após um período inativo
+ * @param {Boolean} ctx.botPaused - Atendente humano está na conversa
+ * @param {Object} [ctx.classification] - Preenchido por botTurn.classify
+ *   quando a mensagem é classificada
+ * @returns {Promise<void>}
+ */
+async function handleConversation(ctx) {
+  // Bot pausado vale mais que a etapa salva
+  const state = ctx.botPaused ? 'with_agent' : conversationService.getState(ctx.phoneNumber);
+  const handler = HANDLERS[state] || handleActive;
+
+  log.info('Etapa da conversa', { phoneNumber: ctx.phoneNumber, state });
+
+  await handler(ctx, handleConversation);
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  HANDLERS,
+  handleConversation,
+};
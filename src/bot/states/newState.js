@@ -0,0 +1,41 @@
+/**
+ * ETAPA: NEW
+ *
+ * Primeira mensagem do lead: envia as boas-vindas (fluxo "welcome")
+ * e responde a mensagem normalmente.
+ *
+ * new → welcome
+ */
+
+const log = require('../../utils/logger');
+const leadService = require('../../services/leadService');
+const conversationService = require('../../services/conversationService');
+const { runWelcomeFlow } = require('../flows/welcomeFlow');
+const { converse } = require('./botTurn');
+
+/**
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @param {Function} dispatch - Reenvia a mensagem para o handler da etapa atual
+ * @returns {Promise<void>}
+ */
+async function handleNew(ctx, dispatch) {
+  const { sock, jid, name, phoneNumber } = ctx;
+
+  // Duas mensagens chegando juntas: só a primeira envia as boas-vindas
+  if (!conversationService.transition(phoneNumber, 'welcome', 'primeiro contato')) {
+    return dispatch(ctx);
+  }
+
+  log.info('Primeiro contato do lead, executando fluxo de boas-vindas', { phoneNumber });
+
+  // Os textos ficam na tabela flows (gatilho "welcome")
+  await runWelcomeFlow(sock, jid, name);
+  leadService.updateStatus(phoneNumber, 'novo');
+
+  await converse(ctx);
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  handleNew,
+};
@@ -0,0 +1,51 @@
+/**
+ * ETAPA: QUALIFYING
+ *
+ * O bot fez uma pergunta do questionário de qualificação e a mensagem
+ * é a resposta. Ela NÃO é classificada: uma resposta como "São Paulo"
+ * mudaria a intenção do lead de "orçamento" para "outro".
+ *
+ * Se o lead ficou em silêncio mais que QUALIFICATION_RESUME_MINUTES,
+ * a mensagem é tratada normalmente e a pergunta pendente é repetida.
+ *
+ * qualifying → awaiting_agent (questionário concluído ou cancelado)
+ */
+
+const qualificationService = require('../../services/qualificationService');
+const conversationService = require('../../services/conversationService');
+const { answerQualification } = require('../flows/qualificationFlow');
+const { converse, saveReplies } = require('./botTurn');
+
+/**
+ * Motivo da transição para cada fim de questionário
+ */
+const FINISHED = {
+  completed: 'questionário concluído',
+  cancelled: 'questionário cancelado pelo lead',
+};
+
+/**
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @returns {Promise<void>}
+ */
+async function handleQualifying(ctx) {
+  const { sock, jid, lead, name, phoneNumber, messageText } = ctx;
+
+  if (!qualificationService.isAwaitingAnswer(lead)) {
+    await converse(ctx);
+    return;
+  }
+
+  const { replies, result } = await answerQualification(sock, jid, lead, name, messageText);
+
+  saveReplies(phoneNumber, replies);
+
+  if (FINISHED[result]) {
+    conversationService.transition(phoneNumber, 'awaiting_agent', FINISHED[result]);
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  handleQualifying,
+};
@@ -0,0 +1,39 @@
+/**
+ * ETAPA: WITH_AGENT
+ *
+ * Um atendente humano assumiu a conversa: o bot fica em silêncio.
+ * A mensagem continua sendo salva e classificada.
+ *
+ * with_agent → active (POST /leads/:phone/release ou BOT_AUTO_RELEASE_MINUTES)
+ */
+
+const log = require('../../utils/logger');
+const conversationService = require('../../services/conversationService');
+const { classify } = require('./botTurn');
+const { handleActive } = require('./activeState');
+
+/**
+ * @param {Object} ctx - Contexto da mensagem (veja index.js)
+ * @returns {Promise<void>}
+ */
+async function handleWithAgent(ctx) {
+  // Bot já foi reativado (ex: lead liberado antes desta etapa existir)
+  if (!ctx.botPaused) {
+    conversationService.transition(ctx.phoneNumber, 'active', 'bot não está pausado');
+    await handleActive(ctx);
+    return;
+  }
+
+  const classification = await classify(ctx);
+
+  log.info('Lead sob atendimento humano, resposta automática não enviada', {
+    phoneNumber: ctx.phoneNumber,
+    humanOwner: ctx.lead.humanOwner,
+    intent: classification.intent,
+  });
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  handleWithAgent,
+};
@@ -0,0 +1,88 @@
+/**
+ * CLI: GERENCIAMENTO DE API KEYS
+ *
+ * Permite criar, listar e revogar chaves direto do terminal.
+ * Necessário para criar a PRIMEIRA chave admin (as rotas /api-keys
+ * já exigem uma chave admin).
+ *
+ * COMO USAR:
+ * - node src/cli/apiKeys.js create <nome> [read|agent|admin]
+ * - node src/cli/apiKeys.js list
+ * - node src/cli/apiKeys.js revoke <id>
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../utils/database');
+const authService = require('../services/authService');
+
+const USAGE = `Uso:
+  node src/cli/apiKeys.js create <nome> [${authService.ROLES.join('|')}]
+  node src/cli/apiKeys.js list
+  node src/cli/apiKeys.js revoke <id>`;
+
+/**
+ * Executa o comando recebido pela linha de comando
+ *
+ * @param {Array<String>} args - Argumentos (sem "node" e o nome do script)
+ */
+async function main(args) {
+  const [command, ...params] = args;
+
+  await connectDB();
+
+  try {
+    switch (command) {
+      case 'create': {
+        const [name, role = 'read'] = params;
+
+        if (!name) {
+          console.error(USAGE);
+          process.exitCode = 1;
+          return;
+        }
+
+        const { apiKey, record } = authService.createApiKey(name, role);
+
+        console.log(`API Key criada (id ${record.id}, papel ${record.role}):`);
+        console.log('');
+        console.log(`  ${apiKey}`);
+        console.log('');
+        console.log('Guarde esta chave agora: ela NÃO será exibida novamente.');
+        break;
+      }
+
+      case 'list': {
+        const apiKeys = authService.listApiKeys();
+        console.table(apiKeys);
+        break;
+      }
+
+      case 'revoke': {
+        const id = parseInt(params[0]);
+        const record = id ? authService.revokeApiKey(id) : null;
+
+        if (!record) {
+          console.error('API Key não encontrada');
+          process.exitCode = 1;
+          return;
+        }
+
+        console.log(`API Key ${record.id} (${record.name}) revogada.`);
+        break;
+      }
+
+      default:
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error('Erro:', error.message);
+  process.exit(1);
+});
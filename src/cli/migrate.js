@@ -0,0 +1,82 @@
+/**
+ * CLI: MIGRATIONS DO BANCO DE DADOS
+ *
+ * Mostra, aplica e desfaz as migrations de src/migrations.
+ *
+ * COMO USAR:
+ * - node src/cli/migrate.js status          (lista aplicadas e pendentes)
+ * - node src/cli/migrate.js up [versão]     (aplica as pendentes, ou até a versão)
+ * - node src/cli/migrate.js down [passos]   (desfaz as últimas N, padrão: 1)
+ *
+ * OBS: o servidor aplica as migrations pendentes sozinho ao iniciar.
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB, getDB } = require('../utils/database');
+const migrator = require('../utils/migrator');
+
+const USAGE = `Uso:
+  node src/cli/migrate.js status
+  node src/cli/migrate.js up [versão]
+  node src/cli/migrate.js down [passos]`;
+
+/**
+ * Executa o comando recebido pela linha de comando
+ *
+ * @param {Array<String>} args - Argumentos (sem "node" e o nome do script)
+ */
+async function main(args) {
+  const [command, param] = args;
+
+  // Conecta SEM aplicar migrations: quem decide aqui é o comando
+  await connectDB({ migrate: false });
+
+  try {
+    const db = getDB();
+
+    switch (command) {
+      case 'status': {
+        const status = migrator.getStatus(db);
+
+        console.table(status.map(migration => ({
+          versão: migration.version,
+          descrição: migration.description,
+          aplicada: migration.applied ? `sim (${migration.appliedAt})` : 'PENDENTE',
+        })));
+        break;
+      }
+
+      case 'up': {
+        const applied = migrator.migrateUp(db, param || null);
+
+        console.log(applied.length > 0
+          ? `Migrations aplicadas: ${applied.join(', ')}`
+          : 'Nenhuma migration pendente.');
+        break;
+      }
+
+      case 'down': {
+        const steps = parseInt(param) || 1;
+        const reverted = migrator.rollback(db, steps);
+
+        console.log(reverted.length > 0
+          ? `Migrations desfeitas: ${reverted.join(', ')}`
+          : 'Nenhuma migration para desfazer.');
+        break;
+      }
+
+      default:
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error('Erro:', error.message);
+  process.exit(1);
+});
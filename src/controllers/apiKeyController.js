@@ -0,0 +1,138 @@
+/**
+ * CONTROLLER: API KEYS
+ *
+ * Este controller gerencia as requisições HTTP para administrar
+ * as chaves de acesso da API. Todas as rotas exigem papel admin.
+ */
+
+const authService = require('../services/authService');
+const log = require('../utils/logger');
+
+/**
+ * Lista as chaves cadastradas
+ *
+ * GET /api-keys
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function listApiKeys(req, res) {
+  try {
+    log.api('GET', '/api-keys', 'pending');
+
+    const apiKeys = authService.listApiKeys();
+
+    log.api('GET', '/api-keys', 200, { total: apiKeys.length });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller listApiKeys:', error);
+    log.api('GET', '/api-keys', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar API Keys',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cria uma nova chave
+ *
+ * POST /api-keys
+ *
+ * Body:
+ * - name: nome/descrição da chave
+ * - role: papel (read, agent, admin) - padrão: read
+ *
+ * IMPORTANTE: a chave completa só é retornada nesta resposta
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function createApiKey(req, res) {
+  try {
+    const { name, role = 'read' } = req.body;
+
+    log.api('POST', '/api-keys', 'pending', { name, role });
+
+    // name e role já foram conferidos na rota
+    const { apiKey, record } = authService.createApiKey(name, role);
+
+    log.api('POST', '/api-keys', 201, { id: record.id });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...record,
+        apiKey,
+      },
+    });
+
+  } catch (error) {
+    log.error('Erro no controller createApiKey:', error);
+    log.api('POST', '/api-keys', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar API Key',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Revoga uma chave
+ *
+ * DELETE /api-keys/:id
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function revokeApiKey(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    log.api('DELETE', `/api-keys/${req.params.id}`, 'pending');
+
+    const record = authService.revokeApiKey(id);
+
+    if (!record) {
+      log.api('DELETE', `/api-keys/${id}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'API Key não encontrada',
+      });
+    }
+
+    log.api('DELETE', `/api-keys/${id}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: record,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller revokeApiKey:', error);
+    log.api('DELETE', `/api-keys/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao revogar API Key',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,265 @@
+/**
+ * CONTROLLER: CAMPOS PERSONALIZADOS
+ *
+ * Este controller gerencia as requisições HTTP para consultar e
+ * editar as definições dos campos personalizados dos leads.
+ *
+ * Os valores de cada lead são alterados em PATCH /leads/:phoneNumber.
+ *
+ * Leitura: qualquer API Key. Alteração: papel admin.
+ */
+
+const customFieldService = require('../services/customFieldService');
+const log = require('../utils/logger');
+
+/**
+ * Lista os campos personalizados
+ *
+ * GET /custom-fields
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function listCustomFields(req, res) {
+  try {
+    log.api('GET', '/custom-fields', 'pending');
+
+    const fields = customFieldService.listFields();
+
+    log.api('GET', '/custom-fields', 200, { total: fields.length });
+
+    res.status(200).json({
+      success: true,
+      data: fields,
+      // Ajuda quem está criando um campo pela API
+      reference: {
+        types: customFieldService.FIELD_TYPES,
+      },
+    });
+
+  } catch (error) {
+    log.error('Erro no controller listCustomFields:', error);
+    log.api('GET', '/custom-fields', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar campos personalizados',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Busca um campo personalizado
+ *
+ * GET /custom-fields/:key
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function getCustomField(req, res) {
+  try {
+    const { key } = req.params;
+
+    log.api('GET', `/custom-fields/${key}`, 'pending');
+
+    const field = customFieldService.getField(key);
+
+    if (!field) {
+      log.api('GET', `/custom-fields/${key}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Campo personalizado não encontrado',
+      });
+    }
+
+    log.api('GET', `/custom-fields/${key}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: field,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller getCustomField:', error);
+    log.api('GET', `/custom-fields/${req.params.key}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar campo personalizado',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cria um campo personalizado
+ *
+ * POST /custom-fields
+ *
+ * Body: { key, label, type, options, description }
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function createCustomField(req, res) {
+  try {
+    log.api('POST', '/custom-fields', 'pending', { key: req.body?.key });
+
+    // Validação
+    const errors = customFieldService.validateDefinition(req.body);
+
+    if (errors.length > 0) {
+      log.api('POST', '/custom-fields', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Definição de campo inválida',
+        details: errors,
+      });
+    }
+
+    const field = customFieldService.createField(req.body);
+
+    if (!field) {
+      log.api('POST', '/custom-fields', 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe um campo com este key',
+      });
+    }
+
+    log.api('POST', '/custom-fields', 201, { key: field.key });
+
+    res.status(201).json({
+      success: true,
+      data: field,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller createCustomField:', error);
+    log.api('POST', '/custom-fields', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar campo personalizado',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Altera nome, opções e descrição de um campo
+ *
+ * PUT /custom-fields/:key
+ *
+ * Body: { label, options, description } (key e type não mudam)
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function updateCustomField(req, res) {
+  try {
+    const { key } = req.params;
+
+    log.api('PUT', `/custom-fields/${key}`, 'pending');
+
+    const current = customFieldService.getField(key);
+
+    if (!current) {
+      log.api('PUT', `/custom-fields/${key}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Campo personalizado não encontrado',
+      });
+    }
+
+    // Validação
+    const errors = customFieldService.validateDefinition(req.body, current);
+
+    if (errors.length > 0) {
+      log.api('PUT', `/custom-fields/${key}`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Definição de campo inválida',
+        details: errors,
+      });
+    }
+
+    const field = customFieldService.updateField(current, req.body);
+
+    log.api('PUT', `/custom-fields/${key}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: field,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller updateCustomField:', error);
+    log.api('PUT', `/custom-fields/${req.params.key}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar campo personalizado',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Remove um campo personalizado
+ *
+ * DELETE /custom-fields/:key
+ *
+ * ATENÇÃO: os valores do campo são apagados de todos os leads
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function deleteCustomField(req, res) {
+  try {
+    const { key } = req.params;
+
+    log.api('DELETE', `/custom-fields/${key}`, 'pending');
+
+    if (!customFieldService.deleteField(key)) {
+      log.api('DELETE', `/custom-fields/${key}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Campo personalizado não encontrado',
+      });
+    }
+
+    log.api('DELETE', `/custom-fields/${key}`, 200);
+
+    res.status(200).json({
+      success: true,
+      message: 'Campo personalizado removido',
+    });
+
+  } catch (error) {
+    log.error('Erro no controller deleteCustomField:', error);
+    log.api('DELETE', `/custom-fields/${req.params.key}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao remover campo personalizado',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  listCustomFields,
+  getCustomField,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+};
@@ -0,0 +1,155 @@
+/**
+ * CONTROLLER: EXPORTAÇÃO
+ *
+ * Este controller gerencia a exportação de leads (CSV, XLSX, NDJSON)
+ * e da conversa de um lead (texto ou PDF).
+ *
+ * As respostas são arquivos para download, não JSON (exceto os erros).
+ *
+ * Leitura: qualquer API Key.
+ */
+
+const exportService = require('../services/exportService');
+const leadService = require('../services/leadService');
+const log = require('../utils/logger');
+
+/**
+ * Data de hoje para o nome do arquivo (ex: 2024-05-31)
+ *
+ * @returns {String}
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Exporta os leads
+ *
+ * GET /leads/export
+ *
+ * Query params:
+ * - format: csv (padrão), xlsx ou ndjson
+ * - messages: 1 para incluir a conversa completa de cada lead
+ * - os mesmos filtros, sortBy e sortOrder de GET /leads (sem paginação)
+ *
+ * O arquivo é enviado aos poucos, conforme os leads são lidos do banco.
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function exportLeads(req, res) {
+  try {
+    log.api('GET', '/leads/export', 'pending', req.query);
+
+    const { format = 'csv', messages, ...query } = req.query;
+
+    // Filtros e ordenação (o formato já foi conferido na rota)
+    const { filters, errors } = leadService.parseListFilters(query);
+    const { options, errors: optionErrors } = leadService.parseListOptions(query);
+    errors.push(...optionErrors);
+
+    if (errors.length > 0) {
+      log.api('GET', '/leads/export', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Filtros inválidos',
+        details: errors,
+      });
+    }
+
+    const { contentType, extension } = exportService.EXPORT_FORMATS[format];
+
+    res.status(200);
+    res.attachment(`leads-${today()}.${extension}`);
+    res.set('Content-Type', contentType);
+
+    const count = await exportService.exportLeads(res, format, filters, {
+      sortBy: options.sortBy,
+      sortOrder: options.sortOrder,
+      messages: messages === '1',
+    });
+
+    log.api('GET', '/leads/export', 200, { format, count });
+
+  } catch (error) {
+    log.error('Erro no controller exportLeads:', error);
+    log.api('GET', '/leads/export', 500);
+
+    // O arquivo já começou a ser enviado: só resta interromper o download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao exportar leads',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Exporta a conversa de um lead
+ *
+ * GET /leads/:phoneNumber/transcript
+ *
+ * Query params:
+ * - format: txt (padrão) ou pdf
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function exportTranscript(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+    const { format = 'txt' } = req.query;
+
+    log.api('GET', `/leads/${phoneNumber}/transcript`, 'pending', { format });
+
+    const lead = exportService.getTranscript(phoneNumber);
+
+    if (!lead) {
+      log.api('GET', `/leads/${phoneNumber}/transcript`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Lead não encontrado',
+      });
+    }
+
+    const { contentType, extension } = exportService.TRANSCRIPT_FORMATS[format];
+
+    res.status(200);
+    res.attachment(`conversa-${phoneNumber}-${today()}.${extension}`);
+    res.set('Content-Type', contentType);
+
+    if (format === 'pdf') {
+      await exportService.writeTranscriptPdf(res, lead);
+    } else {
+      await exportService.writeTranscriptText(res, lead);
+    }
+
+    log.api('GET', `/leads/${phoneNumber}/transcript`, 200);
+
+  } catch (error) {
+    log.error('Erro no controller exportTranscript:', error);
+    log.api('GET', `/leads/${req.params.phoneNumber}/transcript`, 500);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao exportar conversa',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  exportLeads,
+  exportTranscript,
+};
@@ -0,0 +1,277 @@
+/**
+ * CONTROLLER: FLUXOS DE CONVERSA
+ *
+ * Este controller gerencia as requisições HTTP para consultar e
+ * editar os fluxos de conversa do bot, sem precisar de deploy.
+ *
+ * Leitura: qualquer API Key. Alteração: papel admin.
+ */
+
+const flowService = require('../services/flowService');
+const log = require('../utils/logger');
+
+/**
+ * Lista os fluxos
+ *
+ * GET /flows
+ *
+ * Query params:
+ * - trigger: filtrar por gatilho (welcome, welcome_back, classification)
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function listFlows(req, res) {
+  try {
+    const { trigger } = req.query;
+
+    log.api('GET', '/flows', 'pending', { trigger });
+
+    const flows = flowService.listFlows({ trigger });
+
+    log.api('GET', '/flows', 200, { total: flows.length });
+
+    res.status(200).json({
+      success: true,
+      data: flows,
+      // Ajuda quem está montando um fluxo pela API
+      reference: {
+        triggers: flowService.TRIGGERS,
+        conditions: flowService.CONDITIONS,
+        variables: flowService.VARIABLES,
+      },
+    });
+
+  } catch (error) {
+    log.error('Erro no controller listFlows:', error);
+    log.api('GET', '/flows', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar fluxos',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Busca um fluxo pelo ID
+ *
+ * GET /flows/:id
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function getFlow(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    log.api('GET', `/flows/${req.params.id}`, 'pending');
+
+    const flow = id ? flowService.getFlow(id) : null;
+
+    if (!flow) {
+      log.api('GET', `/flows/${req.params.id}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado',
+      });
+    }
+
+    log.api('GET', `/flows/${id}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: flow,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller getFlow:', error);
+    log.api('GET', `/flows/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar fluxo',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cria um fluxo
+ *
+ * POST /flows
+ *
+ * Body: { name, trigger, description, when, steps, active }
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function createFlow(req, res) {
+  try {
+    log.api('POST', '/flows', 'pending', { name: req.body?.name });
+
+    // Validação
+    const errors = flowService.validateFlow(req.body);
+
+    if (errors.length > 0) {
+      log.api('POST', '/flows', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Definição de fluxo inválida',
+        details: errors,
+      });
+    }
+
+    const flow = flowService.createFlow(req.body);
+
+    if (!flow) {
+      log.api('POST', '/flows', 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe um fluxo com este nome',
+      });
+    }
+
+    log.api('POST', '/flows', 201, { id: flow.id });
+
+    res.status(201).json({
+      success: true,
+      data: flow,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller createFlow:', error);
+    log.api('POST', '/flows', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar fluxo',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Substitui a definição de um fluxo
+ *
+ * PUT /flows/:id
+ *
+ * Body: definição completa { name, trigger, description, when, steps, active }
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function updateFlow(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    log.api('PUT', `/flows/${req.params.id}`, 'pending');
+
+    // Validação
+    const errors = flowService.validateFlow(req.body);
+
+    if (errors.length > 0) {
+      log.api('PUT', `/flows/${id}`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Definição de fluxo inválida',
+        details: errors,
+      });
+    }
+
+    const { flow, conflict } = flowService.updateFlow(id, req.body);
+
+    if (conflict) {
+      log.api('PUT', `/flows/${id}`, 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe um fluxo com este nome',
+      });
+    }
+
+    if (!flow) {
+      log.api('PUT', `/flows/${id}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado',
+      });
+    }
+
+    log.api('PUT', `/flows/${id}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: flow,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller updateFlow:', error);
+    log.api('PUT', `/flows/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar fluxo',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Remove um fluxo
+ *
+ * DELETE /flows/:id
+ *
+ * DICA: para parar um fluxo sem perdê-lo, use PUT com "active": false
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function deleteFlow(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    log.api('DELETE', `/flows/${req.params.id}`, 'pending');
+
+    if (!flowService.deleteFlow(id)) {
+      log.api('DELETE', `/flows/${req.params.id}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Fluxo não encontrado',
+      });
+    }
+
+    log.api('DELETE', `/flows/${id}`, 200);
+
+    res.status(200).json({
+      success: true,
+      message: 'Fluxo removido',
+    });
+
+  } catch (error) {
+    log.error('Erro no controller deleteFlow:', error);
+    log.api('DELETE', `/flows/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao remover fluxo',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  listFlows,
+  getFlow,
+  createFlow,
+  updateFlow,
+  deleteFlow,
+};
@@ -0,0 +1,143 @@
+/**
+ * CONTROLLER: IMPORTAÇÃO
+ *
+ * Este controller gerencia a importação de leads a partir de um CSV.
+ *
+ * Escrita: API Key com papel agent (ou superior).
+ */
+
+const importService = require('../services/importService');
+const { getSocket, getConnectionState } = require('../bot/connect');
+const log = require('../utils/logger');
+
+/**
+ * Importa leads de um CSV
+ *
+ * POST /leads/import
+ *
+ * Body: o conteúdo do CSV (Content-Type: text/csv), com cabeçalho
+ *
+ * Query params (opcionais):
+ * - map.<campo>: coluna do CSV com o valor do campo
+ *   (ex: map.phoneNumber=Telefone&map.custom.segmento=Segmento)
+ * - delimiter: , ; ou tab (padrão: detectado pelo cabeçalho)
+ * - validateWhatsApp: 1 para recusar números sem WhatsApp (exige o WhatsApp conectado)
+ * - dryRun: 1 para só conferir as linhas, sem salvar
+ *
+ * Erros de conexão (só com validateWhatsApp=1):
+ * - 409: WhatsApp ainda conectando
+ * - 503: WhatsApp desconectado (antes ou durante a importação; nada é salvo)
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function importLeads(req, res) {
+  try {
+    const { delimiter, validateWhatsApp, dryRun } = req.query;
+
+    log.api('POST', '/leads/import', 'pending', { delimiter, validateWhatsApp, dryRun });
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      log.api('POST', '/leads/import', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'CSV não informado',
+        message: 'Envie o conteúdo do CSV no corpo da requisição, com Content-Type: text/csv',
+      });
+    }
+
+    // map.<campo>=<coluna>
+    const mapping = Object.fromEntries(
+      Object.entries(req.query)
+        .filter(([param]) => param.startsWith('map.'))
+        .map(([param, column]) => [param.slice('map.'.length), column])
+    );
+
+    const { rows, columns, errors } = importService.readCsv(req.body, {
+      mapping,
+      delimiter: delimiter === 'tab' ? '\t' : delimiter,
+    });
+
+    if (errors.length > 0) {
+      log.api('POST', '/leads/import', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'CSV inválido',
+        details: errors,
+      });
+    }
+
+    // Conferir os números exige o WhatsApp conectado
+    let sock = null;
+
+    if (validateWhatsApp === '1') {
+      const connectionState = getConnectionState();
+
+      if (connectionState === 'connecting') {
+        log.api('POST', '/leads/import', 409);
+
+        return res.status(409).json({
+          success: false,
+          error: 'WhatsApp ainda está conectando, tente novamente em instantes',
+          connectionState,
+        });
+      }
+
+      if (connectionState !== 'open') {
+        log.api('POST', '/leads/import', 503);
+
+        return res.status(503).json({
+          success: false,
+          error: 'WhatsApp desconectado (necessário para validateWhatsApp)',
+          connectionState,
+        });
+      }
+
+      sock = getSocket();
+    }
+
+    const result = await importService.importLeads(rows, columns, {
+      sock,
+      dryRun: dryRun === '1',
+      importedBy: req.apiKey?.name,
+    });
+
+    log.api('POST', '/leads/import', 200, result.summary);
+
+    res.status(200).json({
+      success: true,
+      dryRun: dryRun === '1',
+      summary: result.summary,
+      data: result.rows,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller importLeads:', error);
+
+    // A conexão caiu enquanto os números eram conferidos
+    if (req.query.validateWhatsApp === '1' && getConnectionState() !== 'open') {
+      log.api('POST', '/leads/import', 503);
+
+      return res.status(503).json({
+        success: false,
+        error: 'WhatsApp desconectou durante a importação; nenhuma linha foi salva',
+        connectionState: getConnectionState(),
+      });
+    }
+
+    log.api('POST', '/leads/import', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao importar leads',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  importLeads,
+};
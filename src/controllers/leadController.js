@@ -18,8 +18,19 @@
  */
 
 const leadService = require('../services/leadService');
+const attachmentService = require('../services/attachmentService');
+const tagService = require('../services/tagService');
+const { getSocket, getConnectionState } = require('../bot/connect');
 const log = require('../utils/logger');
 
+/**
+ * Anexos que podem abrir no navegador (o resto é sempre baixado)
+ *
+ * O tipo vem da mensagem do lead: um "documento" HTML ou SVG aberto
+ * aqui rodaria scripts no endereço da API.
+ */
+const INLINE_MIME_TYPES = /^(image\/(?!svg)|audio\/|video\/)/i;
+
 /**
  * Lista todos os leads
  * 
@@ -29,8 +40,23 @@ const log = require('../utils/logger');
  * - status: filtrar por status (novo, em_atendimento, finalizado)
  * - priority: filtrar por prioridade (baixa, média, alta)
  * - intent: filtrar por intenção (orçamento, dúvida, suporte, outro)
+ * - sentiment: filtrar por sentimento (positivo, neutro, negativo)
+ * - state: filtrar por etapa da conversa (new, welcome, active, qualifying,
+ *   awaiting_agent, with_agent, closed)
+ *   (os cinco acima aceitam vários valores: status=novo,em_atendimento)
+ * - owner, company, city: filtrar pelo perfil do lead
+ * - name, phone: começo do nome / do número
+ * - createdFrom, createdTo, lastInteractionFrom, lastInteractionTo:
+ *   períodos (AAAA-MM-DD, inclusive)
+ * - dealValueMin, dealValueMax: faixa do valor do negócio
+ * - custom.<campo>: filtrar por um campo personalizado (ex: custom.segmento=varejo)
+ * - tags: etiquetas que o lead precisa ter (ex: tags=vip,revenda)
+ * - excludeTags: etiquetas que o lead NÃO pode ter
  * - page: página atual (padrão: 1)
- * - limit: itens por página (padrão: 50)
+ * - limit: itens por página (padrão: 50, máximo: 200)
+ * - cursor: pagination.nextCursor da página anterior (no lugar de page)
+ * - sortBy: campo para ordenar (ex: dealValue, custom.segmento)
+ * - sortOrder: asc ou desc (padrão: desc)
  * 
  * @param {Object} req - Request do Express
  * @param {Object} res - Response do Express
@@ -39,22 +65,21 @@ async function listLeads(req, res) {
   try {
     log.api('GET', '/leads', 'pending', req.query);
 
-    // Extrai parâmetros de query
-    const { status, priority, intent, page, limit, sortBy, sortOrder } = req.query;
+    // Filtros, paginação e ordenação (os mesmos dos segmentos salvos)
+    // O formato dos parâmetros já foi conferido na rota (leadService.LIST_QUERY)
+    const { filters, errors } = leadService.parseListFilters(req.query);
+    const { options, errors: optionErrors } = leadService.parseListOptions(req.query);
+    errors.push(...optionErrors);
 
-    // Monta filtros
-    const filters = {};
-    if (status) filters.status = status;
-    if (priority) filters.priority = priority;
-    if (intent) filters.intent = intent;
+    if (errors.length > 0) {
+      log.api('GET', '/leads', 400);
 
-    // Monta opções de paginação
-    const options = {
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 50,
-      sortBy: sortBy || 'lastInteraction',
-      sortOrder: sortOrder || 'desc',
-    };
+      return res.status(400).json({
+        success: false,
+        error: 'Filtros inválidos',
+        details: errors,
+      });
+    }
 
     // Busca os leads
     const result = await leadService.listLeads(filters, options);
@@ -128,6 +153,237 @@ async function getLeadByPhone(req, res) {
   }
 }
 
+/**
+ * Baixa uma mídia enviada pelo lead
+ * 
+ * GET /leads/:phoneNumber/attachments/:id
+ * 
+ * Query params:
+ * - download: 1 para forçar o download (padrão: imagens, áudios e
+ *   vídeos abrem no navegador; os outros tipos são sempre baixados)
+ * 
+ * Retorna o arquivo (não JSON), com Content-Type do anexo
+ * e ETag igual ao checksum SHA-256.
+ * 
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function getAttachment(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+    const id = parseInt(req.params.id);
+    const route = `/leads/${phoneNumber}/attachments/${req.params.id}`;
+
+    log.api('GET', route, 'pending');
+
+    const file = await attachmentService.getAttachmentFile(phoneNumber, id);
+
+    if (!file) {
+      log.api('GET', route, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Anexo não encontrado',
+      });
+    }
+
+    const { attachment, content } = file;
+
+    log.api('GET', route, 200);
+
+    if (req.query.download === '1' || !INLINE_MIME_TYPES.test(attachment.mimeType)) {
+      res.attachment(attachment.fileName);
+    } else {
+      res.set('Content-Disposition', 'inline');
+    }
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': content.length,
+      ETag: `"${attachment.sha256}"`,
+      // O navegador não adivinha outro tipo nem roda scripts do arquivo
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox',
+    });
+
+    res.status(200).send(content);
+
+  } catch (error) {
+    log.error('Erro no controller getAttachment:', error);
+    log.api('GET', `/leads/${req.params.phoneNumber}/attachments/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar anexo',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Atualiza o perfil do lead
+ * 
+ * PATCH /leads/:phoneNumber
+ * 
+ * Body (todos opcionais, pelo menos um):
+ * - name, email, company, city, notes, owner, dealValue
+ * - customFields: { campo: valor } (campos criados em /custom-fields)
+ * 
+ * null apaga o campo. Os campos personalizados não enviados ficam como estão.
+ * 
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function updateLeadProfile(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+
+    log.api('PATCH', `/leads/${phoneNumber}`, 'pending', { fields: Object.keys(req.body || {}) });
+
+    // Validação
+    const { fields, customFields, errors } = leadService.validateProfile(req.body);
+
+    if (errors.length > 0) {
+      log.api('PATCH', `/leads/${phoneNumber}`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Dados do perfil inválidos',
+        details: errors,
+      });
+    }
+
+    const lead = leadService.updateProfile(phoneNumber, fields, customFields);
+
+    if (!lead) {
+      log.api('PATCH', `/leads/${phoneNumber}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Lead não encontrado',
+      });
+    }
+
+    log.api('PATCH', `/leads/${phoneNumber}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: lead,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller updateLeadProfile:', error);
+    log.api('PATCH', `/leads/${req.params.phoneNumber}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar perfil',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Coloca etiquetas em um lead
+ * 
+ * POST /leads/:phoneNumber/tags
+ * 
+ * Body: { tags: ["vip", "revenda"] }
+ * 
+ * As etiquetas precisam existir (veja GET /tags).
+ * 
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function addLeadTags(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+    const { tags } = req.body;
+
+    log.api('POST', `/leads/${phoneNumber}/tags`, 'pending', { tags });
+
+    const result = tagService.addTagsToLead(phoneNumber, tags, req.apiKey?.name);
+
+    if (!result) {
+      log.api('POST', `/leads/${phoneNumber}/tags`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Lead não encontrado',
+      });
+    }
+
+    if (result.unknown.length > 0) {
+      log.api('POST', `/leads/${phoneNumber}/tags`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Etiqueta não encontrada',
+        details: result.unknown.map(tag => `${tag} não existe (crie em POST /tags)`),
+      });
+    }
+
+    log.api('POST', `/leads/${phoneNumber}/tags`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: result.tags,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller addLeadTags:', error);
+    log.api('POST', `/leads/${req.params.phoneNumber}/tags`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao colocar etiquetas',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Tira uma etiqueta de um lead
+ * 
+ * DELETE /leads/:phoneNumber/tags/:tag
+ * 
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function removeLeadTag(req, res) {
+  try {
+    const { phoneNumber, tag } = req.params;
+
+    log.api('DELETE', `/leads/${phoneNumber}/tags/${tag}`, 'pending');
+
+    if (!tagService.removeTagFromLead(phoneNumber, tag)) {
+      log.api('DELETE', `/leads/${phoneNumber}/tags/${tag}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'O lead não tem esta etiqueta',
+      });
+    }
+
+    log.api('DELETE', `/leads/${phoneNumber}/tags/${tag}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: tagService.getLeadTags(phoneNumber),
+    });
+
+  } catch (error) {
+    log.error('Erro no controller removeLeadTag:', error);
+    log.api('DELETE', `/leads/${req.params.phoneNumber}/tags/${req.params.tag}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao tirar etiqueta',
+      message: error.message,
+    });
+  }
+}
+
 /**
  * Atualiza o status de um lead
  * 
@@ -146,31 +402,164 @@ async function updateLeadStatus(req, res) {
 
     log.api('PATCH', `/leads/${phoneNumber}/status`, 'pending', { status });
 
-    // Validação
-    if (!status) {
-      log.api('PATCH', `/leads/${phoneNumber}/status`, 400);
-      
+    // Atualiza o status (o valor já foi conferido na rota)
+    const lead = await leadService.updateStatus(phoneNumber, status);
+
+    log.api('PATCH', `/leads/${phoneNumber}/status`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: lead,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller updateLeadStatus:', error);
+    log.api('PATCH', `/leads/${req.params.phoneNumber}/status`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar status',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Envia uma mensagem de um atendente para o lead
+ * 
+ * POST /leads/:phoneNumber/messages
+ * 
+ * Body:
+ * - text: texto da mensagem
+ * - agent: identificador do atendente (padrão: nome da API Key usada)
+ * 
+ * Erros de conexão:
+ * - 409: WhatsApp ainda conectando (ex: aguardando leitura do QR Code)
+ * - 503: WhatsApp desconectado
+ * 
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function sendMessage(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+    const { text } = req.body;
+    const agent = req.body.agent || req.apiKey?.name;
+
+    log.api('POST', `/leads/${phoneNumber}/messages`, 'pending', { agent });
+
+    // Validação (o formato de text e agent já foi conferido na rota)
+    if (!text.trim()) {
+      log.api('POST', `/leads/${phoneNumber}/messages`, 400);
+
       return res.status(400).json({
         success: false,
-        error: 'Status não informado',
+        error: 'Texto da mensagem não informado',
       });
     }
 
-    const validStatuses = ['novo', 'em_atendimento', 'finalizado'];
-    if (!validStatuses.includes(status)) {
-      log.api('PATCH', `/leads/${phoneNumber}/status`, 400);
-      
+    if (!agent) {
+      log.api('POST', `/leads/${phoneNumber}/messages`, 400);
+
       return res.status(400).json({
         success: false,
-        error: 'Status inválido',
-        validStatuses,
+        error: 'Atendente (agent) não informado',
       });
     }
 
-    // Atualiza o status
-    const lead = await leadService.updateStatus(phoneNumber, status);
+    // Verifica se o WhatsApp pode enviar mensagens agora
+    const connectionState = getConnectionState();
 
-    log.api('PATCH', `/leads/${phoneNumber}/status`, 200);
+    if (connectionState === 'connecting') {
+      log.api('POST', `/leads/${phoneNumber}/messages`, 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'WhatsApp ainda está conectando, tente novamente em instantes',
+        connectionState,
+      });
+    }
+
+    if (connectionState !== 'open') {
+      log.api('POST', `/leads/${phoneNumber}/messages`, 503);
+
+      return res.status(503).json({
+        success: false,
+        error: 'WhatsApp desconectado',
+        connectionState,
+      });
+    }
+
+    const message = await leadService.sendAgentMessage(getSocket(), phoneNumber, text, agent);
+
+    if (!message) {
+      log.api('POST', `/leads/${phoneNumber}/messages`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Lead não encontrado',
+      });
+    }
+
+    log.api('POST', `/leads/${phoneNumber}/messages`, 201);
+
+    res.status(201).json({
+      success: true,
+      data: message,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller sendMessage:', error);
+    log.api('POST', `/leads/${req.params.phoneNumber}/messages`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao enviar mensagem',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Atendente humano assume a conversa (pausa o bot)
+ * 
+ * POST /leads/:phoneNumber/takeover
+ * 
+ * Body:
+ * - agent: identificador do atendente (padrão: nome da API Key usada)
+ * 
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function takeOverLead(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+    const agent = req.body.agent || req.apiKey?.name;
+
+    log.api('POST', `/leads/${phoneNumber}/takeover`, 'pending', { agent });
+
+    // Validação
+    if (!agent) {
+      log.api('POST', `/leads/${phoneNumber}/takeover`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Atendente (agent) não informado',
+      });
+    }
+
+    const lead = await leadService.takeOver(phoneNumber, agent);
+
+    if (!lead) {
+      log.api('POST', `/leads/${phoneNumber}/takeover`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Lead não encontrado',
+      });
+    }
+
+    log.api('POST', `/leads/${phoneNumber}/takeover`, 200);
 
     res.status(200).json({
       success: true,
@@ -178,12 +567,56 @@ async function updateLeadStatus(req, res) {
     });
 
   } catch (error) {
-    log.error('Erro no controller updateLeadStatus:', error);
-    log.api('PATCH', `/leads/${req.params.phoneNumber}/status`, 500);
+    log.error('Erro no controller takeOverLead:', error);
+    log.api('POST', `/leads/${req.params.phoneNumber}/takeover`, 500);
 
     res.status(500).json({
       success: false,
-      error: 'Erro ao atualizar status',
+      error: 'Erro ao assumir conversa',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Devolve a conversa para o bot
+ * 
+ * POST /leads/:phoneNumber/release
+ * 
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function releaseLead(req, res) {
+  try {
+    const { phoneNumber } = req.params;
+
+    log.api('POST', `/leads/${phoneNumber}/release`, 'pending');
+
+    const lead = await leadService.releaseToBot(phoneNumber);
+
+    if (!lead) {
+      log.api('POST', `/leads/${phoneNumber}/release`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Lead não encontrado',
+      });
+    }
+
+    log.api('POST', `/leads/${phoneNumber}/release`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: lead,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller releaseLead:', error);
+    log.api('POST', `/leads/${req.params.phoneNumber}/release`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao liberar conversa',
       message: error.message,
     });
   }
@@ -228,6 +661,13 @@ async function getStats(req, res) {
 module.exports = {
   listLeads,
   getLeadByPhone,
+  getAttachment,
+  updateLeadProfile,
+  addLeadTags,
+  removeLeadTag,
   updateLeadStatus,
+  sendMessage,
+  takeOverLead,
+  releaseLead,
   getStats,
 };
@@ -0,0 +1,74 @@
+/**
+ * CONTROLLER: BUSCA
+ *
+ * Este controller gerencia a busca de texto livre nas conversas
+ * (mensagens, transcrições de áudio e nomes/empresas dos leads).
+ *
+ * Leitura: qualquer API Key.
+ */
+
+const searchService = require('../services/searchService');
+const log = require('../utils/logger');
+
+/**
+ * Busca nas conversas
+ *
+ * GET /search
+ *
+ * Query params:
+ * - q: o que buscar (obrigatório, ex: modelo azul)
+ * - from, to: período das mensagens (AAAA-MM-DD, inclusive)
+ * - sender: só mensagens de lead, bot ou agent
+ * - page: página atual (padrão: 1)
+ * - limit: leads por página (padrão: 20, máximo: 50)
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function search(req, res) {
+  try {
+    log.api('GET', '/search', 'pending', req.query);
+
+    // Validação
+    const { params, errors } = searchService.validateSearch(req.query);
+
+    if (errors.length > 0) {
+      log.api('GET', '/search', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Busca inválida',
+        details: errors,
+      });
+    }
+
+    const { results, pagination } = searchService.search(params);
+
+    log.api('GET', '/search', 200, {
+      total: pagination.total,
+      returned: results.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      query: params.q,
+      data: results,
+      pagination,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller search:', error);
+    log.api('GET', '/search', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  search,
+};
@@ -0,0 +1,349 @@
+/**
+ * CONTROLLER: SEGMENTOS
+ *
+ * Este controller gerencia as requisições HTTP para salvar
+ * combinações de filtros da listagem de leads e consultá-las pelo nome.
+ *
+ * Leitura: qualquer API Key. Alteração: papel agent.
+ */
+
+const segmentService = require('../services/segmentService');
+const leadService = require('../services/leadService');
+const log = require('../utils/logger');
+
+/**
+ * Lista os segmentos
+ *
+ * GET /segments
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function listSegments(req, res) {
+  try {
+    log.api('GET', '/segments', 'pending');
+
+    const segments = segmentService.listSegments();
+
+    log.api('GET', '/segments', 200, { total: segments.length });
+
+    res.status(200).json({
+      success: true,
+      data: segments,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller listSegments:', error);
+    log.api('GET', '/segments', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar segmentos',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Busca um segmento pelo nome
+ *
+ * GET /segments/:name
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function getSegment(req, res) {
+  try {
+    const { name } = req.params;
+
+    log.api('GET', `/segments/${name}`, 'pending');
+
+    const segment = segmentService.getSegment(name);
+
+    if (!segment) {
+      log.api('GET', `/segments/${name}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado',
+      });
+    }
+
+    log.api('GET', `/segments/${name}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: segment,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller getSegment:', error);
+    log.api('GET', `/segments/${req.params.name}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar segmento',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Lista os leads de um segmento
+ *
+ * GET /segments/:name/leads
+ *
+ * Query params: page, limit, cursor, sortBy, sortOrder (como em GET /leads)
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function getSegmentLeads(req, res) {
+  try {
+    const { name } = req.params;
+
+    log.api('GET', `/segments/${name}/leads`, 'pending', req.query);
+
+    const segment = segmentService.getSegment(name);
+
+    if (!segment) {
+      log.api('GET', `/segments/${name}/leads`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado',
+      });
+    }
+
+    // Os filtros vêm do segmento; na consulta, só paginação e ordenação
+    const { options, errors } = leadService.parseListOptions(req.query);
+
+    if (errors.length > 0) {
+      log.api('GET', `/segments/${name}/leads`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Parâmetros inválidos',
+        details: errors,
+      });
+    }
+
+    const result = segmentService.getSegmentLeads(segment, options);
+
+    // Uma etiqueta ou campo personalizado do segmento foi removido
+    if (result.errors) {
+      log.api('GET', `/segments/${name}/leads`, 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Os filtros do segmento não valem mais (atualize o segmento)',
+        details: result.errors,
+      });
+    }
+
+    log.api('GET', `/segments/${name}/leads`, 200, {
+      total: result.pagination.total,
+      returned: result.leads.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      segment: { name: segment.name, filters: segment.filters },
+      data: result.leads,
+      pagination: result.pagination,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller getSegmentLeads:', error);
+    log.api('GET', `/segments/${req.params.name}/leads`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar leads do segmento',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cria um segmento
+ *
+ * POST /segments
+ *
+ * Body: { name, description, filters }
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function createSegment(req, res) {
+  try {
+    log.api('POST', '/segments', 'pending', { name: req.body?.name });
+
+    // Validação
+    const { segment, errors } = segmentService.validateSegment(req.body);
+
+    if (errors.length > 0) {
+      log.api('POST', '/segments', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Segmento inválido',
+        details: errors,
+      });
+    }
+
+    const created = segmentService.createSegment(segment);
+
+    if (!created) {
+      log.api('POST', '/segments', 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe um segmento com este nome',
+      });
+    }
+
+    log.api('POST', '/segments', 201, { id: created.id });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller createSegment:', error);
+    log.api('POST', '/segments', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar segmento',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Substitui os dados de um segmento
+ *
+ * PUT /segments/:name
+ *
+ * Body: segmento completo { name, description, filters }
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function updateSegment(req, res) {
+  try {
+    const { name } = req.params;
+
+    log.api('PUT', `/segments/${name}`, 'pending');
+
+    const current = segmentService.getSegment(name);
+
+    if (!current) {
+      log.api('PUT', `/segments/${name}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado',
+      });
+    }
+
+    // Validação
+    const { segment, errors } = segmentService.validateSegment(req.body);
+
+    if (errors.length > 0) {
+      log.api('PUT', `/segments/${name}`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Segmento inválido',
+        details: errors,
+      });
+    }
+
+    const { segment: updated, conflict } = segmentService.updateSegment(current, segment);
+
+    if (conflict) {
+      log.api('PUT', `/segments/${name}`, 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe um segmento com este nome',
+      });
+    }
+
+    log.api('PUT', `/segments/${name}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller updateSegment:', error);
+    log.api('PUT', `/segments/${req.params.name}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar segmento',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Remove um segmento
+ *
+ * DELETE /segments/:name
+ *
+ * Os leads não são alterados.
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function deleteSegment(req, res) {
+  try {
+    const { name } = req.params;
+
+    log.api('DELETE', `/segments/${name}`, 'pending');
+
+    const segment = segmentService.getSegment(name);
+
+    if (!segment || !segmentService.deleteSegment(segment)) {
+      log.api('DELETE', `/segments/${name}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado',
+      });
+    }
+
+    log.api('DELETE', `/segments/${name}`, 200);
+
+    res.status(200).json({
+      success: true,
+      message: 'Segmento removido',
+    });
+
+  } catch (error) {
+    log.error('Erro no controller deleteSegment:', error);
+    log.api('DELETE', `/segments/${req.params.name}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao remover segmento',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  listSegments,
+  getSegment,
+  getSegmentLeads,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+};
@@ -0,0 +1,47 @@
+/**
+ * CONTROLLER: CONFIGURAÇÕES
+ *
+ * Este controller expõe configurações do sistema que afetam
+ * o atendimento (somente leitura; elas vêm do .env).
+ */
+
+const businessHoursService = require('../services/businessHoursService');
+const log = require('../utils/logger');
+
+/**
+ * Retorna o horário de atendimento e se estamos atendendo agora
+ *
+ * GET /settings/business-hours
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function getBusinessHours(req, res) {
+  try {
+    log.api('GET', '/settings/business-hours', 'pending');
+
+    const settings = businessHoursService.getSettings();
+
+    log.api('GET', '/settings/business-hours', 200, { open: settings.now.open });
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller getBusinessHours:', error);
+    log.api('GET', '/settings/business-hours', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar horário de atendimento',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  getBusinessHours,
+};
@@ -12,6 +12,8 @@
 
 const { isConnected } = require('../bot/connect');
 const { isConnected: isDatabaseConnected } = require('../utils/database');
+const aiService = require('../services/aiService');
+const metrics = require('../utils/metrics');
 const log = require('../utils/logger');
 
 /**
@@ -55,7 +57,11 @@ async function getStatus(req, res) {
         api: {
           status: 'online',
         },
+        // Cadeia de provedores, circuit breakers e uso de fallback
+        ai: aiService.getStatus(),
       },
+      // Contadores desde o último início (ex: messages.duplicatesDropped)
+      metrics: metrics.getAll(),
       health: 'ok', // Se chegou aqui, a API está funcionando
     };
 
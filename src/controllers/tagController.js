@@ -0,0 +1,272 @@
+/**
+ * CONTROLLER: ETIQUETAS (TAGS)
+ *
+ * Este controller gerencia as requisições HTTP para consultar e
+ * editar as etiquetas dos leads e as regras de etiquetagem automática.
+ *
+ * Colocar e tirar etiquetas de um lead: veja leadController.
+ *
+ * Leitura: qualquer API Key. Alteração: papel admin.
+ */
+
+const tagService = require('../services/tagService');
+const log = require('../utils/logger');
+
+/**
+ * Lista as etiquetas
+ *
+ * GET /tags
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function listTags(req, res) {
+  try {
+    log.api('GET', '/tags', 'pending');
+
+    const tags = tagService.listTags();
+
+    log.api('GET', '/tags', 200, { total: tags.length });
+
+    res.status(200).json({
+      success: true,
+      data: tags,
+      // Ajuda quem está montando as regras pela API
+      reference: {
+        ruleConditions: tagService.RULE_CONDITIONS,
+      },
+    });
+
+  } catch (error) {
+    log.error('Erro no controller listTags:', error);
+    log.api('GET', '/tags', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar etiquetas',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Busca uma etiqueta pelo ID
+ *
+ * GET /tags/:id
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function getTag(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    log.api('GET', `/tags/${req.params.id}`, 'pending');
+
+    const tag = id ? tagService.getTag(id) : null;
+
+    if (!tag) {
+      log.api('GET', `/tags/${req.params.id}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Etiqueta não encontrada',
+      });
+    }
+
+    log.api('GET', `/tags/${id}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: tag,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller getTag:', error);
+    log.api('GET', `/tags/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar etiqueta',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cria uma etiqueta
+ *
+ * POST /tags
+ *
+ * Body: { name, color, description, rules }
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function createTag(req, res) {
+  try {
+    log.api('POST', '/tags', 'pending', { name: req.body?.name });
+
+    // Validação
+    const errors = tagService.validateTag(req.body);
+
+    if (errors.length > 0) {
+      log.api('POST', '/tags', 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Etiqueta inválida',
+        details: errors,
+      });
+    }
+
+    const tag = tagService.createTag(req.body);
+
+    if (!tag) {
+      log.api('POST', '/tags', 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe uma etiqueta com este nome',
+      });
+    }
+
+    log.api('POST', '/tags', 201, { id: tag.id });
+
+    res.status(201).json({
+      success: true,
+      data: tag,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller createTag:', error);
+    log.api('POST', '/tags', 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar etiqueta',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Substitui os dados de uma etiqueta (renomear, mudar cor ou regras)
+ *
+ * PUT /tags/:id
+ *
+ * Body: etiqueta completa { name, color, description, rules }
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function updateTag(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    log.api('PUT', `/tags/${req.params.id}`, 'pending');
+
+    // Validação
+    const errors = tagService.validateTag(req.body);
+
+    if (errors.length > 0) {
+      log.api('PUT', `/tags/${id}`, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Etiqueta inválida',
+        details: errors,
+      });
+    }
+
+    const { tag, conflict } = tagService.updateTag(id, req.body);
+
+    if (conflict) {
+      log.api('PUT', `/tags/${id}`, 409);
+
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe uma etiqueta com este nome',
+      });
+    }
+
+    if (!tag) {
+      log.api('PUT', `/tags/${id}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Etiqueta não encontrada',
+      });
+    }
+
+    log.api('PUT', `/tags/${id}`, 200);
+
+    res.status(200).json({
+      success: true,
+      data: tag,
+    });
+
+  } catch (error) {
+    log.error('Erro no controller updateTag:', error);
+    log.api('PUT', `/tags/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao atualizar etiqueta',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Remove uma etiqueta
+ *
+ * DELETE /tags/:id
+ *
+ * ATENÇÃO: a etiqueta é tirada de todos os leads
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ */
+async function deleteTag(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    log.api('DELETE', `/tags/${req.params.id}`, 'pending');
+
+    if (!tagService.deleteTag(id)) {
+      log.api('DELETE', `/tags/${req.params.id}`, 404);
+
+      return res.status(404).json({
+        success: false,
+        error: 'Etiqueta não encontrada',
+      });
+    }
+
+    log.api('DELETE', `/tags/${id}`, 200);
+
+    res.status(200).json({
+      success: true,
+      message: 'Etiqueta removida',
+    });
+
+  } catch (error) {
+    log.error('Erro no controller deleteTag:', error);
+    log.api('DELETE', `/tags/${req.params.id}`, 500);
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao remover etiqueta',
+      message: error.message,
+    });
+  }
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  listTags,
+  getTag,
+  createTag,
+  updateTag,
+  deleteTag,
+};
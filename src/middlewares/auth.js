@@ -0,0 +1,111 @@
+/**
+ * MIDDLEWARE: AUTENTICAÇÃO
+ *
+ * Protege as rotas da API exigindo uma API Key válida.
+ *
+ * A chave pode ser enviada de duas formas:
+ * - Header Authorization: Bearer wls_...
+ * - Header X-API-Key: wls_...
+ *
+ * Uso nas rotas:
+ *   app.use('/leads', authenticate, leadRoutes);
+ *   router.patch('/:id', requireRole('agent'), controller.update);
+ */
+
+const authService = require('../services/authService');
+const log = require('../utils/logger');
+
+/**
+ * Extrai a API Key dos headers da requisição
+ *
+ * @param {Object} req - Request do Express
+ * @returns {String|null} - Chave recebida ou null
+ */
+function extractApiKey(req) {
+  const authorization = req.get('Authorization');
+
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Exige uma API Key válida
+ *
+ * Se a chave for válida, disponibiliza o registro em req.apiKey
+ * (id, name, role) para os próximos middlewares e controllers.
+ *
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ * @param {Function} next - Próximo middleware
+ */
+function authenticate(req, res, next) {
+  try {
+    const apiKey = extractApiKey(req);
+
+    if (!apiKey) {
+      log.api(req.method, req.originalUrl, 401);
+
+      return res.status(401).json({
+        success: false,
+        error: 'API Key não informada',
+      });
+    }
+
+    const record = authService.verifyApiKey(apiKey);
+
+    if (!record) {
+      log.warn('API Key inválida ou revogada', { path: req.originalUrl, ip: req.ip });
+      log.api(req.method, req.originalUrl, 401);
+
+      return res.status(401).json({
+        success: false,
+        error: 'API Key inválida ou revogada',
+      });
+    }
+
+    req.apiKey = record;
+    next();
+
+  } catch (error) {
+    log.error('Erro no middleware de autenticação:', error);
+    next(error);
+  }
+}
+
+/**
+ * Exige um papel mínimo (read < agent < admin)
+ *
+ * Deve ser usado DEPOIS de authenticate.
+ *
+ * @param {String} requiredRole - Papel mínimo exigido
+ * @returns {Function} - Middleware do Express
+ * @throws {Error} - Se o papel não existir (a rota falha ao ser montada)
+ */
+function requireRole(requiredRole) {
+  if (!authService.ROLES.includes(requiredRole)) {
+    throw new Error(`Papel inválido: ${requiredRole}. Use: ${authService.ROLES.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.apiKey || !authService.hasRole(req.apiKey.role, requiredRole)) {
+      log.api(req.method, req.originalUrl, 403, { role: req.apiKey?.role, requiredRole });
+
+      return res.status(403).json({
+        success: false,
+        error: 'Permissão insuficiente',
+        requiredRole,
+      });
+    }
+
+    next();
+  };
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  authenticate,
+  requireRole,
+};
@@ -0,0 +1,281 @@
+/**
+ * MIDDLEWARE: VALIDAÇÃO DAS REQUISIÇÕES
+ *
+ * Confere o formato dos dados recebidos (parâmetros da URL, query
+ * string e corpo JSON) antes de chegar ao controller, a partir de um
+ * schema declarado em cada rota.
+ *
+ * Aqui só se confere o FORMATO (tipos, valores aceitos, limites).
+ * Regras que dependem do banco (ex: a etiqueta existe?) continuam
+ * nos services.
+ *
+ * Uso nas rotas:
+ *   router.get('/:id', validate({
+ *     params: { id: { type: 'integer', min: 1 } },
+ *   }), controller.get);
+ *
+ * Regras de cada campo:
+ * - type: 'string' (padrão), 'integer', 'number', 'boolean', 'array' ou 'object'
+ * - required: obrigatório
+ * - nullable: aceita null (só no corpo)
+ * - enum: valores aceitos
+ * - min, max: limites de números
+ * - minLength, maxLength: tamanho de textos e de listas
+ * - pattern: expressão regular que o texto precisa seguir
+ * - items: regra de cada item de uma lista (só no corpo)
+ * - multiple: o parâmetro pode se repetir na query (?tags=a&tags=b)
+ *
+ * Na URL e na query tudo chega como texto: "integer", "number" e
+ * "boolean" são conferidos no texto (ex: "20", "true"). Na query,
+ * parâmetros fora do schema são recusados; um nome terminado em ".*"
+ * aceita qualquer sufixo (ex: "custom.*"). No corpo, campos fora do
+ * schema são deixados para o service decidir.
+ *
+ * Em caso de erro, responde 400:
+ *   { success: false, error: 'Requisição inválida', details: ['limit deve ser no máximo 200'] }
+ */
+
+const log = require('../utils/logger');
+
+/**
+ * Nome de cada tipo nas mensagens de erro
+ */
+const TYPE_NAMES = {
+  string: 'um texto',
+  integer: 'um número inteiro',
+  number: 'um número',
+  boolean: 'true ou false',
+  array: 'uma lista',
+  object: 'um objeto',
+};
+
+/**
+ * Converte um valor recebido como texto (URL e query) para o tipo da regra
+ *
+ * @param {String} type - Tipo da regra
+ * @param {String} text - Valor recebido
+ * @returns {*} - Valor convertido ou undefined se não for do tipo
+ */
+function fromText(type, text) {
+  if (type === 'integer') {
+    return /^-?\d+$/.test(text) ? Number(text) : undefined;
+  }
+
+  if (type === 'number') {
+    return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+  }
+
+  if (type === 'boolean') {
+    return { true: true, false: false }[text];
+  }
+
+  return text;
+}
+
+/**
+ * Confere se o valor é do tipo da regra (valores do corpo JSON)
+ *
+ * @param {String} type - Tipo da regra
+ * @param {*} value - Valor recebido
+ * @returns {Boolean}
+ */
+function isType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Confere um valor contra a regra
+ *
+ * @param {String} field - Nome do campo (usado nas mensagens)
+ * @param {Object} rule - Regra do campo
+ * @param {*} value - Valor recebido (já no tipo certo se veio da URL/query)
+ * @param {Boolean} fromBody - true se o valor veio do corpo JSON
+ * @returns {Array} - Lista de erros (vazia se estiver válido)
+ */
+function checkValue(field, rule, value, fromBody) {
+  const type = rule.type || 'string';
+
+  if (value === null && fromBody) {
+    return rule.nullable ? [] : [`${field} não pode ser null`];
+  }
+
+  if (value === undefined || (fromBody && !isType(type, value))) {
+    return [`${field} deve ser ${TYPE_NAMES[type]}`];
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [`${field} aceita: ${rule.enum.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (rule.min !== undefined && value < rule.min) {
+    errors.push(`${field} deve ser no mínimo ${rule.min}`);
+  }
+
+  if (rule.max !== undefined && value > rule.max) {
+    errors.push(`${field} deve ser no máximo ${rule.max}`);
+  }
+
+  // Tamanho de textos (caracteres) e listas (itens)
+  const unit = type === 'array' ? 'itens' : 'caracteres';
+
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    if (rule.minLength === 1) {
+      errors.push(type === 'array' ? `${field} não pode ser uma lista vazia` : `${field} não pode ser vazio`);
+    } else {
+      errors.push(`${field} deve ter pelo menos ${rule.minLength} ${unit}`);
+    }
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    errors.push(`${field} deve ter até ${rule.maxLength} ${unit}`);
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(`${field} está em um formato inválido`);
+  }
+
+  if (rule.items && type === 'array') {
+    value.forEach((item, index) => {
+      errors.push(...checkValue(`${field}[${index}]`, rule.items, item, true));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Procura a regra de um campo (inclusive os nomes terminados em ".*")
+ *
+ * @param {Object} rules - Regras da parte da requisição
+ * @param {String} name - Nome do campo recebido
+ * @returns {Object|null}
+ */
+function findRule(rules, name) {
+  if (rules[name]) {
+    return rules[name];
+  }
+
+  const wildcard = Object.keys(rules)
+    .find(key => key.endsWith('.*') && name.startsWith(key.slice(0, -1)));
+
+  return wildcard ? rules[wildcard] : null;
+}
+
+/**
+ * Confere os parâmetros da URL ou da query string
+ *
+ * @param {Object} rules - Regras de cada parâmetro
+ * @param {Object} values - req.params ou req.query
+ * @param {Boolean} strict - true para recusar parâmetros fora do schema
+ * @returns {Array} - Lista de erros
+ */
+function checkText(rules, values, strict) {
+  const errors = [];
+
+  for (const [name, raw] of Object.entries(values)) {
+    const rule = findRule(rules, name);
+
+    if (!rule) {
+      if (strict) {
+        errors.push(`${name} não é um parâmetro aceito (use ${Object.keys(rules).join(', ')})`);
+      }
+      continue;
+    }
+
+    if (Array.isArray(raw) && !rule.multiple) {
+      errors.push(`${name} deve ser informado uma única vez`);
+      continue;
+    }
+
+    for (const text of [].concat(raw)) {
+      if (typeof text !== 'string') {
+        errors.push(`${name} deve ser ${TYPE_NAMES[rule.type || 'string']}`);
+        continue;
+      }
+
+      errors.push(...checkValue(name, rule, fromText(rule.type || 'string', text), false));
+    }
+  }
+
+  for (const [name, rule] of Object.entries(rules)) {
+    if (rule.required && (values[name] === undefined || values[name] === '')) {
+      errors.push(`${name} é obrigatório`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Confere o corpo JSON da requisição
+ *
+ * @param {Object} rules - Regras de cada campo
+ * @param {*} body - req.body
+ * @returns {Array} - Lista de erros
+ */
+function checkBody(rules, body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return ['O corpo da requisição deve ser um objeto JSON'];
+  }
+
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(rules)) {
+    if (body[name] === undefined) {
+      if (rule.required) {
+        errors.push(`${name} é obrigatório`);
+      }
+      continue;
+    }
+
+    errors.push(...checkValue(name, rule, body[name], true));
+  }
+
+  return errors;
+}
+
+/**
+ * Cria o middleware de validação de uma rota
+ *
+ * @param {Object} schema - { params, query, body } com as regras de cada campo
+ * @returns {Function} - Middleware do Express
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    // Sem corpo (ex: POST sem JSON), os controllers recebem um objeto vazio
+    if (schema.body && req.body === undefined) {
+      req.body = {};
+    }
+
+    const errors = [
+      ...(schema.params ? checkText(schema.params, req.params, false) : []),
+      ...(schema.query ? checkText(schema.query, req.query, true) : []),
+      ...(schema.body ? checkBody(schema.body, req.body) : []),
+    ];
+
+    if (errors.length > 0) {
+      log.api(req.method, req.originalUrl, 400);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Requisição inválida',
+        details: errors,
+      });
+    }
+
+    next();
+  };
+}
+
+// Exporta as funções para serem usadas nas rotas
+module.exports = {
+  validate,
+};
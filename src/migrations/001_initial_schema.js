@@ -0,0 +1,54 @@
+/**
+ * MIGRATION 001: ESQUEMA INICIAL
+ *
+ * Tabelas LEADS e MESSAGES como na primeira versão do sistema.
+ *
+ * Usa CREATE TABLE IF NOT EXISTS para que bancos criados antes
+ * do sistema de migrations sejam adotados sem perder dados.
+ */
+
+module.exports = {
+  description: 'Tabelas leads e messages',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS leads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phoneNumber TEXT NOT NULL UNIQUE,
+        name TEXT DEFAULT 'Não informado',
+        intent TEXT DEFAULT 'outro',
+        sentiment TEXT DEFAULT 'neutro',
+        priority TEXT DEFAULT 'média',
+        status TEXT DEFAULT 'novo',
+        lastInteraction TEXT DEFAULT CURRENT_TIMESTAMP,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_leads_phoneNumber ON leads(phoneNumber);
+      CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
+      CREATE INDEX IF NOT EXISTS idx_leads_priority ON leads(priority);
+      CREATE INDEX IF NOT EXISTS idx_leads_intent ON leads(intent);
+      CREATE INDEX IF NOT EXISTS idx_leads_lastInteraction ON leads(lastInteraction DESC);
+
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phoneNumber TEXT NOT NULL,
+        text TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_messages_phoneNumber ON messages(phoneNumber);
+      CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp DESC);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS messages;
+      DROP TABLE IF EXISTS leads;
+    `);
+  },
+};
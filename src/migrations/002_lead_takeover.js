@@ -0,0 +1,23 @@
+/**
+ * MIGRATION 002: ATENDIMENTO HUMANO
+ *
+ * Colunas para pausar o bot quando um atendente assume a conversa.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  description: 'Colunas de atendimento humano em leads',
+
+  up(db) {
+    addColumnIfMissing(db, 'leads', 'botPaused', 'INTEGER DEFAULT 0');
+    addColumnIfMissing(db, 'leads', 'humanOwner', 'TEXT');
+    addColumnIfMissing(db, 'leads', 'takenOverAt', 'TEXT');
+  },
+
+  down(db) {
+    dropColumnIfExists(db, 'leads', 'takenOverAt');
+    dropColumnIfExists(db, 'leads', 'humanOwner');
+    dropColumnIfExists(db, 'leads', 'botPaused');
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * MIGRATION 003: AUTOR E CLASSIFICAÇÃO DAS MENSAGENS
+ *
+ * - agent: atendente que enviou a mensagem (sender = 'agent')
+ * - classificação de IA por mensagem (histórico de classificações)
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+/**
+ * Colunas adicionadas, na ordem em que são criadas
+ */
+const COLUMNS = [
+  ['agent', 'TEXT'],
+  ['intent', 'TEXT'],
+  ['sentiment', 'TEXT'],
+  ['priority', 'TEXT'],
+  ['aiProvider', 'TEXT'],
+  ['aiModel', 'TEXT'],
+  ['aiLatencyMs', 'INTEGER'],
+  ['aiFallback', 'INTEGER DEFAULT 0'],
+];
+
+module.exports = {
+  description: 'Atendente e classificação de IA em messages',
+
+  up(db) {
+    for (const [column, definition] of COLUMNS) {
+      addColumnIfMissing(db, 'messages', column, definition);
+    }
+  },
+
+  down(db) {
+    for (const [column] of [...COLUMNS].reverse()) {
+      dropColumnIfExists(db, 'messages', column);
+    }
+  },
+};
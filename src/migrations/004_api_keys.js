@@ -0,0 +1,29 @@
+/**
+ * MIGRATION 004: API KEYS
+ *
+ * Chaves de acesso à API REST. Guardamos apenas o HASH da chave,
+ * nunca a chave em texto puro.
+ */
+
+module.exports = {
+  description: 'Tabela api_keys',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        keyHash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'read',
+        lastUsedAt TEXT,
+        revokedAt TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS api_keys');
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * MIGRATION 005: ID DA MENSAGEM NO WHATSAPP
+ *
+ * Guarda o message.key.id do Baileys para detectar mensagens
+ * reentregues (ex: após uma reconexão) e não processá-las duas vezes.
+ *
+ * O índice é parcial: mensagens sem ID (antigas) não entram na restrição.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  description: 'Coluna waMessageId única em messages',
+
+  up(db) {
+    addColumnIfMissing(db, 'messages', 'waMessageId', 'TEXT');
+
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_waMessageId
+      ON messages(waMessageId)
+      WHERE waMessageId IS NOT NULL
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_messages_waMessageId');
+    dropColumnIfExists(db, 'messages', 'waMessageId');
+  },
+};
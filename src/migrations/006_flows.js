@@ -0,0 +1,51 @@
+/**
+ * MIGRATION 006: FLUXOS DE CONVERSA
+ *
+ * Os fluxos (boas-vindas, retorno, resposta da classificação) deixam
+ * de ser fixos no código e passam a ficar no banco, editáveis pela API.
+ *
+ * A tabela já nasce com os fluxos padrão (bot/flows/defaultFlows.js).
+ */
+
+const DEFAULT_FLOWS = require('../bot/flows/defaultFlows');
+
+module.exports = {
+  description: 'Tabela flows com os fluxos padrão',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS flows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        trigger TEXT NOT NULL,
+        description TEXT,
+        conditions TEXT,
+        steps TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_flows_trigger ON flows(trigger)');
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO flows (name, trigger, description, conditions, steps)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    for (const flow of DEFAULT_FLOWS) {
+      insert.run(
+        flow.name,
+        flow.trigger,
+        flow.description || null,
+        flow.when ? JSON.stringify(flow.when) : null,
+        JSON.stringify(flow.steps)
+      );
+    }
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS flows');
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * MIGRATION 007: QUESTIONÁRIO DE QUALIFICAÇÃO
+ *
+ * - leads: em que ponto do questionário o lead está
+ * - lead_answers: respostas do lead, uma linha por campo (produto, orçamento...)
+ *
+ * As perguntas em si ficam em config/qualification.js.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  description: 'Estado do questionário em leads e tabela lead_answers',
+
+  up(db) {
+    addColumnIfMissing(db, 'leads', 'qualificationStatus', 'TEXT');
+    addColumnIfMissing(db, 'leads', 'qualificationField', 'TEXT');
+    addColumnIfMissing(db, 'leads', 'qualificationUpdatedAt', 'TEXT');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS lead_answers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phoneNumber TEXT NOT NULL,
+        field TEXT NOT NULL,
+        value TEXT,
+        rawText TEXT,
+        answeredAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (phoneNumber, field),
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS lead_answers');
+    dropColumnIfExists(db, 'leads', 'qualificationUpdatedAt');
+    dropColumnIfExists(db, 'leads', 'qualificationField');
+    dropColumnIfExists(db, 'leads', 'qualificationStatus');
+  },
+};
@@ -0,0 +1,64 @@
+/**
+ * MIGRATION 008: ESTADO DA CONVERSA
+ *
+ * - leads.conversationState: em que etapa a conversa com o lead está
+ *   (new, welcome, active, qualifying, awaiting_agent, with_agent, closed)
+ * - leads.conversationStateAt: desde quando está nessa etapa
+ * - conversation_transitions: histórico de cada mudança de etapa
+ *
+ * Leads que já existiam recebem o estado de acordo com os dados atuais.
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  description: 'Estado da conversa em leads e tabela conversation_transitions',
+
+  up(db) {
+    addColumnIfMissing(db, 'leads', 'conversationState', "TEXT DEFAULT 'new'");
+    addColumnIfMissing(db, 'leads', 'conversationStateAt', 'TEXT');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_leads_conversationState ON leads(conversationState);
+
+      CREATE TABLE IF NOT EXISTS conversation_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phoneNumber TEXT NOT NULL,
+        fromState TEXT,
+        toState TEXT NOT NULL,
+        reason TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_conversation_transitions_phoneNumber
+      ON conversation_transitions(phoneNumber);
+    `);
+
+    // Estado inicial dos leads existentes (a ordem dos WHEN importa)
+    db.exec(`
+      UPDATE leads
+      SET conversationState = CASE
+            WHEN botPaused = 1 THEN 'with_agent'
+            WHEN status = 'finalizado' THEN 'closed'
+            WHEN qualificationStatus = 'in_progress' THEN 'qualifying'
+            WHEN qualificationStatus IN ('completed', 'cancelled') THEN 'awaiting_agent'
+            WHEN EXISTS (
+              SELECT 1 FROM messages
+              WHERE messages.phoneNumber = leads.phoneNumber AND messages.sender = 'lead'
+            ) THEN 'active'
+            ELSE 'new'
+          END,
+          conversationStateAt = CURRENT_TIMESTAMP
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS conversation_transitions;
+      DROP INDEX IF EXISTS idx_leads_conversationState;
+    `);
+    dropColumnIfExists(db, 'leads', 'conversationStateAt');
+    dropColumnIfExists(db, 'leads', 'conversationState');
+  },
+};
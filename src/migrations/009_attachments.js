@@ -0,0 +1,38 @@
+/**
+ * MIGRATION 009: ANEXOS DAS MENSAGENS
+ *
+ * Imagens, áudios, vídeos, documentos e figurinhas enviados pelo lead.
+ * O arquivo fica no armazenamento configurado (MEDIA_STORAGE); aqui
+ * ficam os metadados e a chave para encontrá-lo.
+ */
+
+module.exports = {
+  description: 'Tabela attachments (mídias recebidas)',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        messageId INTEGER NOT NULL,
+        phoneNumber TEXT NOT NULL,
+        type TEXT NOT NULL,
+        mimeType TEXT NOT NULL,
+        fileName TEXT,
+        size INTEGER NOT NULL,
+        sha256 TEXT NOT NULL,
+        storage TEXT NOT NULL,
+        storageKey TEXT NOT NULL,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (messageId) REFERENCES messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_attachments_messageId ON attachments(messageId);
+      CREATE INDEX IF NOT EXISTS idx_attachments_phoneNumber ON attachments(phoneNumber);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS attachments');
+  },
+};
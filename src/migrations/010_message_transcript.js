@@ -0,0 +1,22 @@
+/**
+ * MIGRATION 010: TRANSCRIÇÃO DAS MENSAGENS DE VOZ
+ *
+ * - messages.transcript: texto transcrito do áudio enviado pelo lead
+ * - messages.transcriptionProvider: quem transcreveu (ex: openai, local)
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  description: 'Transcrição de áudio em messages',
+
+  up(db) {
+    addColumnIfMissing(db, 'messages', 'transcript', 'TEXT');
+    addColumnIfMissing(db, 'messages', 'transcriptionProvider', 'TEXT');
+  },
+
+  down(db) {
+    dropColumnIfExists(db, 'messages', 'transcriptionProvider');
+    dropColumnIfExists(db, 'messages', 'transcript');
+  },
+};
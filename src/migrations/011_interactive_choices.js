@@ -0,0 +1,46 @@
+/**
+ * MIGRATION 011: BOTÕES E LISTAS
+ *
+ * - messages.choiceId: ID da opção escolhida pelo lead em um botão
+ *   ou lista (o texto da opção fica em messages.text)
+ * - Fluxo "Boas-vindas": ganha os botões Orçamento / Suporte / Dúvida,
+ *   mas só se ainda estiver igual ao padrão criado pela migration 006
+ *   (fluxos editados pela API não são alterados)
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+const DEFAULT_FLOWS = require('../bot/flows/defaultFlows');
+
+const WELCOME = DEFAULT_FLOWS.find(flow => flow.name === 'Boas-vindas');
+
+// Etapas do fluxo antes desta migration (sem os botões)
+const PREVIOUS_STEPS = WELCOME.steps.filter(step => step.type !== 'buttons');
+
+/**
+ * Troca as etapas do fluxo de boas-vindas se ele não foi editado
+ *
+ * @param {Object} db - Conexão com o banco
+ * @param {Array} from - Etapas esperadas no banco
+ * @param {Array} to - Novas etapas
+ */
+function replaceWelcomeSteps(db, from, to) {
+  db.prepare(`
+    UPDATE flows
+    SET steps = ?, updatedAt = CURRENT_TIMESTAMP
+    WHERE name = ? AND steps = ?
+  `).run(JSON.stringify(to), WELCOME.name, JSON.stringify(from));
+}
+
+module.exports = {
+  description: 'Escolha do lead em messages e botões no fluxo de boas-vindas',
+
+  up(db) {
+    addColumnIfMissing(db, 'messages', 'choiceId', 'TEXT');
+    replaceWelcomeSteps(db, PREVIOUS_STEPS, WELCOME.steps);
+  },
+
+  down(db) {
+    replaceWelcomeSteps(db, WELCOME.steps, PREVIOUS_STEPS);
+    dropColumnIfExists(db, 'messages', 'choiceId');
+  },
+};
@@ -0,0 +1,91 @@
+/**
+ * MIGRATION 012: LOCALIZAÇÕES, CONTATOS E REAÇÕES
+ *
+ * - locations: localizações enviadas pelo lead (fixas ou em tempo real)
+ * - shared_contacts: cartões de contato (vCard) enviados pelo lead
+ * - reactions: emojis com que o lead reagiu a mensagens da conversa
+ * - leads.email, leads.company: preenchidos quando o lead envia o
+ *   próprio cartão de contato
+ * - leads.latitude, longitude, address, locationAt: última localização
+ *   enviada pelo lead
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+const LEAD_COLUMNS = [
+  ['email', 'TEXT'],
+  ['company', 'TEXT'],
+  ['latitude', 'REAL'],
+  ['longitude', 'REAL'],
+  ['address', 'TEXT'],
+  ['locationAt', 'TEXT'],
+];
+
+module.exports = {
+  description: 'Tabelas locations, shared_contacts e reactions + contato e localização no lead',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS locations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        messageId INTEGER NOT NULL,
+        phoneNumber TEXT NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        name TEXT,
+        address TEXT,
+        url TEXT,
+        live INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (messageId) REFERENCES messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS shared_contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        messageId INTEGER NOT NULL,
+        phoneNumber TEXT NOT NULL,
+        name TEXT,
+        organization TEXT,
+        phones TEXT NOT NULL DEFAULT '[]',
+        emails TEXT NOT NULL DEFAULT '[]',
+        vcard TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (messageId) REFERENCES messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS reactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phoneNumber TEXT NOT NULL,
+        targetWaMessageId TEXT NOT NULL,
+        messageId INTEGER,
+        emoji TEXT NOT NULL,
+        reactedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (phoneNumber, targetWaMessageId),
+        FOREIGN KEY (messageId) REFERENCES messages(id) ON DELETE CASCADE,
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_locations_phoneNumber ON locations(phoneNumber);
+      CREATE INDEX IF NOT EXISTS idx_shared_contacts_phoneNumber ON shared_contacts(phoneNumber);
+      CREATE INDEX IF NOT EXISTS idx_reactions_messageId ON reactions(messageId);
+    `);
+
+    for (const [column, type] of LEAD_COLUMNS) {
+      addColumnIfMissing(db, 'leads', column, type);
+    }
+  },
+
+  down(db) {
+    for (const [column] of [...LEAD_COLUMNS].reverse()) {
+      dropColumnIfExists(db, 'leads', column);
+    }
+
+    db.exec(`
+      DROP TABLE IF EXISTS reactions;
+      DROP TABLE IF EXISTS shared_contacts;
+      DROP TABLE IF EXISTS locations;
+    `);
+  },
+};
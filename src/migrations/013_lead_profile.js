@@ -0,0 +1,54 @@
+/**
+ * MIGRATION 013: PERFIL DO LEAD E CAMPOS PERSONALIZADOS
+ *
+ * - leads: cidade, observações, responsável comercial, valor do negócio
+ *   e os valores dos campos personalizados (JSON em customFields)
+ * - custom_fields: definição dos campos personalizados de cada
+ *   instalação (nome, tipo, opções), gerenciados pela API
+ *
+ * (email e company já existem desde a migration 012)
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../utils/migrator');
+
+module.exports = {
+  description: 'Perfil do lead (cidade, observações, responsável, valor) e tabela custom_fields',
+
+  up(db) {
+    addColumnIfMissing(db, 'leads', 'city', 'TEXT');
+    addColumnIfMissing(db, 'leads', 'notes', 'TEXT');
+    addColumnIfMissing(db, 'leads', 'owner', 'TEXT');
+    addColumnIfMissing(db, 'leads', 'dealValue', 'REAL');
+    addColumnIfMissing(db, 'leads', 'customFields', "TEXT NOT NULL DEFAULT '{}'");
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS custom_fields (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL,
+        options TEXT,
+        description TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_leads_owner ON leads(owner);
+      CREATE INDEX IF NOT EXISTS idx_leads_city ON leads(city);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_city;
+      DROP INDEX IF EXISTS idx_leads_owner;
+      DROP TABLE IF EXISTS custom_fields;
+    `);
+
+    dropColumnIfExists(db, 'leads', 'customFields');
+    dropColumnIfExists(db, 'leads', 'dealValue');
+    dropColumnIfExists(db, 'leads', 'owner');
+    dropColumnIfExists(db, 'leads', 'notes');
+    dropColumnIfExists(db, 'leads', 'city');
+  },
+};
@@ -0,0 +1,57 @@
+/**
+ * MIGRATION 014: ETIQUETAS E SEGMENTOS
+ *
+ * - tags: etiquetas dos leads (nome único, cor, descrição) e as regras
+ *   de etiquetagem automática (JSON em rules)
+ * - lead_tags: etiquetas de cada lead e quem colocou (API ou regra)
+ * - segments: combinações de filtros da listagem salvas com um nome
+ */
+
+module.exports = {
+  description: 'Tabelas tags, lead_tags e segments',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        color TEXT,
+        description TEXT,
+        rules TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS lead_tags (
+        phoneNumber TEXT NOT NULL,
+        tagId INTEGER NOT NULL,
+        source TEXT NOT NULL DEFAULT 'manual',
+        addedBy TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (phoneNumber, tagId),
+        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE,
+        FOREIGN KEY (tagId) REFERENCES tags(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS segments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        filters TEXT NOT NULL,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_lead_tags_tagId ON lead_tags(tagId);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_lead_tags_tagId;
+      DROP TABLE IF EXISTS segments;
+      DROP TABLE IF EXISTS lead_tags;
+      DROP TABLE IF EXISTS tags;
+    `);
+  },
+};
@@ -0,0 +1,46 @@
+/**
+ * MIGRATION 015: ÍNDICE DE BUSCA (FTS5)
+ *
+ * - messages_fts: texto e transcrição de cada mensagem (rowid = messages.id)
+ * - leads_fts: nome e empresa de cada lead (rowid = leads.id)
+ *
+ * As buscas ignoram acentos e maiúsculas (tokenizer unicode61).
+ * O índice é mantido pelo models/Lead.js (veja models/Search.js);
+ * aqui ele é preenchido com o que já existe no banco.
+ */
+
+module.exports = {
+  description: 'Índice de busca FTS5 das mensagens e dos leads',
+
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        text,
+        transcript,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS leads_fts USING fts5(
+        name,
+        company,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      DELETE FROM messages_fts;
+      DELETE FROM leads_fts;
+
+      INSERT INTO messages_fts (rowid, text, transcript)
+      SELECT id, text, transcript FROM messages;
+
+      INSERT INTO leads_fts (rowid, name, company)
+      SELECT id, NULLIF(name, 'Não informado'), company FROM leads;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS leads_fts;
+      DROP TABLE IF EXISTS messages_fts;
+    `);
+  },
+};
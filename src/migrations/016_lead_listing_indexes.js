@@ -0,0 +1,27 @@
+/**
+ * MIGRATION 016: ÍNDICES DA LISTAGEM DE LEADS
+ *
+ * - createdAt: filtro por período de cadastro e ordenação
+ * - sentiment: filtro por sentimento
+ *
+ * (lastInteraction, status, priority e intent têm índice desde a
+ * migration 001)
+ */
+
+module.exports = {
+  description: 'Índices de createdAt e sentiment na tabela leads',
+
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_leads_createdAt ON leads(createdAt);
+      CREATE INDEX IF NOT EXISTS idx_leads_sentiment ON leads(sentiment);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_leads_sentiment;
+      DROP INDEX IF EXISTS idx_leads_createdAt;
+    `);
+  },
+};
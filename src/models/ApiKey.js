@@ -0,0 +1,166 @@
+/**
+ * MODEL: API KEY
+ *
+ * Este arquivo define as funções para manipular as chaves de acesso
+ * da API REST no SQLite.
+ *
+ * Campos armazenados na tabela API_KEYS:
+ * - id: ID único (auto-incremento)
+ * - name: nome/descrição da chave (ex: "dashboard", "maria")
+ * - keyHash: hash SHA-256 da chave (a chave em si NUNCA é salva)
+ * - prefix: início da chave, para identificá-la sem expor o segredo
+ * - role: papel da chave (read, agent, admin)
+ * - lastUsedAt: último uso da chave
+ * - revokedAt: quando foi revogada (null = ativa)
+ * - createdAt: data de criação
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Colunas retornadas nas consultas
+ * O keyHash fica de fora para não vazar em respostas da API
+ */
+const PUBLIC_COLUMNS = 'id, name, prefix, role, lastUsedAt, revokedAt, createdAt';
+
+/**
+ * Cria uma nova chave
+ *
+ * @param {Object} data - { name, keyHash, prefix, role }
+ * @returns {Object} - Chave criada (sem o hash)
+ */
+function create({ name, keyHash, prefix, role }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT INTO api_keys (name, keyHash, prefix, role)
+      VALUES (?, ?, ?, ?)
+    `).run(name, keyHash, prefix, role);
+
+    return findById(result.lastInsertRowid);
+
+  } catch (error) {
+    log.error('Erro em ApiKey.create:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma chave ATIVA pelo hash
+ *
+ * @param {String} keyHash - Hash SHA-256 da chave
+ * @returns {Object|null} - Chave encontrada ou null
+ */
+function findActiveByHash(keyHash) {
+  try {
+    const db = getDB();
+
+    const apiKey = db.prepare(`
+      SELECT ${PUBLIC_COLUMNS} FROM api_keys
+      WHERE keyHash = ? AND revokedAt IS NULL
+    `).get(keyHash);
+
+    return apiKey || null;
+
+  } catch (error) {
+    log.error('Erro em ApiKey.findActiveByHash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma chave pelo ID
+ *
+ * @param {Number} id - ID da chave
+ * @returns {Object|null} - Chave encontrada ou null
+ */
+function findById(id) {
+  try {
+    const db = getDB();
+
+    const apiKey = db.prepare(`
+      SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = ?
+    `).get(id);
+
+    return apiKey || null;
+
+  } catch (error) {
+    log.error('Erro em ApiKey.findById:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista todas as chaves (ativas e revogadas)
+ *
+ * @returns {Array} - Lista de chaves
+ */
+function findAll() {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT ${PUBLIC_COLUMNS} FROM api_keys
+      ORDER BY createdAt DESC
+    `).all();
+
+  } catch (error) {
+    log.error('Erro em ApiKey.findAll:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoga uma chave (ela deixa de funcionar imediatamente)
+ *
+ * @param {Number} id - ID da chave
+ * @returns {Object|null} - Chave revogada ou null se não existir
+ */
+function revoke(id) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      UPDATE api_keys
+      SET revokedAt = COALESCE(revokedAt, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `).run(id);
+
+    return findById(id);
+
+  } catch (error) {
+    log.error('Erro em ApiKey.revoke:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra o uso de uma chave
+ *
+ * @param {Number} id - ID da chave
+ */
+function touch(id) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      UPDATE api_keys SET lastUsedAt = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(id);
+
+  } catch (error) {
+    log.error('Erro em ApiKey.touch:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  create,
+  findActiveByHash,
+  findById,
+  findAll,
+  revoke,
+  touch,
+};
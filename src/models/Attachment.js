@@ -0,0 +1,92 @@
+/**
+ * MODEL: ANEXO (MÍDIA RECEBIDA)
+ *
+ * Este arquivo define as funções para manipular os anexos
+ * das mensagens no SQLite.
+ *
+ * Campos armazenados na tabela ATTACHMENTS:
+ * - id: ID único (auto-incremento)
+ * - messageId: mensagem à qual o anexo pertence
+ * - phoneNumber: relaciona com o lead
+ * - type: image, audio, video, document ou sticker
+ * - mimeType: tipo do arquivo (ex: image/jpeg)
+ * - fileName: nome original (documentos) ou gerado
+ * - size: tamanho em bytes
+ * - sha256: checksum do conteúdo (hex)
+ * - storage: armazenamento onde o arquivo está (ex: local)
+ * - storageKey: caminho do arquivo dentro do armazenamento
+ * - createdAt: quando foi salvo
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Registra um anexo
+ *
+ * @param {Object} data - { messageId, phoneNumber, type, mimeType, fileName, size, sha256, storage, storageKey }
+ * @returns {Object} - Anexo criado
+ */
+function create(data) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT INTO attachments
+        (messageId, phoneNumber, type, mimeType, fileName, size, sha256, storage, storageKey)
+      VALUES
+        (@messageId, @phoneNumber, @type, @mimeType, @fileName, @size, @sha256, @storage, @storageKey)
+    `).run({ fileName: null, ...data });
+
+    return findById(result.lastInsertRowid);
+
+  } catch (error) {
+    log.error('Erro em Attachment.create:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um anexo pelo ID
+ *
+ * @param {Number} id - ID do anexo
+ * @returns {Object|null} - Anexo encontrado ou null
+ */
+function findById(id) {
+  try {
+    const db = getDB();
+
+    return db.prepare('SELECT * FROM attachments WHERE id = ?').get(id) || null;
+
+  } catch (error) {
+    log.error('Erro em Attachment.findById:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista os anexos de um lead, do mais antigo para o mais recente
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Array} - Lista de anexos
+ */
+function findByPhone(phoneNumber) {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT * FROM attachments WHERE phoneNumber = ? ORDER BY id
+    `).all(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em Attachment.findByPhone:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  create,
+  findById,
+  findByPhone,
+};
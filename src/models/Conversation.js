@@ -0,0 +1,115 @@
+/**
+ * MODEL: ESTADO DA CONVERSA
+ *
+ * Este arquivo define as funções para manipular a etapa da
+ * conversa de cada lead no SQLite.
+ *
+ * Colunas na tabela LEADS:
+ * - conversationState: etapa atual (veja conversationService.STATES)
+ * - conversationStateAt: desde quando o lead está nessa etapa
+ *
+ * Campos na tabela CONVERSATION_TRANSITIONS:
+ * - phoneNumber: relaciona com o lead
+ * - fromState / toState: etapa anterior e nova etapa
+ * - reason: motivo da mudança (ex: "questionário concluído")
+ * - createdAt: quando mudou
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Busca a etapa atual da conversa
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Object|null} - { state, since } ou null se o lead não existir
+ */
+function findState(phoneNumber) {
+  try {
+    const db = getDB();
+
+    const row = db.prepare(`
+      SELECT conversationState AS state, conversationStateAt AS since
+      FROM leads WHERE phoneNumber = ?
+    `).get(phoneNumber);
+
+    return row || null;
+
+  } catch (error) {
+    log.error('Erro em Conversation.findState:', error);
+    throw error;
+  }
+}
+
+/**
+ * Muda a etapa da conversa e registra a transição
+ *
+ * Só muda se o lead ainda estiver em "fromState": se outra mensagem
+ * mudou a etapa no meio do caminho, nada é alterado.
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} fromState - Etapa atual esperada
+ * @param {String} toState - Nova etapa
+ * @param {String} reason - Motivo da mudança
+ * @returns {Boolean} - true se mudou
+ */
+function updateState(phoneNumber, fromState, toState, reason = null) {
+  try {
+    const db = getDB();
+
+    return db.transaction(() => {
+      const result = db.prepare(`
+        UPDATE leads
+        SET conversationState = ?,
+            conversationStateAt = CURRENT_TIMESTAMP,
+            updatedAt = CURRENT_TIMESTAMP
+        WHERE phoneNumber = ? AND conversationState IS ?
+      `).run(toState, phoneNumber, fromState);
+
+      if (result.changes === 0) {
+        return false;
+      }
+
+      db.prepare(`
+        INSERT INTO conversation_transitions (phoneNumber, fromState, toState, reason)
+        VALUES (?, ?, ?, ?)
+      `).run(phoneNumber, fromState, toState, reason);
+
+      return true;
+    })();
+
+  } catch (error) {
+    log.error('Erro em Conversation.updateState:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista as transições de um lead, da mais antiga para a mais recente
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Array} - [{ fromState, toState, reason, createdAt }]
+ */
+function findTransitions(phoneNumber) {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT fromState, toState, reason, createdAt
+      FROM conversation_transitions
+      WHERE phoneNumber = ?
+      ORDER BY id
+    `).all(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em Conversation.findTransitions:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  findState,
+  updateState,
+  findTransitions,
+};
@@ -0,0 +1,165 @@
+/**
+ * MODEL: CAMPO PERSONALIZADO
+ *
+ * Este arquivo define as funções para manipular as definições dos
+ * campos personalizados dos leads no SQLite.
+ *
+ * Campos armazenados na tabela CUSTOM_FIELDS:
+ * - id: ID único (auto-incremento)
+ * - key: identificador do campo (único, ex: segmento)
+ * - label: nome exibido (ex: "Segmento")
+ * - type: text, email, number, boolean, date ou select
+ * - options: opções aceitas (select), em JSON
+ * - description: descrição livre
+ * - createdAt / updatedAt: datas de criação e alteração
+ *
+ * Os VALORES ficam em cada lead (leads.customFields, JSON).
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Converte uma linha da tabela no formato usado pelo sistema
+ *
+ * @param {Object} row - Linha da tabela custom_fields
+ * @returns {Object|null} - Campo ou null
+ */
+function toField(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...row,
+    options: row.options ? JSON.parse(row.options) : null,
+  };
+}
+
+/**
+ * Lista os campos personalizados
+ *
+ * @returns {Array} - Campos, na ordem de criação
+ */
+function findAll() {
+  try {
+    const db = getDB();
+
+    return db.prepare('SELECT * FROM custom_fields ORDER BY id').all().map(toField);
+
+  } catch (error) {
+    log.error('Erro em CustomField.findAll:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um campo pelo identificador
+ *
+ * @param {String} key - Identificador do campo
+ * @returns {Object|null} - Campo encontrado ou null
+ */
+function findByKey(key) {
+  try {
+    const db = getDB();
+
+    return toField(db.prepare('SELECT * FROM custom_fields WHERE key = ?').get(key));
+
+  } catch (error) {
+    log.error('Erro em CustomField.findByKey:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um campo
+ *
+ * @param {Object} field - { key, label, type, options, description }
+ * @returns {Object} - Campo criado
+ */
+function create({ key, label, type, options = null, description = null }) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      INSERT INTO custom_fields (key, label, type, options, description)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(key, label, type, options ? JSON.stringify(options) : null, description);
+
+    return findByKey(key);
+
+  } catch (error) {
+    log.error('Erro em CustomField.create:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza nome, opções e descrição de um campo
+ *
+ * @param {String} key - Identificador do campo
+ * @param {Object} changes - { label, options, description }
+ * @returns {Object|null} - Campo atualizado ou null se não existe
+ */
+function update(key, { label, options = null, description = null }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      UPDATE custom_fields
+      SET label = ?,
+          options = ?,
+          description = ?,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE key = ?
+    `).run(label, options ? JSON.stringify(options) : null, description, key);
+
+    return result.changes > 0 ? findByKey(key) : null;
+
+  } catch (error) {
+    log.error('Erro em CustomField.update:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove um campo e os valores dele em todos os leads
+ *
+ * @param {String} key - Identificador do campo
+ * @returns {Boolean} - true se removeu
+ */
+function remove(key) {
+  try {
+    const db = getDB();
+    const path = `$."${key}"`;
+
+    return db.transaction(() => {
+      const result = db.prepare('DELETE FROM custom_fields WHERE key = ?').run(key);
+
+      if (result.changes === 0) {
+        return false;
+      }
+
+      db.prepare(`
+        UPDATE leads
+        SET customFields = json_remove(customFields, ?)
+        WHERE json_extract(customFields, ?) IS NOT NULL
+      `).run(path, path);
+
+      return true;
+    })();
+
+  } catch (error) {
+    log.error('Erro em CustomField.remove:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  findAll,
+  findByKey,
+  create,
+  update,
+  remove,
+};
@@ -0,0 +1,224 @@
+/**
+ * MODEL: FLOW (FLUXO DE CONVERSA)
+ *
+ * Este arquivo define as funções para manipular os fluxos
+ * de conversa no SQLite.
+ *
+ * Campos armazenados na tabela FLOWS:
+ * - id: ID único (auto-incremento)
+ * - name: nome único do fluxo
+ * - trigger: quando o fluxo roda (welcome, welcome_back, classification)
+ * - description: descrição livre
+ * - conditions: condições do fluxo, em JSON (exposto como "when")
+ * - steps: etapas do fluxo, em JSON
+ * - active: 1 = ativo, 0 = desativado
+ * - createdAt / updatedAt: datas de criação e alteração
+ *
+ * Os campos JSON são convertidos em objetos aqui no model,
+ * então quem usa recebe { when, steps } já prontos.
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Converte uma linha da tabela no formato usado pelo sistema
+ *
+ * @param {Object} row - Linha da tabela flows
+ * @returns {Object|null} - Fluxo ou null
+ */
+function toFlow(row) {
+  if (!row) {
+    return null;
+  }
+
+  const { conditions, steps, active, ...rest } = row;
+
+  return {
+    ...rest,
+    when: conditions ? JSON.parse(conditions) : null,
+    steps: JSON.parse(steps),
+    active: active === 1,
+  };
+}
+
+/**
+ * Busca um fluxo pelo ID
+ *
+ * @param {Number} id - ID do fluxo
+ * @returns {Object|null} - Fluxo encontrado ou null
+ */
+function findById(id) {
+  try {
+    const db = getDB();
+
+    return toFlow(db.prepare('SELECT * FROM flows WHERE id = ?').get(id));
+
+  } catch (error) {
+    log.error('Erro em Flow.findById:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um fluxo pelo nome
+ *
+ * @param {String} name - Nome do fluxo
+ * @returns {Object|null} - Fluxo encontrado ou null
+ */
+function findByName(name) {
+  try {
+    const db = getDB();
+
+    return toFlow(db.prepare('SELECT * FROM flows WHERE name = ?').get(name));
+
+  } catch (error) {
+    log.error('Erro em Flow.findByName:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista os fluxos
+ *
+ * @param {Object} filters - { trigger } (opcional)
+ * @returns {Array} - Lista de fluxos
+ */
+function findAll(filters = {}) {
+  try {
+    const db = getDB();
+
+    const rows = filters.trigger
+      ? db.prepare('SELECT * FROM flows WHERE trigger = ? ORDER BY id').all(filters.trigger)
+      : db.prepare('SELECT * FROM flows ORDER BY trigger, id').all();
+
+    return rows.map(toFlow);
+
+  } catch (error) {
+    log.error('Erro em Flow.findAll:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista os fluxos ATIVOS de um gatilho, na ordem em que são avaliados
+ *
+ * Fluxos COM condições vêm antes dos fluxos sem condições (o padrão),
+ * para que um fluxo específico (ex: fora do horário) tenha preferência.
+ *
+ * @param {String} trigger - Gatilho (ex: welcome)
+ * @returns {Array} - Lista de fluxos
+ */
+function findActiveByTrigger(trigger) {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT * FROM flows
+      WHERE trigger = ? AND active = 1
+      ORDER BY conditions IS NULL, id
+    `).all(trigger).map(toFlow);
+
+  } catch (error) {
+    log.error('Erro em Flow.findActiveByTrigger:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um fluxo
+ *
+ * @param {Object} data - { name, trigger, description, when, steps, active }
+ * @returns {Object} - Fluxo criado
+ */
+function create({ name, trigger, description = null, when = null, steps, active = true }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT INTO flows (name, trigger, description, conditions, steps, active)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      name,
+      trigger,
+      description,
+      when ? JSON.stringify(when) : null,
+      JSON.stringify(steps),
+      active ? 1 : 0
+    );
+
+    return findById(result.lastInsertRowid);
+
+  } catch (error) {
+    log.error('Erro em Flow.create:', error);
+    throw error;
+  }
+}
+
+/**
+ * Substitui a definição de um fluxo
+ *
+ * @param {Number} id - ID do fluxo
+ * @param {Object} data - { name, trigger, description, when, steps, active }
+ * @returns {Object|null} - Fluxo atualizado ou null se não existir
+ */
+function update(id, { name, trigger, description = null, when = null, steps, active = true }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      UPDATE flows
+      SET name = ?,
+          trigger = ?,
+          description = ?,
+          conditions = ?,
+          steps = ?,
+          active = ?,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      name,
+      trigger,
+      description,
+      when ? JSON.stringify(when) : null,
+      JSON.stringify(steps),
+      active ? 1 : 0,
+      id
+    );
+
+    return result.changes > 0 ? findById(id) : null;
+
+  } catch (error) {
+    log.error('Erro em Flow.update:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove um fluxo
+ *
+ * @param {Number} id - ID do fluxo
+ * @returns {Boolean} - true se removeu
+ */
+function remove(id) {
+  try {
+    const db = getDB();
+
+    return db.prepare('DELETE FROM flows WHERE id = ?').run(id).changes > 0;
+
+  } catch (error) {
+    log.error('Erro em Flow.remove:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  findById,
+  findByName,
+  findAll,
+  findActiveByTrigger,
+  create,
+  update,
+  remove,
+};
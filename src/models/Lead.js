@@ -14,6 +14,20 @@
  * - sentiment: sentimento (positivo, neutro, negativo)
  * - priority: prioridade (baixa, média, alta)
  * - status: status (novo, em_atendimento, finalizado)
+ * - botPaused: 1 se um atendente humano assumiu a conversa (bot pausado)
+ * - humanOwner: identificador do atendente que assumiu
+ * - takenOverAt: quando o atendente assumiu
+ * - qualificationStatus, qualificationField, qualificationUpdatedAt:
+ *   andamento do questionário de qualificação (veja models/Qualification.js)
+ * - conversationState, conversationStateAt: etapa da conversa e desde
+ *   quando (veja models/Conversation.js)
+ * - email, company: vindos do cartão de contato do próprio lead
+ * - latitude, longitude, address, locationAt: última localização enviada
+ *   (veja models/SharedContent.js)
+ * - city, notes, owner, dealValue: perfil comercial (cidade, observações,
+ *   responsável e valor do negócio), editado pela API
+ * - customFields: valores dos campos personalizados, em JSON
+ *   (definições em models/CustomField.js); convertido em objeto aqui
  * - lastInteraction: data da última interação
  * - createdAt: data de criação
  * - updatedAt: data de atualização
@@ -22,52 +36,104 @@
  * - id: ID único
  * - phoneNumber: relaciona com o lead
  * - text: texto da mensagem
- * - sender: quem enviou (lead ou bot)
+ * - sender: quem enviou (lead, bot ou agent)
+ * - agent: atendente que enviou (quando sender = 'agent')
+ * - waMessageId: ID da mensagem no WhatsApp (único, evita duplicatas)
+ * - choiceId: ID da opção escolhida em um botão ou lista (o texto fica em text)
+ * - intent, sentiment, priority: classificação da IA (mensagens do lead)
+ * - aiProvider, aiModel, aiLatencyMs: quem classificou e quanto demorou
+ * - aiFallback: 1 se a classificação não veio do provedor principal
+ * - transcript, transcriptionProvider: texto transcrito de um áudio e quem transcreveu
  * - timestamp: quando foi enviada
+ * 
+ * A classificação do LEAD (intent, sentiment, priority na tabela leads)
+ * é sempre derivada da mensagem classificada mais recente.
+ * 
+ * As etiquetas de cada lead ficam na tabela LEAD_TAGS (veja models/Tag.js).
+ * 
+ * O índice de busca (nome/empresa dos leads, texto/transcrição das
+ * mensagens) é atualizado aqui sempre que esses dados mudam
+ * (veja models/Search.js).
  */
 
 const { getDB } = require('../utils/database');
+const Search = require('./Search');
+const { createQuery } = require('../utils/queryBuilder');
 const log = require('../utils/logger');
 
+/**
+ * Converte uma linha da tabela leads no formato usado pelo sistema
+ * 
+ * @param {Object} row - Linha da tabela leads
+ * @returns {Object|null} - Lead (customFields como objeto) ou null
+ */
+function toLead(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...row,
+    customFields: row.customFields ? JSON.parse(row.customFields) : {},
+  };
+}
+
+/**
+ * Colunas que podem ordenar a listagem (findAll)
+ * 
+ * A ordenação entra direto no SQL (ORDER BY não aceita "?"), por isso
+ * só nomes desta lista ou "custom.<campo>" são aceitos.
+ */
+const SORT_COLUMNS = [
+  'lastInteraction', 'createdAt', 'updatedAt', 'name', 'phoneNumber',
+  'status', 'priority', 'intent', 'sentiment', 'conversationState',
+  'company', 'city', 'owner', 'dealValue', 'id',
+];
+
+/**
+ * Caminho JSON de um campo personalizado (ex: $."segmento")
+ * 
+ * @param {String} key - Identificador do campo
+ * @returns {String}
+ */
+function customFieldPath(key) {
+  return `$."${key}"`;
+}
+
 /**
  * Busca ou cria um lead
  * 
  * Se o lead não existir, cria um novo.
  * Se existir, retorna o existente.
  * 
+ * O INSERT OR IGNORE garante que, mesmo com duas mensagens chegando
+ * ao mesmo tempo, apenas uma delas cria o lead (created = true).
+ * 
  * @param {String} phoneNumber - Número do WhatsApp
  * @param {String} name - Nome do lead
- * @returns {Object} - Lead encontrado ou criado
+ * @returns {Object} - { lead, created } onde created indica se foi inserido agora
  */
 function findOrCreate(phoneNumber, name = 'Não informado') {
   try {
     const db = getDB();
 
-    // Tenta buscar o lead existente
-    const existing = db.prepare(`
-      SELECT * FROM leads WHERE phoneNumber = ?
-    `).get(phoneNumber);
-
-    if (existing) {
-      return existing;
-    }
-
-    // Se não existe, cria um novo
-    const insert = db.prepare(`
-      INSERT INTO leads (phoneNumber, name)
-      VALUES (?, ?)
-    `);
-
-    const result = insert.run(phoneNumber, name);
+    // Tenta criar; se o phoneNumber já existe, nada acontece
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO leads (phoneNumber, name, conversationStateAt)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+    `).run(phoneNumber, name);
 
-    // Busca o lead recém-criado
-    const newLead = db.prepare(`
-      SELECT * FROM leads WHERE id = ?
-    `).get(result.lastInsertRowid);
+    const created = result.changes === 1;
 
-    log.info('Novo lead criado', { phoneNumber });
+    if (created) {
+      Search.indexLead(phoneNumber);
+      log.info('Novo lead criado', { phoneNumber });
+    }
 
-    return newLead;
+    return {
+      lead: findByPhone(phoneNumber),
+      created,
+    };
 
   } catch (error) {
     log.error('Erro em findOrCreate:', error);
@@ -89,7 +155,7 @@ function findByPhone(phoneNumber) {
       SELECT * FROM leads WHERE phoneNumber = ?
     `).get(phoneNumber);
 
-    return lead || null;
+    return toLead(lead);
 
   } catch (error) {
     log.error('Erro em findByPhone:', error);
@@ -101,9 +167,11 @@ function findByPhone(phoneNumber) {
  * Busca um lead com suas mensagens
  * 
  * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Object} options - Opções
+ * @param {Number} options.lastMessages - Retorna apenas as N mensagens mais recentes
  * @returns {Object|null} - Lead com array de mensagens ou null
  */
-function findByPhoneWithMessages(phoneNumber) {
+function findByPhoneWithMessages(phoneNumber, options = {}) {
   try {
     const db = getDB();
 
@@ -114,12 +182,26 @@ function findByPhoneWithMessages(phoneNumber) {
       return null;
     }
 
-    // Busca as mensagens do lead
-    const messages = db.prepare(`
-      SELECT * FROM messages
-      WHERE phoneNumber = ?
-      ORDER BY timestamp ASC
-    `).all(phoneNumber);
+    // Busca as mensagens do lead (sempre da mais antiga para a mais recente)
+    let messages;
+
+    if (options.lastMessages) {
+      messages = db.prepare(`
+        SELECT * FROM (
+          SELECT * FROM messages
+          WHERE phoneNumber = ?
+          ORDER BY timestamp DESC, id DESC
+          LIMIT ?
+        )
+        ORDER BY timestamp ASC, id ASC
+      `).all(phoneNumber, options.lastMessages);
+    } else {
+      messages = db.prepare(`
+        SELECT * FROM messages
+        WHERE phoneNumber = ?
+        ORDER BY timestamp ASC, id ASC
+      `).all(phoneNumber);
+    }
 
     // Retorna lead com array de mensagens
     return {
@@ -133,12 +215,116 @@ function findByPhoneWithMessages(phoneNumber) {
   }
 }
 
+/**
+ * Monta o WHERE da listagem de leads
+ * 
+ * @param {Object} filters - Filtros (veja findAll)
+ * @returns {Object} - Montador de WHERE (veja utils/queryBuilder.js)
+ */
+function buildFilters(filters) {
+  const query = createQuery();
+
+  // Filtros de um ou mais valores: filtro => coluna
+  const choices = {
+    status: 'status',
+    priority: 'priority',
+    intent: 'intent',
+    sentiment: 'sentiment',
+    state: 'conversationState',
+  };
+
+  for (const [filter, column] of Object.entries(choices)) {
+    if (filters[filter]) {
+      query.whereIn(column, [].concat(filters[filter]));
+    }
+  }
+
+  if (filters.owner) {
+    query.where('owner = ?', filters.owner);
+  }
+
+  // Empresa e cidade: sem diferenciar maiúsculas
+  for (const column of ['company', 'city']) {
+    if (filters[column]) {
+      query.where(`${column} = ? COLLATE NOCASE`, filters[column]);
+    }
+  }
+
+  // Começo do nome ou do número
+  if (filters.name) {
+    query.wherePrefix('name', filters.name);
+  }
+
+  if (filters.phone) {
+    query.wherePrefix('phoneNumber', filters.phone);
+  }
+
+  // Períodos (datas do SQLite, em UTC)
+  for (const column of ['createdAt', 'lastInteraction']) {
+    if (filters[column]) {
+      query.whereRange(column, filters[column]);
+    }
+  }
+
+  if (filters.dealValueMin !== undefined) {
+    query.where('dealValue >= ?', filters.dealValueMin);
+  }
+
+  if (filters.dealValueMax !== undefined) {
+    query.where('dealValue <= ?', filters.dealValueMax);
+  }
+
+  // Campos personalizados (booleanos ficam como 1/0 no JSON do SQLite)
+  for (const [key, value] of Object.entries(filters.custom || {})) {
+    query.where(
+      'json_extract(customFields, ?) = ?',
+      customFieldPath(key),
+      typeof value === 'boolean' ? Number(value) : value
+    );
+  }
+
+  // Etiquetas: o lead precisa ter TODAS de tags e NENHUMA de excludeTags
+  const taggedWith = `phoneNumber IN (
+    SELECT lead_tags.phoneNumber FROM lead_tags
+    JOIN tags ON tags.id = lead_tags.tagId
+    WHERE tags.name = ?
+  )`;
+
+  for (const tag of filters.tags || []) {
+    query.where(taggedWith, tag);
+  }
+
+  for (const tag of filters.excludeTags || []) {
+    query.where(`NOT ${taggedWith}`, tag);
+  }
+
+  return query;
+}
+
 /**
  * Lista todos os leads com filtros opcionais
  * 
- * @param {Object} filters - Filtros (status, priority, intent)
- * @param {Object} options - Opções de paginação
- * @returns {Object} - { leads, total }
+ * Há dois jeitos de paginar:
+ * - page: pula (page - 1) * limit leads e conta o total
+ * - after: continua depois do último lead da página anterior
+ *   (paginação por cursor), sem OFFSET e sem contar o total;
+ *   não fica mais lenta nas últimas páginas de tabelas grandes
+ * 
+ * Empates na ordenação são desfeitos pelo id, na mesma direção.
+ * 
+ * @param {Object} filters - Filtros:
+ *   - status, priority, intent, sentiment, state: um valor ou uma lista
+ *   - owner, company, city: igualdade (company e city sem diferenciar maiúsculas)
+ *   - name, phone: começo do nome / do número
+ *   - createdAt, lastInteraction: { from, to } (from <= data < to)
+ *   - dealValueMin, dealValueMax, custom: { campo: valor }
+ *   - tags e excludeTags: listas de nomes de etiquetas
+ * @param {Object} options - Opções de paginação e ordenação:
+ *   - page, limit, sortBy (uma de SORT_COLUMNS ou "custom.<campo>"),
+ *     sortOrder ('ASC' ou 'DESC')
+ *   - after: { value, id } do último lead da página anterior (substitui page)
+ *   - count: false para não contar o total (ex: exportações)
+ * @returns {Object} - { leads, total } (total = null com after ou count = false)
  */
 function findAll(filters = {}, options = {}) {
   try {
@@ -149,62 +335,59 @@ function findAll(filters = {}, options = {}) {
       limit = 50,
       sortBy = 'lastInteraction',
       sortOrder = 'DESC',
+      after = null,
+      count = true,
     } = options;
 
-    // Monta a query base
-    let query = 'SELECT * FROM leads WHERE 1=1';
-    const params = [];
-
-    // Adiciona filtros
-    if (filters.status) {
-      query += ' AND status = ?';
-      params.push(filters.status);
+    if (!SORT_COLUMNS.includes(sortBy) && !sortBy.startsWith('custom.')) {
+      throw new Error(`Ordenação não permitida: ${sortBy}`);
     }
 
-    if (filters.priority) {
-      query += ' AND priority = ?';
-      params.push(filters.priority);
+    if (!['ASC', 'DESC'].includes(sortOrder)) {
+      throw new Error(`Direção de ordenação inválida: ${sortOrder}`);
     }
 
-    if (filters.intent) {
-      query += ' AND intent = ?';
-      params.push(filters.intent);
-    }
+    const query = buildFilters(filters);
 
-    // Adiciona ordenação
-    query += ` ORDER BY ${sortBy} ${sortOrder}`;
+    // Conta total (sem paginação e sem o cursor)
+    let total = null;
 
-    // Adiciona paginação
-    const offset = (page - 1) * limit;
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    if (!after && count) {
+      const { where, params } = query.build();
 
-    // Executa query
-    const leads = db.prepare(query).all(...params);
+      total = db.prepare(`
+        SELECT COUNT(*) as total FROM leads ${where}
+      `).get(...params).total;
+    }
 
-    // Conta total (sem paginação)
-    let countQuery = 'SELECT COUNT(*) as total FROM leads WHERE 1=1';
-    const countParams = [];
+    // Ordenação por campo personalizado usa o valor dentro do JSON
+    const sortParams = [];
+    let orderBy = sortBy;
 
-    if (filters.status) {
-      countQuery += ' AND status = ?';
-      countParams.push(filters.status);
+    if (sortBy.startsWith('custom.')) {
+      orderBy = 'json_extract(customFields, ?)';
+      sortParams.push(customFieldPath(sortBy.slice('custom.'.length)));
     }
 
-    if (filters.priority) {
-      countQuery += ' AND priority = ?';
-      countParams.push(filters.priority);
+    if (after) {
+      query.whereAfter(orderBy, sortOrder, after, sortParams);
     }
 
-    if (filters.intent) {
-      countQuery += ' AND intent = ?';
-      countParams.push(filters.intent);
-    }
+    const { where, params } = query.build();
+
+    // Adiciona paginação
+    const offset = after ? 0 : (page - 1) * limit;
 
-    const { total } = db.prepare(countQuery).get(...countParams);
+    // Executa query
+    const leads = db.prepare(`
+      SELECT * FROM leads
+      ${where}
+      ORDER BY ${orderBy} ${sortOrder}, id ${sortOrder}
+      LIMIT ? OFFSET ?
+    `).all(...params, ...sortParams, limit, offset);
 
     return {
-      leads,
+      leads: leads.map(toLead),
       total,
     };
 
@@ -219,63 +402,145 @@ function findAll(filters = {}, options = {}) {
  * 
  * @param {String} phoneNumber - Número do WhatsApp
  * @param {String} text - Texto da mensagem
- * @param {String} sender - Quem enviou (lead ou bot)
- * @returns {Object} - Mensagem criada
+ * @param {String} sender - Quem enviou (lead, bot ou agent)
+ * @param {Object} extra - Dados opcionais da mensagem
+ * @param {String} extra.agent - Atendente que enviou (sender = 'agent')
+ * @param {String} extra.waMessageId - ID da mensagem no WhatsApp
+ * @param {String} extra.choiceId - ID da opção escolhida (botão ou lista)
+ * @returns {Object|null} - Mensagem criada ou null se o waMessageId já existia (duplicata)
  */
-function addMessage(phoneNumber, text, sender = 'lead') {
+function addMessage(phoneNumber, text, sender = 'lead', extra = {}) {
   try {
     const db = getDB();
 
     // Insere a mensagem
     const insert = db.prepare(`
-      INSERT INTO messages (phoneNumber, text, sender)
-      VALUES (?, ?, ?)
+      INSERT INTO messages (phoneNumber, text, sender, agent, waMessageId, choiceId)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
 
-    const result = insert.run(phoneNumber, text, sender);
+    // Mensagem, índice de busca e última interação: tudo ou nada
+    return db.transaction(() => {
+      let result;
+
+      try {
+        result = insert.run(
+          phoneNumber,
+          text,
+          sender,
+          extra.agent || null,
+          extra.waMessageId || null,
+          extra.choiceId || null
+        );
+      } catch (error) {
+        // O índice único em waMessageId barra reentregas do WhatsApp
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' && extra.waMessageId) {
+          return null;
+        }
+        throw error;
+      }
+
+      // Deixa a mensagem disponível na busca (GET /search)
+      Search.indexMessage(result.lastInsertRowid);
+
+      // Atualiza lastInteraction do lead
+      db.prepare(`
+        UPDATE leads
+        SET lastInteraction = CURRENT_TIMESTAMP,
+            updatedAt = CURRENT_TIMESTAMP
+        WHERE phoneNumber = ?
+      `).run(phoneNumber);
+
+      // Busca a mensagem criada
+      return db.prepare(`
+        SELECT * FROM messages WHERE id = ?
+      `).get(result.lastInsertRowid);
+    })();
 
-    // Atualiza lastInteraction do lead
-    db.prepare(`
-      UPDATE leads
-      SET lastInteraction = CURRENT_TIMESTAMP,
-          updatedAt = CURRENT_TIMESTAMP
-      WHERE phoneNumber = ?
-    `).run(phoneNumber);
+  } catch (error) {
+    log.error('Erro em addMessage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica se uma mensagem do WhatsApp já foi registrada
+ * 
+ * @param {String} waMessageId - ID da mensagem no WhatsApp (message.key.id)
+ * @returns {Boolean}
+ */
+function messageExists(waMessageId) {
+  try {
+    const db = getDB();
 
-    // Busca a mensagem criada
-    const message = db.prepare(`
-      SELECT * FROM messages WHERE id = ?
-    `).get(result.lastInsertRowid);
+    const row = db.prepare(`
+      SELECT 1 FROM messages WHERE waMessageId = ?
+    `).get(waMessageId);
 
-    return message;
+    return Boolean(row);
 
   } catch (error) {
-    log.error('Erro em addMessage:', error);
+    log.error('Erro em messageExists:', error);
     throw error;
   }
 }
 
 /**
- * Atualiza a classificação de IA do lead
+ * Salva a classificação de IA de uma mensagem e atualiza o lead
+ * 
+ * A classificação fica registrada na própria mensagem (histórico) e
+ * os campos do lead são recalculados a partir da mensagem classificada
+ * mais recente.
  * 
  * @param {String} phoneNumber - Número do WhatsApp
- * @param {Object} classification - { intent, sentiment, priority }
+ * @param {Number} messageId - ID da mensagem classificada
+ * @param {Object} classification - { intent, sentiment, priority, provider, model, latencyMs, fallback }
  * @returns {Object} - Lead atualizado
  */
-function updateClassification(phoneNumber, classification) {
+function updateClassification(phoneNumber, messageId, classification) {
   try {
     const db = getDB();
 
-    const { intent, sentiment, priority } = classification;
+    const { intent, sentiment, priority, provider, model, latencyMs, fallback } = classification;
+
+    const save = db.transaction(() => {
+      db.prepare(`
+        UPDATE messages
+        SET intent = ?,
+            sentiment = ?,
+            priority = ?,
+            aiProvider = ?,
+            aiModel = ?,
+            aiLatencyMs = ?,
+            aiFallback = ?
+        WHERE id = ? AND phoneNumber = ?
+      `).run(
+        intent,
+        sentiment,
+        priority,
+        provider || null,
+        model || null,
+        latencyMs ?? null,
+        fallback ? 1 : 0,
+        messageId,
+        phoneNumber
+      );
+
+      // Deriva a classificação do lead da mensagem classificada mais recente
+      db.prepare(`
+        UPDATE leads
+        SET (intent, sentiment, priority) = (
+              SELECT intent, sentiment, priority FROM messages
+              WHERE phoneNumber = leads.phoneNumber AND intent IS NOT NULL
+              ORDER BY timestamp DESC, id DESC
+              LIMIT 1
+            ),
+            updatedAt = CURRENT_TIMESTAMP
+        WHERE phoneNumber = ?
+      `).run(phoneNumber);
+    });
 
-    db.prepare(`
-      UPDATE leads
-      SET intent = ?,
-          sentiment = ?,
-          priority = ?,
-          updatedAt = CURRENT_TIMESTAMP
-      WHERE phoneNumber = ?
-    `).run(intent, sentiment, priority, phoneNumber);
+    save();
 
     return findByPhone(phoneNumber);
 
@@ -285,6 +550,60 @@ function updateClassification(phoneNumber, classification) {
   }
 }
 
+/**
+ * Salva a transcrição de uma mensagem de áudio
+ * 
+ * @param {Number} messageId - ID da mensagem
+ * @param {String} transcript - Texto transcrito
+ * @param {String} provider - Provedor que transcreveu
+ */
+function saveTranscript(messageId, transcript, provider) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      UPDATE messages
+      SET transcript = ?,
+          transcriptionProvider = ?
+      WHERE id = ?
+    `).run(transcript, provider, messageId);
+
+    // A transcrição também entra na busca
+    Search.indexMessage(messageId);
+
+  } catch (error) {
+    log.error('Erro em saveTranscript:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca o histórico de classificações de um lead
+ * 
+ * Útil para ver como a intenção e o humor do lead mudaram
+ * ao longo da conversa.
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Array} - Classificações da mais antiga para a mais recente
+ */
+function findClassificationHistory(phoneNumber) {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT id AS messageId, text, intent, sentiment, priority,
+             aiProvider, aiModel, aiLatencyMs, aiFallback, timestamp
+      FROM messages
+      WHERE phoneNumber = ? AND intent IS NOT NULL
+      ORDER BY timestamp ASC, id ASC
+    `).all(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em findClassificationHistory:', error);
+    throw error;
+  }
+}
+
 /**
  * Atualiza o status do lead
  * 
@@ -311,6 +630,142 @@ function updateStatus(phoneNumber, status) {
   }
 }
 
+/**
+ * Atualiza o perfil do lead (campos fixos e campos personalizados)
+ * 
+ * Os campos personalizados são mesclados com os já salvos;
+ * valor null apaga o campo.
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Object} fields - Campos fixos { name, email, company, city, notes, owner, dealValue }
+ * @param {Object} customFields - Campos personalizados { campo: valor }
+ * @returns {Object|null} - Lead atualizado ou null se não existe
+ */
+function updateProfile(phoneNumber, fields = {}, customFields = {}) {
+  try {
+    const db = getDB();
+
+    return db.transaction(() => {
+      const lead = findByPhone(phoneNumber);
+
+      if (!lead) {
+        return null;
+      }
+
+      const merged = { ...lead.customFields, ...customFields };
+
+      for (const [key, value] of Object.entries(merged)) {
+        if (value === null) {
+          delete merged[key];
+        }
+      }
+
+      // Os nomes das colunas vêm da lista fixa do leadService (PROFILE_FIELDS)
+      const columns = Object.keys(fields);
+      const assignments = columns.map(column => `${column} = ?`);
+
+      db.prepare(`
+        UPDATE leads
+        SET ${[...assignments, 'customFields = ?', 'updatedAt = CURRENT_TIMESTAMP'].join(', ')}
+        WHERE phoneNumber = ?
+      `).run(...columns.map(column => fields[column]), JSON.stringify(merged), phoneNumber);
+
+      Search.indexLead(phoneNumber);
+
+      return findByPhone(phoneNumber);
+    })();
+
+  } catch (error) {
+    log.error('Erro em updateProfile:', error);
+    throw error;
+  }
+}
+
+/**
+ * Salva a última localização enviada pelo lead
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Object} location - { latitude, longitude, address }
+ */
+function updateLocation(phoneNumber, { latitude, longitude, address = null }) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      UPDATE leads
+      SET latitude = ?,
+          longitude = ?,
+          address = ?,
+          locationAt = CURRENT_TIMESTAMP,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE phoneNumber = ?
+    `).run(latitude, longitude, address, phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em updateLocation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Completa os dados de contato do lead (só os campos ainda vazios)
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Object} info - { name, email, company }
+ * @returns {Object} - Lead atualizado
+ */
+function fillContactInfo(phoneNumber, { name = null, email = null, company = null }) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      UPDATE leads
+      SET name = CASE WHEN name IS NULL OR name = 'Não informado' THEN COALESCE(?, name) ELSE name END,
+          email = COALESCE(email, ?),
+          company = COALESCE(company, ?),
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE phoneNumber = ?
+    `).run(name, email, company, phoneNumber);
+
+    Search.indexLead(phoneNumber);
+
+    return findByPhone(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em fillContactInfo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pausa ou retoma o bot para um lead (atendimento humano)
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Boolean} paused - true para pausar o bot, false para liberar
+ * @param {String|null} owner - Atendente que assumiu (null ao liberar)
+ * @returns {Object|null} - Lead atualizado ou null se não existir
+ */
+function updateBotControl(phoneNumber, paused, owner = null) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      UPDATE leads
+      SET botPaused = ?,
+          humanOwner = ?,
+          takenOverAt = CASE WHEN ? = 1 THEN CURRENT_TIMESTAMP ELSE NULL END,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE phoneNumber = ?
+    `).run(paused ? 1 : 0, paused ? owner : null, paused ? 1 : 0, phoneNumber);
+
+    return findByPhone(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em updateBotControl:', error);
+    throw error;
+  }
+}
+
 /**
  * Obtém estatísticas dos leads
  * 
@@ -376,9 +831,10 @@ function getStats() {
  * Conta total de mensagens de um lead
  * 
  * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} sender - (opcional) conta apenas as mensagens deste remetente
  * @returns {Number} - Total de mensagens
  */
-function countMessages(phoneNumber) {
+function countMessages(phoneNumber, sender = null) {
   try {
     const db = getDB();
 
@@ -386,7 +842,8 @@ function countMessages(phoneNumber) {
       SELECT COUNT(*) as total
       FROM messages
       WHERE phoneNumber = ?
-    `).get(phoneNumber);
+        AND (? IS NULL OR sender = ?)
+    `).get(phoneNumber, sender, sender);
 
     return total;
 
@@ -398,13 +855,21 @@ function countMessages(phoneNumber) {
 
 // Exporta as funções para serem usadas em outros arquivos
 module.exports = {
+  SORT_COLUMNS,
   findOrCreate,
   findByPhone,
   findByPhoneWithMessages,
   findAll,
   addMessage,
+  messageExists,
   updateClassification,
+  saveTranscript,
+  findClassificationHistory,
   updateStatus,
+  updateProfile,
+  updateLocation,
+  fillContactInfo,
+  updateBotControl,
   getStats,
   countMessages,
 };
@@ -0,0 +1,104 @@
+/**
+ * MODEL: QUALIFICAÇÃO DO LEAD
+ *
+ * Este arquivo define as funções para manipular o questionário
+ * de qualificação no SQLite.
+ *
+ * Colunas na tabela LEADS:
+ * - qualificationStatus: null (não iniciado), in_progress, completed, cancelled
+ * - qualificationField: campo da pergunta que aguarda resposta
+ * - qualificationUpdatedAt: última pergunta enviada ou resposta recebida
+ *
+ * Campos na tabela LEAD_ANSWERS:
+ * - phoneNumber: relaciona com o lead
+ * - field: campo respondido (ex: budget)
+ * - value: resposta validada (ex: "De R$ 1.000 a R$ 5.000")
+ * - rawText: o que o lead digitou (ex: "2")
+ * - answeredAt: quando respondeu
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Atualiza em que ponto do questionário o lead está
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} status - in_progress, completed ou cancelled
+ * @param {String|null} field - Campo aguardando resposta (null ao terminar)
+ */
+function updateState(phoneNumber, status, field = null) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      UPDATE leads
+      SET qualificationStatus = ?,
+          qualificationField = ?,
+          qualificationUpdatedAt = CURRENT_TIMESTAMP,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE phoneNumber = ?
+    `).run(status, field, phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em Qualification.updateState:', error);
+    throw error;
+  }
+}
+
+/**
+ * Salva (ou substitui) a resposta de um campo
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} field - Campo respondido
+ * @param {String|null} value - Resposta validada (null = pulou)
+ * @param {String} rawText - Texto original do lead
+ */
+function saveAnswer(phoneNumber, field, value, rawText) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      INSERT INTO lead_answers (phoneNumber, field, value, rawText)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (phoneNumber, field) DO UPDATE SET
+        value = excluded.value,
+        rawText = excluded.rawText,
+        answeredAt = CURRENT_TIMESTAMP
+    `).run(phoneNumber, field, value, rawText);
+
+  } catch (error) {
+    log.error('Erro em Qualification.saveAnswer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca as respostas de um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Array} - [{ field, value, rawText, answeredAt }]
+ */
+function findAnswers(phoneNumber) {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT field, value, rawText, answeredAt
+      FROM lead_answers
+      WHERE phoneNumber = ?
+      ORDER BY id
+    `).all(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em Qualification.findAnswers:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  updateState,
+  saveAnswer,
+  findAnswers,
+};
@@ -0,0 +1,204 @@
+/**
+ * MODEL: BUSCA (FTS5)
+ *
+ * Este arquivo mantém e consulta o índice de busca do SQLite (FTS5).
+ *
+ * Tabelas de índice (criadas na migration 015):
+ * - messages_fts: text e transcript de cada mensagem (rowid = messages.id)
+ * - leads_fts: name e company de cada lead (rowid = leads.id)
+ *
+ * O índice é atualizado pelo models/Lead.js sempre que uma mensagem
+ * é salva (addMessage), um áudio é transcrito ou o nome/empresa do
+ * lead muda.
+ *
+ * Os trechos encontrados voltam marcados com HIGHLIGHT_START e
+ * HIGHLIGHT_END, sem escapar o texto das mensagens: o searchService
+ * escapa o HTML e só depois troca os marcadores por <mark>.
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Marcadores dos termos encontrados nos trechos
+ *
+ * Caracteres de controle (STX e ETX), que não aparecem em texto digitado:
+ * assim não se confundem com o texto digitado pelo lead.
+ */
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+/**
+ * Quantidade aproximada de palavras em cada trecho
+ */
+const SNIPPET_WORDS = 16;
+
+/**
+ * Leads encontrados: por mensagens (no período e do remetente pedidos)
+ * ou por nome/empresa (só quando não há filtro de mensagens)
+ */
+const MATCHES_CTE = `
+  WITH message_hits AS (
+    SELECT messages.phoneNumber, messages_fts.rank, messages.timestamp
+    FROM messages_fts
+    JOIN messages ON messages.id = messages_fts.rowid
+    WHERE messages_fts MATCH @match
+      AND (@from IS NULL OR messages.timestamp >= @from)
+      AND (@to IS NULL OR messages.timestamp < @to)
+      AND (@sender IS NULL OR messages.sender = @sender)
+  ),
+  lead_hits AS (
+    SELECT phoneNumber, MIN(rank) AS rank, COUNT(*) AS matchCount, MAX(timestamp) AS lastMatchAt
+    FROM message_hits
+    GROUP BY phoneNumber
+  ),
+  name_hits AS (
+    SELECT leads.phoneNumber, leads_fts.rank,
+           highlight(leads_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS nameHighlight,
+           highlight(leads_fts, 1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS companyHighlight
+    FROM leads_fts
+    JOIN leads ON leads.id = leads_fts.rowid
+    WHERE leads_fts MATCH @match
+      AND @from IS NULL AND @to IS NULL AND @sender IS NULL
+  ),
+  matched AS (
+    SELECT phoneNumber FROM lead_hits
+    UNION
+    SELECT phoneNumber FROM name_hits
+  )
+`;
+
+/**
+ * Atualiza o índice de uma mensagem (texto e transcrição)
+ *
+ * @param {Number} messageId - ID da mensagem
+ */
+function indexMessage(messageId) {
+  try {
+    const db = getDB();
+
+    db.prepare('DELETE FROM messages_fts WHERE rowid = ?').run(messageId);
+    db.prepare(`
+      INSERT INTO messages_fts (rowid, text, transcript)
+      SELECT id, text, transcript FROM messages WHERE id = ?
+    `).run(messageId);
+
+  } catch (error) {
+    log.error('Erro em Search.indexMessage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atualiza o índice de um lead (nome e empresa)
+ *
+ * O nome provisório "Não informado" não entra no índice.
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ */
+function indexLead(phoneNumber) {
+  try {
+    const db = getDB();
+
+    db.prepare(`
+      DELETE FROM leads_fts
+      WHERE rowid = (SELECT id FROM leads WHERE phoneNumber = ?)
+    `).run(phoneNumber);
+
+    db.prepare(`
+      INSERT INTO leads_fts (rowid, name, company)
+      SELECT id, NULLIF(name, 'Não informado'), company FROM leads WHERE phoneNumber = ?
+    `).run(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro em Search.indexLead:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca os leads que batem com a consulta, agrupados por lead
+ *
+ * Ordem: leads encontrados pelo nome/empresa primeiro, depois pela
+ * relevância da melhor mensagem (bm25) e pela mensagem mais recente.
+ *
+ * @param {String} match - Consulta no formato do FTS5 (veja searchService.buildMatchQuery)
+ * @param {Object} options - { from, to, sender, limit, offset }
+ * @returns {Object} - { results, total }
+ */
+function searchLeads(match, { from = null, to = null, sender = null, limit = 20, offset = 0 } = {}) {
+  try {
+    const db = getDB();
+    const params = { match, from, to, sender };
+
+    const results = db.prepare(`
+      ${MATCHES_CTE}
+      SELECT leads.phoneNumber, leads.name, leads.company, leads.status,
+             leads.intent, leads.lastInteraction,
+             name_hits.nameHighlight, name_hits.companyHighlight,
+             COALESCE(lead_hits.matchCount, 0) AS matchCount,
+             lead_hits.lastMatchAt
+      FROM matched
+      JOIN leads ON leads.phoneNumber = matched.phoneNumber
+      LEFT JOIN lead_hits ON lead_hits.phoneNumber = matched.phoneNumber
+      LEFT JOIN name_hits ON name_hits.phoneNumber = matched.phoneNumber
+      ORDER BY name_hits.phoneNumber IS NULL,
+               COALESCE(name_hits.rank, lead_hits.rank),
+               lead_hits.lastMatchAt DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    const { total } = db.prepare(`
+      ${MATCHES_CTE}
+      SELECT COUNT(*) AS total FROM matched
+    `).get(params);
+
+    return { results, total };
+
+  } catch (error) {
+    log.error('Erro em Search.searchLeads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca os trechos das mensagens de um lead que batem com a consulta
+ *
+ * @param {String} match - Consulta no formato do FTS5
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Object} options - { from, to, sender, limit }
+ * @returns {Array} - [{ id, sender, timestamp, snippet }], mais relevantes primeiro
+ */
+function findSnippets(match, phoneNumber, { from = null, to = null, sender = null, limit = 3 } = {}) {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT messages.id, messages.sender, messages.timestamp,
+             snippet(messages_fts, -1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', ${SNIPPET_WORDS}) AS snippet
+      FROM messages_fts
+      JOIN messages ON messages.id = messages_fts.rowid
+      WHERE messages_fts MATCH @match
+        AND messages.phoneNumber = @phoneNumber
+        AND (@from IS NULL OR messages.timestamp >= @from)
+        AND (@to IS NULL OR messages.timestamp < @to)
+        AND (@sender IS NULL OR messages.sender = @sender)
+      ORDER BY messages_fts.rank, messages.timestamp DESC
+      LIMIT @limit
+    `).all({ match, phoneNumber, from, to, sender, limit });
+
+  } catch (error) {
+    log.error('Erro em Search.findSnippets:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  indexMessage,
+  indexLead,
+  searchLeads,
+  findSnippets,
+};
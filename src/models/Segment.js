@@ -0,0 +1,167 @@
+/**
+ * MODEL: SEGMENTO
+ *
+ * Este arquivo define as funções para manipular os segmentos
+ * (filtros da listagem de leads salvos com um nome) no SQLite.
+ *
+ * Campos armazenados na tabela SEGMENTS:
+ * - id: ID único (auto-incremento)
+ * - name: nome único (sem diferenciar maiúsculas)
+ * - description: descrição livre
+ * - filters: filtros, em JSON (os mesmos parâmetros de GET /leads)
+ * - createdAt / updatedAt: datas de criação e alteração
+ *
+ * O JSON de filters é convertido em objeto aqui no model.
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Converte uma linha da tabela no formato usado pelo sistema
+ *
+ * @param {Object} row - Linha da tabela segments
+ * @returns {Object|null} - Segmento ou null
+ */
+function toSegment(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...row,
+    filters: JSON.parse(row.filters),
+  };
+}
+
+/**
+ * Lista os segmentos
+ *
+ * @returns {Array} - Segmentos, em ordem alfabética
+ */
+function findAll() {
+  try {
+    const db = getDB();
+
+    return db.prepare('SELECT * FROM segments ORDER BY name').all().map(toSegment);
+
+  } catch (error) {
+    log.error('Erro em Segment.findAll:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um segmento pelo nome (sem diferenciar maiúsculas)
+ *
+ * @param {String} name - Nome do segmento
+ * @returns {Object|null} - Segmento encontrado ou null
+ */
+function findByName(name) {
+  try {
+    const db = getDB();
+
+    return toSegment(db.prepare('SELECT * FROM segments WHERE name = ?').get(name));
+
+  } catch (error) {
+    log.error('Erro em Segment.findByName:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um segmento pelo ID
+ *
+ * @param {Number} id - ID do segmento
+ * @returns {Object|null} - Segmento encontrado ou null
+ */
+function findById(id) {
+  try {
+    const db = getDB();
+
+    return toSegment(db.prepare('SELECT * FROM segments WHERE id = ?').get(id));
+
+  } catch (error) {
+    log.error('Erro em Segment.findById:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um segmento
+ *
+ * @param {Object} data - { name, description, filters }
+ * @returns {Object} - Segmento criado
+ */
+function create({ name, description = null, filters }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT INTO segments (name, description, filters)
+      VALUES (?, ?, ?)
+    `).run(name, description, JSON.stringify(filters));
+
+    return findById(result.lastInsertRowid);
+
+  } catch (error) {
+    log.error('Erro em Segment.create:', error);
+    throw error;
+  }
+}
+
+/**
+ * Substitui os dados de um segmento
+ *
+ * @param {Number} id - ID do segmento
+ * @param {Object} data - { name, description, filters }
+ * @returns {Object|null} - Segmento atualizado ou null se não existir
+ */
+function update(id, { name, description = null, filters }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      UPDATE segments
+      SET name = ?,
+          description = ?,
+          filters = ?,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, description, JSON.stringify(filters), id);
+
+    return result.changes > 0 ? findById(id) : null;
+
+  } catch (error) {
+    log.error('Erro em Segment.update:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove um segmento
+ *
+ * @param {Number} id - ID do segmento
+ * @returns {Boolean} - true se removeu
+ */
+function remove(id) {
+  try {
+    const db = getDB();
+
+    return db.prepare('DELETE FROM segments WHERE id = ?').run(id).changes > 0;
+
+  } catch (error) {
+    log.error('Erro em Segment.remove:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  findAll,
+  findByName,
+  findById,
+  create,
+  update,
+  remove,
+};
@@ -0,0 +1,187 @@
+/**
+ * MODEL: LOCALIZAÇÕES, CONTATOS E REAÇÕES
+ *
+ * Este arquivo define as funções para manipular o que o lead
+ * compartilha além de texto e mídia.
+ *
+ * Campos na tabela LOCATIONS:
+ * - messageId: mensagem em que a localização chegou
+ * - phoneNumber: relaciona com o lead
+ * - latitude, longitude: coordenadas
+ * - name, address, url: nome do lugar, endereço e link (quando enviados)
+ * - live: 1 se é localização em tempo real
+ *
+ * Campos na tabela SHARED_CONTACTS:
+ * - messageId: mensagem em que o contato chegou
+ * - phoneNumber: relaciona com o lead (quem enviou)
+ * - name, organization: nome e empresa do contato
+ * - phones, emails: listas em JSON (ex: ["5511988887777"])
+ * - vcard: cartão original
+ *
+ * Campos na tabela REACTIONS:
+ * - phoneNumber: relaciona com o lead (quem reagiu)
+ * - targetWaMessageId: ID no WhatsApp da mensagem que recebeu a reação
+ * - messageId: a mesma mensagem no histórico (null se não foi encontrada)
+ * - emoji: reação atual (o lead tem no máximo uma por mensagem)
+ * - reactedAt: quando reagiu
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Registra uma localização
+ *
+ * @param {Object} data - { messageId, phoneNumber, latitude, longitude, name, address, url, live }
+ * @returns {Object} - Localização criada
+ */
+function createLocation(data) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT INTO locations (messageId, phoneNumber, latitude, longitude, name, address, url, live)
+      VALUES (@messageId, @phoneNumber, @latitude, @longitude, @name, @address, @url, @live)
+    `).run({ name: null, address: null, url: null, ...data, live: data.live ? 1 : 0 });
+
+    return db.prepare('SELECT * FROM locations WHERE id = ?').get(result.lastInsertRowid);
+
+  } catch (error) {
+    log.error('Erro em SharedContent.createLocation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra um contato compartilhado
+ *
+ * @param {Object} data - { messageId, phoneNumber, name, organization, phones, emails, vcard }
+ * @returns {Object} - Contato criado (phones e emails como listas)
+ */
+function createContact(data) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT INTO shared_contacts (messageId, phoneNumber, name, organization, phones, emails, vcard)
+      VALUES (@messageId, @phoneNumber, @name, @organization, @phones, @emails, @vcard)
+    `).run({
+      name: null,
+      organization: null,
+      vcard: null,
+      ...data,
+      phones: JSON.stringify(data.phones || []),
+      emails: JSON.stringify(data.emails || []),
+    });
+
+    return parseContact(db.prepare('SELECT * FROM shared_contacts WHERE id = ?').get(result.lastInsertRowid));
+
+  } catch (error) {
+    log.error('Erro em SharedContent.createContact:', error);
+    throw error;
+  }
+}
+
+/**
+ * Salva a reação do lead a uma mensagem (substitui a anterior)
+ *
+ * @param {Object} data - { phoneNumber, targetWaMessageId, emoji }
+ * @returns {Object} - Reação salva
+ */
+function saveReaction({ phoneNumber, targetWaMessageId, emoji }) {
+  try {
+    const db = getDB();
+
+    // A mensagem pode não estar no histórico (ex: boas-vindas, que não são
+    // salvas, ou mensagens enviadas direto pelo celular)
+    const target = db.prepare(`
+      SELECT id FROM messages WHERE phoneNumber = ? AND waMessageId = ?
+    `).get(phoneNumber, targetWaMessageId);
+
+    db.prepare(`
+      INSERT INTO reactions (phoneNumber, targetWaMessageId, messageId, emoji)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (phoneNumber, targetWaMessageId) DO UPDATE SET
+        emoji = excluded.emoji,
+        messageId = excluded.messageId,
+        reactedAt = CURRENT_TIMESTAMP
+    `).run(phoneNumber, targetWaMessageId, target ? target.id : null, emoji);
+
+    return db.prepare(`
+      SELECT * FROM reactions WHERE phoneNumber = ? AND targetWaMessageId = ?
+    `).get(phoneNumber, targetWaMessageId);
+
+  } catch (error) {
+    log.error('Erro em SharedContent.saveReaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a reação do lead a uma mensagem
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} targetWaMessageId - ID no WhatsApp da mensagem
+ * @returns {Boolean} - true se havia reação
+ */
+function removeReaction(phoneNumber, targetWaMessageId) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      DELETE FROM reactions WHERE phoneNumber = ? AND targetWaMessageId = ?
+    `).run(phoneNumber, targetWaMessageId);
+
+    return result.changes > 0;
+
+  } catch (error) {
+    log.error('Erro em SharedContent.removeReaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca localizações, contatos e reações de um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Object} - { locations, contacts, reactions }
+ */
+function findByPhone(phoneNumber) {
+  try {
+    const db = getDB();
+
+    return {
+      locations: db.prepare('SELECT * FROM locations WHERE phoneNumber = ? ORDER BY id').all(phoneNumber),
+      contacts: db.prepare('SELECT * FROM shared_contacts WHERE phoneNumber = ? ORDER BY id').all(phoneNumber)
+        .map(parseContact),
+      reactions: db.prepare('SELECT * FROM reactions WHERE phoneNumber = ? ORDER BY reactedAt, id').all(phoneNumber),
+    };
+
+  } catch (error) {
+    log.error('Erro em SharedContent.findByPhone:', error);
+    throw error;
+  }
+}
+
+/**
+ * Converte as listas em JSON de um contato
+ *
+ * @param {Object} row - Linha da tabela shared_contacts
+ * @returns {Object}
+ */
+function parseContact(row) {
+  return {
+    ...row,
+    phones: JSON.parse(row.phones),
+    emails: JSON.parse(row.emails),
+  };
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  createLocation,
+  createContact,
+  saveReaction,
+  removeReaction,
+  findByPhone,
+};
@@ -0,0 +1,293 @@
+/**
+ * MODEL: ETIQUETA (TAG)
+ *
+ * Este arquivo define as funções para manipular as etiquetas
+ * dos leads no SQLite.
+ *
+ * Campos armazenados na tabela TAGS:
+ * - id: ID único (auto-incremento)
+ * - name: nome único (sem diferenciar maiúsculas)
+ * - color: cor para exibição (ex: #ff9900)
+ * - description: descrição livre
+ * - rules: regras de etiquetagem automática, em JSON
+ * - createdAt / updatedAt: datas de criação e alteração
+ *
+ * Campos na tabela LEAD_TAGS:
+ * - phoneNumber, tagId: lead e etiqueta
+ * - source: quem colocou (manual = API, rule = regra automática)
+ * - addedBy: API Key que colocou (source = manual)
+ * - createdAt: quando foi colocada
+ *
+ * O JSON de rules é convertido em lista aqui no model.
+ */
+
+const { getDB } = require('../utils/database');
+const log = require('../utils/logger');
+
+/**
+ * Converte uma linha da tabela no formato usado pelo sistema
+ *
+ * @param {Object} row - Linha da tabela tags
+ * @returns {Object|null} - Etiqueta ou null
+ */
+function toTag(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...row,
+    rules: row.rules ? JSON.parse(row.rules) : [],
+  };
+}
+
+/**
+ * Lista as etiquetas com a quantidade de leads de cada uma
+ *
+ * @returns {Array} - Etiquetas, em ordem alfabética
+ */
+function findAll() {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT tags.*, COUNT(lead_tags.phoneNumber) AS leadCount
+      FROM tags
+      LEFT JOIN lead_tags ON lead_tags.tagId = tags.id
+      GROUP BY tags.id
+      ORDER BY tags.name
+    `).all().map(toTag);
+
+  } catch (error) {
+    log.error('Erro em Tag.findAll:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista as etiquetas que têm regras de etiquetagem automática
+ *
+ * @returns {Array} - Etiquetas
+ */
+function findWithRules() {
+  try {
+    const db = getDB();
+
+    return db.prepare(`
+      SELECT * FROM tags
+      WHERE rules IS NOT NULL
+      ORDER BY id
+    `).all().map(toTag);
+
+  } catch (error) {
+    log.error('Erro em Tag.findWithRules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma etiqueta pelo ID
+ *
+ * @param {Number} id - ID da etiqueta
+ * @returns {Object|null} - Etiqueta encontrada ou null
+ */
+function findById(id) {
+  try {
+    const db = getDB();
+
+    return toTag(db.prepare('SELECT * FROM tags WHERE id = ?').get(id));
+
+  } catch (error) {
+    log.error('Erro em Tag.findById:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma etiqueta pelo nome (sem diferenciar maiúsculas)
+ *
+ * @param {String} name - Nome da etiqueta
+ * @returns {Object|null} - Etiqueta encontrada ou null
+ */
+function findByName(name) {
+  try {
+    const db = getDB();
+
+    return toTag(db.prepare('SELECT * FROM tags WHERE name = ?').get(name));
+
+  } catch (error) {
+    log.error('Erro em Tag.findByName:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria uma etiqueta
+ *
+ * @param {Object} data - { name, color, description, rules }
+ * @returns {Object} - Etiqueta criada
+ */
+function create({ name, color = null, description = null, rules = null }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT INTO tags (name, color, description, rules)
+      VALUES (?, ?, ?, ?)
+    `).run(name, color, description, rules && rules.length > 0 ? JSON.stringify(rules) : null);
+
+    return findById(result.lastInsertRowid);
+
+  } catch (error) {
+    log.error('Erro em Tag.create:', error);
+    throw error;
+  }
+}
+
+/**
+ * Substitui os dados de uma etiqueta
+ *
+ * @param {Number} id - ID da etiqueta
+ * @param {Object} data - { name, color, description, rules }
+ * @returns {Object|null} - Etiqueta atualizada ou null se não existir
+ */
+function update(id, { name, color = null, description = null, rules = null }) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      UPDATE tags
+      SET name = ?,
+          color = ?,
+          description = ?,
+          rules = ?,
+          updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, color, description, rules && rules.length > 0 ? JSON.stringify(rules) : null, id);
+
+    return result.changes > 0 ? findById(id) : null;
+
+  } catch (error) {
+    log.error('Erro em Tag.update:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove uma etiqueta (e tira a etiqueta de todos os leads)
+ *
+ * @param {Number} id - ID da etiqueta
+ * @returns {Boolean} - true se removeu
+ */
+function remove(id) {
+  try {
+    const db = getDB();
+
+    return db.transaction(() => {
+      db.prepare('DELETE FROM lead_tags WHERE tagId = ?').run(id);
+
+      return db.prepare('DELETE FROM tags WHERE id = ?').run(id).changes > 0;
+    })();
+
+  } catch (error) {
+    log.error('Erro em Tag.remove:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista as etiquetas de vários leads de uma vez
+ *
+ * @param {Array<String>} phoneNumbers - Números do WhatsApp
+ * @returns {Object} - { phoneNumber: [{ id, name, color, source, addedBy, createdAt }] }
+ */
+function findByLeads(phoneNumbers) {
+  try {
+    const db = getDB();
+
+    if (phoneNumbers.length === 0) {
+      return {};
+    }
+
+    const rows = db.prepare(`
+      SELECT lead_tags.phoneNumber, tags.id, tags.name, tags.color,
+             lead_tags.source, lead_tags.addedBy, lead_tags.createdAt
+      FROM lead_tags
+      JOIN tags ON tags.id = lead_tags.tagId
+      WHERE lead_tags.phoneNumber IN (${phoneNumbers.map(() => '?').join(', ')})
+      ORDER BY tags.name
+    `).all(...phoneNumbers);
+
+    return rows.reduce((byLead, { phoneNumber, ...tag }) => {
+      (byLead[phoneNumber] = byLead[phoneNumber] || []).push(tag);
+      return byLead;
+    }, {});
+
+  } catch (error) {
+    log.error('Erro em Tag.findByLeads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Coloca uma etiqueta em um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Number} tagId - ID da etiqueta
+ * @param {String} source - manual (API) ou rule (regra automática)
+ * @param {String|null} addedBy - API Key que colocou
+ * @returns {Boolean} - true se colocou (false se o lead já tinha a etiqueta)
+ */
+function attach(phoneNumber, tagId, source = 'manual', addedBy = null) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO lead_tags (phoneNumber, tagId, source, addedBy)
+      VALUES (?, ?, ?, ?)
+    `).run(phoneNumber, tagId, source, addedBy);
+
+    return result.changes > 0;
+
+  } catch (error) {
+    log.error('Erro em Tag.attach:', error);
+    throw error;
+  }
+}
+
+/**
+ * Tira uma etiqueta de um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Number} tagId - ID da etiqueta
+ * @returns {Boolean} - true se tirou (false se o lead não tinha a etiqueta)
+ */
+function detach(phoneNumber, tagId) {
+  try {
+    const db = getDB();
+
+    const result = db.prepare(`
+      DELETE FROM lead_tags WHERE phoneNumber = ? AND tagId = ?
+    `).run(phoneNumber, tagId);
+
+    return result.changes > 0;
+
+  } catch (error) {
+    log.error('Erro em Tag.detach:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  findAll,
+  findWithRules,
+  findById,
+  findByName,
+  create,
+  update,
+  remove,
+  findByLeads,
+  attach,
+  detach,
+};
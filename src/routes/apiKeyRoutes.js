@@ -0,0 +1,60 @@
+/**
+ * ROTAS: API KEYS
+ *
+ * Define as rotas HTTP para administrar as chaves de acesso da API.
+ * Todas exigem uma API Key com papel admin.
+ *
+ * Rotas disponíveis:
+ * - GET    /api-keys      - Lista as chaves cadastradas
+ * - POST   /api-keys      - Cria uma nova chave
+ * - DELETE /api-keys/:id  - Revoga uma chave
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { ROLES } = require('../services/authService');
+
+// Todas as rotas deste arquivo são administrativas
+router.use(requireRole('admin'));
+
+/**
+ * GET /api-keys
+ *
+ * Lista as chaves (ativas e revogadas). O hash nunca é retornado.
+ */
+router.get('/', apiKeyController.listApiKeys);
+
+/**
+ * POST /api-keys
+ *
+ * Cria uma nova chave
+ *
+ * Body:
+ * - name: nome/descrição da chave
+ * - role: read | agent | admin (padrão: read)
+ *
+ * Exemplo:
+ * POST /api-keys
+ * Body: { "name": "dashboard", "role": "read" }
+ */
+router.post('/', validate({
+  body: {
+    name: { required: true, minLength: 1, maxLength: 100 },
+    role: { enum: ROLES },
+  },
+}), apiKeyController.createApiKey);
+
+/**
+ * DELETE /api-keys/:id
+ *
+ * Revoga uma chave. Ela para de funcionar imediatamente.
+ */
+router.delete('/:id', validate({
+  params: { id: { type: 'integer', min: 1 } },
+}), apiKeyController.revokeApiKey);
+
+// Exporta o router para ser usado no app.js
+module.exports = router;
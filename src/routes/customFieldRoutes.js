@@ -0,0 +1,88 @@
+/**
+ * ROTAS: CAMPOS PERSONALIZADOS
+ *
+ * Define as rotas HTTP para consultar e editar os campos
+ * personalizados dos leads.
+ *
+ * Rotas disponíveis:
+ * - GET    /custom-fields       - Lista os campos (read)
+ * - GET    /custom-fields/:key  - Busca um campo (read)
+ * - POST   /custom-fields       - Cria um campo (admin)
+ * - PUT    /custom-fields/:key  - Altera nome, opções e descrição (admin)
+ * - DELETE /custom-fields/:key  - Remove o campo e os valores dele (admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const customFieldController = require('../controllers/customFieldController');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { FIELD_TYPES } = require('../services/customFieldService');
+
+/**
+ * Formato dos dados das rotas (regras que dependem do campo já
+ * salvo, como key e type imutáveis, ficam no customFieldService)
+ */
+const byKey = validate({
+  params: { key: { maxLength: 40 } },
+});
+
+const fieldBody = validate({
+  body: {
+    key: { maxLength: 40 },
+    label: { required: true, minLength: 1, maxLength: 100 },
+    type: { enum: Object.keys(FIELD_TYPES) },
+    description: { nullable: true, maxLength: 500 },
+    options: { type: 'array', nullable: true, maxLength: 100, items: { maxLength: 100 } },
+  },
+});
+
+// Leitura: qualquer chave válida
+router.use(requireRole('read'));
+
+/**
+ * GET /custom-fields
+ *
+ * Lista os campos. Inclui a referência dos tipos aceitos.
+ */
+router.get('/', customFieldController.listCustomFields);
+
+/**
+ * GET /custom-fields/:key
+ *
+ * Busca um campo pelo identificador
+ */
+router.get('/:key', byKey, customFieldController.getCustomField);
+
+/**
+ * POST /custom-fields
+ *
+ * Cria um campo
+ *
+ * Exemplo:
+ * POST /custom-fields
+ * Body: {
+ *   "key": "segmento",
+ *   "label": "Segmento",
+ *   "type": "select",
+ *   "options": ["varejo", "indústria", "serviços"]
+ * }
+ */
+router.post('/', requireRole('admin'), fieldBody, customFieldController.createCustomField);
+
+/**
+ * PUT /custom-fields/:key
+ *
+ * Altera nome, opções e descrição (key e type não mudam)
+ */
+router.put('/:key', requireRole('admin'), byKey, fieldBody, customFieldController.updateCustomField);
+
+/**
+ * DELETE /custom-fields/:key
+ *
+ * Remove o campo e os valores dele em todos os leads
+ */
+router.delete('/:key', requireRole('admin'), byKey, customFieldController.deleteCustomField);
+
+// Exporta o router para ser usado no app.js
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * ROTAS: FLUXOS DE CONVERSA
+ *
+ * Define as rotas HTTP para consultar e editar os fluxos do bot.
+ *
+ * Rotas disponíveis:
+ * - GET    /flows      - Lista os fluxos (read)
+ * - GET    /flows/:id  - Busca um fluxo (read)
+ * - POST   /flows      - Cria um fluxo (admin)
+ * - PUT    /flows/:id  - Substitui a definição de um fluxo (admin)
+ * - DELETE /flows/:id  - Remove um fluxo (admin)
+ *
+ * As alterações valem a partir da próxima mensagem, sem reiniciar.
+ */
+
+const express = require('express');
+const router = express.Router();
+const flowController = require('../controllers/flowController');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { TRIGGERS } = require('../services/flowService');
+
+/**
+ * Formato dos dados das rotas (o conteúdo do fluxo é conferido
+ * pelo flowService.validateFlow)
+ */
+const byId = validate({
+  params: { id: { type: 'integer', min: 1 } },
+});
+
+const flowBody = {
+  name: { required: true, minLength: 1, maxLength: 100 },
+  trigger: { required: true, enum: Object.keys(TRIGGERS) },
+  description: { nullable: true, maxLength: 500 },
+  when: { type: 'object', nullable: true },
+  steps: { type: 'array', required: true, minLength: 1 },
+  active: { type: 'boolean' },
+};
+
+// Leitura: qualquer chave válida
+router.use(requireRole('read'));
+
+/**
+ * GET /flows
+ *
+ * Lista os fluxos. Inclui a referência de gatilhos, condições e variáveis.
+ *
+ * Query params opcionais:
+ * - trigger: welcome | welcome_back | classification
+ */
+router.get('/', validate({
+  query: { trigger: { enum: Object.keys(TRIGGERS) } },
+}), flowController.listFlows);
+
+/**
+ * GET /flows/:id
+ *
+ * Busca um fluxo pelo ID
+ */
+router.get('/:id', byId, flowController.getFlow);
+
+/**
+ * POST /flows
+ *
+ * Cria um fluxo
+ *
+ * Exemplo:
+ * POST /flows
+ * Body: {
+ *   "name": "Fora do horário",
+ *   "trigger": "welcome",
+ *   "when": { "businessHours": "closed" },
+ *   "steps": [{ "text": "Olá {{name}}! {{responseTime}}", "delayMs": 1000 }]
+ * }
+ */
+router.post('/', requireRole('admin'), validate({ body: flowBody }), flowController.createFlow);
+
+/**
+ * PUT /flows/:id
+ *
+ * Substitui a definição de um fluxo (envie o fluxo completo)
+ */
+router.put('/:id', requireRole('admin'), byId, validate({ body: flowBody }), flowController.updateFlow);
+
+/**
+ * DELETE /flows/:id
+ *
+ * Remove um fluxo
+ */
+router.delete('/:id', requireRole('admin'), byId, flowController.deleteFlow);
+
+// Exporta o router para ser usado no app.js
+module.exports = router;
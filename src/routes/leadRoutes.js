@@ -6,13 +6,44 @@
  * Rotas disponíveis:
  * - GET    /leads           - Lista todos os leads (com filtros)
  * - GET    /leads/stats     - Estatísticas dos leads
+ * - GET    /leads/export    - Exporta os leads (CSV, XLSX ou NDJSON, com os filtros de GET /leads)
+ * - POST   /leads/import    - Importa leads de um CSV
  * - GET    /leads/:phone    - Busca lead específico
+ * - GET    /leads/:phone/attachments/:id - Baixa uma mídia enviada pelo lead
+ * - GET    /leads/:phone/transcript - Baixa a conversa do lead (texto ou PDF)
+ * - PATCH  /leads/:phone   - Atualiza o perfil do lead (e-mail, empresa, campos personalizados...)
  * - PATCH  /leads/:phone/status - Atualiza status do lead
+ * - POST   /leads/:phone/tags   - Coloca etiquetas no lead
+ * - DELETE /leads/:phone/tags/:tag - Tira uma etiqueta do lead
+ * - POST   /leads/:phone/messages - Atendente envia mensagem ao lead
+ * - POST   /leads/:phone/takeover - Atendente assume a conversa (pausa o bot)
+ * - POST   /leads/:phone/release  - Devolve a conversa para o bot
+ * 
+ * Autenticação (aplicada em app.js):
+ * - Rotas GET exigem papel read (ou superior)
+ * - Rotas que alteram leads exigem papel agent (ou superior)
  */
 
 const express = require('express');
 const router = express.Router();
 const leadController = require('../controllers/leadController');
+const exportController = require('../controllers/exportController');
+const importController = require('../controllers/importController');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { STATUSES, LIST_QUERY } = require('../services/leadService');
+const { EXPORT_QUERY, TRANSCRIPT_FORMATS } = require('../services/exportService');
+const { IMPORT_MAX_SIZE } = require('../services/importService');
+
+/**
+ * Formato dos dados das rotas (veja middlewares/validate.js)
+ */
+const phoneParam = { phoneNumber: { pattern: /^\d{8,15}$/ } };
+
+const byPhone = validate({ params: phoneParam });
+
+// Qualquer chave válida pode consultar leads
+router.use(requireRole('read'));
 
 /**
  * GET /leads/stats
@@ -24,6 +55,59 @@ const leadController = require('../controllers/leadController');
  */
 router.get('/stats', leadController.getStats);
 
+/**
+ * GET /leads/export
+ * 
+ * Exporta os leads em um arquivo (download)
+ * 
+ * Query params (opcionais):
+ * - format: csv (padrão), xlsx ou ndjson (um lead em JSON por linha)
+ * - messages: 1 para incluir a conversa completa de cada lead
+ * - os mesmos filtros, sortBy e sortOrder de GET /leads
+ * 
+ * Todos os leads que atendem aos filtros são exportados (sem paginação).
+ * 
+ * IMPORTANTE: também deve vir ANTES de /leads/:phoneNumber
+ * 
+ * Exemplos:
+ * - GET /leads/export?format=xlsx&status=novo
+ * - GET /leads/export?format=ndjson&tags=vip&messages=1
+ */
+router.get('/export', validate({ query: EXPORT_QUERY }), exportController.exportLeads);
+
+/**
+ * POST /leads/import
+ * 
+ * Importa leads de um CSV (corpo com Content-Type: text/csv, até 5 MB)
+ * Números que já existem atualizam o lead; os novos são criados.
+ * 
+ * Query params (opcionais):
+ * - map.<campo>: coluna do CSV com o valor do campo (padrão: a coluna
+ *   de mesmo nome, como no CSV de GET /leads/export)
+ * - delimiter: , ; ou tab (padrão: detectado pelo cabeçalho)
+ * - validateWhatsApp: 1 para recusar números sem WhatsApp
+ * - dryRun: 1 para só conferir, sem salvar
+ * 
+ * Retorna o resultado de cada linha (created, updated ou rejected).
+ * 
+ * Exemplo:
+ * POST /leads/import?map.phoneNumber=Telefone&map.name=Nome&delimiter=;
+ * Body:
+ *   Nome;Telefone;Empresa
+ *   Ana Souza;(11) 99999-9999;Acme
+ */
+router.post('/import', requireRole('agent'), express.text({
+  type: ['text/csv', 'text/plain'],
+  limit: IMPORT_MAX_SIZE,
+}), validate({
+  query: {
+    'map.*': { maxLength: 100 },
+    delimiter: { enum: [',', ';', 'tab'] },
+    validateWhatsApp: { enum: ['0', '1'] },
+    dryRun: { enum: ['0', '1'] },
+  },
+}), importController.importLeads);
+
 /**
  * GET /leads
  * 
@@ -33,18 +117,40 @@ router.get('/stats', leadController.getStats);
  * - status: filtrar por status (novo, em_atendimento, finalizado)
  * - priority: filtrar por prioridade (baixa, média, alta)
  * - intent: filtrar por intenção (orçamento, dúvida, suporte, outro)
- * - page: número da página (padrão: 1)
- * - limit: itens por página (padrão: 50)
- * - sortBy: campo para ordenar (padrão: lastInteraction)
+ * - sentiment: filtrar por sentimento (positivo, neutro, negativo)
+ * - state: filtrar por etapa da conversa
+ *   (status, priority, intent, sentiment e state aceitam vários valores
+ *   separados por vírgula)
+ * - owner, company, city: filtrar pelo perfil do lead
+ * - name, phone: começo do nome / do número
+ * - createdFrom, createdTo: período de cadastro (AAAA-MM-DD, inclusive)
+ * - lastInteractionFrom, lastInteractionTo: período da última interação
+ * - dealValueMin, dealValueMax: faixa do valor do negócio
+ * - custom.<campo>: filtrar por um campo personalizado
+ * - tags: etiquetas que o lead precisa ter (separadas por vírgula)
+ * - excludeTags: etiquetas que o lead NÃO pode ter
+ * - page: número da página (padrão: 1, máximo: 10000)
+ * - limit: itens por página (padrão: 50, máximo: 200)
+ * - cursor: continua depois da página anterior (pagination.nextCursor),
+ *   no lugar de page
+ * - sortBy: campo para ordenar (padrão: lastInteraction; custom.<campo> para campos personalizados).
+ *   Só colunas conhecidas são aceitas (veja Lead.SORT_COLUMNS)
  * - sortOrder: ordem (asc ou desc, padrão: desc)
  * 
+ * Parâmetros desconhecidos ou inválidos retornam 400.
+ * 
  * Exemplos:
  * - GET /leads
- * - GET /leads?status=novo
+ * - GET /leads?status=novo,em_atendimento
  * - GET /leads?priority=alta&status=novo
  * - GET /leads?page=2&limit=20
+ * - GET /leads?limit=100&cursor=eyJzb3J0Ijoi...
+ * - GET /leads?createdFrom=2024-05-01&createdTo=2024-05-31&sentiment=negativo
+ * - GET /leads?name=ana&phone=5511
+ * - GET /leads?custom.segmento=varejo&sortBy=dealValue
+ * - GET /leads?tags=vip&excludeTags=perdido
  */
-router.get('/', leadController.listLeads);
+router.get('/', validate({ query: LIST_QUERY }), leadController.listLeads);
 
 /**
  * GET /leads/:phoneNumber
@@ -57,7 +163,59 @@ router.get('/', leadController.listLeads);
  * Exemplo:
  * - GET /leads/5511999999999
  */
-router.get('/:phoneNumber', leadController.getLeadByPhone);
+router.get('/:phoneNumber', byPhone, leadController.getLeadByPhone);
+
+/**
+ * GET /leads/:phoneNumber/attachments/:id
+ * 
+ * Baixa uma mídia (imagem, áudio, vídeo, documento, figurinha) enviada pelo lead
+ * Os anexos do lead aparecem em GET /leads/:phoneNumber (campo attachments)
+ * 
+ * Query params (opcionais):
+ * - download: 1 para forçar o download em vez de abrir no navegador
+ * 
+ * Exemplo:
+ * - GET /leads/5511999999999/attachments/3
+ */
+router.get('/:phoneNumber/attachments/:id', validate({
+  params: { ...phoneParam, id: { type: 'integer', min: 1 } },
+  query: { download: { enum: ['0', '1'] } },
+}), leadController.getAttachment);
+
+/**
+ * GET /leads/:phoneNumber/transcript
+ * 
+ * Baixa a conversa completa do lead (com as transcrições dos áudios)
+ * 
+ * Query params (opcionais):
+ * - format: txt (padrão) ou pdf
+ * 
+ * Exemplo:
+ * - GET /leads/5511999999999/transcript?format=pdf
+ */
+router.get('/:phoneNumber/transcript', validate({
+  params: phoneParam,
+  query: { format: { enum: Object.keys(TRANSCRIPT_FORMATS) } },
+}), exportController.exportTranscript);
+
+/**
+ * PATCH /leads/:phoneNumber
+ * 
+ * Atualiza o perfil do lead. Envie só os campos que mudaram;
+ * null apaga o campo.
+ * 
+ * Body (opcionais):
+ * - name, email, company, city, notes, owner, dealValue
+ * - customFields: { campo: valor } (campos criados em /custom-fields)
+ * 
+ * Exemplo:
+ * PATCH /leads/5511999999999
+ * Body: { "email": "ana@acme.com", "dealValue": 15000, "customFields": { "segmento": "varejo" } }
+ */
+router.patch('/:phoneNumber', requireRole('agent'), validate({
+  params: phoneParam,
+  body: {},
+}), leadController.updateLeadProfile);
 
 /**
  * PATCH /leads/:phoneNumber/status
@@ -74,7 +232,87 @@ router.get('/:phoneNumber', leadController.getLeadByPhone);
  * PATCH /leads/5511999999999/status
  * Body: { "status": "em_atendimento" }
  */
-router.patch('/:phoneNumber/status', leadController.updateLeadStatus);
+router.patch('/:phoneNumber/status', requireRole('agent'), validate({
+  params: phoneParam,
+  body: { status: { required: true, enum: STATUSES } },
+}), leadController.updateLeadStatus);
+
+/**
+ * POST /leads/:phoneNumber/tags
+ * 
+ * Coloca etiquetas no lead (as etiquetas precisam existir em /tags)
+ * 
+ * Exemplo:
+ * POST /leads/5511999999999/tags
+ * Body: { "tags": ["vip", "revenda"] }
+ */
+router.post('/:phoneNumber/tags', requireRole('agent'), validate({
+  params: phoneParam,
+  body: { tags: { type: 'array', required: true, minLength: 1, items: { minLength: 1, maxLength: 50 } } },
+}), leadController.addLeadTags);
+
+/**
+ * DELETE /leads/:phoneNumber/tags/:tag
+ * 
+ * Tira uma etiqueta do lead (pelo nome)
+ * 
+ * Exemplo:
+ * DELETE /leads/5511999999999/tags/vip
+ */
+router.delete('/:phoneNumber/tags/:tag', requireRole('agent'), validate({
+  params: { ...phoneParam, tag: { maxLength: 50 } },
+}), leadController.removeLeadTag);
+
+/**
+ * POST /leads/:phoneNumber/messages
+ * 
+ * Envia uma mensagem de um atendente para o lead pelo WhatsApp
+ * A mensagem fica registrada no histórico com sender = 'agent'
+ * 
+ * Body:
+ * - text: texto da mensagem
+ * - agent: identificador do atendente
+ * 
+ * Exemplo:
+ * POST /leads/5511999999999/messages
+ * Body: { "text": "Olá! Sou a Maria, vou te ajudar.", "agent": "maria@empresa.com" }
+ */
+router.post('/:phoneNumber/messages', requireRole('agent'), validate({
+  params: phoneParam,
+  body: {
+    text: { required: true, minLength: 1, maxLength: 4096 },
+    agent: { minLength: 1, maxLength: 100 },
+  },
+}), leadController.sendMessage);
+
+/**
+ * POST /leads/:phoneNumber/takeover
+ * 
+ * Um atendente humano assume a conversa.
+ * O bot continua salvando e classificando as mensagens do lead,
+ * mas para de enviar respostas automáticas.
+ * 
+ * Body:
+ * - agent: identificador do atendente
+ * 
+ * Exemplo:
+ * POST /leads/5511999999999/takeover
+ * Body: { "agent": "maria@empresa.com" }
+ */
+router.post('/:phoneNumber/takeover', requireRole('agent'), validate({
+  params: phoneParam,
+  body: { agent: { minLength: 1, maxLength: 100 } },
+}), leadController.takeOverLead);
+
+/**
+ * POST /leads/:phoneNumber/release
+ * 
+ * Devolve a conversa para o bot (volta a responder automaticamente)
+ * 
+ * Exemplo:
+ * POST /leads/5511999999999/release
+ */
+router.post('/:phoneNumber/release', requireRole('agent'), byPhone, leadController.releaseLead);
 
 // Exporta o router para ser usado no app.js
 module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * ROTAS: BUSCA
+ *
+ * Define a rota HTTP de busca de texto livre nas conversas.
+ *
+ * Rotas disponíveis:
+ * - GET /search?q=...  - Busca nas mensagens e nos nomes dos leads (read)
+ */
+
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { SENDERS } = require('../services/searchService');
+
+// Qualquer chave válida pode buscar
+router.use(requireRole('read'));
+
+/**
+ * GET /search
+ *
+ * Busca nas mensagens (texto e transcrição) e no nome/empresa dos
+ * leads. Os resultados vêm agrupados por lead, com até 3 trechos
+ * das mensagens encontradas (termos marcados com <mark></mark>).
+ *
+ * Query params:
+ * - q: o que buscar (obrigatório); "entre aspas" busca a frase exata
+ * - from, to: período das mensagens (AAAA-MM-DD)
+ * - sender: lead | bot | agent
+ * - page, limit: paginação (por lead; page até 10000, limit até 50)
+ *
+ * Exemplos:
+ * - GET /search?q=modelo azul
+ * - GET /search?q="modelo azul"&from=2024-05-01&sender=lead
+ */
+router.get('/', validate({
+  query: {
+    q: { required: true, minLength: 2, maxLength: 200 },
+    from: { pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    to: { pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    sender: { enum: SENDERS },
+    page: { type: 'integer', min: 1, max: 10000 },
+    limit: { type: 'integer', min: 1, max: 50 },
+  },
+}), searchController.search);
+
+// Exporta o router para ser usado no app.js
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * ROTAS: SEGMENTOS
+ *
+ * Define as rotas HTTP para salvar filtros da listagem de leads
+ * com um nome e consultá-los depois.
+ *
+ * Rotas disponíveis:
+ * - GET    /segments              - Lista os segmentos (read)
+ * - GET    /segments/:name        - Busca um segmento (read)
+ * - GET    /segments/:name/leads  - Lista os leads do segmento (read)
+ * - POST   /segments              - Cria um segmento (agent)
+ * - PUT    /segments/:name        - Substitui os dados de um segmento (agent)
+ * - DELETE /segments/:name        - Remove um segmento (agent)
+ *
+ * O nome vai na URL codificado (ex: /segments/Quentes%20de%20SP/leads)
+ * e não diferencia maiúsculas.
+ */
+
+const express = require('express');
+const router = express.Router();
+const segmentController = require('../controllers/segmentController');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { LIST_OPTIONS } = require('../services/leadService');
+
+/**
+ * Formato dos dados das rotas (os filtros são conferidos pelo
+ * segmentService, do mesmo jeito que em GET /leads)
+ */
+const byName = validate({
+  params: { name: { maxLength: 100 } },
+});
+
+const segmentBody = validate({
+  body: {
+    name: { required: true, minLength: 1, maxLength: 100 },
+    description: { nullable: true, maxLength: 500 },
+    filters: { type: 'object', required: true },
+  },
+});
+
+// Leitura: qualquer chave válida
+router.use(requireRole('read'));
+
+/**
+ * GET /segments
+ *
+ * Lista os segmentos e seus filtros
+ */
+router.get('/', segmentController.listSegments);
+
+/**
+ * GET /segments/:name
+ *
+ * Busca um segmento pelo nome
+ */
+router.get('/:name', byName, segmentController.getSegment);
+
+/**
+ * GET /segments/:name/leads
+ *
+ * Lista os leads que atendem aos filtros do segmento
+ *
+ * Query params opcionais: page, limit, cursor, sortBy, sortOrder (como em GET /leads)
+ */
+router.get('/:name/leads', validate({
+  params: { name: { maxLength: 100 } },
+  query: LIST_OPTIONS,
+}), segmentController.getSegmentLeads);
+
+/**
+ * POST /segments
+ *
+ * Cria um segmento. Os filtros são os mesmos de GET /leads.
+ *
+ * Exemplo:
+ * POST /segments
+ * Body: {
+ *   "name": "Quentes de SP",
+ *   "filters": { "tags": ["quente"], "city": "São Paulo", "dealValueMin": 1000 }
+ * }
+ */
+router.post('/', requireRole('agent'), segmentBody, segmentController.createSegment);
+
+/**
+ * PUT /segments/:name
+ *
+ * Substitui os dados de um segmento (envie o segmento completo)
+ */
+router.put('/:name', requireRole('agent'), byName, segmentBody, segmentController.updateSegment);
+
+/**
+ * DELETE /segments/:name
+ *
+ * Remove um segmento (os leads não são alterados)
+ */
+router.delete('/:name', requireRole('agent'), byName, segmentController.deleteSegment);
+
+// Exporta o router para ser usado no app.js
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * ROTAS: CONFIGURAÇÕES
+ *
+ * Define as rotas HTTP para consultar as configurações do atendimento.
+ * Todas exigem uma API Key (qualquer papel).
+ *
+ * Rotas disponíveis:
+ * - GET /settings/business-hours - Horário de atendimento e situação atual
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { requireRole } = require('../middlewares/auth');
+
+// Leitura: qualquer chave válida
+router.use(requireRole('read'));
+
+/**
+ * GET /settings/business-hours
+ *
+ * Retorna o fuso, o horário semanal, os feriados e se
+ * estamos atendendo agora (com a próxima abertura/fechamento)
+ */
+router.get('/business-hours', settingsController.getBusinessHours);
+
+// Exporta o router para ser usado no app.js
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * ROTAS: ETIQUETAS (TAGS)
+ *
+ * Define as rotas HTTP para consultar e editar as etiquetas dos leads.
+ *
+ * Rotas disponíveis:
+ * - GET    /tags      - Lista as etiquetas (read)
+ * - GET    /tags/:id  - Busca uma etiqueta (read)
+ * - POST   /tags      - Cria uma etiqueta (admin)
+ * - PUT    /tags/:id  - Substitui os dados de uma etiqueta (admin)
+ * - DELETE /tags/:id  - Remove uma etiqueta (admin)
+ *
+ * Colocar e tirar etiquetas de um lead: /leads/:phoneNumber/tags
+ */
+
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const { requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+
+/**
+ * Formato dos dados das rotas (nome único, cor e regras são
+ * conferidos pelo tagService.validateTag)
+ */
+const byId = validate({
+  params: { id: { type: 'integer', min: 1 } },
+});
+
+const tagBody = validate({
+  body: {
+    name: { required: true, minLength: 1, maxLength: 50 },
+    color: { nullable: true },
+    description: { nullable: true, maxLength: 500 },
+    rules: { type: 'array', nullable: true, maxLength: 20 },
+  },
+});
+
+// Leitura: qualquer chave válida
+router.use(requireRole('read'));
+
+/**
+ * GET /tags
+ *
+ * Lista as etiquetas (com leadCount). Inclui a referência das
+ * condições aceitas nas regras.
+ */
+router.get('/', tagController.listTags);
+
+/**
+ * GET /tags/:id
+ *
+ * Busca uma etiqueta pelo ID
+ */
+router.get('/:id', byId, tagController.getTag);
+
+/**
+ * POST /tags
+ *
+ * Cria uma etiqueta
+ *
+ * Exemplo:
+ * POST /tags
+ * Body: {
+ *   "name": "quente",
+ *   "color": "#ff5500",
+ *   "rules": [{ "intent": "orçamento", "priority": "alta" }, { "keywords": ["urgente"] }]
+ * }
+ */
+router.post('/', requireRole('admin'), tagBody, tagController.createTag);
+
+/**
+ * PUT /tags/:id
+ *
+ * Substitui os dados de uma etiqueta (envie a etiqueta completa)
+ */
+router.put('/:id', requireRole('admin'), byId, tagBody, tagController.updateTag);
+
+/**
+ * DELETE /tags/:id
+ *
+ * Remove a etiqueta (e a tira de todos os leads)
+ */
+router.delete('/:id', requireRole('admin'), byId, tagController.deleteTag);
+
+// Exporta o router para ser usado no app.js
+module.exports = router;
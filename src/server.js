@@ -27,6 +27,11 @@ const log = require('./utils/logger');
 const { connectDB, disconnectDB } = require('./utils/database');
 const { connectToWhatsApp, disconnect: disconnectWhatsApp } = require('./bot/connect');
 const { routeMessage } = require('./bot/messageHandler');
+const { validateProviderConfig } = require('./services/aiService');
+const businessHoursService = require('./services/businessHoursService');
+const qualificationService = require('./services/qualificationService');
+const storageService = require('./services/storageService');
+const transcriptionService = require('./services/transcriptionService');
 
 // ==========================================
 // CONFIGURAÇÕES
@@ -77,14 +82,37 @@ async function startServer() {
       );
     }
 
-    // Verifica se tem a API key da IA escolhida
-    const aiProvider = process.env.AI_PROVIDER;
-    if (aiProvider === 'openai' && !process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY não configurada no .env');
-    }
-    if (aiProvider === 'gemini' && !process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY não configurada no .env');
-    }
+    // Verifica se os provedores de IA existem e têm as variáveis que precisam
+    // (cada provedor declara as suas em services/ai/providers/)
+    const aiChain = validateProviderConfig();
+    log.info('✓ Provedores de IA configurados', {
+      chain: aiChain.map(provider => provider.name).join(' → '),
+    });
+
+    // Valida o horário de atendimento (BUSINESS_HOURS, fuso e feriados)
+    const businessHours = businessHoursService.getConfig();
+    log.info('✓ Horário de atendimento configurado', {
+      timezone: businessHours.timezone,
+      holidays: businessHours.holidays.length,
+      openNow: businessHoursService.isOpen(),
+    });
+
+    // Valida as perguntas do questionário de qualificação
+    const qualification = qualificationService.getConfig();
+    log.info('✓ Questionário de qualificação configurado', {
+      questions: qualification.questions.length,
+      triggerIntents: qualification.triggerIntents,
+    });
+
+    // Verifica o armazenamento das mídias recebidas (MEDIA_STORAGE)
+    const storage = storageService.validateConfig();
+    log.info('✓ Armazenamento de mídias configurado', { storage: storage.name });
+
+    // Verifica o provedor de transcrição das mensagens de voz (se ligado)
+    const transcription = transcriptionService.validateConfig();
+    log.info('✓ Transcrição de áudio configurada', {
+      provider: transcription ? transcription.name : 'desligada',
+    });
 
     log.info('✓ Variáveis de ambiente validadas');
 
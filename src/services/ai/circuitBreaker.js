@@ -0,0 +1,152 @@
+/**
+ * IA: CIRCUIT BREAKER POR PROVEDOR
+ *
+ * Evita insistir em um provedor que está fora do ar.
+ *
+ * Estados de cada provedor:
+ * - closed: funcionando normalmente, as requisições passam
+ * - open: falhou AI_CIRCUIT_FAILURE_THRESHOLD vezes seguidas;
+ *   as requisições são puladas por AI_CIRCUIT_RESET_SECONDS
+ * - half-open: o tempo de espera passou; UMA requisição de teste passa.
+ *   Se der certo, volta para closed. Se falhar, volta para open.
+ */
+
+const log = require('../../utils/logger');
+
+/**
+ * Estado de cada provedor, indexado pelo nome
+ */
+const circuits = new Map();
+
+/**
+ * Lê a configuração do .env
+ *
+ * @returns {Object} - { failureThreshold, resetMs }
+ */
+function getConfig() {
+  return {
+    failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3,
+    resetMs: (parseInt(process.env.AI_CIRCUIT_RESET_SECONDS) || 60) * 1000,
+  };
+}
+
+/**
+ * Retorna (criando se necessário) o circuito de um provedor
+ *
+ * @param {String} name - Nome do provedor
+ * @returns {Object} - Estado do circuito
+ */
+function getCircuit(name) {
+  if (!circuits.has(name)) {
+    circuits.set(name, {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      successes: 0,
+      failures: 0,
+    });
+  }
+
+  return circuits.get(name);
+}
+
+/**
+ * Verifica se uma requisição pode ser feita ao provedor agora
+ *
+ * @param {String} name - Nome do provedor
+ * @returns {Boolean}
+ */
+function canRequest(name) {
+  const circuit = getCircuit(name);
+
+  if (circuit.state === 'closed') {
+    return true;
+  }
+
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= getConfig().resetMs) {
+    // Tempo de espera passou: libera uma requisição de teste
+    circuit.state = 'half-open';
+    log.ai('Circuit breaker em teste (half-open)', { provider: name });
+    return true;
+  }
+
+  // open dentro do tempo de espera, ou half-open com teste já em andamento
+  return false;
+}
+
+/**
+ * Registra uma requisição bem-sucedida
+ *
+ * @param {String} name - Nome do provedor
+ */
+function recordSuccess(name) {
+  const circuit = getCircuit(name);
+
+  if (circuit.state !== 'closed') {
+    log.ai('Circuit breaker fechado, provedor recuperado', { provider: name });
+  }
+
+  circuit.state = 'closed';
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+  circuit.lastSuccessAt = new Date().toISOString();
+  circuit.successes += 1;
+}
+
+/**
+ * Registra uma falha (já considerando as retentativas)
+ *
+ * @param {String} name - Nome do provedor
+ * @param {Error} error - Erro ocorrido
+ */
+function recordFailure(name, error) {
+  const circuit = getCircuit(name);
+
+  circuit.consecutiveFailures += 1;
+  circuit.failures += 1;
+  circuit.lastError = error?.message || String(error);
+  circuit.lastFailureAt = new Date().toISOString();
+
+  const shouldOpen = circuit.state === 'half-open' ||
+    circuit.consecutiveFailures >= getConfig().failureThreshold;
+
+  if (shouldOpen && circuit.state !== 'open') {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+
+    log.warn('Circuit breaker aberto, provedor de IA suspenso temporariamente', {
+      provider: name,
+      consecutiveFailures: circuit.consecutiveFailures,
+      lastError: circuit.lastError,
+    });
+  }
+}
+
+/**
+ * Retorna o estado de todos os circuitos (para o /status)
+ *
+ * @returns {Object} - { [provedor]: estado }
+ */
+function getStates() {
+  const states = {};
+
+  for (const [name, circuit] of circuits) {
+    states[name] = {
+      ...circuit,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    };
+  }
+
+  return states;
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  canRequest,
+  recordSuccess,
+  recordFailure,
+  getStates,
+};
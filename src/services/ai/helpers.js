@@ -0,0 +1,133 @@
+/**
+ * IA: FUNÇÕES AUXILIARES DOS PROVEDORES
+ *
+ * Código compartilhado entre os provedores de IA (providers/).
+ */
+
+const log = require('../../utils/logger');
+
+/**
+ * Configurações de geração usadas por todos os provedores LLM
+ *
+ * Baixa temperatura = respostas mais consistentes
+ */
+const GENERATION_CONFIG = {
+  temperature: 0.3,
+  maxTokens: 150,
+  timeout: 10000, // Timeout de 10 segundos
+};
+
+/**
+ * Converte o texto retornado por um LLM em objeto
+ *
+ * Os modelos às vezes envolvem o JSON em markdown (```json ... ```),
+ * então removemos isso antes de parsear.
+ *
+ * @param {String} content - Texto retornado pelo modelo
+ * @returns {Object} - JSON parseado
+ */
+function parseJSONResponse(content) {
+  const jsonString = content
+    .trim()
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '');
+
+  return JSON.parse(jsonString);
+}
+
+/**
+ * Verifica se vale a pena tentar de novo após um erro do axios
+ *
+ * Tentamos de novo em:
+ * - 429 (limite de requisições)
+ * - 5xx (erro no servidor do provedor)
+ * - timeout e falhas de rede
+ *
+ * Erros 4xx (chave inválida, requisição malformada) e respostas
+ * que não são JSON NÃO são repetidos: falhariam de novo.
+ *
+ * @param {Error} error - Erro lançado
+ * @returns {Boolean}
+ */
+function isRetryableError(error) {
+  const status = error.response?.status;
+
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+
+  return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN']
+    .includes(error.code);
+}
+
+/**
+ * Calcula quanto esperar antes da próxima tentativa
+ *
+ * Backoff exponencial (500ms, 1s, 2s...) com um pouco de aleatoriedade,
+ * respeitando o header Retry-After quando o provedor enviar.
+ *
+ * @param {Error} error - Erro da tentativa anterior
+ * @param {Number} attempt - Número da tentativa que falhou (começa em 1)
+ * @param {Number} baseDelayMs - Espera base
+ * @returns {Number} - Milissegundos
+ */
+function getRetryDelay(error, attempt, baseDelayMs) {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+
+  if (retryAfter > 0) {
+    // Limita para não travar o atendimento esperando demais
+    return Math.min(retryAfter * 1000, 10000);
+  }
+
+  const jitter = Math.random() * baseDelayMs * 0.2;
+  return baseDelayMs * 2 ** (attempt - 1) + jitter;
+}
+
+/**
+ * Executa uma função com retentativas em erros temporários
+ *
+ * @param {Function} fn - Função assíncrona a executar
+ * @param {Object} options - { retries, baseDelayMs, label }
+ * @returns {Promise<*>} - Resultado da função
+ */
+async function withRetry(fn, options = {}) {
+  // AI_MAX_RETRIES=0 desativa as retentativas
+  const envRetries = parseInt(process.env.AI_MAX_RETRIES);
+
+  const {
+    retries = Number.isNaN(envRetries) ? 2 : envRetries,
+    baseDelayMs = 500,
+    label = 'IA',
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, baseDelayMs);
+
+      log.warn('Erro temporário na IA, tentando novamente', {
+        provider: label,
+        attempt,
+        status: error.response?.status,
+        code: error.code,
+        delayMs: Math.round(delay),
+      });
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Exporta as funções para serem usadas pelos provedores
+module.exports = {
+  GENERATION_CONFIG,
+  parseJSONResponse,
+  isRetryableError,
+  withRetry,
+};
@@ -0,0 +1,56 @@
+/**
+ * PROVEDOR DE IA: ANTHROPIC
+ *
+ * Variáveis de ambiente:
+ * - ANTHROPIC_API_KEY (obrigatória)
+ * - ANTHROPIC_MODEL (padrão: claude-3-haiku-20240307)
+ */
+
+const axios = require('axios');
+const log = require('../../../utils/logger');
+const { GENERATION_CONFIG, parseJSONResponse } = require('../helpers');
+
+module.exports = {
+  name: 'anthropic',
+  requiredEnv: ['ANTHROPIC_API_KEY'],
+
+  /**
+   * Classifica uma mensagem usando a API de mensagens da Anthropic
+   *
+   * @param {Object} input - { prompt, message, history }
+   * @returns {Promise<Object>} - { intent, sentiment, priority, model }
+   */
+  async classify({ prompt }) {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    const model = process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307';
+
+    log.ai('Classificando mensagem com Anthropic', { model });
+
+    const response = await axios.post(
+      'https://api.anthropic.com/v1/messages',
+      {
+        model,
+        max_tokens: GENERATION_CONFIG.maxTokens,
+        temperature: GENERATION_CONFIG.temperature,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        timeout: GENERATION_CONFIG.timeout,
+      }
+    );
+
+    const content = response.data.content[0].text;
+
+    return { ...parseJSONResponse(content), model };
+  },
+};
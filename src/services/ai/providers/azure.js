@@ -0,0 +1,58 @@
+/**
+ * PROVEDOR DE IA: AZURE OPENAI
+ *
+ * Variáveis de ambiente:
+ * - AZURE_OPENAI_API_KEY (obrigatória)
+ * - AZURE_OPENAI_ENDPOINT (obrigatória, ex: https://minha-empresa.openai.azure.com)
+ * - AZURE_OPENAI_DEPLOYMENT (obrigatória, nome do deployment do modelo)
+ * - AZURE_OPENAI_API_VERSION (padrão: 2024-02-01)
+ */
+
+const axios = require('axios');
+const log = require('../../../utils/logger');
+const { GENERATION_CONFIG, parseJSONResponse } = require('../helpers');
+
+module.exports = {
+  name: 'azure',
+  aliases: ['azure-openai'],
+  requiredEnv: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT'],
+
+  /**
+   * Classifica uma mensagem usando um deployment do Azure OpenAI
+   *
+   * @param {Object} input - { prompt, message, history }
+   * @returns {Promise<Object>} - { intent, sentiment, priority, model }
+   */
+  async classify({ prompt }) {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '');
+    const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-02-01';
+
+    log.ai('Classificando mensagem com Azure OpenAI', { deployment });
+
+    const response = await axios.post(
+      `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+      {
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: GENERATION_CONFIG.temperature,
+        max_tokens: GENERATION_CONFIG.maxTokens,
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'api-key': process.env.AZURE_OPENAI_API_KEY,
+        },
+        timeout: GENERATION_CONFIG.timeout,
+      }
+    );
+
+    const content = response.data.choices[0].message.content;
+
+    return { ...parseJSONResponse(content), model: deployment };
+  },
+};
@@ -0,0 +1,58 @@
+/**
+ * PROVEDOR DE IA: GOOGLE GEMINI
+ *
+ * Variáveis de ambiente:
+ * - GEMINI_API_KEY (obrigatória)
+ * - GEMINI_MODEL (padrão: gemini-pro)
+ */
+
+const axios = require('axios');
+const log = require('../../../utils/logger');
+const { GENERATION_CONFIG, parseJSONResponse } = require('../helpers');
+
+module.exports = {
+  name: 'gemini',
+  requiredEnv: ['GEMINI_API_KEY'],
+
+  /**
+   * Classifica uma mensagem usando a API do Gemini
+   *
+   * @param {Object} input - { prompt, message, history }
+   * @returns {Promise<Object>} - { intent, sentiment, priority, model }
+   */
+  async classify({ prompt }) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    const model = process.env.GEMINI_MODEL || 'gemini-pro';
+
+    log.ai('Classificando mensagem com Gemini', { model });
+
+    const response = await axios.post(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+      {
+        contents: [
+          {
+            parts: [
+              {
+                text: prompt,
+              },
+            ],
+          },
+        ],
+        generationConfig: {
+          temperature: GENERATION_CONFIG.temperature,
+          maxOutputTokens: GENERATION_CONFIG.maxTokens,
+        },
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: GENERATION_CONFIG.timeout,
+      }
+    );
+
+    const content = response.data.candidates[0].content.parts[0].text;
+
+    return { ...parseJSONResponse(content), model };
+  },
+};
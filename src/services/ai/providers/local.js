@@ -0,0 +1,62 @@
+/**
+ * PROVEDOR DE IA: LOCAL (Ollama ou qualquer API compatível com OpenAI)
+ *
+ * Permite usar um modelo rodando na sua própria máquina/servidor,
+ * sem enviar as mensagens dos clientes para serviços externos.
+ *
+ * Variáveis de ambiente:
+ * - LOCAL_AI_BASE_URL (padrão: http://localhost:11434/v1, o endereço do Ollama)
+ * - LOCAL_AI_MODEL (padrão: llama3)
+ * - LOCAL_AI_API_KEY (opcional, se o servidor exigir)
+ */
+
+const axios = require('axios');
+const log = require('../../../utils/logger');
+const { GENERATION_CONFIG, parseJSONResponse } = require('../helpers');
+
+module.exports = {
+  name: 'local',
+  aliases: ['ollama', 'openai-compatible'],
+  requiredEnv: [],
+
+  /**
+   * Classifica uma mensagem usando um endpoint /chat/completions local
+   *
+   * @param {Object} input - { prompt, message, history }
+   * @returns {Promise<Object>} - { intent, sentiment, priority, model }
+   */
+  async classify({ prompt }) {
+    const baseUrl = (process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    const model = process.env.LOCAL_AI_MODEL || 'llama3';
+    const apiKey = process.env.LOCAL_AI_API_KEY;
+
+    log.ai('Classificando mensagem com IA local', { baseUrl, model });
+
+    const response = await axios.post(
+      `${baseUrl}/chat/completions`,
+      {
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: GENERATION_CONFIG.temperature,
+        max_tokens: GENERATION_CONFIG.maxTokens,
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        },
+        // Modelos locais costumam ser mais lentos
+        timeout: GENERATION_CONFIG.timeout * 3,
+      }
+    );
+
+    const content = response.data.choices[0].message.content;
+
+    return { ...parseJSONResponse(content), model };
+  },
+};
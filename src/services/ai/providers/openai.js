@@ -0,0 +1,55 @@
+/**
+ * PROVEDOR DE IA: OPENAI (ChatGPT)
+ *
+ * Variáveis de ambiente:
+ * - OPENAI_API_KEY (obrigatória)
+ * - OPENAI_MODEL (padrão: gpt-3.5-turbo)
+ */
+
+const axios = require('axios');
+const log = require('../../../utils/logger');
+const { GENERATION_CONFIG, parseJSONResponse } = require('../helpers');
+
+module.exports = {
+  name: 'openai',
+  requiredEnv: ['OPENAI_API_KEY'],
+
+  /**
+   * Classifica uma mensagem usando a API da OpenAI
+   *
+   * @param {Object} input - { prompt, message, history }
+   * @returns {Promise<Object>} - { intent, sentiment, priority, model }
+   */
+  async classify({ prompt }) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+
+    log.ai('Classificando mensagem com OpenAI', { model });
+
+    const response = await axios.post(
+      'https://api.openai.com/v1/chat/completions',
+      {
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: GENERATION_CONFIG.temperature,
+        max_tokens: GENERATION_CONFIG.maxTokens,
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`,
+        },
+        timeout: GENERATION_CONFIG.timeout,
+      }
+    );
+
+    const content = response.data.choices[0].message.content;
+
+    return { ...parseJSONResponse(content), model };
+  },
+};
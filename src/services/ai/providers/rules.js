@@ -0,0 +1,125 @@
+/**
+ * PROVEDOR DE IA: REGRAS POR PALAVRAS-CHAVE (offline)
+ *
+ * Classificação determinística, sem rede e sem custo.
+ * Útil para desenvolvimento, testes, e como último recurso
+ * quando nenhuma IA externa está disponível.
+ *
+ * Como funciona:
+ * - Normaliza o texto (minúsculas, sem acentos)
+ * - Procura palavras-chave de cada intenção e sentimento
+ * - Deriva a prioridade da intenção, do sentimento e de termos de urgência
+ *
+ * Não precisa de nenhuma variável de ambiente.
+ */
+
+/**
+ * Palavras-chave por intenção (sem acentos, em minúsculas)
+ * A ordem importa: a primeira intenção com mais ocorrências vence
+ */
+const INTENT_KEYWORDS = {
+  suporte: ['problema', 'erro', 'defeito', 'quebrou', 'quebrado', 'nao funciona', 'parou',
+    'reclamacao', 'reclamar', 'suporte', 'conserto', 'garantia', 'troca', 'devolucao'],
+  'orçamento': ['orcamento', 'preco', 'valor', 'quanto custa', 'quanto fica', 'quanto e',
+    'comprar', 'pedido', 'cotacao', 'proposta', 'tabela', 'desconto', 'pagamento'],
+  'dúvida': ['duvida', 'como', 'qual', 'quais', 'quando', 'onde', 'funciona',
+    'informacao', 'saber', 'pergunta', '?'],
+};
+
+/**
+ * Palavras-chave de sentimento
+ */
+const SENTIMENT_KEYWORDS = {
+  negativo: ['ruim', 'pessimo', 'horrivel', 'absurdo', 'irritado', 'decepcionado',
+    'cansado', 'demora', 'descaso', 'nunca', 'pior', 'raiva', 'inaceitavel', '!!!'],
+  positivo: ['obrigado', 'obrigada', 'otimo', 'excelente', 'adorei', 'parabens',
+    'perfeito', 'maravilha', 'legal', 'top', 'amei', '😊', '😀', '👍', '❤'],
+};
+
+/**
+ * Termos que indicam urgência (elevam a prioridade)
+ */
+const URGENCY_KEYWORDS = ['urgente', 'urgencia', 'agora', 'hoje', 'imediato', 'rapido', 'socorro'];
+
+/**
+ * Remove acentos e deixa em minúsculas
+ *
+ * @param {String} text - Texto original
+ * @returns {String} - Texto normalizado
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Conta quantas palavras-chave da lista aparecem no texto
+ *
+ * @param {String} text - Texto normalizado
+ * @param {Array<String>} keywords - Palavras-chave
+ * @returns {Number}
+ */
+function countMatches(text, keywords) {
+  return keywords.filter(keyword => text.includes(keyword)).length;
+}
+
+/**
+ * Retorna a chave com mais ocorrências (ou o padrão se nenhuma ocorreu)
+ *
+ * @param {String} text - Texto normalizado
+ * @param {Object} groups - { chave: [palavras] }
+ * @param {String} fallback - Valor padrão
+ * @returns {String}
+ */
+function bestMatch(text, groups, fallback) {
+  let best = fallback;
+  let bestCount = 0;
+
+  for (const [key, keywords] of Object.entries(groups)) {
+    const count = countMatches(text, keywords);
+
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  name: 'rules',
+  aliases: ['keywords', 'offline'],
+  requiredEnv: [],
+
+  /**
+   * Classifica a mensagem por palavras-chave
+   *
+   * @param {Object} input - { prompt, message, history }
+   * @returns {Promise<Object>} - { intent, sentiment, priority, model }
+   */
+  async classify({ message }) {
+    const text = normalize(message);
+
+    const intent = bestMatch(text, INTENT_KEYWORDS, 'outro');
+    const sentiment = bestMatch(text, SENTIMENT_KEYWORDS, 'neutro');
+    const isUrgent = countMatches(text, URGENCY_KEYWORDS) > 0;
+
+    let priority = 'baixa';
+
+    if (sentiment === 'negativo' || isUrgent) {
+      priority = 'alta';
+    } else if (intent === 'orçamento' || intent === 'suporte' || intent === 'dúvida') {
+      priority = 'média';
+    }
+
+    return {
+      intent,
+      sentiment,
+      priority,
+      model: 'keywords-v1',
+    };
+  },
+};
@@ -2,7 +2,8 @@
  * SERVICE: INTELIGÊNCIA ARTIFICIAL
  * 
  * Este serviço é responsável por classificar mensagens usando IA.
- * Suporta OpenAI (GPT) e Google Gemini.
+ * Os provedores (OpenAI, Gemini, Anthropic, Azure OpenAI, IA local e
+ * regras por palavras-chave) ficam em services/ai/providers/.
  * 
  * A IA analisa a mensagem e retorna:
  * - intent: intenção (orçamento, dúvida, suporte, outro)
@@ -10,17 +11,25 @@
  * - priority: prioridade (baixa, média, alta)
  * 
  * Como funciona:
- * 1. Recebe a mensagem do usuário
+ * 1. Recebe a mensagem do usuário (e as mensagens anteriores da conversa)
  * 2. Monta um prompt estruturado para a IA
- * 3. Envia para a API escolhida (OpenAI ou Gemini)
+ * 3. Envia para o provedor escolhido em AI_PROVIDER
  * 4. Parseia a resposta em JSON
  * 5. Retorna os dados classificados
  * 
- * IMPORTANTE: Se a IA falhar, retorna valores padrão (fallback)
+ * RESILIÊNCIA:
+ * - AI_PROVIDER é o provedor principal; AI_FALLBACK_PROVIDERS define
+ *   os próximos da cadeia (ex: gemini,rules)
+ * - Erros temporários (429, 5xx, timeout) são repetidos com backoff
+ * - Cada provedor tem um circuit breaker (ver ai/circuitBreaker.js)
+ * - Se TODOS falharem, retorna valores padrão (provider: 'default')
  */
 
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const log = require('../utils/logger');
+const circuitBreaker = require('./ai/circuitBreaker');
+const { withRetry } = require('./ai/helpers');
 
 /**
  * Prompt base que será enviado para a IA
@@ -53,222 +62,379 @@ PRIORITY (prioridade):
 - "média": pedido de orçamento, dúvida importante
 - "baixa": curiosidade, informação geral
 
-Mensagem do cliente:
+{{HISTORY}}Mensagem do cliente:
 "{{MESSAGE}}"
 
 Retorne APENAS o JSON, sem explicações.`;
 
 /**
- * Classifica uma mensagem usando OpenAI (ChatGPT)
+ * Bloco do prompt com o histórico da conversa
+ * Só é incluído quando existem mensagens anteriores
+ */
+const HISTORY_PROMPT = `Histórico recente da conversa (da mais antiga para a mais recente):
+{{LINES}}
+
+Classifique a mensagem mais recente considerando TODO o histórico acima:
+respostas curtas (ex: "sim", "quanto fica?") devem ser entendidas no contexto da conversa.
+
+`;
+
+/**
+ * Como cada remetente aparece no histórico enviado para a IA
+ */
+const SENDER_LABELS = {
+  lead: 'Cliente',
+  bot: 'Bot',
+  agent: 'Atendente',
+};
+
+/**
+ * Seleciona as mensagens do histórico que cabem no orçamento de contexto
  * 
- * @param {String} message - Mensagem a ser classificada
- * @returns {Promise<Object>} - Objeto com intent, sentiment e priority
+ * Percorre da mais recente para a mais antiga, parando quando
+ * AI_CONTEXT_MAX_CHARS for atingido, para não estourar os tokens do modelo.
+ * 
+ * @param {Array} history - Mensagens anteriores ({ sender, text }), da mais antiga para a mais recente
+ * @returns {Array} - Mensagens selecionadas, na mesma ordem
  */
-async function classifyWithOpenAI(message) {
-  try {
-    const apiKey = process.env.OPENAI_API_KEY;
-    const model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+function selectContext(history = []) {
+  const maxMessages = parseInt(process.env.AI_CONTEXT_MESSAGES) || 10;
+  const maxChars = parseInt(process.env.AI_CONTEXT_MAX_CHARS) || 2000;
+
+  const selected = [];
+  let usedChars = 0;
 
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY não configurada no .env');
+  for (const msg of history.slice(-maxMessages).reverse()) {
+    const size = msg.text.length;
+
+    if (usedChars + size > maxChars) {
+      break;
     }
 
-    // Monta o prompt substituindo {{MESSAGE}} pela mensagem real
-    const prompt = CLASSIFICATION_PROMPT.replace('{{MESSAGE}}', message);
-
-    log.ai('Classificando mensagem com OpenAI', { model });
-
-    // Faz a requisição para a API da OpenAI
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        temperature: 0.3, // Baixa temperatura = respostas mais consistentes
-        max_tokens: 150,
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        timeout: 10000, // Timeout de 10 segundos
-      }
-    );
+    selected.unshift(msg);
+    usedChars += size;
+  }
 
-    // Extrai o texto da resposta
-    const content = response.data.choices[0].message.content.trim();
-    
-    // Remove possíveis markdown (```json) da resposta
-    const jsonString = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    // Parseia o JSON
-    const classification = JSON.parse(jsonString);
+  return selected;
+}
 
-    log.ai('Mensagem classificada com sucesso', classification);
+/**
+ * Monta o prompt de classificação
+ * 
+ * @param {String} message - Mensagem a ser classificada
+ * @param {Array} history - Mensagens anteriores da conversa
+ * @returns {String} - Prompt pronto para enviar à IA
+ */
+function buildPrompt(message, history = []) {
+  const context = selectContext(history);
+
+  const historyBlock = context.length > 0
+    ? HISTORY_PROMPT.replace('{{LINES}}', () => context
+      .map(msg => `${SENDER_LABELS[msg.sender] || msg.sender}: ${msg.text}`)
+      .join('\n'))
+    : '';
+
+  // Usa funções no replace para não interpretar "$" do texto do cliente
+  return CLASSIFICATION_PROMPT
+    .replace('{{HISTORY}}', () => historyBlock)
+    .replace('{{MESSAGE}}', () => message);
+}
 
-    return classification;
+// ==========================================
+// REGISTRO DE PROVEDORES DE IA
+// ==========================================
 
-  } catch (error) {
-    log.error('Erro ao classificar com OpenAI:', error);
-    throw error;
+/**
+ * Provedores registrados, indexados pelo nome (e apelidos)
+ * 
+ * Todo provedor é um objeto com a seguinte interface:
+ * {
+ *   name: 'openai',                   // nome usado em AI_PROVIDER
+ *   aliases: ['...'],                 // (opcional) outros nomes aceitos
+ *   requiredEnv: ['OPENAI_API_KEY'],  // variáveis obrigatórias
+ *   classify: async ({ prompt, message, history }) => ({
+ *     intent, sentiment, priority, model
+ *   }),
+ * }
+ * 
+ * Para adicionar um novo provedor, basta criar um arquivo em
+ * services/ai/providers/ exportando esse objeto: ele é carregado
+ * automaticamente.
+ */
+const providers = new Map();
+
+/**
+ * Registra um provedor de IA
+ * 
+ * @param {Object} provider - Provedor seguindo a interface acima
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.classify !== 'function') {
+    throw new Error('Provedor de IA inválido: precisa de "name" e "classify()"');
+  }
+
+  for (const name of [provider.name, ...(provider.aliases || [])]) {
+    providers.set(name, provider);
   }
 }
 
 /**
- * Classifica uma mensagem usando Google Gemini
+ * Busca um provedor pelo nome (ou apelido)
  * 
- * @param {String} message - Mensagem a ser classificada
- * @returns {Promise<Object>} - Objeto com intent, sentiment e priority
+ * @param {String} name - Nome do provedor
+ * @returns {Object|null} - Provedor ou null se não registrado
  */
-async function classifyWithGemini(message) {
-  try {
-    const apiKey = process.env.GEMINI_API_KEY;
-    const model = process.env.GEMINI_MODEL || 'gemini-pro';
+function getProvider(name) {
+  return providers.get(name) || null;
+}
 
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY não configurada no .env');
+/**
+ * Lista os nomes dos provedores registrados (sem apelidos)
+ * 
+ * @returns {Array<String>}
+ */
+function listProviders() {
+  return [...new Set([...providers.values()].map(provider => provider.name))];
+}
+
+/**
+ * Carrega todos os provedores da pasta services/ai/providers
+ */
+function loadProviders() {
+  const providersDir = path.join(__dirname, 'ai', 'providers');
+
+  fs.readdirSync(providersDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => registerProvider(require(path.join(providersDir, file))));
+}
+
+/**
+ * Retorna a cadeia de provedores configurada
+ * 
+ * Ordem: AI_PROVIDER (principal) seguido de AI_FALLBACK_PROVIDERS
+ * Exemplo: AI_PROVIDER=openai e AI_FALLBACK_PROVIDERS=gemini,rules
+ *          => [openai, gemini, rules]
+ * 
+ * @returns {Array<Object>} - Provedores na ordem em que serão tentados
+ */
+function getProviderChain() {
+  const names = [
+    process.env.AI_PROVIDER || 'openai',
+    ...(process.env.AI_FALLBACK_PROVIDERS || '').split(','),
+  ]
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const chain = [];
+
+  for (const name of names) {
+    const provider = getProvider(name);
+
+    if (!provider) {
+      throw new Error(
+        `Provedor de IA "${name}" desconhecido. Provedores disponíveis: ${listProviders().join(', ')}`
+      );
     }
 
-    // Monta o prompt substituindo {{MESSAGE}} pela mensagem real
-    const prompt = CLASSIFICATION_PROMPT.replace('{{MESSAGE}}', message);
-
-    log.ai('Classificando mensagem com Gemini', { model });
-
-    // Faz a requisição para a API do Gemini
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-      {
-        contents: [
-          {
-            parts: [
-              {
-                text: prompt,
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 150,
-        },
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000,
-      }
-    );
+    // Ignora repetições (ex: "openai" e o apelido de outro provedor igual)
+    if (!chain.includes(provider)) {
+      chain.push(provider);
+    }
+  }
 
-    // Extrai o texto da resposta
-    const content = response.data.candidates[0].content.parts[0].text.trim();
-    
-    // Remove possíveis markdown da resposta
-    const jsonString = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    // Parseia o JSON
-    const classification = JSON.parse(jsonString);
+  return chain;
+}
 
-    log.ai('Mensagem classificada com sucesso', classification);
+/**
+ * Valida a configuração de todos os provedores da cadeia
+ * 
+ * Chamada na inicialização (server.js) para falhar cedo,
+ * em vez de descobrir o problema na primeira mensagem.
+ * 
+ * @returns {Array<Object>} - Provedores validados, na ordem da cadeia
+ */
+function validateProviderConfig() {
+  const chain = getProviderChain();
 
-    return classification;
+  for (const provider of chain) {
+    const missing = (provider.requiredEnv || []).filter(varName => !process.env[varName]);
 
-  } catch (error) {
-    log.error('Erro ao classificar com Gemini:', error);
-    throw error;
+    if (missing.length > 0) {
+      throw new Error(
+        `Variáveis obrigatórias para o provedor "${provider.name}" não configuradas no .env: ${missing.join(', ')}`
+      );
+    }
   }
+
+  return chain;
+}
+
+loadProviders();
+
+// ==========================================
+// CLASSIFICAÇÃO
+// ==========================================
+
+/**
+ * Estatísticas das classificações desde que a aplicação iniciou
+ * (expostas no GET /status)
+ */
+const stats = {
+  total: 0,
+  byProvider: {},
+  fallbacks: 0,
+  defaults: 0,
+  last: null,
+};
+
+/**
+ * Registra o resultado de uma classificação nas estatísticas
+ * 
+ * @param {Object} classification - Classificação final
+ */
+function recordStats(classification) {
+  stats.total += 1;
+  stats.byProvider[classification.provider] = (stats.byProvider[classification.provider] || 0) + 1;
+
+  if (classification.fallback) {
+    stats.fallbacks += 1;
+  }
+
+  if (classification.provider === 'default') {
+    stats.defaults += 1;
+  }
+
+  stats.last = {
+    provider: classification.provider,
+    model: classification.model,
+    fallback: classification.fallback,
+    latencyMs: classification.latencyMs,
+    at: new Date().toISOString(),
+  };
 }
 
 /**
  * Função principal de classificação
  * 
  * Esta é a função que deve ser chamada por outros módulos.
- * Ela decide qual IA usar baseado na variável AI_PROVIDER do .env
- * e fornece fallback caso a IA falhe.
+ * Ela percorre a cadeia de provedores (AI_PROVIDER + AI_FALLBACK_PROVIDERS)
+ * até um deles responder, e retorna valores padrão se todos falharem.
+ * 
+ * O histórico permite que a IA entenda mensagens curtas no contexto
+ * da conversa (ex: "sim, quanto fica?").
  * 
  * @param {String} message - Mensagem a ser classificada
- * @returns {Promise<Object>} - Objeto com intent, sentiment e priority
+ * @param {Array} history - Mensagens anteriores ({ sender, text }), da mais antiga para a mais recente
+ * @returns {Promise<Object>} - { intent, sentiment, priority, provider, model, latencyMs, fallback }
  */
-async function classifyMessage(message) {
+async function classifyMessage(message, history = []) {
+  // Marca o início para medir a latência da classificação
+  const startedAt = Date.now();
+
+  let classification = null;
+
   try {
     // Validação básica
     if (!message || typeof message !== 'string') {
       throw new Error('Mensagem inválida');
     }
 
-    // Decide qual provedor de IA usar
-    const provider = process.env.AI_PROVIDER || 'openai';
+    const chain = getProviderChain();
+    const input = {
+      prompt: buildPrompt(message, history),
+      message,
+      history,
+    };
 
-    let classification;
+    for (const [index, provider] of chain.entries()) {
+      // Provedor com muitas falhas recentes: pula direto para o próximo
+      if (!circuitBreaker.canRequest(provider.name)) {
+        log.ai('Provedor suspenso pelo circuit breaker, pulando', { provider: provider.name });
+        continue;
+      }
 
-    if (provider === 'gemini') {
-      classification = await classifyWithGemini(message);
-    } else {
-      // Padrão é OpenAI
-      classification = await classifyWithOpenAI(message);
-    }
+      try {
+        const result = await withRetry(() => provider.classify(input), { label: provider.name });
+
+        // Valida se a resposta tem os campos necessários
+        if (!result.intent || !result.sentiment || !result.priority) {
+          throw new Error('Resposta da IA incompleta');
+        }
+
+        circuitBreaker.recordSuccess(provider.name);
+
+        // Retorna apenas os campos conhecidos + de onde veio a classificação
+        classification = {
+          intent: result.intent,
+          sentiment: result.sentiment,
+          priority: result.priority,
+          provider: provider.name,
+          model: result.model || null,
+          latencyMs: Date.now() - startedAt,
+          fallback: index > 0,
+        };
 
-    // Valida se a resposta tem os campos necessários
-    if (!classification.intent || !classification.sentiment || !classification.priority) {
-      throw new Error('Resposta da IA incompleta');
+        break;
+
+      } catch (error) {
+        circuitBreaker.recordFailure(provider.name, error);
+        log.error(`Erro ao classificar com ${provider.name}, tentando o próximo provedor:`, error);
+      }
     }
 
-    return classification;
+    if (!classification) {
+      throw new Error('Nenhum provedor de IA disponível');
+    }
 
   } catch (error) {
-    log.error('Erro ao classificar mensagem, usando fallback:', error);
+    log.error('Erro ao classificar mensagem, usando valores padrão:', error);
 
     // FALLBACK: Se a IA falhar, retorna valores padrão
     // Isso garante que a aplicação continue funcionando
-    return {
+    classification = {
       intent: 'outro',
       sentiment: 'neutro',
       priority: 'média',
+      provider: 'default',
+      model: null,
+      latencyMs: Date.now() - startedAt,
+      fallback: true,
     };
   }
+
+  log.ai('Mensagem classificada', classification);
+  recordStats(classification);
+
+  return classification;
 }
 
 /**
- * Gera uma resposta automática baseada na classificação
- * 
- * Esta função é opcional, mas útil para responder automaticamente
- * ao cliente enquanto a IA classifica a mensagem.
+ * Status da IA para monitoramento (GET /status)
  * 
- * @param {Object} classification - Classificação da mensagem
- * @returns {String} - Mensagem de resposta
+ * @returns {Object} - Cadeia configurada, circuit breakers e estatísticas
  */
-function generateAutoResponse(classification) {
-  const companyName = process.env.COMPANY_NAME || 'Nossa Empresa';
-  const { intent, priority } = classification;
+function getStatus() {
+  let chain;
 
-  // Respostas baseadas na intenção
-  const responses = {
-    orçamento: `Olá! Obrigado por entrar em contato com ${companyName}. 
-Vi que você tem interesse em nossos produtos/serviços. 
-Nossa equipe irá te enviar um orçamento personalizado em breve! 📋`,
-
-    dúvida: `Olá! Obrigado por entrar em contato com ${companyName}. 
-Recebi sua dúvida e vou encaminhá-la para nosso time que retornará em breve! 🤝`,
-
-    suporte: `Olá! Identificamos que você precisa de suporte. 
-${priority === 'alta' ? 'Sua solicitação foi marcada como URGENTE e será priorizada!' : 'Nossa equipe técnica irá te ajudar em breve!'}
-Aguarde nosso retorno. 🛠️`,
+  try {
+    chain = getProviderChain().map(provider => provider.name);
+  } catch (error) {
+    chain = [];
+  }
 
-    outro: `Olá! Obrigado por entrar em contato com ${companyName}. 
-Recebemos sua mensagem e retornaremos em breve! 😊`,
+  return {
+    chain,
+    circuitBreakers: circuitBreaker.getStates(),
+    classifications: stats,
   };
-
-  return responses[intent] || responses.outro;
 }
 
 // Exporta as funções para serem usadas em outros arquivos
 module.exports = {
   classifyMessage,
-  generateAutoResponse,
+  registerProvider,
+  getProvider,
+  listProviders,
+  validateProviderConfig,
+  getStatus,
 };
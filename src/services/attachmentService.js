@@ -0,0 +1,222 @@
+/**
+ * SERVICE: ANEXOS (MÍDIAS RECEBIDAS)
+ *
+ * Salva as imagens, áudios, vídeos, documentos e figurinhas que os
+ * leads enviam, para que os atendentes possam consultá-los depois.
+ *
+ * Para cada mídia:
+ * 1. Baixa o arquivo pelo Baileys
+ * 2. Calcula tamanho e checksum (SHA-256)
+ * 3. Salva o arquivo no armazenamento (veja storageService)
+ * 4. Registra o anexo na tabela attachments, ligado à mensagem
+ *
+ * Configuração (.env):
+ * - MEDIA_STORAGE: onde salvar os arquivos (padrão: local)
+ * - MEDIA_MAX_SIZE_MB: mídias maiores não são baixadas (padrão: 16)
+ *
+ * Os arquivos são baixados pela API: GET /leads/:phoneNumber/attachments/:id
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const whatsappService = require('./whatsappService');
+const storageService = require('./storageService');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Como cada tipo de mídia aparece no histórico de mensagens
+ */
+const MEDIA_LABELS = {
+  image: 'imagem',
+  video: 'vídeo',
+  audio: 'áudio',
+  document: 'documento',
+  sticker: 'figurinha',
+};
+
+/**
+ * Extensões dos tipos mais comuns (os outros usam o subtipo do MIME)
+ */
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'video/quicktime': 'mov',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'text/plain': 'txt',
+  'application/octet-stream': 'bin',
+};
+
+/**
+ * Texto salvo no histórico para uma mídia sem legenda
+ *
+ * @param {Object} media - Mídia (veja whatsappService.extractMedia)
+ * @returns {String} - Ex: "[imagem]", "[documento: proposta.pdf]"
+ */
+function describeMedia(media) {
+  const label = media.voiceNote ? 'mensagem de voz' : MEDIA_LABELS[media.type];
+
+  return media.fileName ? `[${label}: ${media.fileName}]` : `[${label}]`;
+}
+
+/**
+ * Escolhe a extensão do arquivo salvo
+ *
+ * @param {Object} media - Mídia
+ * @returns {String} - Extensão sem o ponto (ex: jpg)
+ */
+function getExtension(media) {
+  const fromName = media.fileName ? path.extname(media.fileName).slice(1).toLowerCase() : '';
+
+  if (/^[a-z0-9]{1,10}$/.test(fromName)) {
+    return fromName;
+  }
+
+  const subtype = media.mimeType.split('/')[1] || '';
+
+  return EXTENSIONS[media.mimeType] || (/^[a-z0-9]{1,10}$/.test(subtype) ? subtype : 'bin');
+}
+
+/**
+ * Baixa e salva a mídia de uma mensagem
+ *
+ * Erros são registrados e NÃO interrompem o atendimento:
+ * a mensagem continua no histórico, só sem o arquivo.
+ *
+ * @param {Object} sock - Socket do WhatsApp (Baileys)
+ * @param {Object} message - Mensagem do Baileys
+ * @param {Object} storedMessage - Mensagem salva no histórico
+ * @param {Object} media - Mídia (veja whatsappService.extractMedia)
+ * @returns {Promise<Object|null>} - Anexo criado ou null se não foi salvo
+ */
+async function saveFromMessage(sock, message, storedMessage, media) {
+  const { phoneNumber } = storedMessage;
+
+  try {
+    const maxBytes = (parseFloat(process.env.MEDIA_MAX_SIZE_MB) || 16) * 1024 * 1024;
+
+    // Evita baixar arquivos enormes quando o WhatsApp informa o tamanho
+    if (media.size && media.size > maxBytes) {
+      metrics.increment('attachments.tooLarge');
+      log.warn('Mídia acima do limite, não será baixada', { phoneNumber, size: media.size });
+      return null;
+    }
+
+    const buffer = await whatsappService.downloadMedia(sock, message);
+
+    if (buffer.length > maxBytes) {
+      metrics.increment('attachments.tooLarge');
+      log.warn('Mídia acima do limite, não será salva', { phoneNumber, size: buffer.length });
+      return null;
+    }
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const storageKey = `${phoneNumber}/${storedMessage.id}-${sha256.slice(0, 12)}.${getExtension(media)}`;
+    const storage = storageService.getBackend();
+
+    await storage.save(storageKey, buffer);
+
+    const attachment = Attachment.create({
+      messageId: storedMessage.id,
+      phoneNumber,
+      type: media.type,
+      mimeType: media.mimeType,
+      fileName: media.fileName ? path.basename(media.fileName) : null,
+      size: buffer.length,
+      sha256,
+      storage: storage.name,
+      storageKey,
+    });
+
+    metrics.increment('attachments.saved');
+    log.info('Anexo salvo', { phoneNumber, id: attachment.id, type: media.type, size: buffer.length });
+
+    return attachment;
+
+  } catch (error) {
+    metrics.increment('attachments.failed');
+    log.error('Erro ao salvar anexo:', error);
+    return null;
+  }
+}
+
+/**
+ * Monta o anexo para a API (com o endereço de download)
+ *
+ * Mídias sem nome (fotos, áudios) recebem um nome como "image-3.jpg".
+ *
+ * @param {Object} attachment - Linha da tabela attachments
+ * @returns {Object}
+ */
+function toPublic(attachment) {
+  const { storageKey, ...rest } = attachment;
+
+  return {
+    ...rest,
+    fileName: attachment.fileName || `${attachment.type}-${attachment.id}${path.extname(storageKey)}`,
+    url: `/leads/${attachment.phoneNumber}/attachments/${attachment.id}`,
+  };
+}
+
+/**
+ * Lista os anexos de um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Array} - Anexos (sem o conteúdo)
+ */
+function listAttachments(phoneNumber) {
+  try {
+    return Attachment.findByPhone(phoneNumber).map(toPublic);
+
+  } catch (error) {
+    log.error('Erro ao listar anexos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um anexo com o conteúdo do arquivo
+ *
+ * @param {String} phoneNumber - Número do WhatsApp (o anexo precisa ser deste lead)
+ * @param {Number} id - ID do anexo
+ * @returns {Promise<Object|null>} - { attachment, content } ou null se não encontrado
+ */
+async function getAttachmentFile(phoneNumber, id) {
+  try {
+    const attachment = Attachment.findById(id);
+
+    if (!attachment || attachment.phoneNumber !== phoneNumber) {
+      return null;
+    }
+
+    const content = await storageService.getBackend(attachment.storage).read(attachment.storageKey);
+
+    if (!content) {
+      log.warn('Arquivo do anexo não encontrado no armazenamento', {
+        id,
+        storage: attachment.storage,
+        storageKey: attachment.storageKey,
+      });
+      return null;
+    }
+
+    return { attachment: toPublic(attachment), content };
+
+  } catch (error) {
+    log.error('Erro ao buscar arquivo do anexo:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  describeMedia,
+  saveFromMessage,
+  listAttachments,
+  getAttachmentFile,
+};
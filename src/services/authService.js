@@ -0,0 +1,151 @@
+/**
+ * SERVICE: AUTENTICAÇÃO
+ *
+ * Este serviço gerencia as API Keys usadas para acessar a API REST.
+ *
+ * Como funciona:
+ * 1. Uma chave é gerada aleatoriamente (ex: wls_3f9a1c...)
+ * 2. A chave completa é mostrada UMA única vez para quem a criou
+ * 3. No banco salvamos apenas o hash SHA-256 da chave
+ * 4. A cada requisição, calculamos o hash da chave recebida e buscamos no banco
+ *
+ * Papéis (roles), do menor para o maior acesso:
+ * - read: apenas leitura (GET)
+ * - agent: leitura + operar leads (status, mensagens, assumir conversa)
+ * - admin: tudo, incluindo gerenciar API Keys
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const log = require('../utils/logger');
+
+/**
+ * Papéis válidos, em ordem crescente de permissão
+ */
+const ROLES = ['read', 'agent', 'admin'];
+
+/**
+ * Prefixo das chaves geradas (facilita identificar vazamentos em logs/repositórios)
+ */
+const KEY_PREFIX = 'wls_';
+
+/**
+ * Calcula o hash de uma chave
+ *
+ * @param {String} apiKey - Chave em texto puro
+ * @returns {String} - Hash SHA-256 em hexadecimal
+ */
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Cria uma nova API Key
+ *
+ * @param {String} name - Nome/descrição da chave
+ * @param {String} role - Papel da chave (read, agent, admin)
+ * @returns {Object} - { apiKey, record } onde apiKey é a chave em texto puro
+ */
+function createApiKey(name, role = 'read') {
+  try {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Papel inválido: ${role}. Use: ${ROLES.join(', ')}`);
+    }
+
+    const apiKey = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+    const record = ApiKey.create({
+      name,
+      keyHash: hashKey(apiKey),
+      prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+      role,
+    });
+
+    log.info('API Key criada', { id: record.id, name, role });
+
+    return { apiKey, record };
+
+  } catch (error) {
+    log.error('Erro ao criar API Key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Valida uma chave recebida em uma requisição
+ *
+ * @param {String} apiKey - Chave em texto puro
+ * @returns {Object|null} - Registro da chave ou null se inválida/revogada
+ */
+function verifyApiKey(apiKey) {
+  if (!apiKey || typeof apiKey !== 'string') {
+    return null;
+  }
+
+  const record = ApiKey.findActiveByHash(hashKey(apiKey));
+
+  if (record) {
+    ApiKey.touch(record.id);
+  }
+
+  return record;
+}
+
+/**
+ * Verifica se um papel tem pelo menos o nível exigido
+ *
+ * Papel exigido desconhecido (ex: erro de digitação na rota) nega o
+ * acesso: nunca libera todas as chaves.
+ *
+ * @param {String} role - Papel da chave
+ * @param {String} requiredRole - Papel mínimo exigido
+ * @returns {Boolean}
+ */
+function hasRole(role, requiredRole) {
+  if (!ROLES.includes(role) || !ROLES.includes(requiredRole)) {
+    return false;
+  }
+
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Lista as chaves cadastradas (sem os hashes)
+ *
+ * @returns {Array}
+ */
+function listApiKeys() {
+  return ApiKey.findAll();
+}
+
+/**
+ * Revoga uma chave
+ *
+ * @param {Number} id - ID da chave
+ * @returns {Object|null} - Chave revogada ou null se não existir
+ */
+function revokeApiKey(id) {
+  try {
+    const record = ApiKey.revoke(id);
+
+    if (record) {
+      log.info('API Key revogada', { id, name: record.name });
+    }
+
+    return record;
+
+  } catch (error) {
+    log.error('Erro ao revogar API Key:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  ROLES,
+  createApiKey,
+  verifyApiKey,
+  hasRole,
+  listApiKeys,
+  revokeApiKey,
+};
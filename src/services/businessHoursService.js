@@ -0,0 +1,484 @@
+/**
+ * SERVICE: HORÁRIO DE ATENDIMENTO
+ *
+ * Este service sabe quando a empresa está atendendo.
+ *
+ * Responsabilidades:
+ * - Ler o horário semanal, o fuso horário e os feriados
+ * - Dizer se estamos atendendo agora
+ * - Calcular quando o atendimento abre de novo
+ * - Montar o texto de "tempo de resposta" enviado ao cliente
+ *
+ * Configuração (.env):
+ * - BUSINESS_TIMEZONE: fuso horário (padrão: America/Sao_Paulo)
+ * - BUSINESS_HOURS: horário semanal, ex: "seg-sex 08:00-18:00; sab 08:00-12:00"
+ *   (vários intervalos no mesmo dia: "seg-sex 08:00-12:00,13:00-18:00")
+ * - BUSINESS_HOLIDAYS_FILE: arquivo com os feriados (padrão: ./config/holidays.js)
+ * - BUSINESS_RESPONSE_TIME: promessa em horário comercial (padrão: "em até 2 horas")
+ *
+ * As datas são calculadas no fuso configurado, não no fuso do servidor.
+ */
+
+const path = require('path');
+const log = require('../utils/logger');
+
+/**
+ * Dias da semana aceitos no BUSINESS_HOURS (0 = domingo, igual ao Date)
+ */
+const WEEKDAYS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sab'];
+
+/**
+ * Nomes completos, usados na resposta da API
+ */
+const WEEKDAY_NAMES = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+/**
+ * Valores padrão, se nada for configurado no .env
+ */
+const DEFAULTS = {
+  timezone: 'America/Sao_Paulo',
+  hours: 'seg-sex 08:00-18:00',
+  holidaysFile: './config/holidays.js',
+  responseTime: 'em até 2 horas',
+};
+
+/**
+ * Raiz do projeto: base dos caminhos relativos do .env (não depende
+ * da pasta de onde o processo foi iniciado, ex: pm2 com outro cwd)
+ */
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+
+/**
+ * Quantos dias à frente procurar o próximo horário de atendimento
+ */
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * Configuração já carregada (lida uma vez só)
+ */
+let cachedConfig = null;
+
+// ==========================================
+// CONFIGURAÇÃO
+// ==========================================
+
+/**
+ * Converte "HH:MM" em minutos desde a meia-noite
+ *
+ * Vai de 00:00 a 24:00 (24:00 fecha o dia, ex: "20:00-24:00").
+ *
+ * @param {String} time - Horário (ex: "08:30")
+ * @returns {Number} - Minutos (ex: 510)
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time.trim());
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`Horário inválido em BUSINESS_HOURS: "${time}"`);
+  }
+
+  return minutes;
+}
+
+/**
+ * Converte minutos desde a meia-noite em "HH:MM"
+ *
+ * @param {Number} minutes - Minutos
+ * @returns {String}
+ */
+function formatTime(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Converte "seg-sex" ou "sab" na lista de dias (0-6)
+ *
+ * @param {String} spec - Dia ou faixa de dias
+ * @returns {Array<Number>}
+ */
+function parseDays(spec) {
+  const [first, last = first] = spec.toLowerCase().split('-').map(day => day.trim());
+  const start = WEEKDAYS.indexOf(first);
+  const end = WEEKDAYS.indexOf(last);
+
+  if (start === -1 || end === -1) {
+    throw new Error(`Dia inválido em BUSINESS_HOURS: "${spec}" (use ${WEEKDAYS.join(', ')})`);
+  }
+
+  // Permite faixas que passam pelo domingo, ex: "sex-seg"
+  const days = [];
+  for (let day = start; ; day = (day + 1) % 7) {
+    days.push(day);
+    if (day === end) break;
+  }
+
+  return days;
+}
+
+/**
+ * Converte o texto do BUSINESS_HOURS no horário semanal
+ *
+ * Exemplo:
+ * "seg-sex 08:00-18:00; sab 08:00-12:00"
+ * => { 1: [{ start: 480, end: 1080 }], ..., 6: [{ start: 480, end: 720 }] }
+ *
+ * @param {String} text - Valor do BUSINESS_HOURS
+ * @returns {Object} - { [dia]: [{ start, end }] } (minutos desde a meia-noite)
+ */
+function parseWeeklyHours(text) {
+  const weekly = {};
+  WEEKDAYS.forEach((_, day) => { weekly[day] = []; });
+
+  for (const rule of text.split(';').map(part => part.trim()).filter(Boolean)) {
+    const [daysSpec, intervalsSpec] = rule.split(/\s+/);
+
+    if (!intervalsSpec) {
+      throw new Error(`Regra inválida em BUSINESS_HOURS: "${rule}"`);
+    }
+
+    const intervals = intervalsSpec.split(',').map((interval) => {
+      const [start, end] = interval.split('-').map(parseTime);
+
+      if (end === undefined || start >= end) {
+        throw new Error(`Intervalo inválido em BUSINESS_HOURS: "${interval}"`);
+      }
+
+      return { start, end };
+    });
+
+    for (const day of parseDays(daysSpec)) {
+      weekly[day].push(...intervals);
+      weekly[day].sort((a, b) => a.start - b.start);
+    }
+  }
+
+  return weekly;
+}
+
+/**
+ * Carrega os feriados do arquivo configurado
+ *
+ * O arquivo exporta uma lista de { date, name }, onde date é:
+ * - "AAAA-MM-DD" para um feriado daquele ano (ex: Carnaval)
+ * - "MM-DD" para um feriado que se repete todo ano (ex: Natal)
+ *
+ * Pode ser .js ou .json. Se o arquivo não existir, segue sem feriados.
+ *
+ * @param {String} file - Caminho do arquivo (relativo à raiz do projeto)
+ * @returns {Array<Object>} - [{ date, name }]
+ */
+function loadHolidays(file) {
+  const fullPath = path.resolve(PROJECT_ROOT, file);
+
+  let holidays;
+
+  try {
+    holidays = require(fullPath);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(fullPath)) {
+      log.warn('Arquivo de feriados não encontrado, seguindo sem feriados', { file });
+      return [];
+    }
+
+    throw error;
+  }
+
+  if (!Array.isArray(holidays)) {
+    throw new Error(`Arquivo de feriados ${file} deve exportar uma lista`);
+  }
+
+  for (const holiday of holidays) {
+    if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(holiday?.date || '')) {
+      throw new Error(`Feriado com data inválida em ${file}: ${JSON.stringify(holiday)}`);
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Retorna a configuração do horário de atendimento
+ *
+ * É lida do .env na primeira chamada e reaproveitada depois.
+ * Erros de configuração são lançados aqui (o server.js chama
+ * esta função na inicialização para falhar cedo).
+ *
+ * @returns {Object} - { timezone, weekly, holidays, responseTime }
+ */
+function getConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const timezone = process.env.BUSINESS_TIMEZONE || DEFAULTS.timezone;
+
+  // Lança RangeError se o fuso não existir
+  new Intl.DateTimeFormat('pt-BR', { timeZone: timezone });
+
+  cachedConfig = {
+    timezone,
+    weekly: parseWeeklyHours(process.env.BUSINESS_HOURS || DEFAULTS.hours),
+    holidays: loadHolidays(process.env.BUSINESS_HOLIDAYS_FILE || DEFAULTS.holidaysFile),
+    responseTime: process.env.BUSINESS_RESPONSE_TIME || DEFAULTS.responseTime,
+  };
+
+  return cachedConfig;
+}
+
+// ==========================================
+// DATAS NO FUSO CONFIGURADO
+// ==========================================
+
+/**
+ * Retorna data e hora "de parede" de um instante no fuso informado
+ *
+ * @param {Date} date - Instante
+ * @param {String} timezone - Fuso (ex: America/Sao_Paulo)
+ * @returns {Object} - { year, month, day, minutes }
+ */
+function getLocalParts(date, timezone) {
+  const parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    minutes: parts.hour * 60 + parts.minute,
+  };
+}
+
+/**
+ * Converte data e hora "de parede" do fuso em um instante (Date)
+ *
+ * @param {Object} localDate - { year, month, day }
+ * @param {Number} minutes - Minutos desde a meia-noite
+ * @param {String} timezone - Fuso
+ * @returns {Date}
+ */
+function fromLocalTime({ year, month, day }, minutes, timezone) {
+  const asUTC = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Diferença entre o fuso e o UTC naquele instante (muda no horário de verão)
+  const offsetAt = (timestamp) => {
+    const local = getLocalParts(new Date(timestamp), timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - timestamp;
+  };
+
+  const guess = asUTC - offsetAt(asUTC);
+  return new Date(asUTC - offsetAt(guess));
+}
+
+/**
+ * Soma dias a uma data do calendário
+ *
+ * @param {Object} localDate - { year, month, day }
+ * @param {Number} days - Dias a somar
+ * @returns {Object} - { year, month, day, weekday }
+ */
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+/**
+ * Procura o feriado de uma data do calendário
+ *
+ * @param {Object} localDate - { year, month, day }
+ * @returns {Object|null} - { date, name } ou null
+ */
+function findHoliday({ year, month, day }) {
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const fullDate = `${year}-${monthDay}`;
+
+  return getConfig().holidays
+    .find(holiday => holiday.date === fullDate || holiday.date === monthDay) || null;
+}
+
+/**
+ * Intervalos de atendimento de uma data (vazio em feriados)
+ *
+ * @param {Object} localDate - { year, month, day, weekday }
+ * @returns {Array<Object>} - [{ start, end }]
+ */
+function getIntervals(localDate) {
+  if (findHoliday(localDate)) {
+    return [];
+  }
+
+  return getConfig().weekly[localDate.weekday];
+}
+
+// ==========================================
+// FUNÇÕES PÚBLICAS
+// ==========================================
+
+/**
+ * Verifica se estamos atendendo e quando isso muda
+ *
+ * @param {Date} now - Instante a verificar (padrão: agora)
+ * @returns {Object} - { open, closesAt, nextOpening, holiday }
+ *   closesAt: quando o atendimento atual termina (se aberto)
+ *   nextOpening: quando o próximo atendimento começa (se fechado;
+ *   null se não houver nenhum horário configurado)
+ */
+function getAvailability(now = new Date()) {
+  const { timezone } = getConfig();
+  const local = getLocalParts(now, timezone);
+  const today = addDays(local, 0);
+
+  const current = getIntervals(today)
+    .find(interval => interval.start <= local.minutes && local.minutes < interval.end);
+
+  if (current) {
+    return {
+      open: true,
+      closesAt: fromLocalTime(today, current.end, timezone),
+      nextOpening: null,
+      holiday: null,
+    };
+  }
+
+  let nextOpening = null;
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS && !nextOpening; offset++) {
+    const date = addDays(local, offset);
+    const next = getIntervals(date)
+      .find(interval => offset > 0 || interval.start > local.minutes);
+
+    if (next) {
+      nextOpening = fromLocalTime(date, next.start, timezone);
+    }
+  }
+
+  return {
+    open: false,
+    closesAt: null,
+    nextOpening,
+    holiday: findHoliday(today),
+  };
+}
+
+/**
+ * Verifica se estamos em horário de atendimento
+ *
+ * @param {Date} now - Instante a verificar (padrão: agora)
+ * @returns {Boolean}
+ */
+function isOpen(now = new Date()) {
+  return getAvailability(now).open;
+}
+
+/**
+ * Descreve um instante para o cliente, no fuso configurado
+ *
+ * Exemplos: "hoje às 13:00", "amanhã às 08:00", "segunda-feira (20/10) às 08:00"
+ *
+ * @param {Date} date - Instante a descrever
+ * @param {Date} now - Referência para "hoje" e "amanhã"
+ * @returns {String}
+ */
+function describeMoment(date, now = new Date()) {
+  const { timezone } = getConfig();
+  const local = getLocalParts(date, timezone);
+  const time = formatTime(local.minutes);
+
+  const sameDay = (a, b) => a.year === b.year && a.month === b.month && a.day === b.day;
+  const today = getLocalParts(now, timezone);
+
+  if (sameDay(local, today)) {
+    return `hoje às ${time}`;
+  }
+
+  if (sameDay(local, addDays(today, 1))) {
+    return `amanhã às ${time}`;
+  }
+
+  const weekday = new Intl.DateTimeFormat('pt-BR', { timeZone: timezone, weekday: 'long' }).format(date);
+  const dayMonth = `${String(local.day).padStart(2, '0')}/${String(local.month).padStart(2, '0')}`;
+
+  return `${weekday} (${dayMonth}) às ${time}`;
+}
+
+/**
+ * Monta o texto de tempo de resposta enviado ao cliente
+ *
+ * Usado nas mensagens de boas-vindas e nas respostas da classificação.
+ *
+ * @param {Date} now - Instante de referência (padrão: agora)
+ * @returns {String}
+ */
+function getResponseTimeMessage(now = new Date()) {
+  const availability = getAvailability(now);
+
+  if (availability.open) {
+    return `🟢 Estamos em horário de atendimento: nossa equipe responde ${getConfig().responseTime}.`;
+  }
+
+  const reason = availability.holiday
+    ? `Hoje é feriado (${availability.holiday.name})`
+    : 'No momento estamos fora do horário de atendimento';
+
+  if (!availability.nextOpening) {
+    return `🌙 ${reason}. Retornaremos assim que possível.`;
+  }
+
+  return `🌙 ${reason}. Retornaremos ${describeMoment(availability.nextOpening, now)}.`;
+}
+
+/**
+ * Retorna a configuração e a situação atual (para a API)
+ *
+ * @param {Date} now - Instante de referência (padrão: agora)
+ * @returns {Object}
+ */
+function getSettings(now = new Date()) {
+  const { timezone, weekly, holidays, responseTime } = getConfig();
+  const availability = getAvailability(now);
+
+  const weeklyHours = {};
+  WEEKDAY_NAMES.forEach((name, day) => {
+    weeklyHours[name] = weekly[day].map(({ start, end }) => `${formatTime(start)}-${formatTime(end)}`);
+  });
+
+  return {
+    timezone,
+    weeklyHours,
+    holidays,
+    responseTime,
+    now: {
+      open: availability.open,
+      closesAt: availability.closesAt?.toISOString() || null,
+      nextOpening: availability.nextOpening?.toISOString() || null,
+      holiday: availability.holiday,
+      message: getResponseTimeMessage(now),
+    },
+  };
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  getConfig,
+  getAvailability,
+  isOpen,
+  describeMoment,
+  getResponseTimeMessage,
+  getSettings,
+};
@@ -0,0 +1,154 @@
+/**
+ * SERVICE: ESTADO DA CONVERSA
+ *
+ * Cada lead tem uma etapa de conversa salva no banco. O bot usa
+ * essa etapa para saber o que fazer com a próxima mensagem
+ * (veja bot/states/), e a API mostra em que etapa cada lead está.
+ *
+ * Etapas e transições permitidas:
+ *
+ *   new ──→ welcome ──→ active ⇄ qualifying
+ *                         │          │
+ *                         ↓          ↓
+ *                      awaiting_agent ⇄ with_agent ──→ closed
+ *
+ * (a lista completa está em TRANSITIONS; qualquer etapa pode ir
+ * para with_agent ou closed pela API)
+ *
+ * Toda mudança é registrada em conversation_transitions, com o motivo.
+ */
+
+const Conversation = require('../models/Conversation');
+const log = require('../utils/logger');
+
+/**
+ * Etapas da conversa
+ */
+const STATES = {
+  new: 'Lead criado, ainda sem atendimento',
+  welcome: 'Recebeu as boas-vindas do bot',
+  active: 'Em conversa com o bot',
+  qualifying: 'Respondendo o questionário de qualificação',
+  awaiting_agent: 'Bot concluiu a triagem, aguardando um atendente',
+  with_agent: 'Atendente humano assumiu a conversa (bot pausado)',
+  closed: 'Atendimento finalizado',
+};
+
+/**
+ * Transições permitidas: etapa atual => próximas etapas possíveis
+ */
+const TRANSITIONS = {
+  new: ['welcome', 'active', 'with_agent', 'closed'],
+  welcome: ['active', 'qualifying', 'awaiting_agent', 'with_agent', 'closed'],
+  active: ['qualifying', 'awaiting_agent', 'with_agent', 'closed'],
+  qualifying: ['active', 'awaiting_agent', 'with_agent', 'closed'],
+  awaiting_agent: ['active', 'qualifying', 'with_agent', 'closed'],
+  with_agent: ['active', 'awaiting_agent', 'closed'],
+  closed: ['active', 'with_agent'],
+};
+
+/**
+ * Verifica se uma transição é permitida
+ *
+ * @param {String} from - Etapa atual
+ * @param {String} to - Nova etapa
+ * @returns {Boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Muda a etapa da conversa de um lead
+ *
+ * - Já está na etapa: nada acontece
+ * - Transição não permitida: lança erro (é um bug de quem chamou)
+ * - Outra mensagem mudou a etapa ao mesmo tempo: nada acontece
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} to - Nova etapa
+ * @param {String} reason - Motivo (fica no histórico)
+ * @returns {Boolean} - true se ESTA chamada mudou a etapa
+ */
+function transition(phoneNumber, to, reason = null) {
+  try {
+    const current = Conversation.findState(phoneNumber);
+
+    if (!current) {
+      return false;
+    }
+
+    const from = current.state || 'new';
+
+    if (from === to) {
+      return false;
+    }
+
+    if (!canTransition(from, to)) {
+      throw new Error(`Transição de conversa não permitida: ${from} → ${to}`);
+    }
+
+    if (!Conversation.updateState(phoneNumber, current.state, to, reason)) {
+      return false;
+    }
+
+    log.info('Etapa da conversa alterada', { phoneNumber, from, to, reason });
+
+    return true;
+
+  } catch (error) {
+    log.error('Erro ao alterar etapa da conversa:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca a etapa atual da conversa (sempre lida do banco)
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {String|null} - Etapa ou null se o lead não existe
+ */
+function getState(phoneNumber) {
+  try {
+    const current = Conversation.findState(phoneNumber);
+
+    return current ? current.state || 'new' : null;
+
+  } catch (error) {
+    log.error('Erro ao buscar etapa da conversa:', error);
+    throw error;
+  }
+}
+
+/**
+ * Monta a etapa da conversa de um lead para a API
+ *
+ * @param {Object} lead - Lead (linha da tabela leads)
+ * @returns {Object} - { state, description, since, transitions }
+ */
+function getConversation(lead) {
+  try {
+    const state = lead.conversationState || 'new';
+
+    return {
+      state,
+      description: STATES[state],
+      since: lead.conversationStateAt || lead.createdAt,
+      transitions: Conversation.findTransitions(lead.phoneNumber),
+    };
+
+  } catch (error) {
+    log.error('Erro ao buscar etapa da conversa:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  canTransition,
+  transition,
+  getState,
+  getConversation,
+};
@@ -0,0 +1,370 @@
+/**
+ * SERVICE: CAMPOS PERSONALIZADOS
+ *
+ * Cada instalação pode criar campos próprios para os leads
+ * (ex: segmento, número de funcionários, data da visita), além
+ * dos campos fixos do perfil (email, empresa, cidade...).
+ *
+ * Responsabilidades:
+ * - Validar a definição de um campo antes de salvar
+ * - CRUD das definições (usado pela API /custom-fields)
+ * - Validar os valores enviados para os leads (PATCH /leads/:phoneNumber)
+ * - Converter os filtros da listagem (GET /leads?custom.segmento=varejo)
+ *
+ * Os valores ficam em leads.customFields (JSON), indexados pelo key.
+ */
+
+const CustomField = require('../models/CustomField');
+const log = require('../utils/logger');
+
+/**
+ * Tipos de campo suportados
+ */
+const FIELD_TYPES = {
+  text: 'Texto livre (até 500 caracteres)',
+  email: 'Endereço de e-mail',
+  number: 'Número',
+  boolean: 'Sim/não (true ou false)',
+  date: 'Data no formato AAAA-MM-DD',
+  select: 'Uma das opções definidas em "options"',
+};
+
+/**
+ * Tamanho máximo de um texto (quando o campo não define outro)
+ */
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Formato do identificador: começa com letra, sem espaços nem acentos
+ */
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Valida e normaliza um valor conforme o tipo do campo
+ *
+ * Também usado pelos campos fixos do perfil (veja leadService).
+ *
+ * @param {Object} field - { type, options, maxLength, min }
+ * @param {*} value - Valor recebido
+ * @returns {Object} - { value } (normalizado) ou { error }
+ */
+function validateValue(field, value) {
+  switch (field.type) {
+    case 'text':
+    case 'email': {
+      const maxLength = field.maxLength || MAX_TEXT_LENGTH;
+
+      if (typeof value !== 'string' || !value.trim() || value.trim().length > maxLength) {
+        return { error: `deve ser um texto de até ${maxLength} caracteres` };
+      }
+
+      if (field.type === 'email') {
+        const email = value.trim().toLowerCase();
+        return EMAIL_PATTERN.test(email) ? { value: email } : { error: 'deve ser um e-mail válido' };
+      }
+
+      return { value: value.trim() };
+    }
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: 'deve ser um número' };
+      }
+
+      if (field.min !== undefined && value < field.min) {
+        return { error: `deve ser maior ou igual a ${field.min}` };
+      }
+
+      return { value };
+
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'deve ser true ou false' };
+
+    case 'date': {
+      // Date.parse aceita 2024-02-30; a volta para texto pega esses casos
+      const valid = typeof value === 'string' && DATE_PATTERN.test(value) &&
+        !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+      return valid ? { value } : { error: 'deve ser uma data no formato AAAA-MM-DD' };
+    }
+
+    case 'select':
+      return field.options.includes(value)
+        ? { value }
+        : { error: `aceita: ${field.options.join(', ')}` };
+
+    default:
+      return { error: 'tem um tipo desconhecido' };
+  }
+}
+
+/**
+ * Valida a definição de um campo
+ *
+ * @param {Object} data - { key, label, type, options, description }
+ * @param {Object} current - Campo atual (ao alterar) ou null (ao criar)
+ * @returns {Array<String>} - Erros encontrados (vazio = válido)
+ */
+function validateDefinition(data, current = null) {
+  if (!data || typeof data !== 'object') {
+    return ['Definição do campo não informada'];
+  }
+
+  const errors = [];
+  const type = current ? current.type : data.type;
+
+  if (!current && (typeof data.key !== 'string' || !KEY_PATTERN.test(data.key))) {
+    errors.push('key é obrigatório: começa com letra, só letras, números e _ (até 40 caracteres)');
+  }
+
+  // key e type não mudam: os valores já salvos nos leads dependem deles
+  if (current && data.key !== undefined && data.key !== current.key) {
+    errors.push('key não pode ser alterado');
+  }
+
+  if (current && data.type !== undefined && data.type !== current.type) {
+    errors.push('type não pode ser alterado (crie outro campo)');
+  }
+
+  if (!FIELD_TYPES[type]) {
+    errors.push(`type inválido (use ${Object.keys(FIELD_TYPES).join(', ')})`);
+  }
+
+  if (typeof data.label !== 'string' || !data.label.trim() || data.label.length > 100) {
+    errors.push('label é obrigatório (até 100 caracteres)');
+  }
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    errors.push('description deve ser um texto');
+  }
+
+  if (type === 'select') {
+    const { options } = data;
+
+    if (!Array.isArray(options) || options.length === 0 ||
+        options.some(option => typeof option !== 'string' || !option.trim())) {
+      errors.push('options deve ser uma lista de textos (obrigatório em campos select)');
+    } else if (new Set(options).size !== options.length) {
+      errors.push('options tem opções repetidas');
+    }
+  } else if (data.options !== undefined && data.options !== null) {
+    errors.push('options só é aceito em campos select');
+  }
+
+  return errors;
+}
+
+/**
+ * Valida os valores dos campos personalizados de um lead
+ *
+ * null apaga o valor do campo.
+ *
+ * @param {*} values - Objeto { key: valor }
+ * @returns {Object} - { values (normalizados), errors }
+ */
+function validateValues(values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: {}, errors: ['customFields deve ser um objeto { campo: valor }'] };
+  }
+
+  const fields = new Map(CustomField.findAll().map(field => [field.key, field]));
+  const normalized = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const field = fields.get(key);
+
+    if (!field) {
+      errors.push(`customFields.${key} não é um campo personalizado (veja GET /custom-fields)`);
+      continue;
+    }
+
+    if (value === null) {
+      normalized[key] = null;
+      continue;
+    }
+
+    const result = validateValue(field, value);
+
+    if (result.error) {
+      errors.push(`customFields.${key} ${result.error}`);
+    } else {
+      normalized[key] = result.value;
+    }
+  }
+
+  return { values: normalized, errors };
+}
+
+/**
+ * Converte os filtros de campos personalizados da listagem
+ *
+ * Os valores chegam como texto na URL (?custom.funcionarios=50)
+ * e são convertidos para o tipo do campo.
+ *
+ * @param {Object} filters - { key: texto }
+ * @returns {Object} - { values (convertidos), errors }
+ */
+function parseFilters(filters) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, raw] of Object.entries(filters)) {
+    const field = CustomField.findByKey(key);
+
+    if (!field) {
+      errors.push(`custom.${key} não é um campo personalizado`);
+      continue;
+    }
+
+    if (typeof raw !== 'string') {
+      errors.push(`custom.${key} deve ser informado uma única vez`);
+      continue;
+    }
+
+    let value = raw;
+
+    if (field.type === 'number') {
+      value = raw.trim() === '' ? NaN : Number(raw);
+    } else if (field.type === 'boolean') {
+      value = { true: true, false: false }[raw];
+    }
+
+    const result = validateValue(field, value);
+
+    if (result.error) {
+      errors.push(`custom.${key} ${result.error}`);
+    } else {
+      values[key] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Lista os campos personalizados
+ *
+ * @returns {Array}
+ */
+function listFields() {
+  try {
+    return CustomField.findAll();
+
+  } catch (error) {
+    log.error('Erro ao listar campos personalizados:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um campo personalizado
+ *
+ * @param {String} key - Identificador do campo
+ * @returns {Object|null}
+ */
+function getField(key) {
+  try {
+    return CustomField.findByKey(key);
+
+  } catch (error) {
+    log.error('Erro ao buscar campo personalizado:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um campo (a definição já deve ter sido validada)
+ *
+ * @param {Object} data - { key, label, type, options, description }
+ * @returns {Object|null} - Campo criado, ou null se o key já existe
+ */
+function createField({ key, label, type, options, description }) {
+  try {
+    if (CustomField.findByKey(key)) {
+      return null;
+    }
+
+    const field = CustomField.create({
+      key,
+      label: label.trim(),
+      type,
+      options: type === 'select' ? options.map(option => option.trim()) : null,
+      description: description ?? null,
+    });
+
+    log.info('Campo personalizado criado', { key, type });
+
+    return field;
+
+  } catch (error) {
+    log.error('Erro ao criar campo personalizado:', error);
+    throw error;
+  }
+}
+
+/**
+ * Altera nome, opções e descrição de um campo (já validados)
+ *
+ * Mudar as opções de um select não altera os valores já salvos.
+ *
+ * @param {Object} current - Campo atual
+ * @param {Object} data - { label, options, description }
+ * @returns {Object|null} - Campo atualizado
+ */
+function updateField(current, { label, options, description }) {
+  try {
+    const field = CustomField.update(current.key, {
+      label: label.trim(),
+      options: current.type === 'select' ? options.map(option => option.trim()) : null,
+      description: description ?? null,
+    });
+
+    log.info('Campo personalizado atualizado', { key: current.key });
+
+    return field;
+
+  } catch (error) {
+    log.error('Erro ao atualizar campo personalizado:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove um campo e os valores dele em todos os leads
+ *
+ * @param {String} key - Identificador do campo
+ * @returns {Boolean} - true se removeu
+ */
+function deleteField(key) {
+  try {
+    const removed = CustomField.remove(key);
+
+    if (removed) {
+      log.info('Campo personalizado removido', { key });
+    }
+
+    return removed;
+
+  } catch (error) {
+    log.error('Erro ao remover campo personalizado:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  FIELD_TYPES,
+  validateValue,
+  validateDefinition,
+  validateValues,
+  parseFilters,
+  listFields,
+  getField,
+  createField,
+  updateField,
+  deleteField,
+};
@@ -0,0 +1,446 @@
+/**
+ * SERVICE: EXPORTAÇÃO DE LEADS E CONVERSAS
+ *
+ * Gera arquivos para o time comercial trabalhar fora da API:
+ * - Leads (com os mesmos filtros de GET /leads) em CSV, XLSX ou NDJSON,
+ *   opcionalmente com a conversa completa de cada lead
+ * - Conversa de um lead em texto ou PDF
+ *
+ * Os leads são escritos direto na resposta HTTP, em lotes (veja
+ * leadService.iterateLeads): a exportação não carrega a base inteira
+ * na memória e respeita a velocidade de quem está baixando.
+ *
+ * Colunas das planilhas (CSV e XLSX): os campos do lead, as etiquetas
+ * (separadas por vírgula) e uma coluna custom.<campo> para cada campo
+ * personalizado. As mesmas colunas são aceitas na importação
+ * (veja services/importService.js).
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const Lead = require('../models/Lead');
+const leadService = require('./leadService');
+const customFieldService = require('./customFieldService');
+const { toCsvCell } = require('../utils/csv');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Formatos da exportação de leads
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+/**
+ * Formatos da conversa de um lead
+ */
+const TRANSCRIPT_FORMATS = {
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+/**
+ * Query string de GET /leads/export (regras de middlewares/validate.js)
+ *
+ * Os filtros e a ordenação de GET /leads, sem a paginação.
+ */
+const EXPORT_QUERY = {
+  ...Object.fromEntries(
+    Object.entries(leadService.LIST_QUERY).filter(([name]) => !['page', 'limit', 'cursor'].includes(name))
+  ),
+  format: { enum: Object.keys(EXPORT_FORMATS) },
+  messages: { enum: ['0', '1'] },
+};
+
+/**
+ * Campos do lead nas planilhas, na ordem das colunas
+ */
+const LEAD_COLUMNS = [
+  'phoneNumber', 'name', 'email', 'company', 'city', 'owner', 'dealValue',
+  'status', 'priority', 'intent', 'sentiment', 'conversationState', 'notes',
+  'createdAt', 'lastInteraction',
+];
+
+/**
+ * Leads buscados por lote
+ */
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Tamanho máximo de uma célula no Excel (a conversa é cortada)
+ */
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+/**
+ * Nome de quem enviou cada mensagem na conversa
+ */
+const SENDER_NAMES = {
+  bot: 'Bot',
+  agent: 'Atendente',
+};
+
+/**
+ * Monta as colunas das planilhas (campos do lead, etiquetas e
+ * campos personalizados)
+ *
+ * @param {Boolean} withMessages - true para incluir a coluna da conversa
+ * @returns {Array<Object>} - [{ header, value(lead) }]
+ */
+function buildColumns(withMessages) {
+  const columns = [
+    ...LEAD_COLUMNS.map(field => ({ header: field, value: lead => lead[field] })),
+    { header: 'tags', value: lead => lead.tags.map(tag => tag.name).join(',') },
+    ...customFieldService.listFields().map(({ key }) => ({
+      header: `custom.${key}`,
+      value: lead => lead.customFields[key],
+    })),
+  ];
+
+  if (withMessages) {
+    columns.push({ header: 'messages', value: lead => formatMessages(lead, lead.messages) });
+  }
+
+  return columns;
+}
+
+/**
+ * Quem enviou a mensagem (ex: "Ana", "Bot", "Atendente maria@empresa.com")
+ *
+ * @param {Object} lead - Lead da conversa
+ * @param {Object} message - Mensagem
+ * @returns {String}
+ */
+function senderName(lead, message) {
+  if (message.sender === 'lead') {
+    return lead.name;
+  }
+
+  return [SENDER_NAMES[message.sender] || message.sender, message.agent].filter(Boolean).join(' ');
+}
+
+/**
+ * Converte uma mensagem em uma linha da conversa
+ *
+ * Ex: "[2024-05-01 10:00:00] Ana: Quero um orçamento"
+ *
+ * @param {Object} lead - Lead da conversa
+ * @param {Object} message - Mensagem
+ * @returns {String}
+ */
+function formatMessage(lead, message) {
+  const line = `[${message.timestamp}] ${senderName(lead, message)}: ${message.text}`;
+
+  return message.transcript ? `${line}\n    Transcrição: ${message.transcript}` : line;
+}
+
+/**
+ * Converte as mensagens de um lead em texto, uma por linha
+ *
+ * @param {Object} lead - Lead da conversa
+ * @param {Array<Object>} messages - Mensagens, da mais antiga para a mais recente
+ * @returns {String}
+ */
+function formatMessages(lead, messages) {
+  return messages.map(message => formatMessage(lead, message)).join('\n');
+}
+
+/**
+ * Escreve no stream respeitando o buffer: se ele estiver cheio,
+ * espera esvaziar (ou a conexão fechar) antes de continuar
+ *
+ * @param {Object} stream - Stream de escrita (ex: resposta HTTP)
+ * @param {String|Buffer} chunk - Conteúdo
+ * @returns {Promise}
+ */
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await waitDrain(stream);
+  }
+}
+
+/**
+ * Espera o buffer do stream esvaziar
+ *
+ * @param {Object} stream - Stream de escrita
+ * @returns {Promise} - Rejeita se a conexão fechar antes
+ */
+async function waitDrain(stream) {
+  if (!stream.writableNeedDrain) {
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Conexão encerrada durante a exportação'));
+    };
+
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+/**
+ * Escreve os leads em CSV (UTF-8 com BOM, para o Excel reconhecer os acentos)
+ *
+ * @param {Object} stream - Stream de escrita
+ * @param {Iterable<Array>} batches - Lotes de leads
+ * @param {Array<Object>} columns - Colunas (veja buildColumns)
+ * @returns {Promise<Number>} - Leads exportados
+ */
+async function writeCsv(stream, batches, columns) {
+  let count = 0;
+
+  await write(stream, '\uFEFF' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+  for (const leads of batches) {
+    const lines = leads.map(lead => columns.map(column => toCsvCell(column.value(lead))).join(','));
+
+    await write(stream, lines.join('\r\n') + '\r\n');
+    count += leads.length;
+  }
+
+  return count;
+}
+
+/**
+ * Escreve os leads em NDJSON (um lead em JSON por linha, no mesmo
+ * formato de GET /leads; com a conversa, no campo messages)
+ *
+ * @param {Object} stream - Stream de escrita
+ * @param {Iterable<Array>} batches - Lotes de leads
+ * @returns {Promise<Number>} - Leads exportados
+ */
+async function writeNdjson(stream, batches) {
+  let count = 0;
+
+  for (const leads of batches) {
+    await write(stream, leads.map(lead => JSON.stringify(lead)).join('\n') + '\n');
+    count += leads.length;
+  }
+
+  return count;
+}
+
+/**
+ * Escreve os leads em uma planilha do Excel (XLSX)
+ *
+ * A planilha é gerada em streaming: cada linha é gravada assim que
+ * é adicionada.
+ *
+ * @param {Object} stream - Stream de escrita
+ * @param {Iterable<Array>} batches - Lotes de leads
+ * @param {Array<Object>} columns - Colunas (veja buildColumns)
+ * @returns {Promise<Number>} - Leads exportados
+ */
+async function writeXlsx(stream, batches, columns) {
+  let count = 0;
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+
+  const sheet = workbook.addWorksheet('Leads');
+  sheet.columns = columns.map(column => ({ header: column.header, width: 20 }));
+
+  for (const leads of batches) {
+    for (const lead of leads) {
+      const values = columns.map(column => {
+        const value = column.value(lead);
+
+        return typeof value === 'string' && value.length > XLSX_MAX_CELL_LENGTH
+          ? value.slice(0, XLSX_MAX_CELL_LENGTH - 1) + '…'
+          : value ?? null;
+      });
+
+      sheet.addRow(values).commit();
+    }
+
+    count += leads.length;
+    await waitDrain(stream);
+  }
+
+  sheet.commit();
+  await workbook.commit();
+
+  return count;
+}
+
+/**
+ * Exporta os leads que atendem aos filtros
+ *
+ * Escreve o arquivo inteiro no stream e o encerra.
+ *
+ * @param {Object} stream - Stream de escrita (ex: resposta HTTP)
+ * @param {String} format - csv, xlsx ou ndjson
+ * @param {Object} filters - Filtros (veja leadService.parseListFilters)
+ * @param {Object} options - { sortBy, sortOrder, messages (true para incluir as conversas) }
+ * @returns {Promise<Number>} - Leads exportados
+ */
+async function exportLeads(stream, format, filters = {}, options = {}) {
+  try {
+    const { sortBy, sortOrder, messages = false } = options;
+
+    log.info('Exportando leads', { format, filters, sortBy, sortOrder, messages });
+
+    const batches = leadService.iterateLeads(filters, { sortBy, sortOrder, batchSize: EXPORT_BATCH_SIZE });
+
+    // Conversa completa de cada lead, buscada lote a lote
+    const withMessages = function* () {
+      for (const leads of batches) {
+        yield leads.map(lead => ({
+          ...lead,
+          messages: Lead.findByPhoneWithMessages(lead.phoneNumber).messages,
+        }));
+      }
+    };
+
+    const source = messages ? withMessages() : batches;
+    let count;
+
+    if (format === 'xlsx') {
+      count = await writeXlsx(stream, source, buildColumns(messages));
+    } else if (format === 'ndjson') {
+      count = await writeNdjson(stream, source);
+    } else {
+      count = await writeCsv(stream, source, buildColumns(messages));
+    }
+
+    if (!stream.writableEnded) {
+      stream.end();
+    }
+
+    metrics.increment(`exports.${format}`);
+    log.info('Leads exportados', { format, count });
+
+    return count;
+
+  } catch (error) {
+    log.error('Erro ao exportar leads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca a conversa completa de um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Object|null} - Lead com as mensagens, ou null se não existe
+ */
+function getTranscript(phoneNumber) {
+  try {
+    return Lead.findByPhoneWithMessages(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro ao buscar conversa do lead:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cabeçalho da conversa exportada (nome, número e perfil do lead)
+ *
+ * @param {Object} lead - Lead
+ * @returns {Array<String>} - Linhas
+ */
+function transcriptHeader(lead) {
+  return [
+    `Conversa com ${lead.name} (${lead.phoneNumber})`,
+    ...[
+      ['Empresa', lead.company],
+      ['Status', lead.status],
+      ['Responsável', lead.owner],
+      ['Primeiro contato', lead.createdAt],
+      ['Última interação', lead.lastInteraction],
+    ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`),
+    `Mensagens: ${lead.messages.length}`,
+  ];
+}
+
+/**
+ * Escreve a conversa de um lead em texto simples e encerra o stream
+ *
+ * @param {Object} stream - Stream de escrita
+ * @param {Object} lead - Lead com as mensagens (veja getTranscript)
+ * @returns {Promise}
+ */
+async function writeTranscriptText(stream, lead) {
+  await write(stream, transcriptHeader(lead).join('\n') + '\n\n');
+
+  for (const message of lead.messages) {
+    await write(stream, formatMessage(lead, message) + '\n');
+  }
+
+  stream.end();
+}
+
+/**
+ * Remove caracteres que as fontes padrão do PDF não desenham (ex: emojis)
+ *
+ * @param {String} text - Texto
+ * @returns {String}
+ */
+function toPdfText(text) {
+  return String(text).replace(/[^\n\x20-\x7E\xA0-\xFF–—‘’“”•…€]/gu, '');
+}
+
+/**
+ * Escreve a conversa de um lead em PDF e encerra o stream
+ *
+ * @param {Object} stream - Stream de escrita
+ * @param {Object} lead - Lead com as mensagens (veja getTranscript)
+ * @returns {Promise}
+ */
+async function writeTranscriptPdf(stream, lead) {
+  const [title, ...details] = transcriptHeader(lead);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: toPdfText(title) },
+  });
+
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(14).text(toPdfText(title));
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(toPdfText(details.join('\n')));
+  doc.moveDown();
+
+  for (const message of lead.messages) {
+    doc.fontSize(10).fillColor('#000000')
+      .font('Helvetica-Bold').text(toPdfText(`[${message.timestamp}] ${senderName(lead, message)}: `), { continued: true })
+      .font('Helvetica').text(toPdfText(message.text));
+
+    if (message.transcript) {
+      doc.fontSize(9).fillColor('#555555').text(toPdfText(`Transcrição: ${message.transcript}`), { indent: 20 });
+    }
+
+    doc.moveDown(0.3);
+  }
+
+  const ended = once(stream, 'finish');
+  doc.end();
+  await ended;
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  EXPORT_FORMATS,
+  TRANSCRIPT_FORMATS,
+  EXPORT_QUERY,
+  exportLeads,
+  getTranscript,
+  writeTranscriptText,
+  writeTranscriptPdf,
+};
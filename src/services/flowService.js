@@ -0,0 +1,505 @@
+/**
+ * SERVICE: FLUXOS DE CONVERSA
+ *
+ * Este service gerencia os fluxos de conversa guardados no banco
+ * (boas-vindas, retorno, resposta da classificação...).
+ *
+ * Responsabilidades:
+ * - Validar a definição de um fluxo antes de salvar
+ * - CRUD dos fluxos (usado pela API /flows)
+ *
+ * Quem EXECUTA os fluxos é o bot/flows/flowRunner.js.
+ * O formato de um fluxo está documentado em bot/flows/defaultFlows.js.
+ */
+
+const Flow = require('../models/Flow');
+const { MAX_BUTTONS, MAX_LIST_ROWS } = require('./whatsappService');
+const log = require('../utils/logger');
+
+/**
+ * Gatilhos: em que momento do atendimento o fluxo roda
+ */
+const TRIGGERS = {
+  welcome: 'Primeiro contato do lead',
+  welcome_back: 'Lead que volta após um período inativo',
+  classification: 'Depois que a IA classifica a mensagem',
+};
+
+/**
+ * Tipos de etapa suportados
+ * - message: texto simples
+ * - buttons: texto com botões de resposta rápida
+ * - list: texto com uma lista de opções
+ */
+const STEP_TYPES = ['message', 'buttons', 'list'];
+
+/**
+ * Condições aceitas no "when" e seus valores válidos
+ * (null = qualquer texto, ex: o ID de uma opção de botão ou lista)
+ */
+const CONDITIONS = {
+  intent: ['orçamento', 'dúvida', 'suporte', 'outro'],
+  sentiment: ['positivo', 'neutro', 'negativo'],
+  priority: ['baixa', 'média', 'alta'],
+  businessHours: ['open', 'closed'],
+  choice: null,
+};
+
+/**
+ * Variáveis que podem ser usadas nos textos ({{nome}})
+ * Os valores são preenchidos pelo flowRunner.js
+ */
+const VARIABLES = {
+  name: 'Nome do lead',
+  phone: 'Número do lead',
+  company: 'Nome da empresa (COMPANY_NAME)',
+  bot: 'Nome do bot (BOT_NAME)',
+  intent: 'Intenção classificada (apenas no gatilho classification)',
+  sentiment: 'Sentimento classificado (apenas no gatilho classification)',
+  priority: 'Prioridade classificada (apenas no gatilho classification)',
+  responseTime: 'Texto de tempo de resposta (horário de atendimento)',
+};
+
+/**
+ * Maior espera permitida em uma etapa (1 minuto)
+ */
+const MAX_DELAY_MS = 60000;
+
+/**
+ * Tamanhos máximos aceitos pelo WhatsApp nos botões e listas
+ */
+const MAX_OPTION_TEXT = 20;
+const MAX_OPTION_DESCRIPTION = 72;
+
+/**
+ * Valida as condições (when) de um fluxo ou etapa
+ *
+ * @param {*} when - Condições recebidas
+ * @param {String} label - Onde estão (para a mensagem de erro)
+ * @returns {Array<String>} - Erros encontrados
+ */
+function validateConditions(when, label) {
+  if (when === undefined || when === null) {
+    return [];
+  }
+
+  if (typeof when !== 'object' || Array.isArray(when)) {
+    return [`${label}.when deve ser um objeto`];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(when)) {
+    if (!(key in CONDITIONS)) {
+      errors.push(`${label}.when.${key} não é uma condição válida (use ${Object.keys(CONDITIONS).join(', ')})`);
+      continue;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+
+    if (CONDITIONS[key] === null) {
+      if (values.length === 0 || values.some(item => typeof item !== 'string' || !item.trim())) {
+        errors.push(`${label}.when.${key} aceita um texto ou uma lista de textos`);
+      }
+      continue;
+    }
+
+    const invalid = values.filter(item => !CONDITIONS[key].includes(item));
+
+    if (values.length === 0 || invalid.length > 0) {
+      errors.push(`${label}.when.${key} aceita: ${CONDITIONS[key].join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Valida as opções de uma etapa com botões ou lista
+ *
+ * @param {*} options - Opções recebidas ({ id, text, description })
+ * @param {String} label - Onde estão (para a mensagem de erro)
+ * @param {Boolean} withDescription - Aceita description (só nas listas)
+ * @returns {Array<String>} - Erros encontrados
+ */
+function validateOptions(options, label, withDescription = false) {
+  if (!Array.isArray(options) || options.length === 0) {
+    return [`${label} deve ser uma lista com pelo menos uma opção`];
+  }
+
+  const errors = [];
+
+  options.forEach((option, index) => {
+    const optionLabel = `${label}[${index}]`;
+
+    if (!option || typeof option !== 'object' || Array.isArray(option)) {
+      errors.push(`${optionLabel} deve ser um objeto`);
+      return;
+    }
+
+    if (typeof option.id !== 'string' || !option.id.trim()) {
+      errors.push(`${optionLabel}.id é obrigatório`);
+    }
+
+    if (typeof option.text !== 'string' || !option.text.trim() || option.text.length > MAX_OPTION_TEXT) {
+      errors.push(`${optionLabel}.text é obrigatório (até ${MAX_OPTION_TEXT} caracteres)`);
+    }
+
+    if (option.description !== undefined && (!withDescription ||
+        typeof option.description !== 'string' || option.description.length > MAX_OPTION_DESCRIPTION)) {
+      errors.push(withDescription
+        ? `${optionLabel}.description deve ser um texto de até ${MAX_OPTION_DESCRIPTION} caracteres`
+        : `${optionLabel}.description não é aceito em botões`);
+    }
+  });
+
+  const ids = options.map(option => option?.id).filter(Boolean);
+
+  if (new Set(ids).size !== ids.length) {
+    errors.push(`${label} tem opções com o mesmo id`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valida os botões ou a lista de uma etapa
+ *
+ * @param {Object} step - Etapa recebida
+ * @param {String} type - Tipo da etapa (buttons ou list)
+ * @param {String} label - Onde está (para a mensagem de erro)
+ * @returns {Array<String>} - Erros encontrados
+ */
+function validateInteractive(step, type, label) {
+  const errors = [];
+
+  if (step.footer !== undefined && typeof step.footer !== 'string') {
+    errors.push(`${label}.footer deve ser um texto`);
+  }
+
+  if (type === 'buttons') {
+    errors.push(...validateOptions(step.buttons, `${label}.buttons`));
+
+    if (Array.isArray(step.buttons) && step.buttons.length > MAX_BUTTONS) {
+      errors.push(`${label}.buttons aceita até ${MAX_BUTTONS} botões`);
+    }
+
+    return errors;
+  }
+
+  if (typeof step.buttonText !== 'string' || !step.buttonText.trim() || step.buttonText.length > MAX_OPTION_TEXT) {
+    errors.push(`${label}.buttonText é obrigatório (até ${MAX_OPTION_TEXT} caracteres)`);
+  }
+
+  if (!Array.isArray(step.sections) || step.sections.length === 0) {
+    errors.push(`${label}.sections deve ser uma lista com pelo menos uma seção`);
+    return errors;
+  }
+
+  step.sections.forEach((section, index) => {
+    const sectionLabel = `${label}.sections[${index}]`;
+
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+      errors.push(`${sectionLabel} deve ser um objeto`);
+      return;
+    }
+
+    if (section.title !== undefined && typeof section.title !== 'string') {
+      errors.push(`${sectionLabel}.title deve ser um texto`);
+    }
+
+    errors.push(...validateOptions(section.rows, `${sectionLabel}.rows`, true));
+  });
+
+  const rows = step.sections.flatMap(section => (Array.isArray(section?.rows) ? section.rows : []));
+  const ids = rows.map(row => row?.id).filter(Boolean);
+
+  if (rows.length > MAX_LIST_ROWS) {
+    errors.push(`${label}.sections aceita até ${MAX_LIST_ROWS} opções no total`);
+  }
+
+  if (new Set(ids).size !== ids.length) {
+    errors.push(`${label}.sections tem opções com o mesmo id`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valida uma etapa do fluxo
+ *
+ * @param {*} step - Etapa recebida
+ * @param {Number} index - Posição da etapa
+ * @returns {Array<String>} - Erros encontrados
+ */
+function validateStep(step, index) {
+  const label = `steps[${index}]`;
+
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return [`${label} deve ser um objeto`];
+  }
+
+  const errors = [];
+  const type = step.type || 'message';
+
+  if (!STEP_TYPES.includes(type)) {
+    errors.push(`${label}.type inválido (use ${STEP_TYPES.join(', ')})`);
+  } else if (type !== 'message') {
+    errors.push(...validateInteractive(step, type, label));
+  }
+
+  if (typeof step.text !== 'string' || !step.text.trim()) {
+    errors.push(`${label}.text é obrigatório`);
+  }
+
+  for (const field of ['text', 'footer']) {
+    if (typeof step[field] !== 'string') {
+      continue;
+    }
+
+    const unknown = [...step[field].matchAll(/{{\s*(\w+)\s*}}/g)]
+      .map(match => match[1])
+      .filter(variable => !VARIABLES[variable]);
+
+    if (unknown.length > 0) {
+      errors.push(`${label}.${field} usa variáveis desconhecidas: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (step.delayMs !== undefined &&
+      (!Number.isInteger(step.delayMs) || step.delayMs < 0 || step.delayMs > MAX_DELAY_MS)) {
+    errors.push(`${label}.delayMs deve ser um inteiro entre 0 e ${MAX_DELAY_MS}`);
+  }
+
+  if (step.typing !== undefined && typeof step.typing !== 'boolean') {
+    errors.push(`${label}.typing deve ser true ou false`);
+  }
+
+  return errors.concat(validateConditions(step.when, label));
+}
+
+/**
+ * Valida a definição completa de um fluxo
+ *
+ * @param {Object} data - { name, trigger, description, when, steps, active }
+ * @returns {Array<String>} - Erros encontrados (vazio = válido)
+ */
+function validateFlow(data) {
+  if (!data || typeof data !== 'object') {
+    return ['Definição do fluxo não informada'];
+  }
+
+  const errors = [];
+
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push('name é obrigatório');
+  }
+
+  if (!TRIGGERS[data.trigger]) {
+    errors.push(`trigger inválido (use ${Object.keys(TRIGGERS).join(', ')})`);
+  }
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    errors.push('description deve ser um texto');
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push('active deve ser true ou false');
+  }
+
+  errors.push(...validateConditions(data.when, 'flow'));
+
+  if (!Array.isArray(data.steps) || data.steps.length === 0) {
+    errors.push('steps deve ser uma lista com pelo menos uma etapa');
+  } else {
+    data.steps.forEach((step, index) => errors.push(...validateStep(step, index)));
+  }
+
+  return errors;
+}
+
+/**
+ * Mantém apenas os campos conhecidos de uma opção de botão ou lista
+ *
+ * @param {Object} option - { id, text, description }
+ * @returns {Object}
+ */
+function pickOption({ id, text, description }) {
+  return {
+    id,
+    text,
+    ...(description !== undefined && { description }),
+  };
+}
+
+/**
+ * Mantém apenas os campos conhecidos de um fluxo
+ *
+ * @param {Object} data - Dados recebidos
+ * @returns {Object}
+ */
+function pickFlowFields({ name, trigger, description, when, steps, active }) {
+  return {
+    name: name.trim(),
+    trigger,
+    description: description ?? null,
+    when: when && Object.keys(when).length > 0 ? when : null,
+    steps: steps.map(({ type = 'message', text, footer, buttons, buttonText, sections, delayMs, typing, when: stepWhen }) => ({
+      type,
+      text,
+      ...(type !== 'message' && footer !== undefined && { footer }),
+      ...(type === 'buttons' && { buttons: buttons.map(pickOption) }),
+      ...(type === 'list' && {
+        buttonText,
+        sections: sections.map(section => ({
+          ...(section.title !== undefined && { title: section.title }),
+          rows: section.rows.map(pickOption),
+        })),
+      }),
+      ...(delayMs !== undefined && { delayMs }),
+      ...(typing !== undefined && { typing }),
+      ...(stepWhen && Object.keys(stepWhen).length > 0 && { when: stepWhen }),
+    })),
+    active: active ?? true,
+  };
+}
+
+/**
+ * Lista os fluxos
+ *
+ * @param {Object} filters - { trigger } (opcional)
+ * @returns {Array} - Lista de fluxos
+ */
+function listFlows(filters = {}) {
+  try {
+    return Flow.findAll(filters);
+
+  } catch (error) {
+    log.error('Erro ao listar fluxos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um fluxo pelo ID
+ *
+ * @param {Number} id - ID do fluxo
+ * @returns {Object|null} - Fluxo ou null
+ */
+function getFlow(id) {
+  try {
+    return Flow.findById(id);
+
+  } catch (error) {
+    log.error('Erro ao buscar fluxo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista os fluxos ativos de um gatilho (usado pelo flowRunner)
+ *
+ * @param {String} trigger - Gatilho (ex: welcome)
+ * @returns {Array} - Fluxos, na ordem em que devem ser avaliados
+ */
+function getActiveFlows(trigger) {
+  try {
+    return Flow.findActiveByTrigger(trigger);
+
+  } catch (error) {
+    log.error('Erro ao buscar fluxos ativos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um fluxo (a definição já deve ter sido validada)
+ *
+ * @param {Object} data - Definição do fluxo
+ * @returns {Object|null} - Fluxo criado, ou null se o nome já existe
+ */
+function createFlow(data) {
+  try {
+    const flow = pickFlowFields(data);
+
+    if (Flow.findByName(flow.name)) {
+      return null;
+    }
+
+    const created = Flow.create(flow);
+
+    log.info('Fluxo criado', { id: created.id, name: created.name, trigger: created.trigger });
+
+    return created;
+
+  } catch (error) {
+    log.error('Erro ao criar fluxo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Substitui a definição de um fluxo (a definição já deve ter sido validada)
+ *
+ * @param {Number} id - ID do fluxo
+ * @param {Object} data - Nova definição
+ * @returns {Object} - { flow, conflict } (flow null = não encontrado)
+ */
+function updateFlow(id, data) {
+  try {
+    const flow = pickFlowFields(data);
+    const sameName = Flow.findByName(flow.name);
+
+    if (sameName && sameName.id !== id) {
+      return { flow: null, conflict: true };
+    }
+
+    const updated = Flow.update(id, flow);
+
+    if (updated) {
+      log.info('Fluxo atualizado', { id, name: updated.name });
+    }
+
+    return { flow: updated, conflict: false };
+
+  } catch (error) {
+    log.error('Erro ao atualizar fluxo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove um fluxo
+ *
+ * @param {Number} id - ID do fluxo
+ * @returns {Boolean} - true se removeu
+ */
+function deleteFlow(id) {
+  try {
+    const removed = Flow.remove(id);
+
+    if (removed) {
+      log.info('Fluxo removido', { id });
+    }
+
+    return removed;
+
+  } catch (error) {
+    log.error('Erro ao remover fluxo:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  TRIGGERS,
+  CONDITIONS,
+  VARIABLES,
+  validateFlow,
+  listFlows,
+  getFlow,
+  getActiveFlows,
+  createFlow,
+  updateFlow,
+  deleteFlow,
+};
@@ -0,0 +1,323 @@
+/**
+ * SERVICE: IMPORTAÇÃO DE LEADS (CSV)
+ *
+ * Cadastra leads de uma planilha antes de eles falarem com o bot
+ * (ex: lista de clientes antigos).
+ *
+ * Cada linha do CSV vira um lead:
+ * - O número é normalizado (whatsappService.formatPhoneNumber)
+ * - Número que já existe no sistema: o lead é atualizado
+ * - Número novo: o lead é criado
+ * - Linha com erro: é recusada, sem afetar as outras
+ *
+ * As linhas aceitas são salvas juntas, em uma transação: se uma
+ * gravação falhar, nenhuma fica salva (nada de importação pela metade).
+ *
+ * Colunas: por padrão, as de mesmo nome dos campos (as mesmas da
+ * exportação: phoneNumber, name, email, ..., tags, custom.<campo>).
+ * Planilhas com outros nomes usam o mapeamento campo => coluna
+ * (ex: { phoneNumber: 'Telefone', name: 'Nome completo' }).
+ *
+ * Células vazias não alteram o lead.
+ */
+
+const Lead = require('../models/Lead');
+const { transaction } = require('../utils/database');
+const leadService = require('./leadService');
+const customFieldService = require('./customFieldService');
+const tagService = require('./tagService');
+const whatsappService = require('./whatsappService');
+const { parseCsv } = require('../utils/csv');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Tamanho máximo do CSV e quantidade máxima de linhas por importação
+ */
+const IMPORT_MAX_SIZE = '5mb';
+const IMPORT_MAX_ROWS = 5000;
+
+/**
+ * Campos que podem vir da planilha (além de custom.<campo>)
+ */
+const IMPORT_FIELDS = ['phoneNumber', ...Object.keys(leadService.PROFILE_FIELDS), 'tags'];
+
+/**
+ * Números aceitos depois de normalizados (mesmo formato das rotas)
+ */
+const PHONE_PATTERN = /^\d{8,15}$/;
+
+/**
+ * Monta o mapeamento campo => posição da coluna
+ *
+ * Os nomes das colunas são comparados sem diferenciar maiúsculas.
+ *
+ * @param {Array<String>} header - Primeira linha do CSV
+ * @param {Object} mapping - { campo: 'Nome da coluna' } (opcional)
+ * @returns {Object} - { columns ({ campo: posição }), errors }
+ */
+function buildColumns(header, mapping = {}) {
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+  const errors = [];
+
+  const isField = field => IMPORT_FIELDS.includes(field) || field.startsWith('custom.');
+
+  for (const [field, column] of Object.entries(mapping)) {
+    const index = names.indexOf(column.trim().toLowerCase());
+
+    if (!isField(field)) {
+      errors.push(`map.${field}: campo desconhecido (use ${IMPORT_FIELDS.join(', ')} ou custom.<campo>)`);
+    } else if (index === -1) {
+      errors.push(`map.${field}: a coluna "${column}" não existe no CSV`);
+    } else {
+      columns[field] = index;
+    }
+  }
+
+  // Colunas com o nome do próprio campo (ex: exportadas por GET /leads/export)
+  header.forEach((name, index) => {
+    const field = name.trim();
+
+    if (isField(field) && columns[field] === undefined && !Object.values(columns).includes(index)) {
+      columns[field] = index;
+    }
+  });
+
+  if (columns.phoneNumber === undefined) {
+    errors.push('O CSV precisa de uma coluna phoneNumber (ou informe map.phoneNumber=<coluna>)');
+  }
+
+  for (const field of Object.keys(columns).filter(field => field.startsWith('custom.'))) {
+    if (!customFieldService.getField(field.slice('custom.'.length))) {
+      errors.push(`${field} não é um campo personalizado (veja GET /custom-fields)`);
+    }
+  }
+
+  return { columns, errors };
+}
+
+/**
+ * Troca a vírgula decimal por ponto (ex: 1500,50 → 1500.50)
+ *
+ * @param {String} text - Valor da célula
+ * @returns {String}
+ */
+function toDecimalPoint(text) {
+  return /^\d+,\d+$/.test(text) ? text.replace(',', '.') : text;
+}
+
+/**
+ * Converte um texto da planilha para o tipo do campo do perfil
+ *
+ * @param {String} field - Campo (veja leadService.PROFILE_FIELDS)
+ * @param {String} text - Valor da célula
+ * @returns {*}
+ */
+function fromCell(field, text) {
+  if (leadService.PROFILE_FIELDS[field].type === 'number') {
+    return Number(toDecimalPoint(text));
+  }
+
+  return text;
+}
+
+/**
+ * Lê e valida uma linha do CSV
+ *
+ * @param {Array<String>} cells - Células da linha
+ * @param {Object} columns - Mapeamento campo => posição (veja buildColumns)
+ * @returns {Object} - { phoneNumber (normalizado; como veio, se for inválido),
+ *   fields, customFields, tags, errors }
+ */
+function parseRow(cells, columns) {
+  const data = {};
+  const custom = {};
+  const errors = [];
+  let tags = [];
+
+  for (const [field, index] of Object.entries(columns)) {
+    // O apóstrofo que a exportação coloca antes de =, +, - e @ sai aqui
+    const text = (cells[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+
+    if (text === '' || field === 'phoneNumber') {
+      continue;
+    }
+
+    if (field === 'tags') {
+      tags = [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+    } else if (field.startsWith('custom.')) {
+      // Convertido pelo customFieldService (números também com vírgula decimal)
+      const key = field.slice('custom.'.length);
+      custom[key] = customFieldService.getField(key)?.type === 'number' ? toDecimalPoint(text) : text;
+    } else {
+      data[field] = fromCell(field, text);
+    }
+  }
+
+  // Número
+  const raw = (cells[columns.phoneNumber] || '').trim();
+  let phoneNumber = raw ? whatsappService.formatPhoneNumber(raw) : null;
+
+  if (!raw) {
+    errors.push('phoneNumber está vazio');
+  } else if (!PHONE_PATTERN.test(phoneNumber)) {
+    errors.push(`phoneNumber "${raw}" não é um número válido`);
+    phoneNumber = raw;
+  }
+
+  // Perfil e campos personalizados (mesmas regras de PATCH /leads/:phoneNumber)
+  const profile = Object.keys(data).length > 0
+    ? leadService.validateProfile(data)
+    : { fields: {}, errors: [] };
+  errors.push(...profile.errors);
+
+  const customFields = customFieldService.parseFilters(custom);
+  errors.push(...customFields.errors);
+
+  for (const tag of tags) {
+    if (!tagService.getTagByName(tag)) {
+      errors.push(`tags: ${tag} não existe (crie em POST /tags)`);
+    }
+  }
+
+  return {
+    phoneNumber,
+    fields: profile.fields,
+    customFields: customFields.values,
+    tags,
+    errors,
+  };
+}
+
+/**
+ * Lê o CSV e confere o cabeçalho, antes de importar qualquer linha
+ *
+ * @param {String} text - Conteúdo do CSV
+ * @param {Object} options - { mapping, delimiter }
+ * @returns {Object} - { rows (linhas sem o cabeçalho), columns, errors }
+ */
+function readCsv(text, { mapping = {}, delimiter = null } = {}) {
+  let rows;
+
+  try {
+    rows = parseCsv(text, delimiter);
+  } catch (error) {
+    return { rows: [], columns: {}, errors: [error.message] };
+  }
+
+  if (rows.length < 2) {
+    return { rows: [], columns: {}, errors: ['O CSV precisa de um cabeçalho e pelo menos uma linha'] };
+  }
+
+  if (rows.length - 1 > IMPORT_MAX_ROWS) {
+    return { rows: [], columns: {}, errors: [`O CSV pode ter até ${IMPORT_MAX_ROWS} linhas por importação`] };
+  }
+
+  const [header, ...data] = rows;
+  const { columns, errors } = buildColumns(header, mapping);
+
+  return { rows: data, columns, errors };
+}
+
+/**
+ * Importa os leads de um CSV (o cabeçalho já deve ter sido conferido
+ * com readCsv)
+ *
+ * Primeiro todas as linhas são conferidas (inclusive o WhatsApp de cada
+ * número); depois as aceitas são salvas em uma única transação. Uma
+ * linha recusada não impede as outras.
+ *
+ * @param {Array<Array<String>>} rows - Linhas (veja readCsv)
+ * @param {Object} columns - Mapeamento campo => posição (veja readCsv)
+ * @param {Object} options - Opções:
+ *   - sock: socket do WhatsApp para conferir se cada número tem WhatsApp
+ *     (isValidWhatsAppNumber); sem ele, os números não são conferidos
+ *   - dryRun: true para só conferir as linhas, sem salvar nada
+ *   - importedBy: API Key que fez a importação (etiquetas colocadas)
+ * @returns {Promise<Object>} - { summary, rows: [{ row, phoneNumber, status, errors }] }
+ * @throws {Error} - Se a consulta ao WhatsApp falhar (ex: a conexão caiu):
+ *   a importação é interrompida antes de salvar qualquer linha
+ */
+async function importLeads(rows, columns, { sock = null, dryRun = false, importedBy = null } = {}) {
+  try {
+    log.info('Importando leads', { rows: rows.length, columns: Object.keys(columns), dryRun, validateWhatsApp: Boolean(sock) });
+
+    const report = [];
+    const accepted = [];
+    const seen = new Map();
+
+    // 1. Confere as linhas, sem salvar nada
+    for (const [index, cells] of rows.entries()) {
+      // Linha 1 é o cabeçalho, como na planilha
+      const row = index + 2;
+      const { phoneNumber, fields, customFields, tags, errors } = parseRow(cells, columns);
+
+      if (phoneNumber && seen.has(phoneNumber)) {
+        errors.push(`phoneNumber repetido no CSV (linha ${seen.get(phoneNumber)})`);
+      } else if (phoneNumber) {
+        seen.set(phoneNumber, row);
+      }
+
+      if (errors.length === 0 && sock && !(await whatsappService.isValidWhatsAppNumber(sock, phoneNumber))) {
+        errors.push(`${phoneNumber} não tem WhatsApp`);
+      }
+
+      if (errors.length > 0) {
+        report.push({ row, phoneNumber, status: 'rejected', errors });
+        continue;
+      }
+
+      report.push({ row, phoneNumber, status: Lead.findByPhone(phoneNumber) ? 'updated' : 'created' });
+      accepted.push({ phoneNumber, fields, customFields, tags });
+    }
+
+    // 2. Salva as linhas aceitas: tudo ou nada
+    if (!dryRun) {
+      transaction(() => {
+        for (const { phoneNumber, fields, customFields, tags } of accepted) {
+          Lead.findOrCreate(phoneNumber, fields.name);
+
+          if (Object.keys(fields).length > 0 || Object.keys(customFields).length > 0) {
+            leadService.updateProfile(phoneNumber, fields, customFields);
+          }
+
+          if (tags.length > 0) {
+            tagService.addTagsToLead(phoneNumber, tags, importedBy);
+          }
+        }
+      });
+    }
+
+    const summary = {
+      total: report.length,
+      created: report.filter(result => result.status === 'created').length,
+      updated: report.filter(result => result.status === 'updated').length,
+      rejected: report.filter(result => result.status === 'rejected').length,
+    };
+
+    if (!dryRun) {
+      metrics.increment('imports.created', summary.created);
+      metrics.increment('imports.updated', summary.updated);
+      metrics.increment('imports.rejected', summary.rejected);
+    }
+
+    log.info('Importação concluída', { ...summary, dryRun });
+
+    return { summary, rows: report };
+
+  } catch (error) {
+    log.error('Erro ao importar leads:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  IMPORT_MAX_SIZE,
+  IMPORT_MAX_ROWS,
+  IMPORT_FIELDS,
+  readCsv,
+  parseRow,
+  importLeads,
+};
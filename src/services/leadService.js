@@ -7,9 +7,9 @@
  * Responsabilidades:
  * - Criar novos leads
  * - Buscar leads existentes
- * - Atualizar informações de leads
+ * - Atualizar informações de leads (status e perfil)
  * - Adicionar mensagens ao histórico
- * - Listar leads com filtros
+ * - Listar leads com filtros (os mesmos usados pelos segmentos salvos)
  * 
  * Por que usar um service?
  * - Separa a lógica de negócio do acesso ao banco
@@ -18,7 +18,116 @@
  */
 
 const Lead = require('../models/Lead');
+const whatsappService = require('./whatsappService');
 const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const qualificationService = require('./qualificationService');
+const conversationService = require('./conversationService');
+const attachmentService = require('./attachmentService');
+const sharedContentService = require('./sharedContentService');
+const customFieldService = require('./customFieldService');
+const tagService = require('./tagService');
+const { CONDITIONS } = require('./flowService');
+
+/**
+ * Campos fixos do perfil que podem ser editados pela API
+ * (PATCH /leads/:phoneNumber). A validação segue o tipo de cada
+ * campo (veja customFieldService.validateValue).
+ */
+const PROFILE_FIELDS = {
+  name: { type: 'text', maxLength: 100, required: true },
+  email: { type: 'email', maxLength: 254 },
+  company: { type: 'text', maxLength: 100 },
+  city: { type: 'text', maxLength: 100 },
+  notes: { type: 'text', maxLength: 5000 },
+  owner: { type: 'text', maxLength: 100 },
+  dealValue: { type: 'number', min: 0 },
+};
+
+/**
+ * Status possíveis de um lead
+ */
+const STATUSES = ['novo', 'em_atendimento', 'finalizado'];
+
+/**
+ * Filtros da listagem que aceitam um ou mais valores de uma lista
+ * (ex: status=novo,em_atendimento) e os valores válidos de cada um
+ */
+const LIST_CHOICES = {
+  status: STATUSES,
+  priority: CONDITIONS.priority,
+  intent: CONDITIONS.intent,
+  sentiment: CONDITIONS.sentiment,
+  state: Object.keys(conversationService.STATES),
+};
+
+/**
+ * Filtros aceitos na listagem de leads (GET /leads e segmentos salvos)
+ * Além deles, custom.<campo> filtra por um campo personalizado.
+ */
+const LIST_FILTERS = [
+  ...Object.keys(LIST_CHOICES),
+  'owner', 'company', 'city', 'name', 'phone',
+  'createdFrom', 'createdTo', 'lastInteractionFrom', 'lastInteractionTo',
+  'dealValueMin', 'dealValueMax', 'tags', 'excludeTags',
+];
+
+/**
+ * Filtros de período: filtro => [coluna, início ou fim]
+ */
+const DATE_FILTERS = {
+  createdFrom: ['createdAt', 'from'],
+  createdTo: ['createdAt', 'to'],
+  lastInteractionFrom: ['lastInteraction', 'from'],
+  lastInteractionTo: ['lastInteraction', 'to'],
+};
+
+/**
+ * Leads por página na listagem: padrão e máximo
+ */
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * Última página aceita em page (o OFFSET precisa caber no inteiro do
+ * SQLite); para ir além, use o cursor
+ */
+const MAX_LIST_PAGE = 10000;
+
+/**
+ * Paginação e ordenação da listagem (regras de middlewares/validate.js)
+ * 
+ * sortBy é conferido em parseListOptions (colunas de Lead.SORT_COLUMNS
+ * ou custom.<campo> existente).
+ */
+const LIST_OPTIONS = {
+  page: { type: 'integer', min: 1, max: MAX_LIST_PAGE },
+  limit: { type: 'integer', min: 1, max: MAX_LIST_LIMIT },
+  cursor: { minLength: 1, maxLength: 1000 },
+  sortBy: { minLength: 1, maxLength: 100 },
+  sortOrder: { enum: ['asc', 'desc', 'ASC', 'DESC'] },
+};
+
+/**
+ * Query string de GET /leads (regras de middlewares/validate.js)
+ * 
+ * O formato é conferido aqui; os valores (etiqueta existe? data
+ * válida?) em parseListFilters.
+ */
+const LIST_QUERY = {
+  ...Object.fromEntries(LIST_FILTERS.map(name => [name, { maxLength: 100 }])),
+  ...Object.fromEntries(
+    [...Object.keys(LIST_CHOICES), 'tags', 'excludeTags']
+      .map(name => [name, { maxLength: 1000, multiple: true }])
+  ),
+  ...Object.fromEntries(
+    Object.keys(DATE_FILTERS).map(name => [name, { pattern: /^\d{4}-\d{2}-\d{2}$/ }])
+  ),
+  dealValueMin: { type: 'number' },
+  dealValueMax: { type: 'number' },
+  'custom.*': { maxLength: 500 },
+  ...LIST_OPTIONS,
+};
 
 /**
  * Cria um novo lead ou retorna um existente
@@ -26,22 +135,35 @@ const log = require('../utils/logger');
  * Esta função é "idempotente": pode ser chamada várias vezes
  * com o mesmo número e não criará duplicatas.
  * 
+ * Também informa em que situação o lead está chegando:
+ * - isNew: lead acabou de ser criado (ou nunca nos enviou mensagem,
+ *   ex: cadastrado pela API)
+ * - isReturning: lead conhecido que volta após RETURNING_LEAD_INACTIVITY_DAYS
+ *   sem interagir
+ * 
+ * IMPORTANTE: chame ANTES de salvar a nova mensagem, senão a
+ * última interação já será a mensagem atual.
+ * 
  * @param {String} phoneNumber - Número do WhatsApp (formato: 5511999999999)
  * @param {String} name - Nome do contato
- * @returns {Object} - Lead criado ou encontrado
+ * @returns {Object} - { lead, isNew, isReturning }
  */
 function createOrGetLead(phoneNumber, name = 'Não informado') {
   try {
     log.info('Buscando ou criando lead', { phoneNumber });
 
-    const lead = Lead.findOrCreate(phoneNumber, name);
+    const { lead, created } = Lead.findOrCreate(phoneNumber, name);
+
+    const isNew = created || Lead.countMessages(phoneNumber, 'lead') === 0;
+    const isReturning = !isNew && isInactive(lead);
 
     log.info('Lead obtido com sucesso', { 
       phoneNumber,
-      isNew: Lead.countMessages(phoneNumber) === 0
+      isNew,
+      isReturning,
     });
 
-    return lead;
+    return { lead, isNew, isReturning };
 
   } catch (error) {
     log.error('Erro ao criar/buscar lead:', error);
@@ -49,19 +171,44 @@ function createOrGetLead(phoneNumber, name = 'Não informado') {
   }
 }
 
+/**
+ * Verifica se o lead está sem interagir há mais tempo que o configurado
+ * 
+ * @param {Object} lead - Lead (linha da tabela leads)
+ * @returns {Boolean}
+ */
+function isInactive(lead) {
+  const inactivityDays = parseInt(process.env.RETURNING_LEAD_INACTIVITY_DAYS) || 30;
+
+  if (!lead.lastInteraction) {
+    return false;
+  }
+
+  const inactiveMs = Date.now() - parseDate(lead.lastInteraction).getTime();
+
+  return inactiveMs >= inactivityDays * 24 * 60 * 60 * 1000;
+}
+
 /**
  * Adiciona uma mensagem ao histórico do lead
  * 
  * @param {String} phoneNumber - Número do WhatsApp
  * @param {String} text - Texto da mensagem
- * @param {String} sender - Quem enviou ('lead' ou 'bot')
- * @returns {Object} - Mensagem criada
+ * @param {String} sender - Quem enviou ('lead', 'bot' ou 'agent')
+ * @param {Object} extra - Dados opcionais (ex: { agent, waMessageId })
+ * @returns {Object|null} - Mensagem criada ou null se for uma reentrega (duplicata)
  */
-function addMessage(phoneNumber, text, sender = 'lead') {
+function addMessage(phoneNumber, text, sender = 'lead', extra = {}) {
   try {
     log.info('Adicionando mensagem ao lead', { phoneNumber, sender });
 
-    const message = Lead.addMessage(phoneNumber, text, sender);
+    const message = Lead.addMessage(phoneNumber, text, sender, extra);
+
+    if (!message) {
+      metrics.increment('messages.duplicatesDropped');
+      log.warn('Mensagem duplicada ignorada', { phoneNumber, waMessageId: extra.waMessageId });
+      return null;
+    }
 
     const totalMessages = Lead.countMessages(phoneNumber);
 
@@ -79,17 +226,83 @@ function addMessage(phoneNumber, text, sender = 'lead') {
 }
 
 /**
- * Atualiza a classificação de IA do lead
+ * Verifica se uma mensagem do WhatsApp já foi processada
+ * 
+ * O Baileys pode reentregar mensagens após uma reconexão.
+ * Se já temos o ID salvo, a mensagem é descartada e contabilizada
+ * nas métricas.
+ * 
+ * @param {String} waMessageId - ID da mensagem no WhatsApp (message.key.id)
+ * @returns {Boolean} - true se já foi processada
+ */
+function isDuplicateMessage(waMessageId) {
+  if (!waMessageId || !Lead.messageExists(waMessageId)) {
+    return false;
+  }
+
+  metrics.increment('messages.duplicatesDropped');
+  log.warn('Mensagem duplicada ignorada', { waMessageId });
+
+  return true;
+}
+
+/**
+ * Envia uma mensagem de um atendente para o lead
+ * 
+ * A mensagem é enviada pelo WhatsApp e registrada no histórico
+ * com sender = 'agent' e o identificador do atendente.
  * 
+ * @param {Object} sock - Socket do WhatsApp (Baileys)
  * @param {String} phoneNumber - Número do WhatsApp
- * @param {Object} classification - Objeto com intent, sentiment e priority
+ * @param {String} text - Texto a ser enviado
+ * @param {String} agent - Identificador do atendente
+ * @returns {Promise<Object|null>} - Mensagem registrada ou null se o lead não existir
+ */
+async function sendAgentMessage(sock, phoneNumber, text, agent) {
+  try {
+    log.info('Enviando mensagem do atendente', { phoneNumber, agent });
+
+    const lead = Lead.findByPhone(phoneNumber);
+
+    if (!lead) {
+      log.warn('Lead não encontrado', { phoneNumber });
+      return null;
+    }
+
+    // Envia primeiro: só registra no histórico o que realmente saiu
+    const sent = await whatsappService.sendMessage(sock, phoneNumber, text);
+
+    const message = addMessage(phoneNumber, text, 'agent', {
+      agent,
+      waMessageId: sent?.key?.id,
+    });
+
+    log.info('Mensagem do atendente enviada', { phoneNumber, agent });
+
+    return message;
+
+  } catch (error) {
+    log.error('Erro ao enviar mensagem do atendente:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra a classificação de IA de uma mensagem do lead
+ * 
+ * A classificação fica salva na mensagem e o lead passa a refletir
+ * a classificação mais recente.
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Number} messageId - ID da mensagem classificada
+ * @param {Object} classification - Objeto com intent, sentiment, priority e dados do provedor
  * @returns {Object} - Lead atualizado
  */
-function updateClassification(phoneNumber, classification) {
+function updateClassification(phoneNumber, messageId, classification) {
   try {
-    log.info('Atualizando classificação do lead', { phoneNumber });
+    log.info('Atualizando classificação do lead', { phoneNumber, messageId });
 
-    const lead = Lead.updateClassification(phoneNumber, classification);
+    const lead = Lead.updateClassification(phoneNumber, messageId, classification);
 
     log.info('Classificação atualizada com sucesso', { 
       phoneNumber,
@@ -107,6 +320,9 @@ function updateClassification(phoneNumber, classification) {
 /**
  * Atualiza o status do lead
  * 
+ * A etapa da conversa acompanha o status: "finalizado" encerra a
+ * conversa e qualquer outro status reabre uma conversa encerrada.
+ * 
  * @param {String} phoneNumber - Número do WhatsApp
  * @param {String} status - Novo status (novo, em_atendimento, finalizado)
  * @returns {Object} - Lead atualizado
@@ -121,9 +337,15 @@ function updateStatus(phoneNumber, status) {
       throw new Error(`Lead ${phoneNumber} não encontrado`);
     }
 
+    if (status === 'finalizado') {
+      conversationService.transition(phoneNumber, 'closed', 'atendimento finalizado');
+    } else if (lead.conversationState === 'closed') {
+      conversationService.transition(phoneNumber, 'active', `status alterado para ${status}`);
+    }
+
     log.info('Status atualizado com sucesso', { phoneNumber, status });
 
-    return lead;
+    return Lead.findByPhone(phoneNumber);
 
   } catch (error) {
     log.error('Erro ao atualizar status:', error);
@@ -131,11 +353,496 @@ function updateStatus(phoneNumber, status) {
   }
 }
 
+/**
+ * Valida as alterações do perfil de um lead
+ * 
+ * null apaga o campo (exceto name). Campos desconhecidos são recusados.
+ * 
+ * @param {*} data - { name, email, company, city, notes, owner, dealValue, customFields }
+ * @returns {Object} - { fields, customFields, errors } (valores normalizados)
+ */
+function validateProfile(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) {
+    return { fields: {}, customFields: {}, errors: ['Informe pelo menos um campo do perfil'] };
+  }
+
+  const fields = {};
+  const errors = [];
+  let customFields = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'customFields') {
+      const result = customFieldService.validateValues(value);
+      customFields = result.values;
+      errors.push(...result.errors);
+      continue;
+    }
+
+    const field = PROFILE_FIELDS[key];
+
+    if (!field) {
+      errors.push(`${key} não pode ser alterado (use ${[...Object.keys(PROFILE_FIELDS), 'customFields'].join(', ')})`);
+      continue;
+    }
+
+    if (value === null) {
+      if (field.required) {
+        errors.push(`${key} não pode ser apagado`);
+      } else {
+        fields[key] = null;
+      }
+      continue;
+    }
+
+    const result = customFieldService.validateValue(field, value);
+
+    if (result.error) {
+      errors.push(`${key} ${result.error}`);
+    } else {
+      fields[key] = result.value;
+    }
+  }
+
+  return { fields, customFields, errors };
+}
+
+/**
+ * Atualiza o perfil do lead (os dados já devem ter sido validados)
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Object} fields - Campos fixos (veja PROFILE_FIELDS)
+ * @param {Object} customFields - Campos personalizados { campo: valor }
+ * @returns {Object|null} - Lead atualizado ou null se não existir
+ */
+function updateProfile(phoneNumber, fields, customFields) {
+  try {
+    log.info('Atualizando perfil do lead', {
+      phoneNumber,
+      fields: Object.keys(fields),
+      customFields: Object.keys(customFields),
+    });
+
+    const lead = Lead.updateProfile(phoneNumber, fields, customFields);
+
+    if (lead) {
+      log.info('Perfil atualizado com sucesso', { phoneNumber });
+    }
+
+    return lead;
+
+  } catch (error) {
+    log.error('Erro ao atualizar perfil:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atendente humano assume a conversa com o lead
+ * 
+ * Enquanto o lead estiver sob controle humano, o bot continua
+ * salvando e classificando as mensagens, mas NÃO envia respostas
+ * automáticas.
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} agent - Identificador do atendente (nome, e-mail, etc)
+ * @returns {Object|null} - Lead atualizado ou null se não existir
+ */
+function takeOver(phoneNumber, agent) {
+  try {
+    log.info('Atendente assumindo conversa', { phoneNumber, agent });
+
+    const lead = Lead.updateBotControl(phoneNumber, true, agent);
+
+    if (!lead) {
+      log.warn('Lead não encontrado', { phoneNumber });
+      return null;
+    }
+
+    // Quem assumiu a conversa está atendendo o lead
+    Lead.updateStatus(phoneNumber, 'em_atendimento');
+    conversationService.transition(phoneNumber, 'with_agent', `assumida por ${agent}`);
+
+    log.info('Bot pausado para o lead', { phoneNumber, agent });
+
+    return Lead.findByPhone(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro ao assumir conversa:', error);
+    throw error;
+  }
+}
+
+/**
+ * Devolve a conversa para o bot
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} reason - Motivo (fica no histórico de etapas da conversa)
+ * @returns {Object|null} - Lead atualizado ou null se não existir
+ */
+function releaseToBot(phoneNumber, reason = 'devolvida ao bot') {
+  try {
+    log.info('Devolvendo conversa para o bot', { phoneNumber });
+
+    const lead = Lead.updateBotControl(phoneNumber, false);
+
+    if (!lead) {
+      log.warn('Lead não encontrado', { phoneNumber });
+      return null;
+    }
+
+    if (lead.conversationState === 'with_agent') {
+      conversationService.transition(phoneNumber, 'active', reason);
+    }
+
+    log.info('Bot reativado para o lead', { phoneNumber });
+
+    return Lead.findByPhone(phoneNumber);
+
+  } catch (error) {
+    log.error('Erro ao liberar conversa:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica se o bot está pausado (lead sob controle humano)
+ * 
+ * Se BOT_AUTO_RELEASE_MINUTES estiver configurado e a conversa
+ * estiver parada há mais tempo que isso, devolve o lead para o bot
+ * automaticamente. O tempo parado conta da última interação ou de
+ * quando o atendente assumiu, o que for mais recente.
+ * 
+ * @param {Object} lead - Lead (linha da tabela leads)
+ * @returns {Boolean} - true se o bot NÃO deve responder
+ */
+function isBotPaused(lead) {
+  if (!lead || !lead.botPaused) {
+    return false;
+  }
+
+  const autoReleaseMinutes = parseInt(process.env.BOT_AUTO_RELEASE_MINUTES) || 0;
+
+  if (autoReleaseMinutes > 0) {
+    // Assumir uma conversa parada há muito tempo não a libera na hora
+    const lastActivity = Math.max(
+      ...[lead.lastInteraction, lead.takenOverAt].filter(Boolean).map(value => parseDate(value).getTime())
+    );
+    const idleMinutes = (Date.now() - lastActivity) / 60000;
+
+    if (idleMinutes >= autoReleaseMinutes) {
+      log.info('Conversa ociosa, liberando para o bot automaticamente', {
+        phoneNumber: lead.phoneNumber,
+        idleMinutes: Math.round(idleMinutes),
+      });
+
+      releaseToBot(lead.phoneNumber, 'liberada automaticamente por inatividade');
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Converte uma data do SQLite (CURRENT_TIMESTAMP, em UTC) para Date
+ * 
+ * @param {String} value - Data no formato 'YYYY-MM-DD HH:MM:SS'
+ * @returns {Date}
+ */
+function parseDate(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Separa um parâmetro de vários valores
+ * 
+ * @param {String|Array} value - Ex: 'vip,revenda' ou ['vip', 'revenda']
+ * @returns {Array} - Ex: ['vip', 'revenda']
+ */
+function splitList(value) {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Converte um período em dias (AAAA-MM-DD) para datas do SQLite
+ * 
+ * As datas do banco estão em UTC; o fim inclui o dia inteiro.
+ * 
+ * @param {String|null} from - Primeiro dia
+ * @param {String|null} to - Último dia
+ * @returns {Object} - { from, to } para usar como from <= data < to
+ */
+function toDateRange(from, to) {
+  const nextDay = day => new Date(Date.parse(day) + 86400000).toISOString().slice(0, 10);
+
+  return {
+    from: from ? `${from} 00:00:00` : null,
+    to: to ? `${nextDay(to)} 00:00:00` : null,
+  };
+}
+
+/**
+ * Converte os filtros da listagem (query string) para o formato do model
+ * 
+ * Usado por GET /leads e pelos segmentos salvos. Parâmetros que não
+ * são filtros (page, sortBy...) são ignorados.
+ * 
+ * @param {Object} query - Ex: { status: 'novo,em_atendimento', tags: 'vip,revenda',
+ *   createdFrom: '2024-05-01', 'custom.segmento': 'varejo' }
+ * @returns {Object} - { filters, errors }
+ */
+function parseListFilters(query) {
+  const filters = {};
+  const errors = [];
+
+  // Um ou mais valores: ?status=novo,em_atendimento (ou ?status=novo&status=em_atendimento)
+  for (const [name, allowed] of Object.entries(LIST_CHOICES)) {
+    const values = query[name] ? splitList(query[name]) : [];
+    const invalid = values.filter(value => !allowed.includes(value));
+
+    if (invalid.length > 0) {
+      errors.push(`${name} aceita: ${allowed.join(', ')} (recebido: ${invalid.join(', ')})`);
+    } else if (values.length > 0) {
+      filters[name] = values;
+    }
+  }
+
+  // Os demais filtros (exceto etiquetas) aceitam um único valor
+  const single = {};
+
+  for (const name of LIST_FILTERS) {
+    const value = query[name];
+
+    if (name in LIST_CHOICES || ['tags', 'excludeTags'].includes(name) || value === undefined || value === '') {
+      continue;
+    }
+
+    if (typeof value === 'string') {
+      single[name] = value.trim();
+    } else {
+      errors.push(`${name} deve ser informado uma única vez`);
+    }
+  }
+
+  // Perfil: igualdade (owner, company, city) ou começo do nome
+  for (const name of ['owner', 'company', 'city', 'name']) {
+    if (single[name] === undefined) {
+      continue;
+    }
+
+    const result = customFieldService.validateValue({ type: 'text', maxLength: 100 }, single[name]);
+
+    if (result.error) {
+      errors.push(`${name} ${result.error}`);
+    } else {
+      filters[name] = result.value;
+    }
+  }
+
+  // Começo do número (só os dígitos: "+55 11" vira "5511")
+  if (single.phone !== undefined) {
+    const digits = single.phone.replace(/\D/g, '');
+
+    if (digits) {
+      filters.phone = digits;
+    } else {
+      errors.push('phone deve ter pelo menos um dígito');
+    }
+  }
+
+  // Períodos: ?createdFrom=2024-05-01&createdTo=2024-05-31 (inclusive)
+  const days = {};
+
+  for (const [name, [column, bound]] of Object.entries(DATE_FILTERS)) {
+    if (single[name] === undefined) {
+      continue;
+    }
+
+    const result = customFieldService.validateValue({ type: 'date' }, single[name]);
+
+    if (result.error) {
+      errors.push(`${name} ${result.error}`);
+    } else {
+      days[column] = { ...days[column], [bound]: result.value };
+    }
+  }
+
+  for (const [column, { from = null, to = null }] of Object.entries(days)) {
+    if (from && to && from > to) {
+      errors.push(`${column}: o início do período é depois do fim`);
+    } else {
+      filters[column] = toDateRange(from, to);
+    }
+  }
+
+  // Faixa de valor do negócio
+  for (const name of ['dealValueMin', 'dealValueMax']) {
+    if (single[name] === undefined) {
+      continue;
+    }
+
+    const number = Number(single[name]);
+
+    if (Number.isFinite(number)) {
+      filters[name] = number;
+    } else {
+      errors.push(`${name} deve ser um número`);
+    }
+  }
+
+  // Etiquetas: ?tags=vip,revenda (ou ?tags=vip&tags=revenda)
+  for (const name of ['tags', 'excludeTags']) {
+    if (!query[name]) {
+      continue;
+    }
+
+    const tags = splitList(query[name]);
+
+    const unknown = tags.filter(tag => !tagService.getTagByName(tag));
+
+    if (unknown.length > 0) {
+      errors.push(`${name}: etiqueta não encontrada (${unknown.join(', ')})`);
+    } else if (tags.length > 0) {
+      filters[name] = tags;
+    }
+  }
+
+  // Campos personalizados: ?custom.segmento=varejo
+  const customQuery = Object.fromEntries(
+    Object.entries(query)
+      .filter(([param]) => param.startsWith('custom.'))
+      .map(([param, value]) => [param.slice('custom.'.length), value])
+  );
+
+  const custom = customFieldService.parseFilters(customQuery);
+  errors.push(...custom.errors);
+
+  if (Object.keys(custom.values).length > 0) {
+    filters.custom = custom.values;
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Posição de um lead na ordenação, para continuar a listagem depois dele
+ * 
+ * @param {Object} lead - Lead
+ * @param {String} sortBy - Campo da ordenação
+ * @returns {Object} - { value, id } (veja Lead.findAll, opção after)
+ */
+function positionOf(lead, sortBy) {
+  let value = sortBy.startsWith('custom.')
+    ? lead.customFields[sortBy.slice('custom.'.length)]
+    : lead[sortBy];
+
+  // Booleanos ficam como 1/0 no JSON do SQLite
+  if (typeof value === 'boolean') {
+    value = Number(value);
+  }
+
+  return { value: value ?? null, id: lead.id };
+}
+
+/**
+ * Gera o cursor que continua a listagem depois de um lead
+ * 
+ * O cursor guarda a ordenação, o valor do campo ordenado e o id do
+ * lead (em base64url; o cliente só precisa devolvê-lo).
+ * 
+ * @param {Object} lead - Último lead da página
+ * @param {String} sortBy - Campo da ordenação
+ * @param {String} sortOrder - 'asc' ou 'desc'
+ * @returns {String}
+ */
+function encodeCursor(lead, sortBy, sortOrder) {
+  const cursor = { sort: `${sortBy}:${sortOrder}`, ...positionOf(lead, sortBy) };
+
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Lê um cursor gerado por encodeCursor
+ * 
+ * @param {String} text - Cursor recebido
+ * @returns {Object|null} - { sort, value, id } ou null se for inválido
+ */
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+
+    const valid = cursor && typeof cursor.sort === 'string' && Number.isInteger(cursor.id) &&
+      (cursor.value === null || ['string', 'number'].includes(typeof cursor.value));
+
+    return valid ? cursor : null;
+
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Converte as opções de paginação e ordenação da listagem (query string)
+ * 
+ * O formato de page, limit e sortOrder já foi conferido na rota
+ * (veja LIST_OPTIONS). Aqui são conferidos a coluna de ordenação e o cursor.
+ * 
+ * Paginação por página (page) ou por cursor (cursor = pagination.nextCursor
+ * da página anterior), nunca as duas juntas.
+ * 
+ * @param {Object} query - { page, limit, cursor, sortBy, sortOrder }
+ * @returns {Object} - { options, errors }
+ */
+function parseListOptions({ page, limit, cursor, sortBy = 'lastInteraction', sortOrder = 'desc' }) {
+  const errors = [];
+  const options = {
+    page: page ? Number(page) : 1,
+    limit: limit ? Math.min(Number(limit), MAX_LIST_LIMIT) : DEFAULT_LIST_LIMIT,
+    sortBy,
+    sortOrder: sortOrder.toLowerCase(),
+    after: null,
+  };
+
+  // Só colunas conhecidas: a ordenação entra direto no SQL
+  if (sortBy.startsWith('custom.')) {
+    if (!customFieldService.getField(sortBy.slice('custom.'.length))) {
+      errors.push(`sortBy: ${sortBy.slice('custom.'.length)} não é um campo personalizado`);
+    }
+  } else if (!Lead.SORT_COLUMNS.includes(sortBy)) {
+    errors.push(`sortBy aceita: ${Lead.SORT_COLUMNS.join(', ')} ou custom.<campo>`);
+  }
+
+  if (cursor !== undefined) {
+    const decoded = decodeCursor(cursor);
+
+    if (page !== undefined) {
+      errors.push('Use page ou cursor, não os dois');
+    } else if (!decoded) {
+      errors.push('cursor inválido (use o pagination.nextCursor da página anterior)');
+    } else if (decoded.sort !== `${options.sortBy}:${options.sortOrder}`) {
+      errors.push('cursor foi gerado com outra ordenação (mantenha sortBy e sortOrder)');
+    } else {
+      options.after = { value: decoded.value, id: decoded.id };
+    }
+  }
+
+  return { options, errors };
+}
+
 /**
  * Lista todos os leads com filtros opcionais
  * 
- * @param {Object} filters - Filtros (status, priority, intent)
- * @param {Object} options - Opções de paginação e ordenação
+ * Cada lead vem com as suas etiquetas (tags).
+ * 
+ * A paginação sempre traz nextCursor (null na última página). Com
+ * cursor (options.after), total, page e pages não são calculados:
+ * contar todos os leads é justamente o que fica lento em tabelas grandes.
+ * 
+ * @param {Object} filters - Filtros (veja parseListFilters)
+ * @param {Object} options - Opções de paginação e ordenação (veja parseListOptions)
  * @returns {Object} - { leads, pagination }
  */
 function listLeads(filters = {}, options = {}) {
@@ -145,35 +852,47 @@ function listLeads(filters = {}, options = {}) {
     // Configurações padrão
     const {
       page = 1,
-      limit = 50,
+      limit = DEFAULT_LIST_LIMIT,
       sortBy = 'lastInteraction',
       sortOrder = 'desc',
+      after = null,
     } = options;
 
-    // Busca os leads
+    // Busca os leads (com cursor, um a mais para saber se há próxima página)
     const result = Lead.findAll(filters, {
       page,
-      limit,
+      limit: after ? limit + 1 : limit,
       sortBy,
       sortOrder: sortOrder.toUpperCase(),
+      after,
     });
 
-    const pagination = {
-      total: result.total,
-      page,
-      limit,
-      pages: Math.ceil(result.total / limit),
-    };
+    const leads = result.leads.slice(0, limit);
+    const hasMore = after ? result.leads.length > limit : page * limit < result.total;
+
+    const nextCursor = hasMore && leads.length > 0
+      ? encodeCursor(leads[leads.length - 1], sortBy, sortOrder)
+      : null;
+
+    const pagination = after
+      ? { limit, nextCursor }
+      : {
+        total: result.total,
+        page,
+        limit,
+        pages: Math.ceil(result.total / limit),
+        nextCursor,
+      };
 
     log.info('Leads listados com sucesso', { 
       total: result.total,
-      page,
+      page: after ? null : page,
       limit,
-      returned: result.leads.length 
+      returned: leads.length 
     });
 
     return {
-      leads: result.leads,
+      leads: tagService.attachToLeads(leads),
       pagination,
     };
 
@@ -183,6 +902,49 @@ function listLeads(filters = {}, options = {}) {
   }
 }
 
+/**
+ * Percorre todos os leads que atendem aos filtros, em lotes
+ * 
+ * Usado nas exportações: cada lote é buscado com a paginação por
+ * cursor, então só um lote fica na memória por vez e a consulta
+ * não fica mais lenta no fim de tabelas grandes.
+ * 
+ * @param {Object} filters - Filtros (veja parseListFilters)
+ * @param {Object} options - { sortBy, sortOrder, batchSize }
+ * @returns {Generator<Array>} - Lotes de leads (com as etiquetas)
+ */
+function* iterateLeads(filters = {}, options = {}) {
+  const {
+    sortBy = 'lastInteraction',
+    sortOrder = 'desc',
+    batchSize = MAX_LIST_LIMIT,
+  } = options;
+
+  let after = null;
+
+  while (true) {
+    const { leads } = Lead.findAll(filters, {
+      limit: batchSize,
+      sortBy,
+      sortOrder: sortOrder.toUpperCase(),
+      after,
+      count: false,
+    });
+
+    if (leads.length === 0) {
+      return;
+    }
+
+    yield tagService.attachToLeads(leads);
+
+    if (leads.length < batchSize) {
+      return;
+    }
+
+    after = positionOf(leads[leads.length - 1], sortBy);
+  }
+}
+
 /**
  * Busca um lead específico pelo número
  * 
@@ -200,6 +962,27 @@ function getLeadByPhone(phoneNumber) {
       return null;
     }
 
+    // Linha do tempo: localizações, contatos e reações junto de cada mensagem
+    lead.messages = sharedContentService.attachToMessages(phoneNumber, lead.messages);
+
+    // Reações a mensagens que não estão no histórico (ex: boas-vindas)
+    lead.reactions = sharedContentService.listUnlinkedReactions(phoneNumber);
+
+    // Linha do tempo das classificações (como o lead evoluiu)
+    lead.classificationHistory = Lead.findClassificationHistory(phoneNumber);
+
+    // Respostas do questionário de qualificação (produto, orçamento...)
+    lead.qualification = qualificationService.getQualification(lead);
+
+    // Etapa atual da conversa e histórico de mudanças
+    lead.conversation = conversationService.getConversation(lead);
+
+    // Mídias enviadas pelo lead (com o endereço de download)
+    lead.attachments = attachmentService.listAttachments(phoneNumber);
+
+    // Etiquetas (colocadas pela API ou pelas regras automáticas)
+    lead.tags = tagService.getLeadTags(phoneNumber);
+
     log.info('Lead encontrado', { phoneNumber });
     return lead;
 
@@ -209,6 +992,34 @@ function getLeadByPhone(phoneNumber) {
   }
 }
 
+/**
+ * Busca as últimas mensagens da conversa com o lead
+ * 
+ * Usado para dar contexto à IA na classificação.
+ * Áudios transcritos entram com o texto da transcrição.
+ * 
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Number} limit - Quantidade máxima de mensagens
+ * @returns {Array} - Mensagens da mais antiga para a mais recente
+ */
+function getConversationHistory(phoneNumber, limit) {
+  try {
+    const lead = Lead.findByPhoneWithMessages(phoneNumber, { lastMessages: limit });
+
+    if (!lead) {
+      return [];
+    }
+
+    return lead.messages.map(message => (
+      message.transcript ? { ...message, text: `${message.text} ${message.transcript}` } : message
+    ));
+
+  } catch (error) {
+    log.error('Erro ao buscar histórico da conversa:', error);
+    throw error;
+  }
+}
+
 /**
  * Obtém estatísticas dos leads
  * 
@@ -234,11 +1045,30 @@ function getStats() {
 
 // Exporta as funções para serem usadas em outros arquivos
 module.exports = {
+  PROFILE_FIELDS,
+  STATUSES,
+  LIST_CHOICES,
+  LIST_FILTERS,
+  MAX_LIST_LIMIT,
+  MAX_LIST_PAGE,
+  LIST_OPTIONS,
+  LIST_QUERY,
   createOrGetLead,
   addMessage,
+  isDuplicateMessage,
+  sendAgentMessage,
   updateClassification,
   updateStatus,
+  validateProfile,
+  updateProfile,
+  takeOver,
+  releaseToBot,
+  isBotPaused,
+  parseListFilters,
+  parseListOptions,
+  iterateLeads,
   listLeads,
   getLeadByPhone,
+  getConversationHistory,
   getStats,
 };
@@ -0,0 +1,388 @@
+/**
+ * SERVICE: QUESTIONÁRIO DE QUALIFICAÇÃO
+ *
+ * Este service controla o questionário feito pelo bot depois que
+ * um lead pede orçamento (produto, faixa de investimento, cidade, prazo).
+ *
+ * Responsabilidades:
+ * - Carregar e validar as perguntas (config/qualification.js)
+ * - Decidir quando o questionário começa
+ * - Validar cada resposta e avançar para a próxima pergunta
+ * - Retomar de onde parou se o lead sumir e voltar depois
+ *
+ * Estados (leads.qualificationStatus):
+ * - null: nunca iniciado
+ * - in_progress: aguardando a resposta de qualificationField
+ * - completed: todas as perguntas respondidas
+ * - cancelled: o lead pediu para parar
+ *
+ * Configuração (.env):
+ * - QUALIFICATION_FILE: arquivo das perguntas (padrão: ./config/qualification.js)
+ * - QUALIFICATION_RESUME_MINUTES: após quanto tempo em silêncio a próxima
+ *   mensagem do lead NÃO é tratada como resposta; o bot responde normalmente
+ *   e repete a pergunta pendente (padrão: 60)
+ *
+ * Quem ENVIA as perguntas é o bot/flows/qualificationFlow.js.
+ */
+
+const path = require('path');
+const Qualification = require('../models/Qualification');
+const log = require('../utils/logger');
+
+/**
+ * Tipos de pergunta suportados
+ */
+const QUESTION_TYPES = ['text', 'choice', 'number'];
+
+/**
+ * Palavras que o lead pode enviar durante o questionário (sem acentos)
+ */
+const SKIP_WORDS = ['pular', 'pula', 'proxima'];
+const CANCEL_WORDS = ['parar', 'cancelar', 'sair'];
+
+/**
+ * Configuração já carregada (lida uma vez só)
+ */
+let cachedConfig = null;
+
+/**
+ * Remove acentos, espaços extras e deixa em minúsculas
+ *
+ * @param {String} text - Texto original
+ * @returns {String}
+ */
+function normalize(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Verifica se a definição das perguntas é válida
+ *
+ * @param {Object} config - Conteúdo do arquivo de configuração
+ * @param {String} file - Caminho do arquivo (para as mensagens de erro)
+ */
+function validateConfig(config, file) {
+  if (!Array.isArray(config?.questions) || config.questions.length === 0) {
+    throw new Error(`${file} deve exportar "questions" com pelo menos uma pergunta`);
+  }
+
+  const fields = new Set();
+
+  config.questions.forEach((question, index) => {
+    const label = `${file}: questions[${index}]`;
+
+    if (!question.field || fields.has(question.field)) {
+      throw new Error(`${label} precisa de um "field" único`);
+    }
+
+    if (!question.question) {
+      throw new Error(`${label} precisa do texto da pergunta ("question")`);
+    }
+
+    if (!QUESTION_TYPES.includes(question.type || 'text')) {
+      throw new Error(`${label} tem tipo inválido (use ${QUESTION_TYPES.join(', ')})`);
+    }
+
+    if (question.type === 'choice' && (!Array.isArray(question.options) || question.options.length < 2)) {
+      throw new Error(`${label} do tipo choice precisa de pelo menos duas opções`);
+    }
+
+    fields.add(question.field);
+  });
+}
+
+/**
+ * Retorna a configuração do questionário
+ *
+ * É lida na primeira chamada e reaproveitada depois.
+ * Erros de configuração são lançados aqui (o server.js chama
+ * esta função na inicialização para falhar cedo).
+ *
+ * @returns {Object} - { triggerIntents, messages, questions, resumeMinutes }
+ */
+function getConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const file = process.env.QUALIFICATION_FILE || './config/qualification.js';
+  // Relativo à raiz do projeto, não à pasta de onde o processo foi iniciado
+  const config = require(path.resolve(__dirname, '../..', file));
+
+  validateConfig(config, file);
+
+  cachedConfig = {
+    triggerIntents: config.triggerIntents || ['orçamento'],
+    messages: config.messages || {},
+    questions: config.questions.map(question => ({ type: 'text', required: true, ...question })),
+    resumeMinutes: parseInt(process.env.QUALIFICATION_RESUME_MINUTES) || 60,
+  };
+
+  return cachedConfig;
+}
+
+/**
+ * Busca uma pergunta pelo campo
+ *
+ * @param {String} field - Campo da pergunta
+ * @returns {Object|null}
+ */
+function getQuestion(field) {
+  return getConfig().questions.find(question => question.field === field) || null;
+}
+
+/**
+ * Monta o texto da pergunta, com as opções numeradas (type choice)
+ *
+ * @param {Object} question - Pergunta
+ * @returns {String}
+ */
+function formatQuestion(question) {
+  let text = question.question;
+
+  if (question.type === 'choice') {
+    text += '\n\n' + question.options.map((option, index) => `*${index + 1}* - ${option}`).join('\n');
+  }
+
+  if (!question.required) {
+    text += '\n\n_(opcional: envie "pular")_';
+  }
+
+  return text;
+}
+
+/**
+ * Valida a resposta do lead para uma pergunta
+ *
+ * @param {Object} question - Pergunta
+ * @param {String} text - Resposta do lead
+ * @returns {Object} - { valid, value, error }
+ */
+function validateAnswer(question, text) {
+  const answer = text.trim();
+
+  if (question.type === 'choice') {
+    // Aceita o número da opção ("2") ou o texto da opção
+    const index = /^\d+$/.test(answer) ? parseInt(answer) - 1 : -1;
+    const option = question.options[index] ||
+      question.options.find(item => normalize(item) === normalize(answer));
+
+    return option
+      ? { valid: true, value: option }
+      : { valid: false, error: `Por favor, responda com o número de uma das opções (1 a ${question.options.length}).` };
+  }
+
+  if (question.type === 'number') {
+    // Aceita "5000", "5.000", "R$ 5.000,50"
+    const number = Number(answer.replace(/[^\d,]/g, '').replace(',', '.'));
+    const { min = -Infinity, max = Infinity } = question;
+
+    if (!answer.match(/\d/) || Number.isNaN(number) || number < min || number > max) {
+      return { valid: false, error: 'Por favor, responda apenas com um número.' };
+    }
+
+    return { valid: true, value: String(number) };
+  }
+
+  const { minLength = 1, maxLength = 500 } = question;
+
+  if (answer.length < minLength || answer.length > maxLength) {
+    return {
+      valid: false,
+      error: answer.length < minLength
+        ? 'Resposta muito curta, pode detalhar um pouco mais?'
+        : `Resposta muito longa, pode resumir em até ${maxLength} caracteres?`,
+    };
+  }
+
+  return { valid: true, value: answer };
+}
+
+/**
+ * Verifica se o questionário deve começar agora
+ *
+ * Começa uma única vez por lead: depois de concluído ou
+ * cancelado, não é oferecido de novo.
+ *
+ * @param {Object} lead - Lead (com as colunas de qualificação)
+ * @param {Object} classification - Classificação da mensagem
+ * @returns {Boolean}
+ */
+function shouldStart(lead, classification) {
+  return !lead.qualificationStatus &&
+    getConfig().triggerIntents.includes(classification.intent);
+}
+
+/**
+ * Verifica se o lead parou de responder há mais que QUALIFICATION_RESUME_MINUTES
+ *
+ * @param {Object} lead - Lead (com as colunas de qualificação)
+ * @returns {Boolean}
+ */
+function isStale(lead) {
+  if (lead.qualificationStatus !== 'in_progress' || !lead.qualificationUpdatedAt) {
+    return false;
+  }
+
+  // Datas do SQLite (CURRENT_TIMESTAMP) estão em UTC
+  const updatedAt = new Date(lead.qualificationUpdatedAt.replace(' ', 'T') + 'Z');
+
+  return Date.now() - updatedAt.getTime() >= getConfig().resumeMinutes * 60 * 1000;
+}
+
+/**
+ * Verifica se a mensagem atual do lead é a resposta de uma pergunta
+ *
+ * @param {Object} lead - Lead (lido ANTES de salvar a mensagem atual)
+ * @returns {Boolean}
+ */
+function isAwaitingAnswer(lead) {
+  return lead.qualificationStatus === 'in_progress' && !isStale(lead);
+}
+
+/**
+ * Inicia o questionário
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Object} - Primeira pergunta
+ */
+function start(phoneNumber) {
+  try {
+    const [first] = getConfig().questions;
+
+    Qualification.updateState(phoneNumber, 'in_progress', first.field);
+
+    log.info('Questionário de qualificação iniciado', { phoneNumber });
+
+    return first;
+
+  } catch (error) {
+    log.error('Erro ao iniciar questionário:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marca a pergunta pendente como enviada de novo (ao retomar)
+ *
+ * @param {Object} lead - Lead (com as colunas de qualificação)
+ * @returns {Object|null} - Pergunta pendente
+ */
+function resume(lead) {
+  try {
+    const question = getQuestion(lead.qualificationField) || getConfig().questions[0];
+
+    Qualification.updateState(lead.phoneNumber, 'in_progress', question.field);
+
+    log.info('Questionário de qualificação retomado', {
+      phoneNumber: lead.phoneNumber,
+      field: question.field,
+    });
+
+    return question;
+
+  } catch (error) {
+    log.error('Erro ao retomar questionário:', error);
+    throw error;
+  }
+}
+
+/**
+ * Processa a resposta do lead para a pergunta pendente
+ *
+ * @param {Object} lead - Lead (com as colunas de qualificação)
+ * @param {String} text - Mensagem do lead
+ * @returns {Object} - { result, question, error }
+ *   result: 'invalid' (repete a pergunta com o erro), 'next' (próxima pergunta),
+ *   'completed' ou 'cancelled'
+ */
+function answer(lead, text) {
+  try {
+    const { phoneNumber } = lead;
+    const { questions } = getConfig();
+    const command = normalize(text);
+
+    if (CANCEL_WORDS.includes(command)) {
+      Qualification.updateState(phoneNumber, 'cancelled');
+      log.info('Questionário de qualificação cancelado pelo lead', { phoneNumber });
+      return { result: 'cancelled' };
+    }
+
+    // Pergunta removida da configuração: recomeça do início
+    const current = getQuestion(lead.qualificationField) || questions[0];
+
+    if (SKIP_WORDS.includes(command) && !current.required) {
+      Qualification.saveAnswer(phoneNumber, current.field, null, text);
+    } else {
+      const validation = validateAnswer(current, text);
+
+      if (!validation.valid) {
+        Qualification.updateState(phoneNumber, 'in_progress', current.field);
+        return { result: 'invalid', question: current, error: validation.error };
+      }
+
+      Qualification.saveAnswer(phoneNumber, current.field, validation.value, text);
+    }
+
+    const next = questions[questions.indexOf(current) + 1];
+
+    if (!next) {
+      Qualification.updateState(phoneNumber, 'completed');
+      log.info('Questionário de qualificação concluído', { phoneNumber });
+      return { result: 'completed' };
+    }
+
+    Qualification.updateState(phoneNumber, 'in_progress', next.field);
+    return { result: 'next', question: next };
+
+  } catch (error) {
+    log.error('Erro ao processar resposta do questionário:', error);
+    throw error;
+  }
+}
+
+/**
+ * Monta a qualificação do lead para a API
+ *
+ * @param {Object} lead - Lead (com as colunas de qualificação)
+ * @returns {Object} - { status, pendingField, updatedAt, answers, details }
+ */
+function getQualification(lead) {
+  try {
+    const rows = Qualification.findAnswers(lead.phoneNumber);
+
+    const answers = {};
+    rows.forEach((row) => { answers[row.field] = row.value; });
+
+    return {
+      status: lead.qualificationStatus || 'not_started',
+      pendingField: lead.qualificationStatus === 'in_progress' ? lead.qualificationField : null,
+      updatedAt: lead.qualificationUpdatedAt || null,
+      answers,
+      details: rows,
+    };
+
+  } catch (error) {
+    log.error('Erro ao buscar qualificação do lead:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  getConfig,
+  formatQuestion,
+  validateAnswer,
+  shouldStart,
+  isStale,
+  isAwaitingAnswer,
+  start,
+  resume,
+  answer,
+  getQualification,
+};
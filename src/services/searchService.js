@@ -0,0 +1,202 @@
+/**
+ * SERVICE: BUSCA NAS CONVERSAS
+ *
+ * Busca de texto livre nas mensagens (texto e transcrição de áudios)
+ * e nos nomes/empresas dos leads, usando o índice FTS5 do SQLite.
+ *
+ * Exemplo: "modelo azul" encontra o cliente que perguntou sobre o
+ * "Modelo Azul" na semana passada.
+ *
+ * Regras da consulta:
+ * - Cada palavra precisa aparecer (em qualquer ordem)
+ * - Palavras são buscadas pelo começo: "orçam" encontra "orçamento"
+ * - Trechos entre aspas buscam a frase exata: "modelo azul"
+ * - Acentos e maiúsculas são ignorados
+ *
+ * Os resultados vêm agrupados por lead, com os trechos marcados.
+ * Os trechos são HTML escapado: só as marcas <mark> são HTML de verdade.
+ */
+
+const Search = require('../models/Search');
+const { validateValue } = require('./customFieldService');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Limites da consulta e da paginação
+ */
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_TERMS = 10;
+const MAX_PAGE_SIZE = 50;
+const SNIPPETS_PER_LEAD = 3;
+
+/**
+ * Remetentes aceitos no filtro sender
+ */
+const SENDERS = ['lead', 'bot', 'agent'];
+
+/**
+ * Caracteres escapados nos trechos
+ */
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escapa o HTML de um trecho e troca os marcadores do Search por <mark>
+ *
+ * O texto vem das mensagens do lead: sem escapar, um "<script>" enviado
+ * pelo WhatsApp rodaria no painel que exibe a busca.
+ *
+ * @param {String|null} text - Trecho com HIGHLIGHT_START e HIGHLIGHT_END
+ * @returns {String|null} - Ex: "o &lt;b&gt;<mark>modelo</mark>&lt;/b&gt;"
+ */
+function toHighlightHtml(text) {
+  if (text === null) {
+    return null;
+  }
+
+  return text
+    .replace(/[&<>"']/g, char => HTML_ENTITIES[char])
+    .split(Search.HIGHLIGHT_START).join('<mark>')
+    .split(Search.HIGHLIGHT_END).join('</mark>');
+}
+
+/**
+ * Converte o texto digitado em uma consulta FTS5 segura
+ *
+ * Operadores do FTS5 (AND, OR, NEAR, *, :...) digitados pelo usuário
+ * são tratados como texto comum.
+ *
+ * @param {String} text - Ex: 'azul "modelo novo"'
+ * @returns {String|null} - Ex: '"azul"* "modelo novo"', ou null sem termos válidos
+ */
+function buildMatchQuery(text) {
+  const terms = [];
+
+  for (const [, phrase, word] of text.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const term = (phrase ?? word).replace(/"/g, '').trim();
+
+    // Só pontuação: o tokenizer descartaria o termo
+    if (!/[\p{L}\p{N}]/u.test(term)) {
+      continue;
+    }
+
+    terms.push(phrase !== undefined ? `"${term}"` : `"${term}"*`);
+  }
+
+  return terms.length > 0 ? terms.slice(0, MAX_QUERY_TERMS).join(' ') : null;
+}
+
+/**
+ * Valida os parâmetros da busca
+ *
+ * @param {Object} query - { q, from, to, sender, page, limit }
+ * @returns {Object} - { params (normalizados), errors }
+ */
+function validateSearch({ q, from, to, sender, page, limit }) {
+  const errors = [];
+  let match = null;
+
+  if (typeof q !== 'string' || q.trim().length < MIN_QUERY_LENGTH) {
+    errors.push(`q é obrigatório (pelo menos ${MIN_QUERY_LENGTH} caracteres)`);
+  } else {
+    match = buildMatchQuery(q);
+
+    if (!match) {
+      errors.push('q precisa ter pelo menos uma palavra');
+    }
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    const result = value !== undefined ? validateValue({ type: 'date' }, value) : {};
+
+    if (result.error) {
+      errors.push(`${name} ${result.error}`);
+    }
+  }
+
+  if (sender !== undefined && !SENDERS.includes(sender)) {
+    errors.push(`sender aceita: ${SENDERS.join(', ')}`);
+  }
+
+  const pageSize = parseInt(limit) || 20;
+
+  return {
+    params: {
+      q: typeof q === 'string' ? q.trim() : q,
+      match,
+      from: from || null,
+      to: to || null,
+      sender: sender || null,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE),
+    },
+    errors,
+  };
+}
+
+/**
+ * Busca nas conversas (os parâmetros já devem ter sido validados)
+ *
+ * @param {Object} params - Parâmetros normalizados (veja validateSearch)
+ * @returns {Object} - { results, pagination }
+ */
+function search({ q, match, from, to, sender, page, limit }) {
+  try {
+    log.info('Buscando nas conversas', { q, from, to, sender, page, limit });
+
+    // Datas em UTC, como as do banco; "to" inclui o dia inteiro
+    const period = {
+      from: from ? `${from} 00:00:00` : null,
+      to: to ? new Date(Date.parse(to) + 86400000).toISOString().slice(0, 10) + ' 00:00:00' : null,
+      sender,
+    };
+
+    const { results, total } = Search.searchLeads(match, {
+      ...period,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    metrics.increment('search.queries');
+
+    return {
+      results: results.map(({ nameHighlight, companyHighlight, matchCount, lastMatchAt, ...lead }) => ({
+        lead,
+        // Nome/empresa com o termo marcado (só quando o lead foi encontrado por eles)
+        highlights: nameHighlight !== null || companyHighlight !== null
+          ? { name: toHighlightHtml(nameHighlight), company: toHighlightHtml(companyHighlight) }
+          : null,
+        matchCount,
+        lastMatchAt,
+        messages: matchCount > 0
+          ? Search.findSnippets(match, lead.phoneNumber, { ...period, limit: SNIPPETS_PER_LEAD })
+            .map(message => ({ ...message, snippet: toHighlightHtml(message.snippet) }))
+          : [],
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+
+  } catch (error) {
+    log.error('Erro ao buscar nas conversas:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  SENDERS,
+  buildMatchQuery,
+  validateSearch,
+  search,
+};
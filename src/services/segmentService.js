@@ -0,0 +1,241 @@
+/**
+ * SERVICE: SEGMENTOS
+ *
+ * Um segmento é uma combinação de filtros da listagem de leads salva
+ * com um nome (ex: "Quentes de SP" = tags=quente&city=São Paulo).
+ * Depois é só consultar GET /segments/Quentes de SP/leads.
+ *
+ * Os filtros são os mesmos de GET /leads (veja leadService.LIST_FILTERS
+ * e custom.<campo>) e ficam guardados como na query string. Eles são
+ * conferidos de novo a cada consulta: se uma etiqueta ou campo
+ * personalizado usado pelo segmento for removido, a consulta avisa.
+ */
+
+const Segment = require('../models/Segment');
+const leadService = require('./leadService');
+const log = require('../utils/logger');
+
+/**
+ * Tamanho máximo do nome de um segmento
+ */
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Normaliza os filtros recebidos para o formato da query string
+ *
+ * @param {*} filters - Ex: { status: ['novo', 'em_atendimento'], tags: ['vip', 'revenda'], dealValueMin: 1000 }
+ * @returns {Object} - { filters (ex: { status: 'novo,em_atendimento', tags: 'vip,revenda', dealValueMin: '1000' }), errors }
+ */
+function normalizeFilters(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { filters: {}, errors: ['filters deve ser um objeto com os filtros de GET /leads'] };
+  }
+
+  const normalized = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!leadService.LIST_FILTERS.includes(key) && !key.startsWith('custom.')) {
+      errors.push(`filters.${key} não é um filtro (use ${leadService.LIST_FILTERS.join(', ')} ou custom.<campo>)`);
+      continue;
+    }
+
+    // Filtros de vários valores podem vir como lista
+    const multiple = key in leadService.LIST_CHOICES || ['tags', 'excludeTags'].includes(key);
+
+    if (Array.isArray(value) && multiple && value.every(item => typeof item === 'string')) {
+      normalized[key] = value.map(item => item.trim()).filter(Boolean).join(',');
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      normalized[key] = String(value).trim();
+    } else {
+      errors.push(`filters.${key} deve ser um texto ou número`);
+    }
+  }
+
+  return { filters: normalized, errors };
+}
+
+/**
+ * Valida os dados de um segmento
+ *
+ * @param {*} data - { name, description, filters }
+ * @returns {Object} - { segment (normalizado), errors }
+ */
+function validateSegment(data) {
+  if (!data || typeof data !== 'object') {
+    return { segment: null, errors: ['Dados do segmento não informados'] };
+  }
+
+  const errors = [];
+
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > MAX_NAME_LENGTH) {
+    errors.push(`name é obrigatório (até ${MAX_NAME_LENGTH} caracteres)`);
+  }
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    errors.push('description deve ser um texto');
+  }
+
+  const { filters, errors: filterErrors } = normalizeFilters(data.filters);
+  errors.push(...filterErrors);
+
+  // Confere os valores do mesmo jeito que GET /leads
+  if (filterErrors.length === 0) {
+    const parsed = leadService.parseListFilters(filters);
+
+    errors.push(...parsed.errors.map(error => `filters.${error}`));
+
+    if (parsed.errors.length === 0 && Object.keys(parsed.filters).length === 0) {
+      errors.push('filters deve ter pelo menos um filtro');
+    }
+  }
+
+  return {
+    segment: {
+      name: typeof data.name === 'string' ? data.name.trim() : data.name,
+      description: data.description ?? null,
+      filters,
+    },
+    errors,
+  };
+}
+
+/**
+ * Lista os segmentos
+ *
+ * @returns {Array}
+ */
+function listSegments() {
+  try {
+    return Segment.findAll();
+
+  } catch (error) {
+    log.error('Erro ao listar segmentos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca um segmento pelo nome (sem diferenciar maiúsculas)
+ *
+ * @param {String} name - Nome do segmento
+ * @returns {Object|null}
+ */
+function getSegment(name) {
+  try {
+    return Segment.findByName(name);
+
+  } catch (error) {
+    log.error('Erro ao buscar segmento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria um segmento (já validado)
+ *
+ * @param {Object} segment - { name, description, filters }
+ * @returns {Object|null} - Segmento criado, ou null se o nome já existe
+ */
+function createSegment(segment) {
+  try {
+    if (Segment.findByName(segment.name)) {
+      return null;
+    }
+
+    const created = Segment.create(segment);
+
+    log.info('Segmento criado', { id: created.id, name: created.name, filters: created.filters });
+
+    return created;
+
+  } catch (error) {
+    log.error('Erro ao criar segmento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Substitui os dados de um segmento (já validados)
+ *
+ * @param {Object} current - Segmento atual
+ * @param {Object} segment - { name, description, filters }
+ * @returns {Object} - { segment, conflict }
+ */
+function updateSegment(current, segment) {
+  try {
+    const sameName = Segment.findByName(segment.name);
+
+    if (sameName && sameName.id !== current.id) {
+      return { segment: null, conflict: true };
+    }
+
+    const updated = Segment.update(current.id, segment);
+
+    log.info('Segmento atualizado', { id: current.id, name: updated.name });
+
+    return { segment: updated, conflict: false };
+
+  } catch (error) {
+    log.error('Erro ao atualizar segmento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove um segmento (os leads não são alterados)
+ *
+ * @param {Object} segment - Segmento
+ * @returns {Boolean} - true se removeu
+ */
+function deleteSegment(segment) {
+  try {
+    const removed = Segment.remove(segment.id);
+
+    if (removed) {
+      log.info('Segmento removido', { id: segment.id, name: segment.name });
+    }
+
+    return removed;
+
+  } catch (error) {
+    log.error('Erro ao remover segmento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista os leads de um segmento
+ *
+ * @param {Object} segment - Segmento
+ * @param {Object} options - Paginação e ordenação (veja leadService.parseListOptions)
+ * @returns {Object} - { leads, pagination } ou { errors } se os filtros
+ *   deixaram de valer (etiqueta ou campo personalizado removido)
+ */
+function getSegmentLeads(segment, options) {
+  try {
+    const { filters, errors } = leadService.parseListFilters(segment.filters);
+
+    if (errors.length > 0) {
+      log.warn('Segmento com filtros inválidos', { name: segment.name, errors });
+      return { errors };
+    }
+
+    return leadService.listLeads(filters, options);
+
+  } catch (error) {
+    log.error('Erro ao listar leads do segmento:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  validateSegment,
+  listSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  getSegmentLeads,
+};
@@ -0,0 +1,243 @@
+/**
+ * SERVICE: LOCALIZAÇÕES, CONTATOS E REAÇÕES
+ *
+ * Guarda o que o lead compartilha além de texto e mídia:
+ * - Localização: salva as coordenadas e atualiza a localização do lead
+ * - Contato (vCard): salva nome, empresa, telefones e e-mails. Se o
+ *   cartão é do próprio lead (mesmo número), completa o nome, e-mail
+ *   e empresa do lead
+ * - Reação: guarda o emoji com que o lead reagiu a uma mensagem
+ *   (uma reação por mensagem; reagir de novo substitui, remover apaga)
+ *
+ * Tudo aparece na linha do tempo do lead (GET /leads/:phoneNumber),
+ * junto da mensagem em que chegou. Reações a mensagens que não estão
+ * no histórico aparecem à parte (listUnlinkedReactions).
+ */
+
+const Lead = require('../models/Lead');
+const SharedContent = require('../models/SharedContent');
+const { parseVCard } = require('../utils/vcard');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Texto salvo no histórico para uma localização
+ *
+ * @param {Object} location - Localização (veja whatsappService.extractLocation)
+ * @returns {String} - Ex: "[localização: Escritório - Av. Paulista, 1000]"
+ */
+function describeLocation(location) {
+  const label = location.live ? 'localização em tempo real' : 'localização';
+  const place = [location.name, location.address].filter(Boolean).join(' - ') ||
+    `${location.latitude}, ${location.longitude}`;
+
+  return `[${label}: ${place}]`;
+}
+
+/**
+ * Texto salvo no histórico para contatos compartilhados
+ *
+ * @param {Array<Object>} contacts - Contatos (veja whatsappService.extractContacts)
+ * @returns {String} - Ex: "[contato: Ana]", "[contatos: Ana, João]"
+ */
+function describeContacts(contacts) {
+  const names = contacts.map(contact => contact.displayName || parseVCard(contact.vcard).name || 'sem nome');
+
+  return `[${names.length > 1 ? 'contatos' : 'contato'}: ${names.join(', ')}]`;
+}
+
+/**
+ * Salva a localização enviada pelo lead
+ *
+ * Erros são registrados e NÃO interrompem o atendimento.
+ *
+ * @param {Object} storedMessage - Mensagem salva no histórico
+ * @param {Object} location - Localização (veja whatsappService.extractLocation)
+ * @returns {Object|null} - Localização salva ou null se deu erro
+ */
+function saveLocation(storedMessage, location) {
+  const { phoneNumber } = storedMessage;
+
+  try {
+    const saved = SharedContent.createLocation({
+      messageId: storedMessage.id,
+      phoneNumber,
+      ...location,
+    });
+
+    // A localização mais recente fica no próprio lead
+    Lead.updateLocation(phoneNumber, location);
+
+    metrics.increment('locations.saved');
+    log.info('Localização salva', { phoneNumber, id: saved.id, live: location.live });
+
+    return saved;
+
+  } catch (error) {
+    log.error('Erro ao salvar localização:', error);
+    return null;
+  }
+}
+
+/**
+ * Salva os contatos compartilhados pelo lead
+ *
+ * Erros são registrados e NÃO interrompem o atendimento.
+ *
+ * @param {Object} storedMessage - Mensagem salva no histórico
+ * @param {Array<Object>} contacts - Contatos (veja whatsappService.extractContacts)
+ * @returns {Array<Object>} - Contatos salvos (vazio se deu erro)
+ */
+function saveContacts(storedMessage, contacts) {
+  const { phoneNumber } = storedMessage;
+
+  try {
+    const saved = contacts.map(contact => {
+      const card = parseVCard(contact.vcard);
+
+      return SharedContent.createContact({
+        messageId: storedMessage.id,
+        phoneNumber,
+        name: card.name || contact.displayName,
+        organization: card.organization,
+        phones: card.phones,
+        emails: card.emails,
+        vcard: contact.vcard,
+      });
+    });
+
+    // O lead enviou o próprio cartão: aproveita para completar o cadastro
+    const own = saved.find(contact => contact.phones.includes(phoneNumber));
+
+    if (own) {
+      Lead.fillContactInfo(phoneNumber, {
+        name: own.name,
+        email: own.emails[0] || null,
+        company: own.organization,
+      });
+
+      log.info('Cadastro do lead completado pelo cartão de contato', { phoneNumber });
+    }
+
+    metrics.increment('contacts.saved', saved.length);
+    log.info('Contatos salvos', { phoneNumber, count: saved.length });
+
+    return saved;
+
+  } catch (error) {
+    log.error('Erro ao salvar contatos:', error);
+    return [];
+  }
+}
+
+/**
+ * Salva (ou remove) a reação do lead a uma mensagem
+ *
+ * Reações não entram no histórico como mensagens e não são
+ * respondidas. Erros são registrados e ignorados.
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Object} reaction - Reação (veja whatsappService.extractReaction)
+ * @returns {Object|null} - Reação salva ou null (removida, lead desconhecido ou erro)
+ */
+function saveReaction(phoneNumber, reaction) {
+  try {
+    // Reação de quem nunca conversou: não há lead para guardar
+    if (!Lead.findByPhone(phoneNumber)) {
+      log.debug('Reação de número sem lead, ignorando', { phoneNumber });
+      return null;
+    }
+
+    if (!reaction.emoji) {
+      SharedContent.removeReaction(phoneNumber, reaction.targetId);
+      log.info('Reação removida', { phoneNumber, target: reaction.targetId });
+      return null;
+    }
+
+    const saved = SharedContent.saveReaction({
+      phoneNumber,
+      targetWaMessageId: reaction.targetId,
+      emoji: reaction.emoji,
+    });
+
+    metrics.increment('reactions.saved');
+    log.info('Reação salva', { phoneNumber, emoji: reaction.emoji, messageId: saved.messageId });
+
+    return saved;
+
+  } catch (error) {
+    log.error('Erro ao salvar reação:', error);
+    return null;
+  }
+}
+
+/**
+ * Junta localizações, contatos e reações às mensagens do lead
+ *
+ * Cada mensagem ganha (só quando houver):
+ * - location: localização enviada na mensagem
+ * - contacts: contatos enviados na mensagem
+ * - reactions: reações do lead à mensagem
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Array<Object>} messages - Mensagens do lead
+ * @returns {Array<Object>} - Mensagens com os dados juntados
+ */
+function attachToMessages(phoneNumber, messages) {
+  try {
+    const { locations, contacts, reactions } = SharedContent.findByPhone(phoneNumber);
+
+    const group = (rows, key) => rows.reduce((byMessage, row) => {
+      (byMessage[row[key]] = byMessage[row[key]] || []).push(row);
+      return byMessage;
+    }, {});
+
+    const locationsByMessage = group(locations, 'messageId');
+    const contactsByMessage = group(contacts, 'messageId');
+    const reactionsByMessage = group(reactions.filter(reaction => reaction.messageId), 'messageId');
+
+    return messages.map(message => ({
+      ...message,
+      ...(locationsByMessage[message.id] && { location: locationsByMessage[message.id][0] }),
+      ...(contactsByMessage[message.id] && { contacts: contactsByMessage[message.id] }),
+      ...(reactionsByMessage[message.id] && { reactions: reactionsByMessage[message.id] }),
+    }));
+
+  } catch (error) {
+    log.error('Erro ao buscar localizações, contatos e reações:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista as reações do lead a mensagens que não estão no histórico
+ *
+ * Ex: boas-vindas (que não são salvas) e mensagens enviadas direto
+ * pelo celular. Só o id do WhatsApp (targetWaMessageId) identifica
+ * a mensagem.
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Array<Object>} - Reações, da mais antiga para a mais recente
+ */
+function listUnlinkedReactions(phoneNumber) {
+  try {
+    const { reactions } = SharedContent.findByPhone(phoneNumber);
+
+    return reactions.filter(reaction => !reaction.messageId);
+
+  } catch (error) {
+    log.error('Erro ao buscar reações sem mensagem:', error);
+    throw error;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  describeLocation,
+  describeContacts,
+  saveLocation,
+  saveContacts,
+  saveReaction,
+  attachToMessages,
+  listUnlinkedReactions,
+};
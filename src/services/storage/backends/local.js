@@ -0,0 +1,78 @@
+/**
+ * ARMAZENAMENTO: DISCO LOCAL
+ *
+ * Salva os arquivos em uma pasta do servidor.
+ *
+ * Variáveis de ambiente:
+ * - MEDIA_STORAGE_DIR (padrão: ./storage/media)
+ *
+ * ATENÇÃO: faça backup desta pasta junto com o banco de dados.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Converte a chave do arquivo em um caminho dentro da pasta de mídias
+ *
+ * @param {String} key - Chave do arquivo (ex: 5511999999999/12-ab12cd.jpg)
+ * @returns {String} - Caminho absoluto
+ */
+function resolvePath(key) {
+  const root = path.resolve(process.env.MEDIA_STORAGE_DIR || './storage/media');
+  const filePath = path.resolve(root, key);
+
+  // Impede que uma chave como "../../.env" saia da pasta
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Chave de arquivo inválida: ${key}`);
+  }
+
+  return filePath;
+}
+
+module.exports = {
+  name: 'local',
+  aliases: ['disk'],
+  requiredEnv: [],
+
+  /**
+   * Salva um arquivo
+   *
+   * @param {String} key - Chave do arquivo
+   * @param {Buffer} buffer - Conteúdo
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer) {
+    const filePath = resolvePath(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  },
+
+  /**
+   * Lê um arquivo
+   *
+   * @param {String} key - Chave do arquivo
+   * @returns {Promise<Buffer|null>} - Conteúdo ou null se não existir
+   */
+  async read(key) {
+    try {
+      return await fs.readFile(resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Remove um arquivo (não faz nada se não existir)
+   *
+   * @param {String} key - Chave do arquivo
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.rm(resolvePath(key), { force: true });
+  },
+};
@@ -0,0 +1,118 @@
+/**
+ * SERVICE: ARMAZENAMENTO DE ARQUIVOS
+ *
+ * Guarda os arquivos das mídias recebidas (imagens, áudios, documentos...).
+ * Os armazenamentos disponíveis ficam em services/storage/backends/
+ * e o usado é escolhido em MEDIA_STORAGE (padrão: local).
+ *
+ * Todo armazenamento é um objeto com a seguinte interface:
+ * {
+ *   name: 'local',                    // nome usado em MEDIA_STORAGE
+ *   aliases: ['...'],                 // (opcional) outros nomes aceitos
+ *   requiredEnv: ['...'],             // variáveis obrigatórias
+ *   save: async (key, buffer) => {},
+ *   read: async (key) => Buffer | null,
+ *   remove: async (key) => {},
+ * }
+ *
+ * Para adicionar um armazenamento (ex: S3), basta criar um arquivo em
+ * services/storage/backends/ exportando esse objeto: ele é carregado
+ * automaticamente.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Armazenamentos registrados, indexados pelo nome (e apelidos)
+ */
+const backends = new Map();
+
+/**
+ * Registra um armazenamento
+ *
+ * @param {Object} backend - Armazenamento seguindo a interface acima
+ */
+function registerBackend(backend) {
+  const methods = ['save', 'read', 'remove'];
+
+  if (!backend || !backend.name || methods.some(method => typeof backend[method] !== 'function')) {
+    throw new Error('Armazenamento inválido: precisa de "name", "save()", "read()" e "remove()"');
+  }
+
+  for (const name of [backend.name, ...(backend.aliases || [])]) {
+    backends.set(name, backend);
+  }
+}
+
+/**
+ * Lista os nomes dos armazenamentos registrados (sem apelidos)
+ *
+ * @returns {Array<String>}
+ */
+function listBackends() {
+  return [...new Set([...backends.values()].map(backend => backend.name))];
+}
+
+/**
+ * Busca um armazenamento pelo nome
+ *
+ * Sem nome, retorna o configurado em MEDIA_STORAGE. Os anexos guardam
+ * o nome do armazenamento onde foram salvos, então arquivos antigos
+ * continuam acessíveis se MEDIA_STORAGE mudar.
+ *
+ * @param {String} name - Nome do armazenamento (opcional)
+ * @returns {Object} - Armazenamento
+ */
+function getBackend(name = process.env.MEDIA_STORAGE || 'local') {
+  const backend = backends.get(name);
+
+  if (!backend) {
+    throw new Error(
+      `Armazenamento "${name}" desconhecido. Disponíveis: ${listBackends().join(', ')}`
+    );
+  }
+
+  return backend;
+}
+
+/**
+ * Valida a configuração do armazenamento escolhido
+ *
+ * Chamada na inicialização (server.js) para falhar cedo.
+ *
+ * @returns {Object} - Armazenamento validado
+ */
+function validateConfig() {
+  const backend = getBackend();
+  const missing = (backend.requiredEnv || []).filter(varName => !process.env[varName]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Variáveis obrigatórias para o armazenamento "${backend.name}" não configuradas no .env: ${missing.join(', ')}`
+    );
+  }
+
+  return backend;
+}
+
+/**
+ * Carrega todos os armazenamentos da pasta services/storage/backends
+ */
+function loadBackends() {
+  const backendsDir = path.join(__dirname, 'storage', 'backends');
+
+  fs.readdirSync(backendsDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => registerBackend(require(path.join(backendsDir, file))));
+}
+
+loadBackends();
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  registerBackend,
+  listBackends,
+  getBackend,
+  validateConfig,
+};
@@ -0,0 +1,502 @@
+/**
+ * SERVICE: ETIQUETAS (TAGS)
+ *
+ * Etiquetas marcam os leads além da intenção classificada pela IA
+ * (ex: "vip", "revenda", "reclamação").
+ *
+ * Responsabilidades:
+ * - Validar e gerenciar as etiquetas (usado pela API /tags)
+ * - Colocar e tirar etiquetas dos leads (API /leads/:phoneNumber/tags)
+ * - Etiquetagem automática: a cada mensagem, aplica as etiquetas cujas
+ *   regras batem com a classificação ou com palavras do texto
+ *
+ * Regras de uma etiqueta (rules): lista de condições. A etiqueta é
+ * colocada quando QUALQUER regra bate; dentro de uma regra, TODAS as
+ * condições precisam bater:
+ *
+ *   "rules": [
+ *     { "intent": "orçamento", "priority": "alta" },
+ *     { "keywords": ["revenda", "atacado"] }
+ *   ]
+ *
+ * Etiquetas automáticas nunca são tiradas automaticamente.
+ */
+
+const Tag = require('../models/Tag');
+const Lead = require('../models/Lead');
+const Segment = require('../models/Segment');
+const { CONDITIONS } = require('./flowService');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Condições aceitas nas regras e seus valores válidos
+ * (keywords: lista de palavras ou trechos procurados no texto)
+ */
+const RULE_CONDITIONS = {
+  intent: CONDITIONS.intent,
+  sentiment: CONDITIONS.sentiment,
+  priority: CONDITIONS.priority,
+  keywords: null,
+};
+
+/**
+ * Limites de uma etiqueta
+ */
+const MAX_NAME_LENGTH = 50;
+const MAX_RULES = 20;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Remove acentos e deixa em minúsculas
+ *
+ * @param {String} text - Texto original
+ * @returns {String} - Texto normalizado
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Valida as regras de etiquetagem automática
+ *
+ * @param {*} rules - Regras recebidas
+ * @returns {Array<String>} - Erros encontrados
+ */
+function validateRules(rules) {
+  if (rules === undefined || rules === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return [`rules deve ser uma lista de até ${MAX_RULES} regras`];
+  }
+
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const label = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule) || Object.keys(rule).length === 0) {
+      errors.push(`${label} deve ser um objeto com pelo menos uma condição`);
+      return;
+    }
+
+    for (const [key, value] of Object.entries(rule)) {
+      if (!(key in RULE_CONDITIONS)) {
+        errors.push(`${label}.${key} não é uma condição válida (use ${Object.keys(RULE_CONDITIONS).join(', ')})`);
+        continue;
+      }
+
+      const values = Array.isArray(value) ? value : [value];
+
+      if (key === 'keywords') {
+        if (values.length === 0 || values.some(item => typeof item !== 'string' || !item.trim())) {
+          errors.push(`${label}.keywords aceita uma palavra ou uma lista de palavras`);
+        }
+        continue;
+      }
+
+      const invalid = values.filter(item => !RULE_CONDITIONS[key].includes(item));
+
+      if (values.length === 0 || invalid.length > 0) {
+        errors.push(`${label}.${key} aceita: ${RULE_CONDITIONS[key].join(', ')}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Valida os dados de uma etiqueta
+ *
+ * @param {Object} data - { name, color, description, rules }
+ * @returns {Array<String>} - Erros encontrados (vazio = válido)
+ */
+function validateTag(data) {
+  if (!data || typeof data !== 'object') {
+    return ['Dados da etiqueta não informados'];
+  }
+
+  const errors = [];
+
+  // Vírgula separa as etiquetas nos filtros (?tags=vip,revenda)
+  if (typeof data.name !== 'string' || !data.name.trim() ||
+      data.name.trim().length > MAX_NAME_LENGTH || data.name.includes(',')) {
+    errors.push(`name é obrigatório (até ${MAX_NAME_LENGTH} caracteres, sem vírgula)`);
+  }
+
+  if (data.color !== undefined && data.color !== null &&
+      (typeof data.color !== 'string' || !COLOR_PATTERN.test(data.color))) {
+    errors.push('color deve estar no formato #RRGGBB');
+  }
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    errors.push('description deve ser um texto');
+  }
+
+  errors.push(...validateRules(data.rules));
+
+  return errors;
+}
+
+/**
+ * Extrai e normaliza os campos de uma etiqueta (já validada)
+ *
+ * @param {Object} data - Dados recebidos
+ * @returns {Object} - { name, color, description, rules }
+ */
+function pickTagFields({ name, color, description, rules }) {
+  return {
+    name: name.trim(),
+    color: color ? color.toLowerCase() : null,
+    description: description ?? null,
+    rules: (rules || []).map(rule => ({
+      ...rule,
+      ...(rule.keywords !== undefined && {
+        keywords: (Array.isArray(rule.keywords) ? rule.keywords : [rule.keywords]).map(word => word.trim()),
+      }),
+    })),
+  };
+}
+
+/**
+ * Lista as etiquetas (com a quantidade de leads de cada uma)
+ *
+ * @returns {Array}
+ */
+function listTags() {
+  try {
+    return Tag.findAll();
+
+  } catch (error) {
+    log.error('Erro ao listar etiquetas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma etiqueta pelo ID
+ *
+ * @param {Number} id - ID da etiqueta
+ * @returns {Object|null}
+ */
+function getTag(id) {
+  try {
+    return Tag.findById(id);
+
+  } catch (error) {
+    log.error('Erro ao buscar etiqueta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca uma etiqueta pelo nome (sem diferenciar maiúsculas)
+ *
+ * @param {String} name - Nome da etiqueta
+ * @returns {Object|null}
+ */
+function getTagByName(name) {
+  try {
+    return Tag.findByName(name);
+
+  } catch (error) {
+    log.error('Erro ao buscar etiqueta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cria uma etiqueta (os dados já devem ter sido validados)
+ *
+ * @param {Object} data - { name, color, description, rules }
+ * @returns {Object|null} - Etiqueta criada, ou null se o nome já existe
+ */
+function createTag(data) {
+  try {
+    const tag = pickTagFields(data);
+
+    if (Tag.findByName(tag.name)) {
+      return null;
+    }
+
+    const created = Tag.create(tag);
+
+    log.info('Etiqueta criada', { id: created.id, name: created.name, rules: created.rules.length });
+
+    return created;
+
+  } catch (error) {
+    log.error('Erro ao criar etiqueta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Troca o nome de uma etiqueta nos filtros dos segmentos salvos
+ *
+ * @param {String} oldName - Nome anterior
+ * @param {String} newName - Nome novo
+ */
+function renameInSegments(oldName, newName) {
+  const rename = value => value
+    .split(',')
+    .map(name => (name.trim().toLowerCase() === oldName.toLowerCase() ? newName : name.trim()))
+    .join(',');
+
+  for (const segment of Segment.findAll()) {
+    const { tags, excludeTags } = segment.filters;
+
+    if (!tags && !excludeTags) {
+      continue;
+    }
+
+    const filters = {
+      ...segment.filters,
+      ...(tags && { tags: rename(tags) }),
+      ...(excludeTags && { excludeTags: rename(excludeTags) }),
+    };
+
+    if (JSON.stringify(filters) !== JSON.stringify(segment.filters)) {
+      Segment.update(segment.id, { ...segment, filters });
+    }
+  }
+}
+
+/**
+ * Substitui os dados de uma etiqueta (já validados)
+ *
+ * Se o nome mudar, os segmentos que filtram pela etiqueta são atualizados.
+ *
+ * @param {Number} id - ID da etiqueta
+ * @param {Object} data - { name, color, description, rules }
+ * @returns {Object} - { tag, conflict } (tag null se não existe)
+ */
+function updateTag(id, data) {
+  try {
+    const tag = pickTagFields(data);
+    const sameName = Tag.findByName(tag.name);
+
+    if (sameName && sameName.id !== id) {
+      return { tag: null, conflict: true };
+    }
+
+    const current = Tag.findById(id);
+    const updated = current ? Tag.update(id, tag) : null;
+
+    if (updated) {
+      if (current.name !== updated.name) {
+        renameInSegments(current.name, updated.name);
+      }
+
+      log.info('Etiqueta atualizada', { id, name: updated.name });
+    }
+
+    return { tag: updated, conflict: false };
+
+  } catch (error) {
+    log.error('Erro ao atualizar etiqueta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove uma etiqueta (e tira a etiqueta de todos os leads)
+ *
+ * @param {Number} id - ID da etiqueta
+ * @returns {Boolean} - true se removeu
+ */
+function deleteTag(id) {
+  try {
+    const removed = Tag.remove(id);
+
+    if (removed) {
+      log.info('Etiqueta removida', { id });
+    }
+
+    return removed;
+
+  } catch (error) {
+    log.error('Erro ao remover etiqueta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lista as etiquetas de um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @returns {Array} - [{ id, name, color, source, addedBy, createdAt }]
+ */
+function getLeadTags(phoneNumber) {
+  try {
+    return Tag.findByLeads([phoneNumber])[phoneNumber] || [];
+
+  } catch (error) {
+    log.error('Erro ao buscar etiquetas do lead:', error);
+    throw error;
+  }
+}
+
+/**
+ * Junta as etiquetas a uma lista de leads
+ *
+ * @param {Array<Object>} leads - Leads
+ * @returns {Array<Object>} - Leads com o campo tags
+ */
+function attachToLeads(leads) {
+  try {
+    const byLead = Tag.findByLeads(leads.map(lead => lead.phoneNumber));
+
+    return leads.map(lead => ({ ...lead, tags: byLead[lead.phoneNumber] || [] }));
+
+  } catch (error) {
+    log.error('Erro ao buscar etiquetas dos leads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Coloca etiquetas em um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {Array<String>} names - Nomes das etiquetas
+ * @param {String|null} addedBy - API Key que colocou
+ * @returns {Object|null} - { tags (etiquetas do lead), unknown (nomes que não existem) },
+ *   ou null se o lead não existe
+ */
+function addTagsToLead(phoneNumber, names, addedBy = null) {
+  try {
+    if (!Lead.findByPhone(phoneNumber)) {
+      return null;
+    }
+
+    const tags = names.map(name => ({ name, tag: Tag.findByName(name.trim()) }));
+    const unknown = tags.filter(({ tag }) => !tag).map(({ name }) => name);
+
+    // Nada é colocado se alguma etiqueta não existe
+    if (unknown.length > 0) {
+      return { tags: null, unknown };
+    }
+
+    for (const { tag } of tags) {
+      if (Tag.attach(phoneNumber, tag.id, 'manual', addedBy)) {
+        log.info('Etiqueta colocada no lead', { phoneNumber, tag: tag.name, addedBy });
+      }
+    }
+
+    return { tags: getLeadTags(phoneNumber), unknown: [] };
+
+  } catch (error) {
+    log.error('Erro ao colocar etiquetas no lead:', error);
+    throw error;
+  }
+}
+
+/**
+ * Tira uma etiqueta de um lead
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} name - Nome da etiqueta
+ * @returns {Boolean} - true se tirou (false se a etiqueta não existe ou o lead não a tinha)
+ */
+function removeTagFromLead(phoneNumber, name) {
+  try {
+    const tag = Tag.findByName(name);
+    const removed = tag ? Tag.detach(phoneNumber, tag.id) : false;
+
+    if (removed) {
+      log.info('Etiqueta tirada do lead', { phoneNumber, tag: tag.name });
+    }
+
+    return removed;
+
+  } catch (error) {
+    log.error('Erro ao tirar etiqueta do lead:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica se uma regra bate com a mensagem
+ *
+ * Condições de classificação só batem quando a mensagem foi
+ * classificada (ex: respostas do questionário não são).
+ *
+ * @param {Object} rule - Regra ({ intent, sentiment, priority, keywords })
+ * @param {String} text - Texto normalizado da mensagem
+ * @param {Object|null} classification - { intent, sentiment, priority }
+ * @returns {Boolean}
+ */
+function matchesRule(rule, text, classification) {
+  return Object.entries(rule).every(([key, expected]) => {
+    const accepted = Array.isArray(expected) ? expected : [expected];
+
+    if (key === 'keywords') {
+      return accepted.some(word => text.includes(normalize(word)));
+    }
+
+    return Boolean(classification) && accepted.includes(classification[key]);
+  });
+}
+
+/**
+ * Aplica as regras de etiquetagem automática a uma mensagem do lead
+ *
+ * Erros são registrados e NÃO interrompem o atendimento.
+ *
+ * @param {String} phoneNumber - Número do WhatsApp
+ * @param {String} messageText - Texto da mensagem
+ * @param {Object|null} classification - Classificação da mensagem (se houve)
+ * @returns {Array<String>} - Nomes das etiquetas colocadas agora
+ */
+function applyAutoTags(phoneNumber, messageText, classification = null) {
+  try {
+    const text = normalize(messageText || '');
+    const applied = [];
+
+    for (const tag of Tag.findWithRules()) {
+      if (!tag.rules.some(rule => matchesRule(rule, text, classification))) {
+        continue;
+      }
+
+      if (Tag.attach(phoneNumber, tag.id, 'rule')) {
+        applied.push(tag.name);
+      }
+    }
+
+    if (applied.length > 0) {
+      metrics.increment('tags.auto_applied', applied.length);
+      log.info('Etiquetas automáticas colocadas', { phoneNumber, tags: applied });
+    }
+
+    return applied;
+
+  } catch (error) {
+    log.error('Erro ao aplicar etiquetas automáticas:', error);
+    return [];
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  RULE_CONDITIONS,
+  validateTag,
+  listTags,
+  getTag,
+  getTagByName,
+  createTag,
+  updateTag,
+  deleteTag,
+  getLeadTags,
+  attachToLeads,
+  addTagsToLead,
+  removeTagFromLead,
+  applyAutoTags,
+};
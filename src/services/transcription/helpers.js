@@ -0,0 +1,50 @@
+/**
+ * TRANSCRIÇÃO: FUNÇÕES AUXILIARES DOS PROVEDORES
+ *
+ * Código compartilhado entre os provedores de transcrição (providers/).
+ */
+
+const axios = require('axios');
+
+/**
+ * Tempo máximo de uma transcrição (áudios longos demoram mais que uma classificação)
+ */
+const TRANSCRIPTION_TIMEOUT_MS = 60000;
+
+/**
+ * Envia um áudio para um endpoint no formato da OpenAI (/audio/transcriptions)
+ *
+ * Esse formato também é aceito por servidores Whisper locais
+ * (faster-whisper-server, LocalAI, speaches...).
+ *
+ * @param {String} baseUrl - URL base da API (ex: https://api.openai.com/v1)
+ * @param {Object} options - { apiKey, model, language, buffer, mimeType, fileName }
+ * @returns {Promise<String>} - Texto transcrito
+ */
+async function requestTranscription(baseUrl, { apiKey, model, language, buffer, mimeType, fileName }) {
+  const form = new FormData();
+
+  form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+  form.append('model', model);
+  form.append('response_format', 'json');
+
+  if (language) {
+    form.append('language', language);
+  }
+
+  const response = await axios.post(
+    `${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`,
+    form,
+    {
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      timeout: TRANSCRIPTION_TIMEOUT_MS,
+    }
+  );
+
+  return response.data.text || '';
+}
+
+// Exporta as funções para serem usadas pelos provedores
+module.exports = {
+  requestTranscription,
+};
@@ -0,0 +1,43 @@
+/**
+ * PROVEDOR DE TRANSCRIÇÃO: LOCAL (servidor Whisper compatível com a OpenAI)
+ *
+ * Permite transcrever os áudios na sua própria máquina/servidor,
+ * sem enviar a voz dos clientes para serviços externos.
+ * Funciona com qualquer servidor que implemente POST /audio/transcriptions
+ * (ex: faster-whisper-server, LocalAI, speaches).
+ *
+ * Variáveis de ambiente:
+ * - LOCAL_TRANSCRIPTION_BASE_URL (padrão: http://localhost:8000/v1)
+ * - LOCAL_TRANSCRIPTION_MODEL (padrão: whisper-1; use o nome do modelo do seu servidor)
+ * - LOCAL_TRANSCRIPTION_API_KEY (opcional, se o servidor exigir)
+ */
+
+const log = require('../../../utils/logger');
+const { requestTranscription } = require('../helpers');
+
+module.exports = {
+  name: 'local',
+  aliases: ['whisper-local'],
+  requiredEnv: [],
+
+  /**
+   * Transcreve um áudio usando o servidor local
+   *
+   * @param {Object} input - { buffer, mimeType, fileName, language }
+   * @returns {Promise<Object>} - { text, model }
+   */
+  async transcribe(input) {
+    const baseUrl = process.env.LOCAL_TRANSCRIPTION_BASE_URL || 'http://localhost:8000/v1';
+    const model = process.env.LOCAL_TRANSCRIPTION_MODEL || 'whisper-1';
+
+    log.ai('Transcrevendo áudio com servidor local', { baseUrl, model });
+
+    const text = await requestTranscription(baseUrl, {
+      ...input,
+      apiKey: process.env.LOCAL_TRANSCRIPTION_API_KEY,
+      model,
+    });
+
+    return { text, model };
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * PROVEDOR DE TRANSCRIÇÃO: OPENAI (Whisper)
+ *
+ * Variáveis de ambiente:
+ * - OPENAI_API_KEY (obrigatória, a mesma da classificação)
+ * - OPENAI_TRANSCRIPTION_MODEL (padrão: whisper-1)
+ */
+
+const log = require('../../../utils/logger');
+const { requestTranscription } = require('../helpers');
+
+module.exports = {
+  name: 'openai',
+  aliases: ['whisper'],
+  requiredEnv: ['OPENAI_API_KEY'],
+
+  /**
+   * Transcreve um áudio usando a API da OpenAI
+   *
+   * @param {Object} input - { buffer, mimeType, fileName, language }
+   * @returns {Promise<Object>} - { text, model }
+   */
+  async transcribe(input) {
+    const model = process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+
+    log.ai('Transcrevendo áudio com OpenAI', { model });
+
+    const text = await requestTranscription('https://api.openai.com/v1', {
+      ...input,
+      apiKey: process.env.OPENAI_API_KEY,
+      model,
+    });
+
+    return { text, model };
+  },
+};
@@ -0,0 +1,206 @@
+/**
+ * SERVICE: TRANSCRIÇÃO DE ÁUDIO
+ *
+ * Transforma as mensagens de voz dos leads em texto, para que elas
+ * sejam classificadas e respondidas como uma mensagem escrita.
+ *
+ * Os provedores (OpenAI Whisper e servidor Whisper local) ficam em
+ * services/transcription/providers/ e o usado é escolhido em
+ * TRANSCRIPTION_PROVIDER. Sem provedor (padrão: none), os áudios
+ * ficam só como anexo.
+ *
+ * Configuração (.env):
+ * - TRANSCRIPTION_PROVIDER: openai, local ou none (padrão: none)
+ * - TRANSCRIPTION_LANGUAGE: idioma dos áudios (padrão: pt)
+ * - TRANSCRIPTION_MAX_SECONDS: áudios mais longos não são transcritos (padrão: 300)
+ *
+ * Todo provedor é um objeto com a seguinte interface:
+ * {
+ *   name: 'openai',                   // nome usado em TRANSCRIPTION_PROVIDER
+ *   aliases: ['...'],                 // (opcional) outros nomes aceitos
+ *   requiredEnv: ['OPENAI_API_KEY'],  // variáveis obrigatórias
+ *   transcribe: async ({ buffer, mimeType, fileName, language }) => ({ text, model }),
+ * }
+ *
+ * Para adicionar um provedor, basta criar um arquivo em
+ * services/transcription/providers/ exportando esse objeto.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Lead = require('../models/Lead');
+const attachmentService = require('./attachmentService');
+const { withRetry } = require('./ai/helpers');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Provedores registrados, indexados pelo nome (e apelidos)
+ */
+const providers = new Map();
+
+/**
+ * Registra um provedor de transcrição
+ *
+ * @param {Object} provider - Provedor seguindo a interface acima
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.transcribe !== 'function') {
+    throw new Error('Provedor de transcrição inválido: precisa de "name" e "transcribe()"');
+  }
+
+  for (const name of [provider.name, ...(provider.aliases || [])]) {
+    providers.set(name, provider);
+  }
+}
+
+/**
+ * Lista os nomes dos provedores registrados (sem apelidos)
+ *
+ * @returns {Array<String>}
+ */
+function listProviders() {
+  return [...new Set([...providers.values()].map(provider => provider.name))];
+}
+
+/**
+ * Retorna o provedor configurado em TRANSCRIPTION_PROVIDER
+ *
+ * @returns {Object|null} - Provedor ou null se a transcrição está desligada
+ */
+function getProvider() {
+  const name = (process.env.TRANSCRIPTION_PROVIDER || 'none').trim();
+
+  if (name === 'none') {
+    return null;
+  }
+
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(
+      `Provedor de transcrição "${name}" desconhecido. Provedores disponíveis: ${listProviders().join(', ')}, none`
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Valida a configuração do provedor escolhido
+ *
+ * Chamada na inicialização (server.js) para falhar cedo.
+ *
+ * @returns {Object|null} - Provedor validado ou null se desligada
+ */
+function validateConfig() {
+  const provider = getProvider();
+
+  if (!provider) {
+    return null;
+  }
+
+  const missing = (provider.requiredEnv || []).filter(varName => !process.env[varName]);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Variáveis obrigatórias para o provedor de transcrição "${provider.name}" não configuradas no .env: ${missing.join(', ')}`
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Carrega todos os provedores da pasta services/transcription/providers
+ */
+function loadProviders() {
+  const providersDir = path.join(__dirname, 'transcription', 'providers');
+
+  fs.readdirSync(providersDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => registerProvider(require(path.join(providersDir, file))));
+}
+
+loadProviders();
+
+/**
+ * Transcreve o áudio de uma mensagem e salva o texto na mensagem
+ *
+ * Erros são registrados e NÃO interrompem o atendimento: sem
+ * transcrição, o áudio é tratado como uma mídia comum.
+ *
+ * @param {Object} storedMessage - Mensagem salva no histórico
+ * @param {Object} attachment - Anexo com o áudio
+ * @param {Object} media - Mídia (veja whatsappService.extractMedia)
+ * @returns {Promise<String|null>} - Texto transcrito ou null
+ */
+async function transcribeMessage(storedMessage, attachment, media) {
+  const { phoneNumber } = storedMessage;
+
+  try {
+    const provider = getProvider();
+
+    if (!provider) {
+      return null;
+    }
+
+    const maxSeconds = parseInt(process.env.TRANSCRIPTION_MAX_SECONDS) || 300;
+
+    if (media.seconds && media.seconds > maxSeconds) {
+      metrics.increment('transcriptions.tooLong');
+      log.warn('Áudio longo demais, não será transcrito', { phoneNumber, seconds: media.seconds });
+      return null;
+    }
+
+    const file = await attachmentService.getAttachmentFile(phoneNumber, attachment.id);
+
+    if (!file) {
+      return null;
+    }
+
+    const startedAt = Date.now();
+
+    const { text, model } = await withRetry(() => provider.transcribe({
+      buffer: file.content,
+      mimeType: attachment.mimeType,
+      fileName: file.attachment.fileName,
+      language: process.env.TRANSCRIPTION_LANGUAGE || 'pt',
+    }), { label: `transcrição:${provider.name}` });
+
+    const transcript = text.trim();
+
+    if (!transcript) {
+      metrics.increment('transcriptions.empty');
+      log.warn('Transcrição vazia (áudio sem fala?)', { phoneNumber, messageId: storedMessage.id });
+      return null;
+    }
+
+    Lead.saveTranscript(storedMessage.id, transcript, provider.name);
+
+    metrics.increment('transcriptions.done');
+    log.ai('Áudio transcrito', {
+      phoneNumber,
+      provider: provider.name,
+      model,
+      latencyMs: Date.now() - startedAt,
+      length: transcript.length,
+    });
+
+    return transcript;
+
+  } catch (error) {
+    metrics.increment('transcriptions.failed');
+    log.error('Erro ao transcrever áudio:', error);
+    return null;
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  registerProvider,
+  listProviders,
+  getProvider,
+  validateConfig,
+  transcribeMessage,
+};
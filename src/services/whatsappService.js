@@ -6,15 +6,36 @@
  * Responsabilidades:
  * - Formatar números de telefone
  * - Extrair informações de contatos
- * - Enviar mensagens
+ * - Enviar mensagens (texto, botões e listas)
+ * - Ler as escolhas feitas em botões e listas
+ * - Ler localizações, contatos e reações enviados pelo lead
+ * - Identificar e baixar mídias (imagem, áudio, vídeo, documento, figurinha)
  * - Validar números
  * 
  * Este serviço funciona como uma camada de abstração sobre o Baileys,
  * facilitando o uso em outros módulos.
  */
 
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
 const log = require('../utils/logger');
 
+/**
+ * Tipos de mídia do Baileys => tipo salvo no anexo
+ */
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker',
+};
+
+/**
+ * Limites do WhatsApp para mensagens interativas
+ */
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+
 /**
  * Formata um número de telefone para o padrão do WhatsApp
  * 
@@ -124,6 +145,18 @@ function extractMessageText(message) {
       return message.message.videoMessage.caption;
     }
 
+    // Documentos com legenda
+    if (message.message?.documentWithCaptionMessage?.message?.documentMessage?.caption) {
+      return message.message.documentWithCaptionMessage.message.documentMessage.caption;
+    }
+
+    // Respostas de botões e listas: o texto da opção escolhida
+    const choice = extractChoice(message);
+
+    if (choice) {
+      return choice.text;
+    }
+
     // Se não conseguiu extrair, retorna null
     return null;
 
@@ -133,13 +166,210 @@ function extractMessageText(message) {
   }
 }
 
+/**
+ * Extrai a escolha feita pelo lead em um botão ou lista
+ * 
+ * Os três formatos de resposta do WhatsApp viram o mesmo objeto:
+ * - buttonsResponseMessage: toque em um botão (sendButtons)
+ * - listResponseMessage: opção escolhida em uma lista (sendList)
+ * - templateButtonReplyMessage: toque em um botão de template
+ * 
+ * @param {Object} message - Objeto de mensagem do Baileys
+ * @returns {Object|null} - { id, text, source } ou null se não for uma escolha
+ *   id: ID da opção (definido no envio) | text: texto exibido
+ *   source: 'button', 'list' ou 'template'
+ */
+function extractChoice(message) {
+  try {
+    const content = message.message || {};
+    let id;
+    let text;
+    let source;
+
+    if (content.buttonsResponseMessage) {
+      id = content.buttonsResponseMessage.selectedButtonId;
+      text = content.buttonsResponseMessage.selectedDisplayText;
+      source = 'button';
+    } else if (content.listResponseMessage) {
+      id = content.listResponseMessage.singleSelectReply?.selectedRowId;
+      text = content.listResponseMessage.title;
+      source = 'list';
+    } else if (content.templateButtonReplyMessage) {
+      id = content.templateButtonReplyMessage.selectedId;
+      text = content.templateButtonReplyMessage.selectedDisplayText;
+      source = 'template';
+    } else {
+      return null;
+    }
+
+    // Versões antigas do WhatsApp podem mandar só um dos dois
+    if (!id && !text) {
+      return null;
+    }
+
+    return {
+      id: id || text,
+      text: text || id,
+      source,
+    };
+
+  } catch (error) {
+    log.error('Erro ao extrair escolha da mensagem:', error);
+    return null;
+  }
+}
+
+/**
+ * Extrai a localização de uma mensagem
+ * 
+ * @param {Object} message - Objeto de mensagem do Baileys
+ * @returns {Object|null} - { latitude, longitude, name, address, url, live } ou null
+ */
+function extractLocation(message) {
+  try {
+    const content = message.message || {};
+    const location = content.locationMessage || content.liveLocationMessage;
+
+    if (!location || typeof location.degreesLatitude !== 'number' || typeof location.degreesLongitude !== 'number') {
+      return null;
+    }
+
+    return {
+      latitude: location.degreesLatitude,
+      longitude: location.degreesLongitude,
+      name: location.name || null,
+      address: location.address || null,
+      url: location.url || null,
+      live: Boolean(content.liveLocationMessage),
+    };
+
+  } catch (error) {
+    log.error('Erro ao extrair localização da mensagem:', error);
+    return null;
+  }
+}
+
+/**
+ * Extrai os cartões de contato de uma mensagem
+ * 
+ * Um contato vem em contactMessage; vários, em contactsArrayMessage.
+ * 
+ * @param {Object} message - Objeto de mensagem do Baileys
+ * @returns {Array<Object>|null} - [{ displayName, vcard }] ou null
+ */
+function extractContacts(message) {
+  try {
+    const content = message.message || {};
+
+    const contacts = content.contactMessage
+      ? [content.contactMessage]
+      : content.contactsArrayMessage?.contacts || [];
+
+    const valid = contacts
+      .filter(contact => contact && (contact.vcard || contact.displayName))
+      .map(contact => ({
+        displayName: contact.displayName || null,
+        vcard: contact.vcard || null,
+      }));
+
+    return valid.length > 0 ? valid : null;
+
+  } catch (error) {
+    log.error('Erro ao extrair contatos da mensagem:', error);
+    return null;
+  }
+}
+
+/**
+ * Extrai a reação (emoji) de uma mensagem
+ * 
+ * @param {Object} message - Objeto de mensagem do Baileys
+ * @returns {Object|null} - { targetId, targetFromMe, emoji } ou null
+ *   emoji null = o lead removeu a reação
+ */
+function extractReaction(message) {
+  try {
+    const reaction = message.message?.reactionMessage;
+
+    if (!reaction?.key?.id) {
+      return null;
+    }
+
+    return {
+      targetId: reaction.key.id,
+      targetFromMe: reaction.key.fromMe === true,
+      emoji: reaction.text || null,
+    };
+
+  } catch (error) {
+    log.error('Erro ao extrair reação da mensagem:', error);
+    return null;
+  }
+}
+
+/**
+ * Identifica a mídia de uma mensagem
+ * 
+ * @param {Object} message - Objeto de mensagem do Baileys
+ * @returns {Object|null} - { type, mimeType, fileName, size, seconds, voiceNote } ou null se não for mídia
+ */
+function extractMedia(message) {
+  try {
+    // Documentos com legenda vêm "embrulhados" em outra mensagem
+    const content = message.message?.documentWithCaptionMessage?.message || message.message || {};
+    const key = Object.keys(MEDIA_TYPES).find(name => content[name]);
+
+    if (!key) {
+      return null;
+    }
+
+    const media = content[key];
+
+    return {
+      type: MEDIA_TYPES[key],
+      mimeType: (media.mimetype || 'application/octet-stream').split(';')[0].trim(),
+      fileName: media.fileName || null,
+      size: Number(media.fileLength) || null,
+      seconds: media.seconds || null,
+      voiceNote: Boolean(media.ptt),
+    };
+
+  } catch (error) {
+    log.error('Erro ao identificar mídia da mensagem:', error);
+    return null;
+  }
+}
+
+/**
+ * Baixa (e descriptografa) a mídia de uma mensagem
+ * 
+ * @param {Object} sock - Instância do socket do Baileys
+ * @param {Object} message - Objeto de mensagem do Baileys
+ * @returns {Promise<Buffer>} - Conteúdo do arquivo
+ */
+async function downloadMedia(sock, message) {
+  try {
+    log.whatsapp('Baixando mídia', { id: message.key.id });
+
+    // reuploadRequest pede ao WhatsApp para reenviar mídias que expiraram
+    return await downloadMediaMessage(message, 'buffer', {}, {
+      logger: sock.logger,
+      reuploadRequest: sock.updateMediaMessage,
+    });
+
+  } catch (error) {
+    log.error('Erro ao baixar mídia:', error);
+    throw error;
+  }
+}
+
 /**
  * Envia uma mensagem de texto
  * 
  * @param {Object} sock - Instância do socket do Baileys
  * @param {String} to - JID ou número de telefone do destinatário
  * @param {String} text - Texto a ser enviado
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} - Mensagem enviada (retorno do Baileys)
  */
 async function sendMessage(sock, to, text) {
   try {
@@ -148,16 +378,151 @@ async function sendMessage(sock, to, text) {
 
     log.whatsapp('Enviando mensagem', { to: jid });
 
-    await sock.sendMessage(jid, { text });
+    const sent = await sock.sendMessage(jid, { text });
 
     log.whatsapp('Mensagem enviada com sucesso', { to: jid });
 
+    return sent;
+
   } catch (error) {
     log.error('Erro ao enviar mensagem:', error);
     throw error;
   }
 }
 
+/**
+ * Verifica se as mensagens interativas (botões e listas) estão ligadas
+ * 
+ * Nem todas as contas exibem botões e listas. Com
+ * INTERACTIVE_MESSAGES=false, elas são enviadas como texto.
+ * 
+ * @returns {Boolean}
+ */
+function isInteractiveEnabled() {
+  return process.env.INTERACTIVE_MESSAGES !== 'false';
+}
+
+/**
+ * Monta a versão em texto de uma mensagem interativa
+ * 
+ * Usada quando os botões estão desligados e para salvar no histórico.
+ * 
+ * @param {String} text - Texto da mensagem
+ * @param {Array<String>} options - Textos das opções
+ * @param {String} footer - Rodapé (opcional)
+ * @returns {String}
+ */
+function formatOptionsAsText(text, options, footer) {
+  const lines = options.map(option => `• ${option}`).join('\n');
+
+  return [text, lines, footer].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Envia uma mensagem com botões de resposta rápida
+ * 
+ * A escolha do lead volta como buttonsResponseMessage (veja extractChoice).
+ * 
+ * @param {Object} sock - Instância do socket do Baileys
+ * @param {String} to - JID ou número de telefone do destinatário
+ * @param {Object} content - Conteúdo da mensagem
+ * @param {String} content.text - Texto da mensagem
+ * @param {Array<Object>} content.buttons - Botões { id, text } (até 3)
+ * @param {String} content.footer - Rodapé (opcional)
+ * @returns {Promise<Object>} - Mensagem enviada (retorno do Baileys)
+ */
+async function sendButtons(sock, to, { text, buttons, footer }) {
+  try {
+    if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+      throw new Error(`Mensagens com botões precisam de 1 a ${MAX_BUTTONS} botões`);
+    }
+
+    if (!isInteractiveEnabled()) {
+      return await sendMessage(sock, to, formatOptionsAsText(text, buttons.map(button => button.text), footer));
+    }
+
+    const jid = to.includes('@') ? to : toJID(to);
+
+    log.whatsapp('Enviando mensagem com botões', { to: jid, buttons: buttons.length });
+
+    const sent = await sock.sendMessage(jid, {
+      text,
+      footer,
+      buttons: buttons.map(button => ({
+        buttonId: button.id,
+        buttonText: { displayText: button.text },
+        type: 1,
+      })),
+      headerType: 1,
+    });
+
+    log.whatsapp('Mensagem com botões enviada com sucesso', { to: jid });
+
+    return sent;
+
+  } catch (error) {
+    log.error('Erro ao enviar mensagem com botões:', error);
+    throw error;
+  }
+}
+
+/**
+ * Envia uma mensagem com lista de opções
+ * 
+ * A escolha do lead volta como listResponseMessage (veja extractChoice).
+ * 
+ * @param {Object} sock - Instância do socket do Baileys
+ * @param {String} to - JID ou número de telefone do destinatário
+ * @param {Object} content - Conteúdo da mensagem
+ * @param {String} content.text - Texto da mensagem
+ * @param {String} content.buttonText - Texto do botão que abre a lista
+ * @param {Array<Object>} content.sections - Seções { title, rows: [{ id, text, description }] }
+ *   (até 10 opções no total)
+ * @param {String} content.title - Título (opcional)
+ * @param {String} content.footer - Rodapé (opcional)
+ * @returns {Promise<Object>} - Mensagem enviada (retorno do Baileys)
+ */
+async function sendList(sock, to, { text, buttonText, sections, title, footer }) {
+  try {
+    const rows = (sections || []).flatMap(section => section.rows || []);
+
+    if (rows.length === 0 || rows.length > MAX_LIST_ROWS) {
+      throw new Error(`Listas precisam de 1 a ${MAX_LIST_ROWS} opções`);
+    }
+
+    if (!isInteractiveEnabled()) {
+      return await sendMessage(sock, to, formatOptionsAsText(text, rows.map(row => row.text), footer));
+    }
+
+    const jid = to.includes('@') ? to : toJID(to);
+
+    log.whatsapp('Enviando mensagem com lista', { to: jid, rows: rows.length });
+
+    const sent = await sock.sendMessage(jid, {
+      text,
+      title,
+      footer,
+      buttonText,
+      sections: sections.map(section => ({
+        title: section.title,
+        rows: section.rows.map(row => ({
+          rowId: row.id,
+          title: row.text,
+          description: row.description,
+        })),
+      })),
+    });
+
+    log.whatsapp('Mensagem com lista enviada com sucesso', { to: jid });
+
+    return sent;
+
+  } catch (error) {
+    log.error('Erro ao enviar mensagem com lista:', error);
+    throw error;
+  }
+}
+
 /**
  * Verifica se uma mensagem é de um número específico
  * 
@@ -191,6 +556,8 @@ function isMessageFromMe(message) {
  * @param {Object} sock - Instância do socket do Baileys
  * @param {String} phoneNumber - Número a ser validado
  * @returns {Promise<Boolean>} - true se existe, false se não
+ * @throws {Error} - Se não deu para consultar (ex: a conexão caiu); não
+ *   quer dizer que o número não tem WhatsApp
  */
 async function isValidWhatsAppNumber(sock, phoneNumber) {
   try {
@@ -203,7 +570,7 @@ async function isValidWhatsAppNumber(sock, phoneNumber) {
 
   } catch (error) {
     log.error('Erro ao validar número do WhatsApp:', error);
-    return false;
+    throw error;
   }
 }
 
@@ -249,12 +616,23 @@ async function simulateTyping(sock, jid) {
 
 // Exporta as funções para serem usadas em outros arquivos
 module.exports = {
+  MAX_BUTTONS,
+  MAX_LIST_ROWS,
   formatPhoneNumber,
   toJID,
   extractPhoneFromJID,
   extractSenderInfo,
   extractMessageText,
+  extractChoice,
+  extractLocation,
+  extractContacts,
+  extractReaction,
+  extractMedia,
+  downloadMedia,
   sendMessage,
+  formatOptionsAsText,
+  sendButtons,
+  sendList,
   isMessageFrom,
   isMessageFromMe,
   isValidWhatsAppNumber,
@@ -0,0 +1,128 @@
+/**
+ * UTILITÁRIO: CSV
+ *
+ * Lê e escreve CSV no formato das planilhas (RFC 4180):
+ * - Campos com separador, aspas ou quebra de linha vão entre aspas
+ * - Aspas dentro do campo são dobradas ("")
+ *
+ * Usado na exportação (services/exportService.js) e na importação
+ * (services/importService.js) de leads.
+ *
+ * Uso:
+ *   const rows = parseCsv('nome;telefone\nAna;11999999999');
+ *   // [['nome', 'telefone'], ['Ana', '11999999999']] (separador detectado)
+ */
+
+/**
+ * Separadores aceitos (o Excel em português salva com ponto e vírgula)
+ */
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Converte um valor em uma célula de CSV
+ *
+ * Textos que começam com =, +, - ou @ ganham um apóstrofo na frente:
+ * o Excel os trataria como fórmula (injeção de fórmulas via CSV).
+ *
+ * @param {*} value - Valor
+ * @returns {String}
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Descobre o separador pela primeira linha (o que mais aparece fora de aspas)
+ *
+ * @param {String} text - Conteúdo do CSV
+ * @returns {String}
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+
+  return DELIMITERS
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }))
+    .reduce((best, current) => (current.count > best.count ? current : best))
+    .delimiter;
+}
+
+/**
+ * Lê um CSV
+ *
+ * Linhas totalmente vazias são ignoradas. O BOM do UTF-8 (que o Excel
+ * coloca no começo do arquivo) é removido.
+ *
+ * @param {String} text - Conteúdo do CSV
+ * @param {String} delimiter - Separador (padrão: detectado pela primeira linha)
+ * @returns {Array<Array<String>>} - Linhas, cada uma com os seus campos
+ * @throws {Error} - Se houver aspas sem fechamento
+ */
+function parseCsv(text, delimiter = null) {
+  const content = text.replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(content);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // \r\n conta como uma quebra só
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV inválido: aspas sem fechamento');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  DELIMITERS,
+  toCsvCell,
+  parseCsv,
+};
@@ -13,7 +13,7 @@
  * 
  * Funcionalidades:
  * - Conectar ao banco (cria arquivo se não existir)
- * - Criar tabelas automaticamente
+ * - Aplicar migrations pendentes automaticamente (ver utils/migrator.js)
  * - Executar queries de forma segura
  * - Fechar conexão quando necessário
  */
@@ -22,6 +22,7 @@ const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 const log = require('./logger');
+const migrator = require('./migrator');
 
 // Variável global para armazenar a conexão
 let db = null;
@@ -32,12 +33,16 @@ let db = null;
  * Esta função:
  * 1. Cria o diretório do banco se não existir
  * 2. Abre/cria o arquivo .db
- * 3. Cria as tabelas necessárias
- * 4. Configura otimizações
+ * 3. Configura otimizações
+ * 4. Aplica as migrations pendentes (src/migrations)
  * 
+ * @param {Object} options - Opções
+ * @param {Boolean} options.migrate - Aplica as migrations pendentes (padrão: true)
  * @returns {Promise<void>}
  */
-async function connectDB() {
+async function connectDB(options = {}) {
+  const { migrate = true } = options;
+
   try {
     log.info('Conectando ao SQLite...');
 
@@ -63,10 +68,12 @@ async function connectDB() {
     db.pragma('synchronous = NORMAL'); // Balanço entre segurança e velocidade
     db.pragma('cache_size = 10000'); // Cache de 10MB
 
-    // Cria as tabelas se não existirem
-    createTables();
-
-    log.info('Tabelas verificadas/criadas com sucesso');
+    // Aplica as alterações de esquema pendentes
+    // (o CLI de migrations conecta com migrate: false para controlar isso)
+    if (migrate) {
+      migrator.migrateUp(db);
+      log.info('Esquema do banco atualizado');
+    }
 
   } catch (error) {
     log.error('Falha ao conectar no SQLite:', error);
@@ -74,72 +81,6 @@ async function connectDB() {
   }
 }
 
-/**
- * Cria as tabelas do banco de dados
- * 
- * Tabela LEADS:
- * - Armazena informações dos leads
- * - Cada lead é único por phoneNumber
- * - Índices para buscas rápidas
- * 
- * Tabela MESSAGES:
- * - Armazena histórico de mensagens
- * - Relacionada com LEADS via phoneNumber
- * - Ordenada por timestamp
- */
-function createTables() {
-  try {
-    // Tabela de Leads
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS leads (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        phoneNumber TEXT NOT NULL UNIQUE,
-        name TEXT DEFAULT 'Não informado',
-        intent TEXT DEFAULT 'outro',
-        sentiment TEXT DEFAULT 'neutro',
-        priority TEXT DEFAULT 'média',
-        status TEXT DEFAULT 'novo',
-        lastInteraction TEXT DEFAULT CURRENT_TIMESTAMP,
-        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
-        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Índices para buscas rápidas
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_leads_phoneNumber ON leads(phoneNumber);
-      CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
-      CREATE INDEX IF NOT EXISTS idx_leads_priority ON leads(priority);
-      CREATE INDEX IF NOT EXISTS idx_leads_intent ON leads(intent);
-      CREATE INDEX IF NOT EXISTS idx_leads_lastInteraction ON leads(lastInteraction DESC);
-    `);
-
-    // Tabela de Mensagens
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        phoneNumber TEXT NOT NULL,
-        text TEXT NOT NULL,
-        sender TEXT NOT NULL,
-        timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (phoneNumber) REFERENCES leads(phoneNumber) ON DELETE CASCADE
-      )
-    `);
-
-    // Índice para buscar mensagens de um lead rapidamente
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_messages_phoneNumber ON messages(phoneNumber);
-      CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp DESC);
-    `);
-
-    log.info('Tabelas criadas/verificadas');
-
-  } catch (error) {
-    log.error('Erro ao criar tabelas:', error);
-    throw error;
-  }
-}
-
 /**
  * Desconectar do SQLite
  * 
@@ -182,10 +123,24 @@ function getDB() {
   return db;
 }
 
+/**
+ * Executa várias gravações como uma só (tudo ou nada)
+ * 
+ * As funções dos models chamadas dentro dela entram na mesma
+ * transação. A função precisa ser síncrona (sem await).
+ * 
+ * @param {Function} fn - Função com as gravações
+ * @returns {*} - O retorno da função
+ */
+function transaction(fn) {
+  return getDB().transaction(fn)();
+}
+
 // Exporta as funções para serem usadas em outros arquivos
 module.exports = {
   connectDB,
   disconnectDB,
   isConnected,
   getDB,
+  transaction,
 };
@@ -0,0 +1,49 @@
+/**
+ * UTILITÁRIO: MÉTRICAS
+ *
+ * Contadores simples em memória, expostos no GET /status.
+ * Zeram quando a aplicação reinicia.
+ *
+ * Uso:
+ *   metrics.increment('messages.duplicates');
+ *   metrics.getAll(); // { 'messages.duplicates': 3 }
+ */
+
+// Contadores, indexados pelo nome
+const counters = {};
+
+/**
+ * Incrementa um contador
+ *
+ * @param {String} name - Nome do contador (ex: 'messages.duplicates')
+ * @param {Number} value - Quanto somar (padrão: 1)
+ */
+function increment(name, value = 1) {
+  counters[name] = (counters[name] || 0) + value;
+}
+
+/**
+ * Retorna o valor de um contador
+ *
+ * @param {String} name - Nome do contador
+ * @returns {Number}
+ */
+function get(name) {
+  return counters[name] || 0;
+}
+
+/**
+ * Retorna todos os contadores
+ *
+ * @returns {Object}
+ */
+function getAll() {
+  return { ...counters };
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  increment,
+  get,
+  getAll,
+};
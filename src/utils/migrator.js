@@ -0,0 +1,233 @@
+/**
+ * UTILITÁRIO: MIGRATIONS DO BANCO DE DADOS
+ *
+ * Este arquivo aplica e desfaz as alterações de esquema do SQLite.
+ *
+ * Por que migrations?
+ * - CREATE TABLE IF NOT EXISTS não adiciona colunas novas em bancos existentes
+ * - Cada alteração vira um arquivo versionado em src/migrations/
+ * - A tabela schema_migrations registra o que já foi aplicado
+ *
+ * Como criar uma migration:
+ * 1. Crie src/migrations/NNN_descricao.js (NNN = próximo número, ex: 005)
+ * 2. Exporte { description, up(db), down(db) }
+ * 3. Ela é aplicada automaticamente no próximo connectDB()
+ *
+ * Cada migration roda dentro de uma transação: se der erro,
+ * nada daquela migration fica aplicado.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+/**
+ * Pasta onde ficam os arquivos de migration
+ */
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Arquivos de migration seguem o padrão 001_descricao.js
+ */
+const MIGRATION_FILE_PATTERN = /^\d+_.+\.js$/;
+
+/**
+ * Garante que a tabela de controle existe
+ *
+ * @param {Database} db - Instância do SQLite
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      description TEXT,
+      appliedAt TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Carrega os arquivos de migration, em ordem de versão
+ *
+ * @returns {Array<Object>} - [{ version, description, up, down }]
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} precisa exportar up(db) e down(db)`);
+      }
+
+      return {
+        version: path.basename(file, '.js'),
+        description: migration.description || '',
+        up: migration.up,
+        down: migration.down,
+      };
+    });
+}
+
+/**
+ * Lista as versões já aplicadas
+ *
+ * @param {Database} db - Instância do SQLite
+ * @returns {Map<String, String>} - versão => data de aplicação
+ */
+function getAppliedVersions(db) {
+  ensureMigrationsTable(db);
+
+  const rows = db.prepare('SELECT version, appliedAt FROM schema_migrations ORDER BY version').all();
+
+  return new Map(rows.map(row => [row.version, row.appliedAt]));
+}
+
+/**
+ * Retorna a situação de cada migration
+ *
+ * @param {Database} db - Instância do SQLite
+ * @returns {Array<Object>} - [{ version, description, applied, appliedAt }]
+ */
+function getStatus(db) {
+  const applied = getAppliedVersions(db);
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    description: migration.description,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version) || null,
+  }));
+}
+
+/**
+ * Aplica as migrations pendentes
+ *
+ * @param {Database} db - Instância do SQLite
+ * @param {String} target - (opcional) aplica somente até esta versão
+ * @returns {Array<String>} - Versões aplicadas
+ */
+function migrateUp(db, target = null) {
+  const applied = getAppliedVersions(db);
+  const pending = loadMigrations()
+    .filter(migration => !applied.has(migration.version))
+    .filter(migration => !target || migration.version <= target);
+
+  const done = [];
+
+  for (const migration of pending) {
+    log.info('Aplicando migration', { version: migration.version });
+
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare(`
+        INSERT INTO schema_migrations (version, description)
+        VALUES (?, ?)
+      `).run(migration.version, migration.description);
+    })();
+
+    done.push(migration.version);
+  }
+
+  if (done.length > 0) {
+    log.info('Migrations aplicadas', { versions: done });
+  }
+
+  return done;
+}
+
+/**
+ * Desfaz as últimas migrations aplicadas
+ *
+ * @param {Database} db - Instância do SQLite
+ * @param {Number} steps - Quantas migrations desfazer (padrão: 1)
+ * @returns {Array<String>} - Versões desfeitas
+ */
+function rollback(db, steps = 1) {
+  const applied = getAppliedVersions(db);
+  const migrations = loadMigrations();
+
+  const toRollback = [...applied.keys()]
+    .sort()
+    .reverse()
+    .slice(0, steps);
+
+  const done = [];
+
+  for (const version of toRollback) {
+    const migration = migrations.find(m => m.version === version);
+
+    if (!migration) {
+      throw new Error(`Arquivo da migration ${version} não encontrado em src/migrations`);
+    }
+
+    log.info('Desfazendo migration', { version });
+
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+    })();
+
+    done.push(version);
+  }
+
+  return done;
+}
+
+// ==========================================
+// FUNÇÕES AUXILIARES PARA AS MIGRATIONS
+// ==========================================
+
+/**
+ * Verifica se uma coluna existe
+ *
+ * @param {Database} db - Instância do SQLite
+ * @param {String} table - Nome da tabela
+ * @param {String} column - Nome da coluna
+ * @returns {Boolean}
+ */
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+/**
+ * Adiciona uma coluna, se ela ainda não existir
+ *
+ * O SQLite não tem "ADD COLUMN IF NOT EXISTS", então
+ * consultamos as colunas atuais com PRAGMA table_info.
+ *
+ * @param {Database} db - Instância do SQLite
+ * @param {String} table - Nome da tabela
+ * @param {String} column - Nome da coluna
+ * @param {String} definition - Tipo e DEFAULT da coluna (ex: 'TEXT')
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Remove uma coluna, se ela existir (usado nos down)
+ *
+ * @param {Database} db - Instância do SQLite
+ * @param {String} table - Nome da tabela
+ * @param {String} column - Nome da coluna
+ */
+function dropColumnIfExists(db, table, column) {
+  if (hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  getStatus,
+  migrateUp,
+  rollback,
+  hasColumn,
+  addColumnIfMissing,
+  dropColumnIfExists,
+};
@@ -0,0 +1,149 @@
+/**
+ * UTILITÁRIO: MONTADOR DE CONSULTAS (WHERE)
+ *
+ * Junta as condições de uma consulta e os valores de cada uma, na
+ * ordem certa, para montar o WHERE uma única vez (a mesma cláusula
+ * serve para buscar a página e para contar o total).
+ *
+ * Uso:
+ *   const query = createQuery();
+ *   query.whereIn('status', ['novo', 'em_atendimento']);
+ *   query.wherePrefix('name', 'Ana');
+ *   const { where, params } = query.build();
+ *   db.prepare(`SELECT * FROM leads ${where}`).all(...params);
+ *
+ * IMPORTANTE: os nomes de colunas e expressões são colocados direto
+ * no SQL. Use apenas nomes definidos no código, NUNCA valores vindos
+ * da requisição; os valores sempre vão como parâmetros (?).
+ */
+
+/**
+ * Escapa os curingas do LIKE (% e _) de um texto
+ *
+ * @param {String} text - Ex: '100%'
+ * @returns {String} - Ex: '100\%'
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Cria um montador de WHERE
+ *
+ * Todas as condições são combinadas com AND.
+ *
+ * @returns {Object} - Montador (os métodos podem ser encadeados)
+ */
+function createQuery() {
+  const conditions = [];
+  const params = [];
+
+  const query = {
+    /**
+     * Condição livre em SQL
+     *
+     * @param {String} sql - Ex: 'dealValue >= ?'
+     * @param {...*} values - Valores dos "?" da condição
+     */
+    where(sql, ...values) {
+      conditions.push(sql);
+      params.push(...values);
+      return query;
+    },
+
+    /**
+     * Coluna igual a um dos valores (um valor vira "=")
+     *
+     * @param {String} column - Coluna ou expressão
+     * @param {Array} values - Valores aceitos (lista vazia é ignorada)
+     */
+    whereIn(column, values) {
+      if (values.length === 1) {
+        return query.where(`${column} = ?`, values[0]);
+      }
+
+      if (values.length > 1) {
+        query.where(`${column} IN (${values.map(() => '?').join(', ')})`, ...values);
+      }
+
+      return query;
+    },
+
+    /**
+     * Coluna dentro de um intervalo: from <= coluna < to
+     *
+     * @param {String} column - Coluna ou expressão
+     * @param {Object} range - { from, to } (null = sem limite)
+     */
+    whereRange(column, { from = null, to = null }) {
+      if (from !== null) {
+        query.where(`${column} >= ?`, from);
+      }
+
+      if (to !== null) {
+        query.where(`${column} < ?`, to);
+      }
+
+      return query;
+    },
+
+    /**
+     * Coluna começando com um texto (sem diferenciar maiúsculas, como o LIKE)
+     *
+     * @param {String} column - Coluna ou expressão
+     * @param {String} prefix - Começo do valor
+     */
+    wherePrefix(column, prefix) {
+      return query.where(`${column} LIKE ? ESCAPE '\\'`, `${escapeLike(prefix)}%`);
+    },
+
+    /**
+     * Linhas depois de um cursor (paginação por cursor / keyset)
+     *
+     * A ordem é "expressão, id" e segue as regras do SQLite para NULL:
+     * primeiro em ASC e por último em DESC.
+     *
+     * @param {String} expression - Coluna ou expressão da ordenação
+     * @param {String} order - 'ASC' ou 'DESC'
+     * @param {Object} after - { value, id } da última linha da página anterior
+     * @param {Array} expressionParams - Valores dos "?" da expressão (se houver)
+     */
+    whereAfter(expression, order, { value, id }, expressionParams = []) {
+      const e = expressionParams;
+
+      if (order === 'ASC') {
+        return value === null
+          ? query.where(`((${expression} IS NULL AND id > ?) OR ${expression} IS NOT NULL)`, ...e, id, ...e)
+          : query.where(`(${expression} > ? OR (${expression} = ? AND id > ?))`, ...e, value, ...e, value, id);
+      }
+
+      // DESC: depois dos NULL só restam outros NULL com id menor
+      return value === null
+        ? query.where(`(${expression} IS NULL AND id < ?)`, ...e, id)
+        : query.where(
+          `(${expression} < ? OR ${expression} IS NULL OR (${expression} = ? AND id < ?))`,
+          ...e, value, ...e, ...e, value, id
+        );
+    },
+
+    /**
+     * Monta o WHERE
+     *
+     * @returns {Object} - { where ('' sem condições), params }
+     */
+    build() {
+      return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params: [...params],
+      };
+    },
+  };
+
+  return query;
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  escapeLike,
+  createQuery,
+};
@@ -0,0 +1,102 @@
+/**
+ * UTILITÁRIO: VCARD
+ *
+ * Lê os cartões de contato (vCard 3.0) que o WhatsApp envia quando
+ * o lead compartilha um contato.
+ *
+ * Uso:
+ *   parseVCard('BEGIN:VCARD\nFN:Ana\nTEL;waid=5511988887777:+55 11 98888-7777\nEND:VCARD');
+ *   // { name: 'Ana', organization: null, phones: ['5511988887777'], emails: [] }
+ */
+
+/**
+ * Desfaz as quebras de linha "dobradas" (linhas que começam com espaço)
+ *
+ * @param {String} vcard - Cartão original
+ * @returns {Array<String>} - Linhas completas
+ */
+function unfold(vcard) {
+  return vcard
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Remove os escapes do vCard (\, \; \n)
+ *
+ * @param {String} value - Valor escapado
+ * @returns {String}
+ */
+function unescape(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Extrai nome, empresa, telefones e e-mails de um vCard
+ *
+ * Telefones voltam só com dígitos, no formato do WhatsApp
+ * (usa o parâmetro waid quando o WhatsApp o envia).
+ *
+ * @param {String} vcard - Cartão original
+ * @returns {Object} - { name, organization, phones, emails }
+ */
+function parseVCard(vcard) {
+  const result = { name: null, organization: null, phones: [], emails: [] };
+
+  if (typeof vcard !== 'string') {
+    return result;
+  }
+
+  let structuredName = null;
+
+  for (const line of unfold(vcard)) {
+    const separator = line.indexOf(':');
+
+    if (separator === -1) {
+      continue;
+    }
+
+    // "item1.TEL;type=CELL;waid=5511..." => propriedade TEL + parâmetros
+    const [property, ...params] = line.slice(0, separator).split(';');
+    const key = property.split('.').pop().toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (key === 'FN' && value.trim()) {
+      result.name = unescape(value);
+    } else if (key === 'N' && value.trim()) {
+      // Sobrenome;Nome;... => "Nome Sobrenome"
+      const [last, first] = value.split(';').map(unescape);
+      structuredName = [first, last].filter(Boolean).join(' ') || null;
+    } else if (key === 'ORG' && value.trim()) {
+      result.organization = value.split(';').map(unescape).filter(Boolean).join(' ') || null;
+    } else if (key === 'TEL') {
+      const waid = params.find(param => /^waid=/i.test(param));
+      const phone = (waid ? waid.split('=')[1] : value).replace(/\D/g, '');
+
+      if (phone && !result.phones.includes(phone)) {
+        result.phones.push(phone);
+      }
+    } else if (key === 'EMAIL' && value.trim()) {
+      const email = unescape(value).toLowerCase();
+
+      if (!result.emails.includes(email)) {
+        result.emails.push(email);
+      }
+    }
+  }
+
+  result.name = result.name || structuredName;
+
+  return result;
+}
+
+// Exporta as funções para serem usadas em outros arquivos
+module.exports = {
+  parseVCard,
+};
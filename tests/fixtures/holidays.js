@@ -0,0 +1,9 @@
+/**
+ * Feriados usados nos testes do businessHoursService
+ * (BUSINESS_HOLIDAYS_FILE=tests/fixtures/holidays.js)
+ */
+
+module.exports = [
+  { date: '12-25', name: 'Natal' },
+  { date: '2026-11-20', name: 'Dia da Consciência Negra' },
+];
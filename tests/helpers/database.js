@@ -0,0 +1,35 @@
+/**
+ * TESTES: BANCO DE DADOS EM MEMÓRIA
+ *
+ * Cada arquivo de teste roda em um processo próprio (node --test), com
+ * um SQLite em memória e todas as migrations aplicadas: os testes não
+ * tocam no banco de verdade.
+ *
+ * Precisa ser carregado ANTES dos arquivos de src/ (o logger e o banco
+ * leem as variáveis de ambiente ao serem carregados).
+ *
+ * Uso:
+ *   const { setupDatabase } = require('../helpers/database');
+ *   before(setupDatabase);
+ */
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { connectDB, isConnected } = require('../../src/utils/database');
+
+/**
+ * Conecta ao banco em memória (uma vez por arquivo de teste)
+ *
+ * @returns {Promise<void>}
+ */
+async function setupDatabase() {
+  if (!isConnected()) {
+    await connectDB();
+  }
+}
+
+// Exporta as funções para serem usadas nos testes
+module.exports = {
+  setupDatabase,
+};
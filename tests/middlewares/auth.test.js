@@ -0,0 +1,154 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase } = require('../helpers/database');
+
+const authService = require('../../src/services/authService');
+const { authenticate, requireRole } = require('../../src/middlewares/auth');
+
+/**
+ * Request mínimo do Express (só o que os middlewares usam)
+ */
+function fakeRequest(headers = {}, apiKey) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  return {
+    method: 'GET',
+    originalUrl: '/leads',
+    ip: '127.0.0.1',
+    apiKey,
+    get: name => lower[name.toLowerCase()],
+  };
+}
+
+/**
+ * Response que guarda o status e o JSON enviados
+ */
+function fakeResponse() {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+/**
+ * Roda um middleware e diz se ele chamou next()
+ */
+function run(middleware, req) {
+  const res = fakeResponse();
+  let nextCalled = false;
+  let nextError;
+
+  middleware(req, res, (error) => {
+    nextCalled = true;
+    nextError = error;
+  });
+
+  return { res, nextCalled, nextError };
+}
+
+describe('authenticate', () => {
+  let keys;
+
+  before(async () => {
+    await setupDatabase();
+
+    keys = {
+      read: authService.createApiKey('leitura', 'read'),
+      revoked: authService.createApiKey('antiga', 'admin'),
+    };
+
+    authService.revokeApiKey(keys.revoked.record.id);
+  });
+
+  it('recusa requisições sem chave (401)', () => {
+    const { res, nextCalled } = run(authenticate, fakeRequest());
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'API Key não informada');
+  });
+
+  it('aceita a chave no header X-API-Key', () => {
+    const req = fakeRequest({ 'X-API-Key': keys.read.apiKey });
+    const { nextCalled, nextError } = run(authenticate, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(nextError, undefined);
+    assert.equal(req.apiKey.name, 'leitura');
+    assert.equal(req.apiKey.role, 'read');
+  });
+
+  it('aceita a chave no header Authorization: Bearer', () => {
+    const req = fakeRequest({ Authorization: `Bearer ${keys.read.apiKey}` });
+    const { nextCalled } = run(authenticate, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.apiKey.role, 'read');
+  });
+
+  it('recusa chaves desconhecidas (401)', () => {
+    const { res, nextCalled } = run(authenticate, fakeRequest({ 'X-API-Key': 'wls_nao_existe' }));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'API Key inválida ou revogada');
+  });
+
+  it('recusa chaves revogadas (401)', () => {
+    const { res, nextCalled } = run(authenticate, fakeRequest({ 'X-API-Key': keys.revoked.apiKey }));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe('requireRole', () => {
+  const keyWithRole = role => ({ id: 1, name: role, role });
+
+  it('deixa passar papéis iguais ou maiores que o exigido', () => {
+    for (const role of ['agent', 'admin']) {
+      const { nextCalled } = run(requireRole('agent'), fakeRequest({}, keyWithRole(role)));
+      assert.equal(nextCalled, true, role);
+    }
+  });
+
+  it('recusa papéis menores que o exigido (403)', () => {
+    const { res, nextCalled } = run(requireRole('admin'), fakeRequest({}, keyWithRole('agent')));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { success: false, error: 'Permissão insuficiente', requiredRole: 'admin' });
+  });
+
+  it('recusa requisições sem authenticate antes (403)', () => {
+    const { res, nextCalled } = run(requireRole('read'), fakeRequest());
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('recusa chaves com papel desconhecido', () => {
+    const { res } = run(requireRole('read'), fakeRequest({}, keyWithRole('superuser')));
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('falha ao montar a rota com um papel desconhecido', () => {
+    assert.throws(() => requireRole('admn'), /Papel inválido: admn/);
+  });
+});
+
+describe('hasRole', () => {
+  it('segue a ordem read < agent < admin', () => {
+    assert.equal(authService.hasRole('admin', 'read'), true);
+    assert.equal(authService.hasRole('agent', 'agent'), true);
+    assert.equal(authService.hasRole('read', 'agent'), false);
+    assert.equal(authService.hasRole('agent', 'admin'), false);
+  });
+
+  it('nunca libera um papel exigido desconhecido', () => {
+    for (const role of authService.ROLES) {
+      assert.equal(authService.hasRole(role, 'admn'), false, role);
+    }
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const SERVICE_PATH = require.resolve('../../src/services/businessHoursService');
+
+/**
+ * Carrega o service do zero com a configuração informada
+ * (a configuração é lida uma vez só e fica guardada no módulo)
+ */
+function loadService(env = {}) {
+  Object.assign(process.env, {
+    BUSINESS_TIMEZONE: 'America/Sao_Paulo',
+    BUSINESS_HOURS: 'seg-sex 08:00-12:00,13:00-18:00; sab 08:00-12:00',
+    BUSINESS_HOLIDAYS_FILE: 'tests/fixtures/holidays.js',
+    ...env,
+  });
+
+  delete require.cache[SERVICE_PATH];
+  return require(SERVICE_PATH);
+}
+
+// São Paulo não tem horário de verão: UTC-3 o ano todo
+const saoPaulo = localTime => new Date(`${localTime}-03:00`);
+
+afterEach(() => {
+  delete process.env.BUSINESS_TIMEZONE;
+  delete process.env.BUSINESS_HOURS;
+  delete process.env.BUSINESS_HOLIDAYS_FILE;
+});
+
+describe('getAvailability', () => {
+  it('aberto: diz quando o intervalo atual fecha', () => {
+    const service = loadService();
+
+    assert.deepEqual(service.getAvailability(saoPaulo('2026-10-19T09:30:00')), {
+      open: true,
+      closesAt: saoPaulo('2026-10-19T12:00:00'),
+      nextOpening: null,
+      holiday: null,
+    });
+  });
+
+  it('abre no início do intervalo e fecha no fim', () => {
+    const service = loadService();
+
+    assert.equal(service.isOpen(saoPaulo('2026-10-19T08:00:00')), true);
+    assert.equal(service.isOpen(saoPaulo('2026-10-19T07:59:00')), false);
+    assert.equal(service.isOpen(saoPaulo('2026-10-19T18:00:00')), false);
+  });
+
+  it('no almoço: reabre no mesmo dia', () => {
+    const service = loadService();
+    const availability = service.getAvailability(saoPaulo('2026-10-19T12:30:00'));
+
+    assert.equal(availability.open, false);
+    assert.deepEqual(availability.nextOpening, saoPaulo('2026-10-19T13:00:00'));
+  });
+
+  it('sexta à noite: reabre no sábado de manhã', () => {
+    const service = loadService();
+    const availability = service.getAvailability(saoPaulo('2026-10-23T19:00:00'));
+
+    assert.deepEqual(availability.nextOpening, saoPaulo('2026-10-24T08:00:00'));
+  });
+
+  it('sábado à tarde: pula o domingo e reabre na segunda', () => {
+    const service = loadService();
+    const availability = service.getAvailability(saoPaulo('2026-10-24T15:00:00'));
+
+    assert.deepEqual(availability.nextOpening, saoPaulo('2026-10-26T08:00:00'));
+  });
+
+  it('usa o fuso configurado, não o do servidor', () => {
+    const service = loadService();
+
+    // 11:30 UTC = 08:30 em São Paulo
+    assert.equal(service.isOpen(new Date('2026-10-19T11:30:00Z')), true);
+    // 21:30 UTC = 18:30 em São Paulo
+    assert.equal(service.isOpen(new Date('2026-10-19T21:30:00Z')), false);
+  });
+
+  it('feriado com data fixa: fechado o dia todo, com o nome do feriado', () => {
+    const service = loadService();
+    const availability = service.getAvailability(saoPaulo('2026-11-20T10:00:00'));
+
+    assert.equal(availability.open, false);
+    assert.deepEqual(availability.holiday, { date: '2026-11-20', name: 'Dia da Consciência Negra' });
+    assert.deepEqual(availability.nextOpening, saoPaulo('2026-11-21T08:00:00'));
+  });
+
+  it('feriado que se repete todo ano (MM-DD)', () => {
+    const service = loadService();
+
+    for (const year of [2026, 2027]) {
+      const availability = service.getAvailability(saoPaulo(`${year}-12-25T10:00:00`));
+      assert.equal(availability.holiday?.name, 'Natal', String(year));
+    }
+  });
+
+  it('na véspera do feriado, o próximo atendimento pula o feriado', () => {
+    const service = loadService();
+    const availability = service.getAvailability(saoPaulo('2026-11-19T19:00:00'));
+
+    assert.equal(availability.holiday, null);
+    assert.deepEqual(availability.nextOpening, saoPaulo('2026-11-21T08:00:00'));
+  });
+
+  it('segue a mudança de horário de verão do fuso configurado', () => {
+    const service = loadService({ BUSINESS_TIMEZONE: 'America/New_York', BUSINESS_HOURS: 'seg-sex 09:00-17:00' });
+
+    // Sábado 31/10 ainda em EDT (UTC-4); segunda 02/11 já em EST (UTC-5)
+    const availability = service.getAvailability(new Date('2026-10-31T14:00:00Z'));
+
+    assert.deepEqual(availability.nextOpening, new Date('2026-11-02T14:00:00Z'));
+  });
+
+  it('sem nenhum horário configurado, não há próximo atendimento', () => {
+    const service = loadService({ BUSINESS_HOURS: ' ' });
+
+    assert.deepEqual(service.getAvailability(saoPaulo('2026-10-19T10:00:00')), {
+      open: false,
+      closesAt: null,
+      nextOpening: null,
+      holiday: null,
+    });
+  });
+
+  it('intervalo até 24:00 fica aberto até a meia-noite', () => {
+    const service = loadService({ BUSINESS_HOURS: 'seg 20:00-24:00' });
+
+    assert.deepEqual(service.getAvailability(saoPaulo('2026-10-19T23:59:00')).closesAt, saoPaulo('2026-10-20T00:00:00'));
+  });
+});
+
+describe('getResponseTimeMessage', () => {
+  it('descreve o próximo atendimento para o cliente', () => {
+    const service = loadService();
+
+    assert.equal(
+      service.getResponseTimeMessage(saoPaulo('2026-10-23T19:00:00')),
+      '🌙 No momento estamos fora do horário de atendimento. Retornaremos amanhã às 08:00.',
+    );
+    assert.equal(
+      service.getResponseTimeMessage(saoPaulo('2026-11-20T10:00:00')),
+      '🌙 Hoje é feriado (Dia da Consciência Negra). Retornaremos amanhã às 08:00.',
+    );
+  });
+});
+
+describe('getConfig', () => {
+  it('recusa horários inválidos', () => {
+    for (const hours of ['seg 08:00-24:30', 'seg 08:60-12:00', 'seg 25:00-26:00', 'seg 8h-12h']) {
+      assert.throws(() => loadService({ BUSINESS_HOURS: hours }).getConfig(), /Horário inválido em BUSINESS_HOURS/, hours);
+    }
+  });
+
+  it('recusa dias e regras inválidos', () => {
+    assert.throws(() => loadService({ BUSINESS_HOURS: 'segunda 08:00-12:00' }).getConfig(), /Dia inválido/);
+    assert.throws(() => loadService({ BUSINESS_HOURS: 'seg-sex' }).getConfig(), /Regra inválida/);
+  });
+
+  it('recusa fusos que não existem', () => {
+    assert.throws(() => loadService({ BUSINESS_TIMEZONE: 'America/Atlantida' }).getConfig(), RangeError);
+  });
+
+  it('segue sem feriados se o arquivo não existir', () => {
+    const service = loadService({ BUSINESS_HOLIDAYS_FILE: 'tests/fixtures/nao-existe.js' });
+
+    assert.deepEqual(service.getConfig().holidays, []);
+  });
+
+  it('lê o arquivo de feriados a partir da raiz do projeto, em qualquer pasta', () => {
+    const cwd = process.cwd();
+
+    try {
+      process.chdir(require('node:os').tmpdir());
+      assert.equal(loadService().getConfig().holidays.length, 2);
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
@@ -0,0 +1,213 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase } = require('../helpers/database');
+
+const Lead = require('../../src/models/Lead');
+const importService = require('../../src/services/importService');
+const customFieldService = require('../../src/services/customFieldService');
+const tagService = require('../../src/services/tagService');
+
+before(async () => {
+  await setupDatabase();
+
+  tagService.createTag({ name: 'cliente' });
+  tagService.createTag({ name: 'vip' });
+  customFieldService.createField({ key: 'funcionarios', label: 'Funcionários', type: 'number' });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('readCsv', () => {
+  it('usa as colunas com o nome dos campos (as da exportação)', () => {
+    const { rows, columns, errors } = importService.readCsv(
+      'phoneNumber,name,dealValue,tags,custom.funcionarios\n11999990001,Ana,100,vip,5\n',
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(columns, { phoneNumber: 0, name: 1, dealValue: 2, tags: 3, 'custom.funcionarios': 4 });
+    assert.deepEqual(rows, [['11999990001', 'Ana', '100', 'vip', '5']]);
+  });
+
+  it('aceita ponto e vírgula e o mapeamento campo => coluna, sem diferenciar maiúsculas', () => {
+    const { rows, columns, errors } = importService.readCsv(
+      'Telefone;Nome completo;Observação\n11999990001;Ana;cliente antiga\n',
+      { mapping: { phoneNumber: 'telefone', name: 'NOME COMPLETO' } },
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(columns, { phoneNumber: 0, name: 1 });
+    assert.deepEqual(rows[0], ['11999990001', 'Ana', 'cliente antiga']);
+  });
+
+  it('recusa o CSV sem a coluna do número', () => {
+    const { errors } = importService.readCsv('Nome,Email\nAna,ana@exemplo.com\n');
+
+    assert.deepEqual(errors, ['O CSV precisa de uma coluna phoneNumber (ou informe map.phoneNumber=<coluna>)']);
+  });
+
+  it('aponta mapeamentos para campos ou colunas que não existem', () => {
+    const { errors } = importService.readCsv('Telefone,Nome\n11999990001,Ana\n', {
+      mapping: { phoneNumber: 'Telefone', idade: 'Nome', email: 'E-mail' },
+    });
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^map\.idade: campo desconhecido/);
+    assert.equal(errors[1], 'map.email: a coluna "E-mail" não existe no CSV');
+  });
+
+  it('recusa colunas custom.<campo> que não são campos personalizados', () => {
+    const { errors } = importService.readCsv('phoneNumber,custom.idade\n11999990001,30\n');
+
+    assert.deepEqual(errors, ['custom.idade não é um campo personalizado (veja GET /custom-fields)']);
+  });
+
+  it('recusa o CSV só com cabeçalho, com aspas abertas ou com linhas demais', () => {
+    assert.deepEqual(importService.readCsv('phoneNumber,name\n').errors, [
+      'O CSV precisa de um cabeçalho e pelo menos uma linha',
+    ]);
+    assert.deepEqual(importService.readCsv('phoneNumber,name\n11999990001,"Ana\n').errors, [
+      'CSV inválido: aspas sem fechamento',
+    ]);
+
+    const tooMany = ['phoneNumber', ...Array.from({ length: importService.IMPORT_MAX_ROWS + 1 }, (_, i) => 11900000000 + i)];
+    assert.deepEqual(importService.readCsv(tooMany.join('\n')).errors, [
+      `O CSV pode ter até ${importService.IMPORT_MAX_ROWS} linhas por importação`,
+    ]);
+  });
+});
+
+describe('parseRow', () => {
+  const columns = { phoneNumber: 0, name: 1, email: 2, dealValue: 3, tags: 4, 'custom.funcionarios': 5 };
+
+  it('normaliza o número e converte os valores', () => {
+    const row = importService.parseRow(
+      ['(11) 99999-0001', ' Ana ', 'ANA@Exemplo.com', '1500,50', 'vip, cliente,vip', '12,5'],
+      columns,
+    );
+
+    assert.deepEqual(row.errors, []);
+    assert.equal(row.phoneNumber, '5511999990001');
+    assert.deepEqual(row.fields, { name: 'Ana', email: 'ana@exemplo.com', dealValue: 1500.5 });
+    assert.deepEqual(row.customFields, { funcionarios: 12.5 });
+    assert.deepEqual(row.tags, ['vip', 'cliente']);
+  });
+
+  it('ignora células vazias', () => {
+    const row = importService.parseRow(['11999990001', '', '', '', '', ''], columns);
+
+    assert.deepEqual(row.errors, []);
+    assert.deepEqual(row.fields, {});
+    assert.deepEqual(row.customFields, {});
+    assert.deepEqual(row.tags, []);
+  });
+
+  it('tira o apóstrofo que a exportação coloca antes de fórmulas', () => {
+    const row = importService.parseRow(['11999990001', "'=Ana"], { phoneNumber: 0, name: 1 });
+
+    assert.equal(row.fields.name, '=Ana');
+  });
+
+  it('aponta o número vazio ou inválido, mantendo o que veio na planilha', () => {
+    assert.deepEqual(importService.parseRow(['', 'Ana'], { phoneNumber: 0, name: 1 }).errors, ['phoneNumber está vazio']);
+
+    const row = importService.parseRow(['123', 'Ana'], { phoneNumber: 0, name: 1 });
+    assert.equal(row.phoneNumber, '123');
+    assert.deepEqual(row.errors, ['phoneNumber "123" não é um número válido']);
+  });
+
+  it('aplica as regras do perfil e aponta etiquetas que não existem', () => {
+    const row = importService.parseRow(['11999990001', 'Ana', 'ana@', '-10', 'vip,parceiro', 'muitos'], columns);
+
+    assert.deepEqual(row.errors, [
+      'email deve ser um e-mail válido',
+      'dealValue deve ser maior ou igual a 0',
+      'custom.funcionarios deve ser um número',
+      'tags: parceiro não existe (crie em POST /tags)',
+    ]);
+  });
+});
+
+describe('importLeads', () => {
+  /**
+   * Lê e importa um CSV (o cabeçalho precisa ser válido)
+   */
+  function importCsv(text, options) {
+    const { rows, columns, errors } = importService.readCsv(text);
+    assert.deepEqual(errors, []);
+    return importService.importLeads(rows, columns, options);
+  }
+
+  it('no dryRun confere as linhas sem salvar nada', async () => {
+    const { summary, rows } = await importCsv(
+      'phoneNumber,name\n11988880001,Ana\n11988880001,Ana de novo\nabc,Bia\n',
+      { dryRun: true },
+    );
+
+    assert.deepEqual(summary, { total: 3, created: 1, updated: 0, rejected: 2 });
+    assert.deepEqual(rows[1].errors, ['phoneNumber repetido no CSV (linha 2)']);
+    assert.equal(Lead.findByPhone('5511988880001'), null);
+  });
+
+  it('cria e atualiza os leads, com as etiquetas', async () => {
+    await importCsv('phoneNumber,name\n11988880002,Ana\n');
+
+    const { summary } = await importCsv(
+      'phoneNumber,company,tags\n11988880002,Acme,vip\n11988880003,,cliente\n',
+      { importedBy: 'importador' },
+    );
+
+    assert.deepEqual(summary, { total: 2, created: 1, updated: 1, rejected: 0 });
+
+    const updated = Lead.findByPhone('5511988880002');
+    assert.equal(updated.name, 'Ana');
+    assert.equal(updated.company, 'Acme');
+    assert.deepEqual(tagService.getLeadTags('5511988880002').map(tag => [tag.name, tag.addedBy]), [['vip', 'importador']]);
+    assert.ok(Lead.findByPhone('5511988880003'));
+  });
+
+  it('se uma gravação falhar, nenhuma linha fica salva', async () => {
+    let calls = 0;
+    mock.method(tagService, 'addTagsToLead', () => {
+      calls++;
+      throw new Error('falha ao gravar');
+    });
+
+    await assert.rejects(
+      importCsv('phoneNumber,name,tags\n11988880004,Ana\n11988880005,Bia,vip\n'),
+      /falha ao gravar/,
+    );
+
+    assert.equal(calls, 1);
+    assert.equal(Lead.findByPhone('5511988880004'), null);
+    assert.equal(Lead.findByPhone('5511988880005'), null);
+  });
+
+  it('recusa os números sem WhatsApp', async () => {
+    const sock = {
+      onWhatsApp: async jid => [{ jid, exists: jid.startsWith('5511988880006') }],
+    };
+
+    const { summary, rows } = await importCsv('phoneNumber\n11988880006\n11988880007\n', { sock });
+
+    assert.deepEqual(summary, { total: 2, created: 1, updated: 0, rejected: 1 });
+    assert.deepEqual(rows[1].errors, ['5511988880007 não tem WhatsApp']);
+  });
+
+  it('interrompe a importação, sem salvar nada, se a consulta ao WhatsApp falhar', async () => {
+    let checked = 0;
+    const sock = {
+      onWhatsApp: async (jid) => {
+        if (++checked === 2) {
+          throw new Error('Connection Closed');
+        }
+        return [{ jid, exists: true }];
+      },
+    };
+
+    await assert.rejects(importCsv('phoneNumber\n11988880008\n11988880009\n', { sock }), /Connection Closed/);
+
+    assert.equal(Lead.findByPhone('5511988880008'), null);
+  });
+});
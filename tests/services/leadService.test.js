@@ -0,0 +1,124 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase } = require('../helpers/database');
+
+const Lead = require('../../src/models/Lead');
+const leadService = require('../../src/services/leadService');
+const customFieldService = require('../../src/services/customFieldService');
+
+/**
+ * Data no formato do SQLite (UTC), alguns minutos atrás
+ */
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString().slice(0, 19).replace('T', ' ');
+
+before(async () => {
+  await setupDatabase();
+  customFieldService.createField({ key: 'funcionarios', label: 'Funcionários', type: 'number' });
+});
+
+describe('listLeads com cursor', () => {
+  // Valores repetidos e vazios (NULL) são os casos difíceis do cursor
+  const DEAL_VALUES = [500, null, 100, 500, null, 250, 100, null, 800, 250, 100];
+
+  before(() => {
+    DEAL_VALUES.forEach((dealValue, index) => {
+      const phoneNumber = `55119555500${String(index).padStart(2, '0')}`;
+      Lead.findOrCreate(phoneNumber, `Lead ${index}`);
+
+      const customFields = index % 3 === 0 ? {} : { funcionarios: index % 2 };
+      leadService.updateProfile(phoneNumber, dealValue === null ? {} : { dealValue }, customFields);
+    });
+  });
+
+  /**
+   * Percorre a listagem inteira pelo pagination.nextCursor
+   */
+  function walk(query) {
+    const phones = [];
+    let cursor;
+
+    do {
+      const { options, errors } = leadService.parseListOptions({ ...query, cursor });
+      assert.deepEqual(errors, []);
+
+      const { leads, pagination } = leadService.listLeads({}, options);
+      phones.push(...leads.map(lead => lead.phoneNumber));
+      cursor = pagination.nextCursor ?? undefined;
+    } while (cursor);
+
+    return phones;
+  }
+
+  for (const sortBy of ['dealValue', 'custom.funcionarios', 'name']) {
+    for (const sortOrder of ['asc', 'desc']) {
+      it(`${sortBy} ${sortOrder}: as páginas juntas repetem a listagem completa`, () => {
+        const { options } = leadService.parseListOptions({ sortBy, sortOrder, limit: '100' });
+        const expected = leadService.listLeads({}, options).leads.map(lead => lead.phoneNumber);
+
+        assert.equal(expected.length, DEAL_VALUES.length);
+        assert.deepEqual(walk({ sortBy, sortOrder, limit: '3' }), expected);
+      });
+    }
+  }
+
+  it('com cursor, a paginação não conta o total', () => {
+    const first = leadService.listLeads({}, leadService.parseListOptions({ sortBy: 'dealValue', limit: '4' }).options);
+    const { options } = leadService.parseListOptions({
+      sortBy: 'dealValue',
+      limit: '4',
+      cursor: first.pagination.nextCursor,
+    });
+
+    assert.equal(first.pagination.total, DEAL_VALUES.length);
+    assert.deepEqual(Object.keys(leadService.listLeads({}, options).pagination), ['limit', 'nextCursor']);
+  });
+
+  it('recusa cursores inválidos, de outra ordenação ou junto com page', () => {
+    const { pagination } = leadService.listLeads({}, leadService.parseListOptions({ sortBy: 'dealValue', limit: '2' }).options);
+    const cursor = pagination.nextCursor;
+
+    assert.deepEqual(leadService.parseListOptions({ cursor: 'nao-e-um-cursor' }).errors, [
+      'cursor inválido (use o pagination.nextCursor da página anterior)',
+    ]);
+    assert.deepEqual(leadService.parseListOptions({ sortBy: 'dealValue', sortOrder: 'asc', cursor }).errors, [
+      'cursor foi gerado com outra ordenação (mantenha sortBy e sortOrder)',
+    ]);
+    assert.deepEqual(leadService.parseListOptions({ sortBy: 'dealValue', page: '2', cursor }).errors, [
+      'Use page ou cursor, não os dois',
+    ]);
+  });
+});
+
+describe('isBotPaused', () => {
+  afterEach(() => {
+    delete process.env.BOT_AUTO_RELEASE_MINUTES;
+  });
+
+  it('o bot responde leads que não foram assumidos', () => {
+    assert.equal(leadService.isBotPaused(null), false);
+    assert.equal(leadService.isBotPaused({ botPaused: 0 }), false);
+  });
+
+  it('sem BOT_AUTO_RELEASE_MINUTES, a conversa fica com o atendente', () => {
+    assert.equal(leadService.isBotPaused({ botPaused: 1, lastInteraction: minutesAgo(10000) }), true);
+  });
+
+  it('conta o tempo parado a partir de quando o atendente assumiu, se for mais recente', () => {
+    process.env.BOT_AUTO_RELEASE_MINUTES = '30';
+
+    const lead = { botPaused: 1, lastInteraction: minutesAgo(120), takenOverAt: minutesAgo(5) };
+
+    assert.equal(leadService.isBotPaused(lead), true);
+  });
+
+  it('devolve ao bot a conversa parada há mais tempo que o limite', () => {
+    process.env.BOT_AUTO_RELEASE_MINUTES = '30';
+
+    Lead.findOrCreate('5511955559999', 'Ana');
+    leadService.takeOver('5511955559999', 'atendente');
+    const lead = { ...Lead.findByPhone('5511955559999'), lastInteraction: minutesAgo(120), takenOverAt: minutesAgo(60) };
+
+    assert.equal(leadService.isBotPaused(lead), false);
+    assert.equal(Lead.findByPhone('5511955559999').botPaused, 0);
+  });
+});
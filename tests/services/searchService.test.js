@@ -0,0 +1,114 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase } = require('../helpers/database');
+
+const Lead = require('../../src/models/Lead');
+const searchService = require('../../src/services/searchService');
+
+/**
+ * Valida e executa a busca, como o controller faz
+ */
+function search(query) {
+  const { params, errors } = searchService.validateSearch(query);
+  assert.deepEqual(errors, []);
+  return searchService.search(params);
+}
+
+describe('buildMatchQuery', () => {
+  it('busca cada palavra pelo prefixo e as frases entre aspas inteiras', () => {
+    assert.equal(searchService.buildMatchQuery('azul "modelo novo"'), '"azul"* "modelo novo"');
+  });
+
+  it('trata os operadores do FTS5 como texto comum', () => {
+    assert.equal(
+      searchService.buildMatchQuery('azul OR NEAR(verde) name:ana -preto *'),
+      '"azul"* "OR"* "NEAR(verde)"* "name:ana"* "-preto"*',
+    );
+  });
+
+  it('ignora aspas soltas e termos só com pontuação', () => {
+    assert.equal(searchService.buildMatchQuery('pedido" 123 ?!'), '"pedido"* "123"*');
+    assert.equal(searchService.buildMatchQuery('"" ... --'), null);
+  });
+
+  it('usa no máximo 10 termos', () => {
+    const words = Array.from({ length: 12 }, (_, i) => `termo${i}`).join(' ');
+
+    assert.equal(searchService.buildMatchQuery(words).split(' ').length, 10);
+  });
+});
+
+describe('validateSearch', () => {
+  it('exige um texto com pelo menos uma palavra', () => {
+    assert.deepEqual(searchService.validateSearch({}).errors, ['q é obrigatório (pelo menos 2 caracteres)']);
+    assert.deepEqual(searchService.validateSearch({ q: '?!?' }).errors, ['q precisa ter pelo menos uma palavra']);
+  });
+
+  it('valida as datas e o remetente', () => {
+    const { errors } = searchService.validateSearch({ q: 'azul', from: '2024-13-01', sender: 'cliente' });
+
+    assert.deepEqual(errors, ['from deve ser uma data no formato AAAA-MM-DD', 'sender aceita: lead, bot, agent']);
+  });
+});
+
+describe('search', () => {
+  before(async () => {
+    await setupDatabase();
+
+    Lead.findOrCreate('5511977770001', 'Ana <b>Souza</b>');
+    Lead.addMessage('5511977770001', 'Quero o <script>alert("x")</script> modelo azul & verde', 'lead');
+    Lead.addMessage('5511977770001', 'Temos o modelo azul em estoque', 'bot');
+
+    Lead.findOrCreate('5511977770002', 'Bruno');
+    Lead.addMessage('5511977770002', 'Prefiro o vermelho', 'lead');
+  });
+
+  it('escapa o HTML das mensagens e marca os termos com <mark>', () => {
+    const { results } = search({ q: 'azul' });
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].lead.phoneNumber, '5511977770001');
+    assert.equal(results[0].matchCount, 2);
+
+    const snippets = results[0].messages.map(message => message.snippet);
+    assert.ok(snippets.includes(
+      'Quero o &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; modelo <mark>azul</mark> &amp; verde',
+    ), snippets.join('\n'));
+    assert.ok(snippets.includes('Temos o modelo <mark>azul</mark> em estoque'), snippets.join('\n'));
+  });
+
+  it('ignora acentos e maiúsculas', () => {
+    const { results } = search({ q: 'ESTOQUÉ' });
+
+    assert.equal(results[0].messages[0].snippet, 'Temos o modelo azul em <mark>estoque</mark>');
+  });
+
+  it('encontra o lead pelo nome, com o nome marcado e escapado', () => {
+    const { results } = search({ q: 'souza' });
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].matchCount, 0);
+    assert.deepEqual(results[0].messages, []);
+    assert.deepEqual(results[0].highlights, { name: 'Ana &lt;b&gt;<mark>Souza</mark>&lt;/b&gt;', company: null });
+  });
+
+  it('sem highlights quando o lead foi encontrado só pelas mensagens', () => {
+    const { results } = search({ q: 'vermelho' });
+
+    assert.equal(results[0].lead.phoneNumber, '5511977770002');
+    assert.equal(results[0].highlights, null);
+  });
+
+  it('operadores digitados não quebram a consulta', () => {
+    for (const q of ['azul OR', 'NEAR(azul', 'azul AND NOT', 'name:azul', '"azul']) {
+      assert.doesNotThrow(() => search({ q }), q);
+    }
+  });
+
+  it('filtra pelo remetente', () => {
+    const { results } = search({ q: 'azul', sender: 'bot' });
+
+    assert.equal(results[0].matchCount, 1);
+    assert.deepEqual(results[0].messages.map(message => message.sender), ['bot']);
+  });
+});
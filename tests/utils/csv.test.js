@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, toCsvCell } = require('../../src/utils/csv');
+
+describe('parseCsv', () => {
+  it('detecta o separador pela primeira linha', () => {
+    assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+    assert.deepEqual(parseCsv('a;b\n1,5;2'), [['a', 'b'], ['1,5', '2']]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('ignora separadores dentro de aspas ao detectar', () => {
+    assert.deepEqual(parseCsv('"a,b";c\n1;2'), [['a,b', 'c'], ['1', '2']]);
+  });
+
+  it('lê aspas dobradas, separadores e quebras de linha entre aspas', () => {
+    assert.deepEqual(parseCsv('nome,obs\n"Ana","disse ""oi"", e\nsaiu"'), [
+      ['nome', 'obs'],
+      ['Ana', 'disse "oi", e\nsaiu'],
+    ]);
+  });
+
+  it('remove o BOM, aceita \\r\\n e ignora linhas vazias', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n1,2\r\n\r\n , \r\n3,4\r\n'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('mantém células vazias no meio e no fim da linha', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1,,\n'), [['a', 'b', 'c'], ['1', '', '']]);
+  });
+
+  it('usa o separador informado', () => {
+    assert.deepEqual(parseCsv('a;b,c\n1;2,3', ','), [['a;b', 'c'], ['1;2', '3']]);
+  });
+
+  it('falha com aspas sem fechamento', () => {
+    assert.throws(() => parseCsv('a,b\n"1,2\n'), /aspas sem fechamento/);
+  });
+});
+
+describe('toCsvCell', () => {
+  it('coloca entre aspas os textos com separador, aspas ou quebra de linha', () => {
+    assert.equal(toCsvCell('Ana'), 'Ana');
+    assert.equal(toCsvCell('Ana, Bia'), '"Ana, Bia"');
+    assert.equal(toCsvCell('disse "oi"'), '"disse ""oi"""');
+    assert.equal(toCsvCell('linha\nnova'), '"linha\nnova"');
+  });
+
+  it('neutraliza fórmulas com um apóstrofo', () => {
+    assert.equal(toCsvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.equal(toCsvCell('+55 11 99999'), "'+55 11 99999");
+    assert.equal(toCsvCell('@ana'), "'@ana");
+    // Números negativos não são texto
+    assert.equal(toCsvCell(-10), '-10');
+  });
+
+  it('deixa vazios os valores nulos', () => {
+    assert.equal(toCsvCell(null), '');
+    assert.equal(toCsvCell(undefined), '');
+  });
+
+  it('volta ao mesmo valor ao ler o que foi escrito', () => {
+    const values = ['Ana', 'Ana, Bia', 'disse "oi"', 'linha\nnova', ''];
+    const line = values.map(toCsvCell).join(',');
+
+    assert.deepEqual(parseCsv(`h1,h2,h3,h4,h5\n${line}`)[1], values);
+  });
+});
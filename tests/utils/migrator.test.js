@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const migrator = require('../../src/utils/migrator');
+
+/**
+ * Esquema atual do banco (tabelas, índices e triggers), para comparar
+ */
+function getSchema(db) {
+  return db.prepare(`
+    SELECT type, name, sql FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    ORDER BY type, name
+  `).all();
+}
+
+describe('migrator', () => {
+  it('aplica todas as migrations uma vez só', () => {
+    const db = new Database(':memory:');
+    const versions = migrator.migrateUp(db);
+
+    assert.equal(versions.length, migrator.getStatus(db).length);
+    assert.ok(migrator.getStatus(db).every(migration => migration.applied));
+    assert.deepEqual(migrator.migrateUp(db), []);
+  });
+
+  it('desfazer e reaplicar todas as migrations volta ao mesmo esquema', () => {
+    const db = new Database(':memory:');
+    const versions = migrator.migrateUp(db);
+    const schema = getSchema(db);
+
+    assert.deepEqual(migrator.rollback(db, versions.length), [...versions].reverse());
+    assert.deepEqual(getSchema(db), []);
+
+    migrator.migrateUp(db);
+    assert.deepEqual(getSchema(db), schema);
+  });
+
+  it('aplica somente até a versão pedida', () => {
+    const db = new Database(':memory:');
+    const [first, second] = migrator.getStatus(db).map(migration => migration.version);
+
+    assert.deepEqual(migrator.migrateUp(db, second), [first, second]);
+  });
+
+  it('o índice de busca (015) é preenchido com as conversas que já existem', () => {
+    const db = new Database(':memory:');
+    const versions = migrator.getStatus(db).map(migration => migration.version);
+    const searchIndex = versions.find(version => version.startsWith('015'));
+
+    migrator.migrateUp(db, versions[versions.indexOf(searchIndex) - 1]);
+    db.prepare("INSERT INTO leads (phoneNumber, name, company) VALUES ('5511966660001', 'Não informado', 'Padaria São João')").run();
+    db.prepare("INSERT INTO messages (phoneNumber, text, sender) VALUES ('5511966660001', 'Quero um orçamento', 'lead')").run();
+
+    migrator.migrateUp(db, searchIndex);
+
+    const search = (table, term) => db.prepare(`SELECT rowid FROM ${table} WHERE ${table} MATCH ?`).all(term).length;
+    assert.equal(search('messages_fts', 'orcamento'), 1);
+    assert.equal(search('leads_fts', 'sao'), 1);
+    // O nome padrão não entra no índice
+    assert.equal(search('leads_fts', 'informado'), 0);
+  });
+});
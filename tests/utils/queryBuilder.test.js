@@ -0,0 +1,138 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const { createQuery, escapeLike } = require('../../src/utils/queryBuilder');
+
+describe('escapeLike', () => {
+  it('escapa os curingas do LIKE e a própria barra', () => {
+    assert.equal(escapeLike('100%_a\\b'), '100\\%\\_a\\\\b');
+  });
+});
+
+describe('createQuery', () => {
+  it('sem condições, monta um WHERE vazio', () => {
+    assert.deepEqual(createQuery().build(), { where: '', params: [] });
+  });
+
+  it('junta as condições com AND, com os valores na ordem dos "?"', () => {
+    const { where, params } = createQuery()
+      .whereIn('status', ['novo', 'em_atendimento'])
+      .whereRange('dealValue', { from: 100, to: null })
+      .where('owner = ?', 'ana')
+      .build();
+
+    assert.equal(where, 'WHERE status IN (?, ?) AND dealValue >= ? AND owner = ?');
+    assert.deepEqual(params, ['novo', 'em_atendimento', 100, 'ana']);
+  });
+
+  it('whereIn com um valor vira "=" e com a lista vazia é ignorado', () => {
+    assert.deepEqual(createQuery().whereIn('intent', ['dúvida']).build(), {
+      where: 'WHERE intent = ?',
+      params: ['dúvida'],
+    });
+    assert.deepEqual(createQuery().whereIn('intent', []).build(), { where: '', params: [] });
+  });
+
+  it('whereRange usa from <= coluna < to e ignora os limites null', () => {
+    const { where, params } = createQuery()
+      .whereRange('createdAt', { from: '2024-01-01', to: '2024-02-01' })
+      .build();
+
+    assert.equal(where, 'WHERE createdAt >= ? AND createdAt < ?');
+    assert.deepEqual(params, ['2024-01-01', '2024-02-01']);
+    assert.deepEqual(createQuery().whereRange('createdAt', {}).build().where, '');
+  });
+
+  it('build devolve uma cópia dos valores', () => {
+    const query = createQuery().where('a = ?', 1);
+    query.build().params.push(2);
+
+    assert.deepEqual(query.build().params, [1]);
+  });
+});
+
+describe('createQuery no SQLite', () => {
+  let db;
+
+  // Inclui valores repetidos e NULL, que são os casos difíceis do cursor
+  const VALUES = [30, null, 10, 20, null, 10, 30, 20, null, 10, 40];
+
+  before(() => {
+    db = new Database(':memory:');
+    db.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT, value INTEGER)');
+
+    const insert = db.prepare('INSERT INTO items (name, value) VALUES (?, ?)');
+    VALUES.forEach((value, index) => insert.run(`item_${index}%`, value));
+    insert.run('outro', 5);
+  });
+
+  /**
+   * Percorre a tabela de página em página pelo cursor
+   */
+  function paginate(order, pageSize) {
+    const seen = [];
+    let after = null;
+
+    for (;;) {
+      const query = createQuery();
+
+      if (after) {
+        query.whereAfter('value', order, after);
+      }
+
+      const { where, params } = query.build();
+      const page = db.prepare(`
+        SELECT * FROM items ${where} ORDER BY value ${order}, id ${order} LIMIT ?
+      `).all(...params, pageSize);
+
+      if (page.length === 0) {
+        return seen;
+      }
+
+      seen.push(...page.map(row => row.id));
+
+      const last = page[page.length - 1];
+      after = { value: last.value, id: last.id };
+    }
+  }
+
+  for (const order of ['ASC', 'DESC']) {
+    for (const pageSize of [1, 2, 5]) {
+      it(`cursor ${order} em páginas de ${pageSize} repete a ordem completa, sem pular nem repetir`, () => {
+        const expected = db.prepare(`SELECT id FROM items ORDER BY value ${order}, id ${order}`)
+          .all()
+          .map(row => row.id);
+
+        assert.deepEqual(paginate(order, pageSize), expected);
+      });
+    }
+  }
+
+  it('whereAfter aceita expressões com parâmetros', () => {
+    const query = createQuery().whereAfter('(value * ?)', 'ASC', { value: 40, id: 3 }, [2]);
+    const { where, params } = query.build();
+    const ids = db.prepare(`SELECT id FROM items ${where} ORDER BY value * 2, id`).all(...params).map(row => row.id);
+
+    // value * 2 > 40, ou = 40 com id > 3
+    const expected = db.prepare(`
+      SELECT id FROM items WHERE value * 2 > 40 OR (value * 2 = 40 AND id > 3) ORDER BY value * 2, id
+    `).all().map(row => row.id);
+
+    assert.deepEqual(ids, expected);
+    assert.ok(ids.length > 0);
+  });
+
+  it('wherePrefix trata % e _ do texto como caracteres comuns', () => {
+    const { where, params } = createQuery().wherePrefix('name', 'item_1%').build();
+    const names = db.prepare(`SELECT name FROM items ${where} ORDER BY id`).all(...params).map(row => row.name);
+
+    assert.deepEqual(names, ['item_1%']);
+  });
+
+  it('wherePrefix não diferencia maiúsculas', () => {
+    const { where, params } = createQuery().wherePrefix('name', 'OUT').build();
+
+    assert.equal(db.prepare(`SELECT COUNT(*) AS total FROM items ${where}`).get(...params).total, 1);
+  });
+});